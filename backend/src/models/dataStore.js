@@ -1,35 +1,77 @@
-const FileStorage = require('../storage/fileStorage');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('../storage');
+const { encodeCursor } = require('../utils/cursor');
 
-// Initialize file storage
-const storage = new FileStorage();
+// Initialize the configured storage backend (STORAGE_BACKEND=file|sqlite)
+const storage = createStorage();
 
 // Data models remain the same for compatibility
 class Question {
-  constructor(id, userId, question, answerId = null) {
+  constructor(id, userId, question, answerId = null, conversationId = null, parentId = null) {
     this.id = id;
     this.userId = userId;
+    this.conversationId = conversationId;
+    this.parentId = parentId; // Question this one follows up on; null for the first question of a thread
     this.question = question;
-    this.answerId = answerId;
+    this.answerId = answerId; // Current answer, the one shown and used as context
+    this.answerIds = answerId ? [answerId] : []; // Every answer version generated, oldest first
     this.createdAt = new Date();
   }
 }
 
 class Answer {
-  constructor(id, text, visualization) {
+  constructor(id, text, visualization, userId = null, validationReport = null, questionId = null, version = 1) {
     this.id = id;
+    this.userId = userId;
+    this.questionId = questionId;
+    this.version = version; // 1 for the first answer, counting up with each regeneration
     this.text = text;
     this.visualization = visualization;
+    this.validationReport = validationReport; // Issues, fixes and quality score from ValidationReporter
     this.createdAt = new Date();
   }
 }
 
-// File-based storage operations
+// A named thread of questions (e.g. "orbital mechanics") owned by one user
+class Conversation {
+  constructor(id, userId, title) {
+    this.id = id;
+    this.userId = userId;
+    this.title = title;
+    this.createdAt = new Date();
+    this.updatedAt = this.createdAt;
+  }
+}
+
+// A read-only link to one answer, for people without access to the chat it came from
+class ShareToken {
+  constructor(id, userId, answerId, expiresAt = null) {
+    this.id = id;
+    this.userId = userId; // Who created the link; only they can list or revoke it
+    this.answerId = answerId;
+    this.token = crypto.randomBytes(24).toString('base64url'); // Secret part of the public URL
+    this.expiresAt = expiresAt; // null = never expires
+    this.revokedAt = null;
+    this.createdAt = new Date();
+  }
+}
+
+// Storage operations (delegated to the configured backend)
 const dataStore = {
   // Question operations
   async getAllQuestions() {
     return await storage.getAllQuestions();
   },
 
+  async getQuestionsByUser(userId) {
+    return await storage.getQuestionsByUser(userId);
+  },
+
+  async getQuestionsByConversation(conversationId) {
+    return await storage.getQuestionsByConversation(conversationId);
+  },
+
   async saveQuestion(question) {
     return await storage.saveQuestion(question);
   },
@@ -46,6 +88,29 @@ const dataStore = {
     return await storage.deleteQuestion(questionId);
   },
 
+  // Delete a question with all of its answer versions. Follow-up questions move up to
+  // follow on from the deleted question's parent, so the rest of the thread stays connected.
+  async deleteQuestionWithAnswers(questionId) {
+    const question = await storage.getQuestionById(questionId);
+    if (!question) return null;
+
+    const threadQuestions = this.withParentIds(await storage.getQuestionsByConversation(question.conversationId));
+    const parentId = threadQuestions.find(q => q.id === questionId).parentId;
+
+    const reparented = [];
+    for (const child of threadQuestions.filter(q => q.parentId === questionId)) {
+      reparented.push(await storage.updateQuestion(child.id, { parentId }));
+    }
+
+    let answersDeleted = 0;
+    for (const answerId of this.getAnswerIds(question)) {
+      if (await storage.deleteAnswer(answerId)) answersDeleted++;
+    }
+    await storage.deleteQuestion(questionId);
+
+    return { question, answersDeleted, reparented };
+  },
+
   // Answer operations
   async getAllAnswers() {
     return await storage.getAllAnswers();
@@ -59,14 +124,216 @@ const dataStore = {
     return await storage.getAnswerById(answerId);
   },
 
-  // Get recent questions with their complete answers for conversation context
-  async getRecentQuestionsWithAnswers(limit = 3) {
+  // IDs of every answer version of a question, oldest first.
+  // Questions saved before regeneration existed only know their one answer.
+  getAnswerIds(question) {
+    if (Array.isArray(question.answerIds)) return question.answerIds;
+    return question.answerId ? [question.answerId] : [];
+  },
+
+  async getAnswerVersions(question) {
+    const answers = await Promise.all(this.getAnswerIds(question).map(id => storage.getAnswerById(id)));
+    return answers.filter(Boolean);
+  },
+
+  // The question an answer version belongs to
+  async getQuestionForAnswer(answer) {
+    if (answer.questionId) {
+      return await storage.getQuestionById(answer.questionId);
+    }
+    // Answers saved before versions existed only link back through their question
+    const userQuestions = answer.userId ? await storage.getQuestionsByUser(answer.userId) : await storage.getAllQuestions();
+    return userQuestions.find(q => this.getAnswerIds(q).includes(answer.id));
+  },
+
+  // Delete one answer version; the latest remaining version becomes current if it was the current one
+  async deleteAnswerVersion(answer) {
+    const question = await this.getQuestionForAnswer(answer);
+    await storage.deleteAnswer(answer.id);
+    if (!question) return { question: null };
+
+    const answerIds = this.getAnswerIds(question).filter(id => id !== answer.id);
+    const answerId = question.answerId === answer.id ? (answerIds[answerIds.length - 1] || null) : question.answerId;
+    return { question: await storage.updateQuestion(question.id, { answerId, answerIds }) };
+  },
+
+  // Record a newly generated answer version and make it the current one
+  async addAnswerVersion(questionId, answerId) {
+    const question = await storage.getQuestionById(questionId);
+    if (!question) {
+      throw new Error(`Question ${questionId} not found`);
+    }
+
+    return await storage.updateQuestion(questionId, {
+      answerId,
+      answerIds: [...this.getAnswerIds(question), answerId]
+    });
+  },
+
+  // Answers keyed by id, fetched in one storage call
+  async getAnswersByIds(answerIds) {
+    const answers = await storage.getAnswersByIds(answerIds);
+    return new Map(answers.map(answer => [answer.id, answer]));
+  },
+
+  /**
+   * One page of a user's questions
+   * @param {Object} query
+   * @param {string} query.userId - Owner of the questions
+   * @param {string} query.conversationId - Only questions of this thread
+   * @param {Date} query.from - Only questions asked at or after this time
+   * @param {Date} query.to - Only questions asked at or before this time
+   * @param {string} query.text - Only questions whose text contains this (case-insensitive)
+   * @param {string} query.sort - 'asc' (oldest first) or 'desc'
+   * @param {Object} query.after - Decoded cursor; the page starts after this question
+   * @param {number} query.limit - Page size
+   * @param {boolean} query.includeAnswer - Embed each question's current answer as `answer`
+   * @returns {Object} - { questions, nextCursor } where nextCursor is null on the last page
+   */
+  async queryQuestions({ userId, conversationId = null, from = null, to = null, text = '', sort = 'asc', after = null, limit, includeAnswer = false }) {
+    // One extra question tells whether there is a next page
+    const matching = await storage.queryQuestions({ userId, conversationId, from, to, text, sort, after, limit: limit + 1 });
+    let questions = await this.fillParentIds(userId, matching.slice(0, limit));
+    const nextCursor = matching.length > limit ? encodeCursor(questions[questions.length - 1]) : null;
+
+    if (includeAnswer) {
+      const answers = await this.getAnswersByIds(questions.map(q => q.answerId).filter(Boolean));
+      questions = questions.map(q => ({ ...q, answer: answers.get(q.answerId) || null }));
+    }
+
+    return { questions, nextCursor };
+  },
+
+  // withParentIds for a page of questions; only questions saved before branching existed need their thread
+  async fillParentIds(userId, questions) {
+    const legacyThreads = new Set(questions.filter(q => !('parentId' in q)).map(q => q.conversationId || null));
+    if (legacyThreads.size === 0) return questions;
+
+    const parentIds = new Map();
+    for (const conversationId of legacyThreads) {
+      const thread = conversationId
+        ? await storage.getQuestionsByConversation(conversationId)
+        : (await storage.getQuestionsByUser(userId)).filter(q => !q.conversationId);
+      this.withParentIds(thread).forEach(q => parentIds.set(q.id, q.parentId));
+    }
+
+    return questions.map(q => ('parentId' in q ? q : { ...q, parentId: parentIds.get(q.id) ?? null }));
+  },
+
+  // Get an answer only if it belongs to the given user
+  async getAnswerForUser(answerId, userId) {
+    const answer = await storage.getAnswerById(answerId);
+    if (!answer) return null;
+
+    if (answer.userId) {
+      return answer.userId === userId ? answer : null;
+    }
+
+    // Answers saved before per-user isolation only link back through their question
+    const userQuestions = await storage.getQuestionsByUser(userId);
+    return userQuestions.some(q => this.getAnswerIds(q).includes(answerId)) ? answer : null;
+  },
+
+  // Conversation (thread) operations
+  async getConversationsByUser(userId) {
+    return await storage.getConversationsByUser(userId);
+  },
+
+  async getConversationById(conversationId) {
+    return await storage.getConversationById(conversationId);
+  },
+
+  async saveConversation(conversation) {
+    return await storage.saveConversation(conversation);
+  },
+
+  async updateConversation(conversationId, updates) {
+    return await storage.updateConversation(conversationId, updates);
+  },
+
+  async deleteConversation(conversationId) {
+    return await storage.deleteConversation(conversationId);
+  },
+
+  // Get a conversation only if it belongs to the given user
+  async getConversationForUser(conversationId, userId) {
+    const conversation = await storage.getConversationById(conversationId);
+    return conversation && conversation.userId === userId ? conversation : null;
+  },
+
+  // Questions asked before threads existed have no conversationId; group them into one thread
+  async adoptOrphanQuestions(userId) {
+    const orphans = (await storage.getQuestionsByUser(userId)).filter(q => !q.conversationId);
+    if (orphans.length === 0) return null;
+
+    const conversation = new Conversation(`c_${uuidv4()}`, userId, 'Earlier questions');
+    conversation.createdAt = orphans[0].createdAt;
+    conversation.updatedAt = orphans[orphans.length - 1].createdAt;
+    await storage.saveConversation(conversation);
+
+    for (const question of orphans) {
+      await storage.updateQuestion(question.id, { conversationId: conversation.id });
+    }
+
+    console.log(`📂 Grouped ${orphans.length} earlier questions into conversation ${conversation.id}`);
+    return conversation;
+  },
+
+  // Questions of a thread with parentId filled in. Questions asked before branching existed
+  // have none and follow on from the question asked before them, as they did when asked.
+  withParentIds(questions) {
+    const previousInThread = {};
+    return [...questions]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(question => {
+        const parentId = 'parentId' in question ? question.parentId : (previousInThread[question.conversationId] || null);
+        previousInThread[question.conversationId] = question.id;
+        return { ...question, parentId };
+      });
+  },
+
+  // A question and the questions it follows on from, oldest first
+  async getQuestionPath(questionId) {
+    const question = await storage.getQuestionById(questionId);
+    if (!question) return [];
+
+    const threadQuestions = this.withParentIds(await storage.getQuestionsByConversation(question.conversationId));
+    const byId = new Map(threadQuestions.map(q => [q.id, q]));
+
+    const path = [];
+    let current = byId.get(question.id);
+    while (current && !path.includes(current)) {
+      path.unshift(current);
+      current = current.parentId ? byId.get(current.parentId) : null;
+    }
+    return path;
+  },
+
+  // The question new questions in a thread follow on from when no parent is given
+  async getLatestQuestionId(conversationId) {
+    const threadQuestions = await storage.getQuestionsByConversation(conversationId);
+    const latest = threadQuestions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    return latest ? latest.id : null;
+  },
+
+  // Get recent questions with their complete answers for conversation context.
+  // With parentId, only the questions on the branch leading to it count (null means none);
+  // otherwise scoped to one thread when conversationId is given, or to all of the user's questions.
+  async getRecentQuestionsWithAnswers({ userId, conversationId = null, parentId, limit = 3 }) {
     try {
-      // Get all questions sorted by creation date (most recent first)
-      const allQuestions = await storage.getAllQuestions();
-      const sortedQuestions = allQuestions
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-        .slice(0, limit);
+      let sortedQuestions;
+      if (parentId !== undefined) {
+        const branch = parentId ? await this.getQuestionPath(parentId) : [];
+        sortedQuestions = branch.filter(q => q.userId === userId).reverse().slice(0, limit);
+      } else {
+        // Get the scoped questions sorted by creation date (most recent first)
+        const scopedQuestions = conversationId
+          ? (await storage.getQuestionsByConversation(conversationId)).filter(q => q.userId === userId)
+          : await storage.getQuestionsByUser(userId);
+        sortedQuestions = scopedQuestions
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .slice(0, limit);
+      }
 
       // Get answers for each question
       const questionsWithAnswers = [];
@@ -91,13 +358,60 @@ const dataStore = {
     }
   },
 
+  // Share link operations
+  async saveShare(share) {
+    return await storage.saveShare(share);
+  },
+
+  async getSharesByAnswer(answerId) {
+    return await storage.getSharesByAnswer(answerId);
+  },
+
+  async revokeShare(shareId) {
+    return await storage.updateShare(shareId, { revokedAt: new Date() });
+  },
+
+  // 'active', 'revoked' or 'expired'
+  getShareStatus(share, now = new Date()) {
+    if (share.revokedAt) return 'revoked';
+    if (share.expiresAt && new Date(share.expiresAt) <= now) return 'expired';
+    return 'active';
+  },
+
+  /**
+   * Resolve a public share token
+   * @param {string} token - Token from the share URL
+   * @param {Object} options - { followCurrent: resolve to the question's current answer version
+   *   instead of the shared one, so embeds pick up regenerated answers }
+   * @returns {Object|null} - { share, status, answer, question }, or null for an unknown token.
+   *   answer and question are only loaded while the link is active; answer is null once deleted
+   */
+  async getSharedAnswer(token, options = {}) {
+    const share = await storage.getShareByToken(token);
+    if (!share) return null;
+
+    const status = this.getShareStatus(share);
+    if (status !== 'active') return { share, status, answer: null, question: null };
+
+    let answer = await storage.getAnswerById(share.answerId);
+    const question = answer ? await this.getQuestionForAnswer(answer) : null;
+    if (options.followCurrent && question && question.answerId && question.answerId !== answer.id) {
+      answer = (await storage.getAnswerById(question.answerId)) || answer;
+    }
+    return { share, status, answer: answer || null, question };
+  },
+
   // Utility operations
-  async getStats() {
-    return await storage.getStats();
+  async getStats(userId = null) {
+    return await storage.getStats(userId);
   },
 
   async clearAll() {
     return await storage.clearAll();
+  },
+
+  async clearUser(userId) {
+    return await storage.clearUser(userId);
   }
 };
 
@@ -138,7 +452,9 @@ const answers = {
 module.exports = {
   Question,
   Answer,
+  Conversation,
+  ShareToken,
   questions,
   answers,
-  dataStore // New file-based operations
+  dataStore // Storage-backed operations
 };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { generateMockResponse } = require('./mockResponses');
+const { raceWithAbort, throwIfAborted } = require('../utils/abort');
+
+// Streamed responses are split into pieces of roughly this many characters
+const DEFAULT_CHUNK_SIZE = 24;
+
+/**
+ * Offline, deterministic provider for CI and air-gapped development.
+ *
+ * Generation requests are answered from a fixture file named after the
+ * question (e.g. "how-do-waves-work.json" in LLM_FIXTURES_DIR) when one
+ * exists, otherwise from the built-in mock templates. Fixture files are
+ * returned verbatim, so they can also exercise the JSON cleanup and repair
+ * steps. JSON repair requests are answered from "<slug>.repair.json" when it
+ * exists, otherwise from the mock templates. Validation requests echo the
+ * response back unchanged.
+ */
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    const fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR;
+    this.fixturesDir = fixturesDir ? path.resolve(fixturesDir) : null;
+    this.delayMs = options.delayMs ?? (parseInt(process.env.LLM_FIXTURE_DELAY_MS, 10) || 0);
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  }
+
+  // File name a question's fixture is looked up under
+  fixtureName(question, suffix = '') {
+    const slug = question
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 80);
+    return `${slug || 'question'}${suffix}.json`;
+  }
+
+  async readFixture(question, suffix = '') {
+    if (!this.fixturesDir) return null;
+
+    const fixturePath = path.join(this.fixturesDir, this.fixtureName(question, suffix));
+    try {
+      const content = await fs.promises.readFile(fixturePath, 'utf8');
+      console.log(`📼 Using fixture ${fixturePath}`);
+      return content;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Optional simulated latency, so progress events and cancellation can be tried out
+  async simulateLatency(signal, delayMs = this.delayMs) {
+    if (delayMs > 0) {
+      await raceWithAbort(new Promise(resolve => setTimeout(resolve, delayMs)), signal);
+    }
+  }
+
+  /**
+   * Answer a prompt without calling any external service
+   * @param {string} prompt - Full prompt text (unused, responses are keyed on the task)
+   * @param {Object} options - { task: 'generation' | 'validation' | 'repair', question, response, signal }
+   * @returns {Promise<string>} - Response text in the format the task expects
+   */
+  async generateText(prompt, options = {}) {
+    const { task = 'generation', question = '', response, signal, delayMs = this.delayMs } = options;
+
+    await this.simulateLatency(signal, delayMs);
+    throwIfAborted(signal);
+
+    if (task === 'validation') {
+      return JSON.stringify(response);
+    }
+
+    const fixture = await this.readFixture(question, task === 'repair' ? '.repair' : '');
+    return fixture !== null ? fixture : JSON.stringify(generateMockResponse(question), null, 2);
+  }
+
+  /**
+   * Stream the same response generateText would return, in fixed-size chunks.
+   * The simulated latency is spread across the chunks.
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - Same as generateText
+   * @returns {AsyncGenerator<string>} - Text chunks in order
+   */
+  async *streamText(prompt, options = {}) {
+    const text = await this.generateText(prompt, { ...options, delayMs: 0 });
+    const chunkCount = Math.ceil(text.length / this.chunkSize);
+    const chunkDelay = chunkCount > 0 ? Math.floor(this.delayMs / chunkCount) : 0;
+
+    for (let i = 0; i < text.length; i += this.chunkSize) {
+      await this.simulateLatency(options.signal, chunkDelay);
+      throwIfAborted(options.signal);
+      yield text.slice(i, i + this.chunkSize);
+    }
+  }
+}
+
+module.exports = FixtureProvider;
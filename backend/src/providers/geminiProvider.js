@@ -0,0 +1,67 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { raceWithAbort, throwIfAborted } = require('../utils/abort');
+
+const DEFAULT_MODEL = 'gemini-2.5-pro';
+
+// Values from .env.example and older setups that only look like a key
+const PLACEHOLDER_KEYS = ['demo-key', 'your_gemini_api_key_here'];
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.modelName = options.model || process.env.GEMINI_MODEL || DEFAULT_MODEL;
+
+    if (!this.apiKey || PLACEHOLDER_KEYS.includes(this.apiKey)) {
+      throw new Error(
+        'GEMINI_API_KEY is not set. Add your key to backend/.env, or set LLM_PROVIDER=fixture for offline canned responses'
+      );
+    }
+
+    this.genAI = new GoogleGenerativeAI(this.apiKey);
+    this.models = new Map(); // One model instance per generation config
+  }
+
+  getModel(generationConfig) {
+    const key = JSON.stringify(generationConfig || {});
+    if (!this.models.has(key)) {
+      this.models.set(key, this.genAI.getGenerativeModel({
+        model: this.modelName,
+        ...(generationConfig && { generationConfig })
+      }));
+    }
+    return this.models.get(key);
+  }
+
+  /**
+   * Send a prompt to Gemini and return the raw response text
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { generationConfig, signal }
+   * @returns {Promise<string>} - Model output
+   */
+  async generateText(prompt, options = {}) {
+    const model = this.getModel(options.generationConfig);
+    // Cancelling the question abandons the pending request
+    const result = await raceWithAbort(model.generateContent(prompt), options.signal);
+    const response = await result.response;
+    return response.text();
+  }
+
+  /**
+   * Stream a response from Gemini as it is generated
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { generationConfig, signal }
+   * @returns {AsyncGenerator<string>} - Text chunks in order
+   */
+  async *streamText(prompt, options = {}) {
+    const model = this.getModel(options.generationConfig);
+    const result = await raceWithAbort(model.generateContentStream(prompt), options.signal);
+
+    for await (const chunk of result.stream) {
+      throwIfAborted(options.signal);
+      yield chunk.text();
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,52 @@
+/**
+ * LLM provider contract.
+ *
+ * A provider turns a prompt into response text:
+ *   generateText(prompt, { task, question, response, generationConfig, signal })
+ *   streamText(prompt, options) - same options, async iterable of text chunks
+ * where task is 'generation', 'validation' or 'repair' (fixing a response
+ * that wasn't valid JSON). LLMService and ValidationEngine
+ * only talk to models through this interface, so the provider can be swapped
+ * via the LLM_PROVIDER environment variable without touching the pipeline.
+ */
+const PROVIDER_METHODS = ['generateText', 'streamText'];
+
+// Throw early if a provider is missing part of the contract
+function assertLLMProvider(provider, name) {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`LLM provider "${name}" is missing methods: ${missing.join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Create the LLM provider selected by configuration
+ * @param {Object} options - Overrides for environment configuration
+ * @param {string} options.provider - 'gemini' (default) or 'fixture'. Canned fixture responses are only
+ *   served when asked for, never as a stand-in for a missing Gemini key
+ * @returns {Object} - Provider implementing PROVIDER_METHODS
+ * @throws {Error} - When the provider can't be used, e.g. Gemini without GEMINI_API_KEY
+ */
+function createLLMProvider(options = {}) {
+  const name = (options.provider || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+  switch (name) {
+    case 'gemini': {
+      const GeminiProvider = require('./geminiProvider');
+      return assertLLMProvider(new GeminiProvider(options), name);
+    }
+    case 'fixture': {
+      const FixtureProvider = require('./fixtureProvider');
+      return assertLLMProvider(new FixtureProvider(options), name);
+    }
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use "gemini" or "fixture".`);
+  }
+}
+
+module.exports = {
+  PROVIDER_METHODS,
+  assertLLMProvider,
+  createLLMProvider
+};
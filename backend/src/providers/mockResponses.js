@@ -0,0 +1,711 @@
+// Canned responses for the fixture provider, picked by keywords in the question
+// (waves, Newton's laws, the solar system, photosynthesis, with a generic fallback)
+
+function generateMockResponse(question) {
+  const lowerQuestion = question.toLowerCase();
+  
+  if (lowerQuestion.includes('wave') || lowerQuestion.includes('propagat')) {
+    return {
+      text: "Waves propagate by transferring energy through a medium without the actual movement of the medium itself. Think of it like a domino effect – each domino falls (transfers energy), but stays in roughly the same location.",
+      visualization: {
+        id: "wave_propagation_demo",
+        duration: 6000,
+        fps: 30,
+        layers: [
+          // Background
+          {
+            id: "background",
+            type: "rectangle",
+            props: {
+              x: 0, y: 0, width: 800, height: 400,
+              fill: "#2c3e50"
+            },
+            animations: []
+          },
+          // Wave particles showing oscillation
+          {
+            id: "particle_1",
+            type: "circle",
+            props: { 
+              x: 100, y: 200, r: 8, 
+              fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
+            },
+            animations: [
+              {
+                property: "y",
+                startValue: 200,
+                endValue: 150,
+                duration: 2000,
+                easing: "easeInOutQuad",
+                repeat: true,
+                alternate: true
+              }
+            ]
+          },
+          {
+            id: "particle_2",
+            type: "circle",
+            props: { 
+              x: 200, y: 200, r: 8, 
+              fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
+            },
+            animations: [
+              {
+                property: "y",
+                startValue: 200,
+                endValue: 250,
+                duration: 2000,
+                delay: 500,
+                easing: "easeInOutQuad",
+                repeat: true,
+                alternate: true
+              }
+            ]
+          },
+          {
+            id: "particle_3",
+            type: "circle",
+            props: { 
+              x: 300, y: 200, r: 8, 
+              fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
+            },
+            animations: [
+              {
+                property: "y",
+                startValue: 200,
+                endValue: 150,
+                duration: 2000,
+                delay: 1000,
+                easing: "easeInOutQuad",
+                repeat: true,
+                alternate: true
+              }
+            ]
+          },
+          {
+            id: "particle_4",
+            type: "circle",
+            props: { 
+              x: 400, y: 200, r: 8, 
+              fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
+            },
+            animations: [
+              {
+                property: "y",
+                startValue: 200,
+                endValue: 250,
+                duration: 2000,
+                delay: 1500,
+                easing: "easeInOutQuad",
+                repeat: true,
+                alternate: true
+              }
+            ]
+          },
+          {
+            id: "particle_5",
+            type: "circle",
+            props: { 
+              x: 500, y: 200, r: 8, 
+              fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
+            },
+            animations: [
+              {
+                property: "y",
+                startValue: 200,
+                endValue: 150,
+                duration: 2000,
+                delay: 2000,
+                easing: "easeInOutQuad",
+                repeat: true,
+                alternate: true
+              }
+            ]
+          },
+          // Energy indicator moving along
+          {
+            id: "energy_pulse",
+            type: "circle",
+            props: { 
+              x: 50, y: 200, r: 15, 
+              fill: "#e74c3c", opacity: 0.7
+            },
+            animations: [
+              {
+                property: "x",
+                startValue: 50,
+                endValue: 750,
+                duration: 5000,
+                easing: "linear",
+                repeat: true
+              },
+              {
+                property: "opacity",
+                startValue: 0.7,
+                endValue: 0.3,
+                duration: 500,
+                easing: "easeInOutQuad",
+                repeat: true,
+                alternate: true
+              }
+            ]
+          },
+          // Title
+          {
+            id: "title",
+            type: "text",
+            props: { 
+              x: 400, y: 100, 
+              text: "Wave Energy Propagation", 
+              fontSize: 22, 
+              color: "#ecf0f1"
+            },
+            animations: [
+              {
+                property: "opacity",
+                startValue: 0,
+                endValue: 1,
+                duration: 1000,
+                delay: 1000,
+                easing: "easeOutQuad"
+              }
+            ]
+          }
+        ]
+      }
+    };
+  }
+  
+  if (lowerQuestion.includes('newton') || lowerQuestion.includes('motion') || lowerQuestion.includes('force')) {
+    return {
+      text: "Newton's First Law states that an object will remain at rest or in uniform motion unless acted upon by an external force. This animation shows a ball moving at constant velocity after being pushed.",
+      visualization: {
+        id: "newtons_first_law",
+        duration: 6000,
+        fps: 30,
+        layers: [
+          // Background
+          {
+            id: "background",
+            type: "rectangle",
+            props: {
+              x: 0, y: 0, width: 800, height: 400,
+              fill: "#2c3e50"
+            },
+            animations: []
+          },
+          // Moving ball - simple linear motion
+          {
+            id: "ball",
+            type: "circle",
+            props: { 
+              x: 100, y: 200, r: 25, 
+              fill: "#3498db", stroke: "#2980b9", strokeWidth: 3
+            },
+            animations: [
+              {
+                property: "x",
+                startValue: 100,
+                endValue: 700,
+                duration: 4000,
+                delay: 1000,
+                easing: "linear",
+                repeat: false
+              }
+            ]
+          },
+          // Force arrow (appears briefly)
+          {
+            id: "force_indicator",
+            type: "rectangle",
+            props: { 
+              x: 50, y: 190, width: 40, height: 8,
+              fill: "#e74c3c"
+            },
+            animations: [
+              {
+                property: "opacity",
+                startValue: 0,
+                endValue: 1,
+                duration: 500,
+                delay: 500,
+                easing: "easeOutQuad"
+              },
+              {
+                property: "opacity",
+                startValue: 1,
+                endValue: 0,
+                duration: 500,
+                delay: 1000,
+                easing: "easeInQuad"
+              }
+            ]
+          },
+          // Text label
+          {
+            id: "label",
+            type: "text",
+            props: { 
+              x: 400, y: 100, 
+              text: "Constant Velocity Motion", 
+              fontSize: 20, 
+              color: "#ecf0f1"
+            },
+            animations: [
+              {
+                property: "opacity",
+                startValue: 0,
+                endValue: 1,
+                duration: 1000,
+                delay: 2000,
+                easing: "easeOutQuad"
+              }
+            ]
+          }
+        ]
+      }
+    };
+  }
+  
+  if (lowerQuestion.includes('solar') || lowerQuestion.includes('planet') || lowerQuestion.includes('sun')) {
+    return {
+      text: "The Solar System consists of the Sun at the center with planets orbiting around it due to gravitational pull. Earth is the third planet from the Sun.",
+      visualization: {
+        id: "solar_system",
+        duration: 8000,
+        fps: 30,
+        layers: [
+          // Space background with gradient
+          {
+            id: "space",
+            type: "gradient",
+            props: {
+              shape: "rectangle",
+              type: "radial",
+              x: 400, y: 200, radius: 300,
+              width: 800, height: 400,
+              colorStops: [
+                {offset: 0, color: "#2c3e50"},
+                {offset: 0.7, color: "#34495e"},
+                {offset: 1, color: "#1a252f"}
+              ]
+            },
+            animations: []
+          },
+          // Sun with glow effect
+          {
+            id: "sun_glow",
+            type: "gradient",
+            props: {
+              shape: "circle",
+              type: "radial",
+              x: 400, y: 200, radius: 50,
+              colorStops: [
+                {offset: 0, color: "#f39c12"},
+                {offset: 0.6, color: "#e67e22"},
+                {offset: 1, color: "rgba(243, 156, 18, 0)"}
+              ]
+            },
+            animations: [
+              {
+                property: "radius",
+                startValue: 45,
+                endValue: 55,
+                duration: 2000,
+                easing: "easeInOutQuad",
+                alternate: true,
+                repeat: true
+              }
+            ]
+          },
+          // Sun core
+          {
+            id: "sun",
+            type: "circle",
+            props: { x: 400, y: 200, r: 25, fill: "#f1c40f", stroke: "#e67e22", strokeWidth: 2 },
+            animations: []
+          },
+          // Mercury - fast inner orbit
+          {
+            id: "mercury",
+            type: "circle",
+            props: { x: 450, y: 200, r: 4, fill: "#95a5a6" },
+            animations: [
+              {
+                property: "orbit",
+                centerX: 400,
+                centerY: 200,
+                radius: 50,
+                duration: 2000,
+                repeat: true,
+                easing: "linear"
+              }
+            ]
+          },
+          // Earth - medium orbit
+          {
+            id: "earth",
+            type: "circle",
+            props: { x: 500, y: 200, r: 8, fill: "#3498db", stroke: "#27ae60", strokeWidth: 1 },
+            animations: [
+              {
+                property: "orbit",
+                centerX: 400,
+                centerY: 200,
+                radius: 100,
+                duration: 4000,
+                repeat: true,
+                easing: "linear"
+              }
+            ]
+          },
+          // Mars - slower outer orbit
+          {
+            id: "mars",
+            type: "circle",
+            props: { x: 550, y: 200, r: 6, fill: "#e74c3c" },
+            animations: [
+              {
+                property: "orbit",
+                centerX: 400,
+                centerY: 200,
+                radius: 150,
+                duration: 6000,
+                repeat: true,
+                easing: "linear"
+              }
+            ]
+          },
+          // Orbital paths as dashed circles
+          {
+            id: "earth_orbit",
+            type: "arc",
+            props: { 
+              x: 400, y: 200, radius: 100, 
+              startAngle: 0, endAngle: 6.28,
+              stroke: "#7f8c8d", strokeWidth: 1, opacity: 0.4
+            },
+            animations: []
+          },
+          // Stars as particles
+          {
+            id: "stars",
+            type: "particle",
+            props: {
+              particles: Array.from({length: 30}, () => ({
+                x: Math.random() * 800,
+                y: Math.random() * 400,
+                size: Math.random() * 2 + 1,
+                color: "#ecf0f1",
+                opacity: Math.random() * 0.8 + 0.2
+              }))
+            },
+            animations: []
+          }
+        ]
+      }
+    };
+  }
+  
+  if (lowerQuestion.includes('photosynthesis') || lowerQuestion.includes('plant') || lowerQuestion.includes('chlorophyll')) {
+    return {
+      text: "Photosynthesis converts sunlight, CO₂, and water into glucose and oxygen. This visualization shows the process: yellow light particles energize green chloroplasts, CO₂ and H₂O molecules enter, and glucose (blue) and oxygen (white) are produced.",
+      visualization: {
+        id: "photosynthesis_process",
+        duration: 8000,
+        fps: 30,
+        layers: [
+          // Background gradient (representing plant cell environment)
+          {
+            id: "cell_background",
+            type: "gradient",
+            props: {
+              shape: "rectangle",
+              type: "radial",
+              x: 400, y: 200, radius: 300,
+              colorStops: [
+                {offset: 0, color: "#d5f4e6"},
+                {offset: 1, color: "#27ae60"}
+              ]
+            }
+          },
+          // Chloroplast (where photosynthesis occurs)
+          {
+            id: "chloroplast",
+            type: "ellipse",
+            props: { 
+              x: 400, y: 200, radiusX: 120, radiusY: 80, 
+              fill: "#2ecc71", stroke: "#27ae60", strokeWidth: 3,
+              opacity: 0.8
+            },
+            animations: [
+              {
+                property: "opacity",
+                startValue: 0.8,
+                endValue: 1.0,
+                duration: 1000,
+                easing: "easeInOutQuad",
+                repeat: true,
+                alternate: true
+              }
+            ]
+          },
+          // Sun (light source)
+          {
+            id: "sun",
+            type: "star",
+            props: { 
+              x: 100, y: 60, outerRadius: 30, innerRadius: 18,
+              points: 12, fill: "#f1c40f", stroke: "#f39c12", strokeWidth: 2
+            },
+            animations: [
+              {
+                property: "rotation",
+                startValue: 0,
+                endValue: 6.28,
+                duration: 3000,
+                easing: "linear",
+                repeat: true
+              }
+            ]
+          },
+          // Light photons traveling to chloroplast
+          {
+            id: "photons",
+            type: "particle",
+            props: {
+              particles: Array.from({length: 15}, (_, i) => ({
+                x: 130 + i * 20,
+                y: 60 + Math.sin(i * 0.4) * 15,
+                size: 4,
+                color: "#f1c40f",
+                opacity: 0.9
+              }))
+            },
+            animations: [
+              {
+                property: "opacity",
+                startValue: 0.3,
+                endValue: 1.0,
+                duration: 500,
+                delay: i => i * 100,
+                easing: "easeInQuad",
+                repeat: true
+              }
+            ]
+          },
+          // CO₂ molecules entering
+          {
+            id: "co2_molecules",
+            type: "particle",
+            props: {
+              particles: [
+                {x: 50, y: 120, size: 8, color: "#95a5a6", opacity: 0.8},
+                {x: 80, y: 140, size: 8, color: "#95a5a6", opacity: 0.8},
+                {x: 110, y: 160, size: 8, color: "#95a5a6", opacity: 0.8}
+              ]
+            },
+            animations: [
+              {
+                property: "x",
+                startValue: 50,
+                endValue: 350,
+                duration: 2500,
+                delay: i => i * 300,
+                easing: "easeInOutQuad"
+              }
+            ]
+          },
+          // H₂O molecules entering
+          {
+            id: "h2o_molecules",
+            type: "particle",
+            props: {
+              particles: [
+                {x: 50, y: 280, size: 6, color: "#3498db", opacity: 0.8},
+                {x: 80, y: 300, size: 6, color: "#3498db", opacity: 0.8},
+                {x: 110, y: 320, size: 6, color: "#3498db", opacity: 0.8}
+              ]
+            },
+            animations: [
+              {
+                property: "x",
+                startValue: 50,
+                endValue: 350,
+                duration: 2000,
+                delay: i => i * 200,
+                easing: "easeInOutQuad"
+              }
+            ]
+          },
+          // Glucose production (blue particles leaving)
+          {
+            id: "glucose_output",
+            type: "particle",
+            props: {
+              particles: [
+                {x: 450, y: 180, size: 10, color: "#2980b9", opacity: 0},
+                {x: 460, y: 200, size: 10, color: "#2980b9", opacity: 0},
+                {x: 440, y: 220, size: 10, color: "#2980b9", opacity: 0}
+              ]
+            },
+            animations: [
+              {
+                property: "x",
+                startValue: 450,
+                endValue: 700,
+                duration: 2000,
+                delay: 3000,
+                easing: "easeOutQuad"
+              },
+              {
+                property: "opacity",
+                startValue: 0,
+                endValue: 1,
+                duration: 500,
+                delay: 3000,
+                easing: "easeOutQuad"
+              }
+            ]
+          },
+          // Oxygen bubbles (white particles floating up)
+          {
+            id: "oxygen_bubbles",
+            type: "particle",
+            props: {
+              particles: Array.from({length: 6}, (_, i) => ({
+                x: 400 + Math.cos(i) * 20,
+                y: 140,
+                size: 5,
+                color: "#ecf0f1",
+                opacity: 0
+              }))
+            },
+            animations: [
+              {
+                property: "y",
+                startValue: 140,
+                endValue: 20,
+                duration: 2500,
+                delay: i => 3500 + i * 200,
+                easing: "easeOutQuad"
+              },
+              {
+                property: "opacity",
+                startValue: 0,
+                endValue: 1,
+                duration: 300,
+                delay: i => 3500 + i * 200,
+                easing: "easeOutQuad"
+              }
+            ]
+          },
+          // Chemical equation text
+          {
+            id: "equation",
+            type: "text",
+            props: { 
+              x: 400, y: 350, 
+              text: "6CO₂ + 6H₂O + Light Energy → C₆H₁₂O₆ + 6O₂", 
+              fontSize: 14, color: "#2c3e50",
+              opacity: 0
+            },
+            animations: [
+              {
+                property: "opacity",
+                startValue: 0,
+                endValue: 1,
+                duration: 1000,
+                delay: 5000,
+                easing: "easeInQuad"
+              }
+            ]
+          }
+        ]
+      }
+    };
+  }
+
+  // Default response with advanced shapes
+  return {
+    text: "This is an interesting scientific concept! Let me create a dynamic visualization to help explain it.",
+    visualization: {
+      id: "generic_concept",
+      duration: 4000,
+      fps: 30,
+      layers: [
+        // Animated gradient background
+        {
+          id: "background",
+          type: "gradient",
+          props: {
+            shape: "rectangle",
+            type: "radial",
+            x: 400, y: 200, radius: 200,
+            width: 800, height: 400,
+            colorStops: [
+              {offset: 0, color: "#667eea"},
+              {offset: 1, color: "#764ba2"}
+            ]
+          },
+          animations: [
+            {
+              property: "radius",
+              startValue: 200,
+              endValue: 300,
+              duration: 2000,
+              easing: "easeInOutQuad",
+              alternate: true,
+              repeat: true
+            }
+          ]
+        },
+        // Central pulsing element
+        {
+          id: "main_element",
+          type: "star",
+          props: { 
+            x: 400, y: 200, outerRadius: 30, innerRadius: 15,
+            points: 6, fill: "#f1c40f", stroke: "#e67e22", strokeWidth: 2
+          },
+          animations: [
+            {
+              property: "outerRadius",
+              startValue: 30,
+              endValue: 50,
+              duration: 1500,
+              easing: "easeInOutBounce",
+              alternate: true,
+              repeat: true
+            },
+            {
+              property: "rotation",
+              startValue: 0,
+              endValue: 6.28,
+              duration: 3000,
+              easing: "linear",
+              repeat: true
+            }
+          ]
+        },
+        // Orbiting particles
+        {
+          id: "particles",
+          type: "particle",
+          props: {
+            particles: Array.from({length: 12}, (_, i) => ({
+              x: 400 + Math.cos(i * 0.524) * 80,
+              y: 200 + Math.sin(i * 0.524) * 80,
+              size: 4,
+              color: `hsl(${i * 30}, 70%, 60%)`,
+              opacity: 0.8
+            }))
+          },
+          animations: []
+        }
+      ]
+    }
+  };
+}
+
+module.exports = { generateMockResponse };
@@ -0,0 +1,71 @@
+/**
+ * Rule-based repair of common LLM visualization mistakes (SVG attribute
+ * names, unsupported shapes, out-of-range values, ...).
+ *
+ * Repairs run on the parsed response before any LLM-based validation, and
+ * each change is reported as { rule, path, message } where path is a JSON
+ * pointer into the response (e.g. "/visualization/layers/2/props/cx").
+ * The input is never modified.
+ */
+const { REPAIR_RULES } = require('./rules');
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Run the layer rules on one layer; a rule may replace it with several layers
+function repairLayer(layer, path, rules = REPAIR_RULES) {
+  const fixes = [];
+  if (!isObject(layer) || !isObject(layer.props)) {
+    return { layers: [layer], fixes };
+  }
+
+  let layers = [clone(layer)];
+  rules
+    .filter(rule => rule.scope === 'layer')
+    .forEach(rule => {
+      layers = layers.flatMap(current => {
+        const fix = (message, subPath = '') => fixes.push({ rule: rule.name, path: `${path}${subPath}`, message });
+        return [].concat(rule.apply(current, fix));
+      });
+    });
+
+  return { layers, fixes };
+}
+
+/**
+ * Apply the repair rules to a parsed LLM response
+ * @param {Object} response - { text, visualization }
+ * @param {Array} rules - Rules to run, defaults to REPAIR_RULES
+ * @returns {Object} - { response: repaired copy, fixes: [{ rule, path, message }] }
+ */
+function applyRepairs(response, rules = REPAIR_RULES) {
+  const repaired = clone(response);
+  const fixes = [];
+  if (!isObject(repaired) || !isObject(repaired.visualization)) {
+    return { response: repaired, fixes };
+  }
+
+  rules
+    .filter(rule => rule.scope === 'visualization')
+    .forEach(rule => {
+      const fix = (message, subPath = '') => fixes.push({ rule: rule.name, path: `/visualization${subPath}`, message });
+      repaired.visualization = rule.apply(repaired.visualization, fix);
+    });
+
+  if (Array.isArray(repaired.visualization.layers)) {
+    repaired.visualization.layers = repaired.visualization.layers.flatMap((layer, index) => {
+      const result = repairLayer(layer, `/visualization/layers/${index}`, rules);
+      fixes.push(...result.fixes);
+      return result.layers;
+    });
+  }
+
+  return { response: repaired, fixes };
+}
+
+module.exports = {
+  REPAIR_RULES,
+  applyRepairs,
+  repairLayer
+};
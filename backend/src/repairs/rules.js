@@ -0,0 +1,341 @@
+const visualizationSchema = require('../schemas/visualization.schema.json');
+
+// Animations the engine handles itself rather than interpolating a prop
+const SPECIAL_ANIMATION_PROPERTIES = ['orbit', 'scale', 'colorTransition'];
+
+// Most particles a particle system is expanded into (one circle layer each)
+const MAX_EXPANDED_PARTICLES = 20;
+
+// Fallback duration the engine uses for an animation without one
+const DEFAULT_ANIMATION_DURATION = 1000;
+
+// Easing names the engine knows; it draws anything else as linear
+const EASINGS = visualizationSchema.definitions.animation.properties.easing.enum;
+
+// Common spellings (easing libraries, CSS) of those easings, compared ignoring case, dashes and underscores
+const EASING_ALIASES = {
+  ease: 'ease-in-out',
+  easein: 'ease-in',
+  easeinquad: 'ease-in',
+  easeinsine: 'ease-in',
+  easeout: 'ease-out',
+  easeoutquad: 'ease-out',
+  easeoutsine: 'ease-out',
+  easeinout: 'ease-in-out',
+  easeinoutquad: 'ease-in-out',
+  easeinoutsine: 'ease-in-out',
+  easeinoutcubic: 'ease-in-out', // The engine has no in-out cubic; the quadratic curve is closest
+  easeincubic: 'ease-in-cubic',
+  easeoutcubic: 'ease-out-cubic',
+  easeinelastic: 'elastic',
+  easeoutelastic: 'elastic',
+  easeinoutelastic: 'elastic',
+  easeinbounce: 'bounce',
+  easeoutbounce: 'bounce',
+  easeinoutbounce: 'bounce'
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Props the schema declares for a layer type, or null for types it doesn't know
+function schemaPropNames(type) {
+  const { definitions } = visualizationSchema;
+  const definition = definitions[`${type}Props`];
+  if (!definition) return null;
+
+  const names = new Set();
+  (definition.allOf || [definition]).forEach(part => {
+    const resolved = part.$ref ? definitions[part.$ref.split('/').pop()] : part;
+    Object.keys(resolved.properties || {}).forEach(name => names.add(name));
+  });
+  return names;
+}
+
+/**
+ * Repair rules, applied in this order.
+ *
+ * Every rule is independent of the others:
+ *   { name, description, scope: 'visualization' | 'layer', apply(target, fix) }
+ * apply() receives its own copy of the visualization or of one layer (with a
+ * props object) and may change it in place. It returns the repaired target, or
+ * for layer rules an array of layers to replace it with, and calls
+ * fix(message, path) once per change so the caller can report it. The path
+ * is a JSON pointer relative to the target.
+ */
+const REPAIR_RULES = [
+  {
+    name: 'elements-to-layers',
+    description: 'Rename visualization.elements to layers and fill in id, duration and fps',
+    scope: 'visualization',
+    apply(visualization, fix) {
+      if (!Array.isArray(visualization.elements) || visualization.layers) return visualization;
+
+      visualization.layers = visualization.elements;
+      delete visualization.elements;
+      fix('Renamed "elements" to "layers"', '/elements');
+
+      if (!visualization.id) {
+        visualization.id = `viz_${Date.now()}`;
+        fix('Added missing visualization id', '/id');
+      }
+      if (!visualization.duration) {
+        visualization.duration = 5000;
+        fix('Added missing duration (5000ms)', '/duration');
+      }
+      if (!visualization.fps) {
+        visualization.fps = 30;
+        fix('Added missing fps (30)', '/fps');
+      }
+      return visualization;
+    }
+  },
+  {
+    name: 'animation-duration',
+    description: 'Fill in a missing animation duration with the one the engine falls back to',
+    scope: 'visualization',
+    apply(visualization, fix) {
+      if (!Array.isArray(visualization.layers)) return visualization;
+
+      visualization.layers.forEach((layer, layerIndex) => {
+        if (!layer || !Array.isArray(layer.animations)) return;
+
+        layer.animations.forEach((animation, index) => {
+          if (!animation || typeof animation !== 'object' || animation.duration !== undefined) return;
+
+          let duration = DEFAULT_ANIMATION_DURATION;
+          if (animation.property === 'scale' || animation.property === 'colorTransition') {
+            // These run for the whole visualization unless told otherwise
+            if (isNumber(visualization.duration) && visualization.duration > 0) duration = visualization.duration;
+          } else if (animation.property !== 'orbit' && isNumber(animation.end)) {
+            // Old format: start/end times instead of a duration
+            const start = animation.start ?? animation.delay ?? 0;
+            if (!isNumber(start) || animation.end <= start) return; // The engine skips it; the schema check reports it
+            duration = animation.end - start;
+          }
+
+          animation.duration = duration;
+          fix(`Added missing duration (${duration}ms)`, `/layers/${layerIndex}/animations/${index}/duration`);
+        });
+      });
+      return visualization;
+    }
+  },
+  {
+    name: 'rect-to-rectangle',
+    description: 'Use the "rectangle" layer type for SVG-style "rect" layers',
+    scope: 'layer',
+    apply(layer, fix) {
+      if (layer.type !== 'rect') return layer;
+      layer.type = 'rectangle';
+      fix('Changed layer type "rect" to "rectangle"', '/type');
+      return layer;
+    }
+  },
+  {
+    name: 'svg-center-to-xy',
+    description: 'Convert SVG centers (cx, cy) to canvas x, y',
+    scope: 'layer',
+    apply(layer, fix) {
+      ['x', 'y'].forEach(axis => {
+        const svgKey = `c${axis}`;
+        if (layer.props[svgKey] === undefined) return;
+        layer.props[axis] = layer.props[svgKey];
+        delete layer.props[svgKey];
+        fix(`Converted ${svgKey} to ${axis}`, `/props/${svgKey}`);
+      });
+      return layer;
+    }
+  },
+  {
+    name: 'circle-radius',
+    description: 'Convert circle radius or size to r',
+    scope: 'layer',
+    apply(layer, fix) {
+      if (layer.type !== 'circle') return layer;
+
+      ['radius', 'size'].forEach(alias => {
+        if (layer.props[alias] === undefined) return;
+        if (layer.props.r === undefined) {
+          layer.props.r = layer.props[alias];
+          fix(`Converted ${alias} to r`, `/props/${alias}`);
+        } else {
+          fix(`Removed ${alias}, r is already set`, `/props/${alias}`);
+        }
+        delete layer.props[alias];
+
+        (layer.animations || []).forEach((animation, index) => {
+          if (animation && animation.property === alias) {
+            animation.property = 'r';
+            fix(`Animation now targets r instead of ${alias}`, `/animations/${index}/property`);
+          }
+        });
+      });
+      return layer;
+    }
+  },
+  {
+    name: 'svg-path-to-wave',
+    description: 'Replace SVG path layers (d attribute), which the engine cannot draw, with a wave',
+    scope: 'layer',
+    apply(layer, fix) {
+      if (layer.type !== 'path' || !layer.props.d) return layer;
+
+      layer.type = 'wave';
+      layer.props = {
+        startX: 0, endX: 800, startY: 200,
+        amplitude: 50, frequency: 0.02,
+        stroke: layer.props.stroke || '#3498db',
+        strokeWidth: layer.props.strokeWidth || 3
+      };
+      fix('Replaced unsupported SVG path with a wave', '/type');
+      return layer;
+    }
+  },
+  {
+    name: 'wave-bounds',
+    description: 'Convert wave x, y, width to startX, startY, endX',
+    scope: 'layer',
+    apply(layer, fix) {
+      const { props } = layer;
+      if (layer.type !== 'wave' || props.x === undefined || props.width === undefined) return layer;
+
+      const startX = props.x || 0;
+      props.startX = startX;
+      props.endX = startX + (props.width || 800);
+      props.startY = props.y || 200;
+      props.amplitude = props.amplitude || 20;
+      props.frequency = props.frequency || 0.02;
+      delete props.x;
+      delete props.y;
+      delete props.width;
+      delete props.height;
+      fix('Converted wave x, y, width to startX, startY, endX', '/props');
+
+      // Moving a wave sideways is a phase shift
+      (layer.animations || []).forEach((animation, index) => {
+        if (animation && animation.property === 'x') {
+          animation.property = 'phase';
+          animation.startValue = 0;
+          animation.endValue = Math.PI * 2; // Full wave cycle
+          delete animation.from; // from/to take precedence over startValue/endValue in the engine
+          delete animation.to;
+          fix('Converted x animation to a phase animation', `/animations/${index}`);
+        }
+      });
+      return layer;
+    }
+  },
+  {
+    name: 'particle-system-to-circles',
+    description: 'Expand particle systems given as count and spread into circle layers',
+    scope: 'layer',
+    apply(layer, fix) {
+      const { props } = layer;
+      if (layer.type !== 'particle' || !props.count || !props.spread) return layer;
+
+      const count = Math.min(props.count, MAX_EXPANDED_PARTICLES); // Limit for performance
+      const baseX = props.x || 0;
+      const baseY = props.y || 200;
+      fix(`Expanded particle system into ${count} circles`, '');
+
+      // Evenly spaced with a fixed vertical jitter, so a response always repairs the same way
+      return Array.from({ length: count }, (_, i) => ({
+        id: `${layer.id}_particle_${i}`,
+        type: 'circle',
+        props: {
+          x: baseX + (props.spread * (i + 0.5)) / count,
+          y: baseY + (((i * 7) % 5) - 2) * 10,
+          r: props.r || 3,
+          fill: props.fill || '#e74c3c'
+        },
+        animations: (layer.animations || []).map(animation => ({
+          ...animation,
+          delay: (animation.delay || 0) + i * 50 // Stagger animations
+        }))
+      }));
+    }
+  },
+  {
+    name: 'clamp-opacity',
+    description: 'Clamp opacity values to the 0..1 range',
+    scope: 'layer',
+    apply(layer, fix) {
+      const clamp = (owner, key, path) => {
+        const value = owner[key];
+        if (!isNumber(value) || (value >= 0 && value <= 1)) return;
+        owner[key] = Math.min(1, Math.max(0, value));
+        fix(`Clamped opacity ${value} to ${owner[key]}`, path);
+      };
+
+      clamp(layer.props, 'opacity', '/props/opacity');
+      if (Array.isArray(layer.props.particles)) {
+        layer.props.particles.forEach((particle, index) => {
+          if (particle) clamp(particle, 'opacity', `/props/particles/${index}/opacity`);
+        });
+      }
+      (layer.animations || []).forEach((animation, index) => {
+        if (!animation || animation.property !== 'opacity') return;
+        ['from', 'to', 'startValue', 'endValue'].forEach(key => {
+          clamp(animation, key, `/animations/${index}/${key}`);
+        });
+      });
+      return layer;
+    }
+  },
+  {
+    name: 'drop-unknown-animations',
+    description: 'Drop animations without a property or on a property the layer type does not have',
+    scope: 'layer',
+    apply(layer, fix) {
+      if (!Array.isArray(layer.animations)) return layer;
+
+      const known = schemaPropNames(layer.type);
+      if (!known) return layer; // The schema check reports unknown layer types
+      Object.keys(layer.props).forEach(name => known.add(name));
+
+      layer.animations = layer.animations.filter((animation, index) => {
+        const property = animation && animation.property;
+        if (property && (SPECIAL_ANIMATION_PROPERTIES.includes(property) || known.has(property))) {
+          return true;
+        }
+        fix(
+          property
+            ? `Dropped animation on unknown ${layer.type} property "${property}"`
+            : 'Dropped animation without a property',
+          `/animations/${index}`
+        );
+        return false;
+      });
+      return layer;
+    }
+  },
+  {
+    name: 'easing-names',
+    description: 'Rename easings such as easeInOutQuad to the engine\'s names, and unknown ones to linear',
+    scope: 'layer',
+    apply(layer, fix) {
+      if (!Array.isArray(layer.animations)) return layer;
+
+      layer.animations.forEach((animation, index) => {
+        if (!animation || animation.easing === undefined || EASINGS.includes(animation.easing)) return;
+
+        const original = animation.easing;
+        const key = String(original).toLowerCase().replace(/[-_\s]/g, '');
+        const known = EASINGS.find(name => name.replace(/-/g, '') === key) || EASING_ALIASES[key];
+        animation.easing = known || 'linear';
+        fix(
+          known
+            ? `Changed easing "${original}" to "${known}"`
+            : `Replaced unknown easing "${original}" with "linear"`,
+          `/animations/${index}/easing`
+        );
+      });
+      return layer;
+    }
+  }
+];
+
+module.exports = {
+  REPAIR_RULES,
+  SPECIAL_ANIMATION_PROPERTIES
+};
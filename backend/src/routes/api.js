@@ -1,176 +1,1184 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { Question, Answer, dataStore } = require('../models/dataStore');
+const { Question, Answer, Conversation, ShareToken, dataStore } = require('../models/dataStore');
 const LLMService = require('../services/llmService');
+const SSEHub = require('../services/sseHub');
+const JobManager = require('../services/jobManager');
+const SchemaValidator = require('../services/schemaValidator');
+const ValidationReporter = require('../services/validationReporter');
+const SearchService = require('../services/searchService');
+const ArchiveService = require('../services/archiveService');
+const HtmlExporter = require('../services/htmlExporter');
+const FrameRenderer = require('../services/frameRenderer');
+const { isAbortError, throwIfAborted } = require('../utils/abort');
+const { decodeCursor } = require('../utils/cursor');
 
 const router = express.Router();
 const llmService = new LLMService();
 
-// Store SSE clients
-let sseClients = [];
+// SSE clients and recent events for replay
+const sseHub = new SSEHub();
 
-// POST /api/questions - Submit a new question
-router.post('/questions', async (req, res) => {
-  let questionObj = null; // Declare outside try block for error handling
+// Background question processing jobs
+const jobManager = new JobManager();
+
+// Every answer is checked against the visualization schema before it is saved
+const schemaValidator = new SchemaValidator();
+
+// Quality report (issues, fixes, score) stored with each answer
+const validationReporter = new ValidationReporter({ schemaValidator });
+
+// Full-text search over questions, explanations and text layers
+const searchService = new SearchService();
+
+// Export/import of a user's whole history
+const archiveService = new ArchiveService({ schemaValidator });
+
+// Standalone HTML players for single answers
+const htmlExporter = new HtmlExporter();
+
+// Server-side PNG frames of visualizations (thumbnails, previews, snapshots)
+const frameRenderer = new FrameRenderer();
+
+// Routes that generate answers need an LLM provider; without one the rest of the API keeps working
+function requireLLMProvider(req, res, next) {
+  if (llmService.isAvailable()) return next();
+  res.status(503).json({
+    error: 'The answer service is unavailable.',
+    details: llmService.providerError
+  });
+}
+
+// Question fields a client may change with PATCH /api/questions/:id
+const QUESTION_PATCH_FIELDS = ['question', 'tags'];
+const MAX_QUESTION_TAGS = 10;
+
+// Page sizes for GET /api/questions
+const DEFAULT_QUESTION_PAGE_SIZE = 50;
+const MAX_QUESTION_PAGE_SIZE = 200;
+
+const MAX_SEARCH_RESULTS = 100;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+// How POST /api/import combines an archive with the user's existing history
+const IMPORT_MODES = ['merge', 'replace'];
+
+// Which answer version GET /api/shared/:token returns
+const SHARED_VERSIONS = ['shared', 'current'];
+
+// PNG widths for GET /api/answers/:id/frame.png
+const FRAME_DEFAULT_WIDTH = 800;
+const FRAME_MIN_WIDTH = 80;
+const FRAME_MAX_WIDTH = 1600;
+
+// Derive a short thread title from the first question asked in it
+function buildConversationTitle(question) {
+  const title = question.trim().replace(/\s+/g, ' ');
+  return title.length > 40 ? `${title.substring(0, 40).trim()}…` : title;
+}
+
+// Job status reported for each LLM progress stage
+const STAGE_JOB_STATUS = {
+  llm_generation: 'generating',
+  llm_response_received: 'generating',
+  json_repair_attempt: 'generating',
+  repairs_applied: 'validating',
+  validation_started: 'validating',
+  validation_completed: 'validating',
+  validation_skipped: 'validating',
+  validation_unavailable: 'validating'
+};
+
+// Remove a thread started for a question that failed, unless other questions were asked in it meanwhile
+async function deleteConversationIfEmpty(conversation) {
+  try {
+    const remaining = await dataStore.getQuestionsByConversation(conversation.id);
+    if (remaining.length > 0) return;
+
+    await dataStore.deleteConversation(conversation.id);
+    broadcastSSE('conversation_deleted', {
+      userId: conversation.userId,
+      conversationId: conversation.id
+    }, { userId: conversation.userId });
+  } catch (deleteError) {
+    console.error('Error cleaning up failed conversation:', deleteError);
+  }
+}
+
+// Generate the answer for a queued job; runs after the POST has already responded.
+// When regenerating, the answer is added as a new version and the question is kept if it fails.
+async function processQuestionJob(job, { question, parentId = null, validationEnabled, createdConversation, regenerate = false }) {
+  const { userId, questionId, conversationId } = job;
+  const { signal } = job.abortController;
+  let answerSaved = false; // From here on the question has an answer and is never cleaned up
+
+  try {
+    jobManager.update(job.id, {
+      status: 'generating',
+      message: 'Analyzing question and generating initial response...'
+    });
+
+    // Broadcast processing started
+    broadcastSSE('processing_started', { 
+      questionId,
+      jobId: job.id,
+      status: 'processing',
+      message: 'Analyzing question and generating initial response...' 
+    }, { userId, questionId });
+
+    // Generate answer using LLM
+    const llmResponse = await llmService.generateExplanationAndVisualization(question, {
+      userId, // Conversation context is built only from this user's history
+      conversationId, // ...and only from the current thread
+      parentId, // ...and only from the branch this question follows on from
+      validation: validationEnabled, // Pass validation preference to LLM service
+      signal, // Aborted when the user cancels the question
+      // Streamed previews; the saved answer replaces them, so they aren't replayed on reconnect
+      onTextDelta: (delta) => {
+        if (signal.aborted) return;
+        broadcastSSE('answer_text_delta', {
+          questionId,
+          jobId: job.id,
+          delta
+        }, { userId, questionId }, { replay: false });
+      },
+      onLayer: (layer, index, visualization) => {
+        if (signal.aborted) return;
+        broadcastSSE('layer_ready', {
+          questionId,
+          jobId: job.id,
+          index,
+          layer,
+          visualization // Fields sent before the layers (id, duration, fps, ...)
+        }, { userId, questionId }, { replay: false });
+      },
+      onProgress: (stage, message, details = {}) => {
+        if (signal.aborted) return;
+
+        // Map LLM stages to appropriate SSE event types
+        let eventType = 'processing_progress'; // default
+        
+        switch(stage) {
+          case 'validation_started':
+            eventType = 'validation_started';
+            break;
+          case 'validation_completed':
+          case 'validation_skipped':
+            eventType = 'validation_completed';
+            break;
+          case 'llm_generation':
+          case 'llm_response_received':
+          case 'json_repair_attempt':
+          case 'repairs_applied':
+          case 'validation_unavailable':
+          case 'completed':
+          default:
+            eventType = 'processing_progress';
+            break;
+        }
+
+        jobManager.update(job.id, {
+          ...(STAGE_JOB_STATUS[stage] && { status: STAGE_JOB_STATUS[stage] }),
+          stage,
+          message
+        });
+        
+        // Send progress updates during LLM processing
+        broadcastSSE(eventType, {
+          questionId,
+          jobId: job.id,
+          stage,
+          status: 'in_progress',
+          message,
+          ...details // e.g. the fixes for repairs_applied
+        }, { userId, questionId });
+      }
+    });
+    
+    const schemaResult = schemaValidator.validate(llmResponse);
+    if (!schemaResult.valid) {
+      const schemaError = new Error(
+        `Response failed schema validation: ${schemaValidator.formatErrors(schemaResult.errors)}`
+      );
+      schemaError.validationErrors = schemaResult.errors;
+      throw schemaError;
+    }
+
+    // Last chance to cancel: once saving starts the answer is kept
+    throwIfAborted(signal);
+    jobManager.markUncancellable(job.id);
+
+    // Broadcast completion
+    broadcastSSE('processing_complete', { 
+      questionId,
+      jobId: job.id,
+      status: 'complete',
+      message: 'Response generated and validated successfully!' 
+    }, { userId, questionId });
+
+    // Create and save answer as the next version of the question's answer
+    const answerId = `a_${uuidv4()}`;
+    const validationReport = validationReporter.build(llmResponse, {
+      repairs: llmResponse.repairs,
+      llmValidation: llmResponse.llmValidation
+    });
+    const existingQuestion = await dataStore.getQuestionById(questionId);
+    const version = dataStore.getAnswerIds(existingQuestion).length + 1;
+    const answerObj = new Answer(answerId, llmResponse.text, llmResponse.visualization, userId, validationReport, questionId, version);
+    await dataStore.saveAnswer(answerObj);
+    answerSaved = true;
+
+    // The new version becomes the question's current answer
+    const updatedQuestion = await dataStore.addAnswerVersion(questionId, answerId);
+
+    // Bump the thread so it sorts to the top of the sidebar
+    const updatedConversation = await dataStore.updateConversation(conversationId, { updatedAt: new Date() });
+    broadcastSSE('conversation_updated', { userId, conversation: updatedConversation }, { userId });
+
+    // The job is only marked done once the answer can be fetched
+    jobManager.complete(job.id, answerId);
+
+    // Broadcast answer created event
+    broadcastSSE('answer_created', {
+      answer: answerObj,
+      questionId,
+      jobId: job.id,
+      version,
+      regenerated: regenerate
+    }, { userId, questionId });
+
+    if (regenerate) {
+      broadcastSSE('question_updated', { userId, question: updatedQuestion }, { userId, questionId });
+    }
+
+  } catch (error) {
+    const cancelled = isAbortError(error);
+    if (cancelled) {
+      console.log(`🛑 Cancelled question: ${questionId}`);
+    } else {
+      console.error('Error processing question:', error);
+    }
+    
+    // Clean up: Delete the question from database since it didn't get an answer.
+    // A regenerated question still has its earlier answers, so it is kept.
+    if (!regenerate && !answerSaved) {
+      try {
+        await dataStore.deleteQuestion(questionId);
+        console.log(`🗑️ Cleaned up ${cancelled ? 'cancelled' : 'failed'} question: ${questionId}`);
+      } catch (deleteError) {
+        console.error('Error cleaning up failed question:', deleteError);
+      }
+    }
+
+    // A thread started by this request would otherwise be left empty
+    if (createdConversation && !answerSaved) {
+      await deleteConversationIfEmpty(createdConversation);
+    }
+
+    if (cancelled) {
+      broadcastSSE('cancelled', {
+        questionId,
+        jobId: job.id,
+        status: 'cancelled',
+        message: regenerate ? 'Regeneration cancelled' : 'Question cancelled',
+        regenerated: regenerate
+      }, { userId, questionId });
+      return;
+    }
+
+    jobManager.fail(job.id, error);
+    
+    // Broadcast error to connected clients
+    broadcastSSE('error', { 
+      questionId,
+      jobId: job.id,
+      status: 'error',
+      message: error.message || 'Failed to process question',
+      regenerated: regenerate,
+      ...(error.validationErrors && { validationErrors: error.validationErrors })
+    }, { userId, questionId });
+  }
+}
+
+// POST /api/questions - Submit a new question; answers are generated by a background job
+router.post('/questions', requireLLMProvider, async (req, res) => {
   let questionId = null;
+  let createdConversation = null; // Thread started by this request, removed again on failure
   
   try {
-    const { userId, question, options = {} } = req.body;
-    
-    if (!userId || !question) {
-      return res.status(400).json({ error: 'userId and question are required' });
+    const { userId, question, conversationId, parentId, options = {} } = req.body;
+    
+    if (!userId || !question) {
+      return res.status(400).json({ error: 'userId and question are required' });
+    }
+
+    // A follow-up must continue a question of the same thread
+    let parentQuestion = null;
+    if (parentId) {
+      parentQuestion = await dataStore.getQuestionById(parentId);
+      if (!parentQuestion || parentQuestion.userId !== userId || !conversationId || parentQuestion.conversationId !== conversationId) {
+        return res.status(404).json({ error: 'Parent question not found' });
+      }
+    }
+
+    // Resolve the thread this question belongs to, starting a new one if none was given
+    let conversation;
+    if (conversationId) {
+      conversation = await dataStore.getConversationForUser(conversationId, userId);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      // Threads created without a title are named after their first question
+      if (!conversation.title) {
+        conversation = await dataStore.updateConversation(conversation.id, {
+          title: buildConversationTitle(question)
+        });
+        broadcastSSE('conversation_updated', { userId, conversation }, { userId });
+      }
+    } else {
+      conversation = new Conversation(`c_${uuidv4()}`, userId, buildConversationTitle(question));
+      await dataStore.saveConversation(conversation);
+      createdConversation = conversation;
+      broadcastSSE('conversation_created', { userId, conversation }, { userId });
+    }
+
+    // Extract validation preference from options
+    const validationEnabled = options.validation === true; // Default to false (OFF)
+    console.log(`🔍 Validation ${validationEnabled ? 'ENABLED' : 'DISABLED'} for question: ${question}`);
+
+    // Without a parentId the question follows on from the latest one in the thread;
+    // an explicit null starts a new branch at the top of the thread
+    const resolvedParentId = parentId !== undefined
+      ? (parentQuestion ? parentQuestion.id : null)
+      : await dataStore.getLatestQuestionId(conversation.id);
+
+    // Create and save question
+    questionId = `q_${uuidv4()}`;
+    const questionObj = new Question(questionId, userId, question, null, conversation.id, resolvedParentId);
+    await dataStore.saveQuestion(questionObj);
+
+    const job = jobManager.create({ userId, questionId, conversationId: conversation.id });
+
+    // Broadcast question created event
+    broadcastSSE('question_received', { 
+      questionId,
+      jobId: job.id,
+      question: questionObj,
+      status: 'received',
+      message: 'Question received, starting processing...' 
+    }, { userId, questionId });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      questionId,
+      question: questionObj,
+      conversationId: conversation.id
+    });
+
+    // Not awaited: the client follows progress over SSE or GET /api/jobs/:id
+    processQuestionJob(job, { question, parentId: resolvedParentId, validationEnabled, createdConversation });
+
+  } catch (error) {
+    console.error('Error submitting question:', error);
+    
+    // Clean up: Delete the question from database if it was created before the failure
+    if (questionId) {
+      try {
+        await dataStore.deleteQuestion(questionId);
+        console.log(`🗑️ Cleaned up failed question: ${questionId}`);
+      } catch (deleteError) {
+        console.error('Error cleaning up failed question:', deleteError);
+        // Don't fail the error response if cleanup fails
+      }
+    }
+
+    // A thread started by this request would otherwise be left empty
+    if (createdConversation) {
+      await deleteConversationIfEmpty(createdConversation);
+    }
+    
+    // Return meaningful error message to client
+    res.status(500).json({ 
+      error: error.message || 'Internal server error',
+      details: 'The question could not be queued for processing.'
+    });
+  }
+});
+
+// GET /api/jobs/:id - Status of a question processing job
+router.get('/jobs/:id', (req, res) => {
+  const { userId } = req.query;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'userId query parameter is required' });
+  }
+
+  const job = jobManager.getForUser(req.params.id, userId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(jobManager.serialize(job));
+});
+
+// POST /api/jobs/:id/cancel - Stop a question that is still being generated
+router.post('/jobs/:id/cancel', (req, res) => {
+  const { userId } = req.body;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'userId is required' });
+  }
+
+  const job = jobManager.getForUser(req.params.id, userId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  // Finished jobs, and jobs already saving their answer, can't be cancelled
+  if (!jobManager.cancel(job.id)) {
+    return res.status(409).json({
+      error: 'Job can no longer be cancelled',
+      job: jobManager.serialize(job)
+    });
+  }
+
+  console.log(`🛑 Cancellation requested for job ${job.id}`);
+  res.json(jobManager.serialize(job));
+});
+
+// GET /api/questions - Fetch one page of the requesting user's questions
+// Query: conversationId, from/to (dates), q (text), sort=asc|desc, limit, cursor, include=answer
+router.get('/questions', async (req, res) => {
+  try {
+    const { userId, conversationId, from, to, q = '', sort = 'asc', cursor, include = '' } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    if (!['asc', 'desc'].includes(sort)) {
+      return res.status(400).json({ error: 'sort must be "asc" or "desc"' });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_QUESTION_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUESTION_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_QUESTION_PAGE_SIZE}` });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const includes = String(include).split(',').map(value => value.trim()).filter(Boolean);
+    if (includes.some(value => value !== 'answer')) {
+      return res.status(400).json({ error: 'include only supports "answer"' });
+    }
+
+    // Older questions get the parent they implicitly had, so clients can rebuild the branches
+    const page = await dataStore.queryQuestions({
+      userId,
+      conversationId,
+      from: fromDate,
+      to: toDate,
+      text: String(q).trim(),
+      sort,
+      after,
+      limit,
+      includeAnswer: includes.includes('answer')
+    });
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching questions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/questions/:id/regenerate - Generate another answer version for an answered question
+router.post('/questions/:id/regenerate', requireLLMProvider, async (req, res) => {
+  try {
+    const { userId, options = {} } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const question = await dataStore.getQuestionById(req.params.id);
+    if (!question || question.userId !== userId) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    // One answer at a time per question, so versions are numbered in order
+    const activeJob = jobManager.findActiveForQuestion(question.id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'An answer for this question is already being generated',
+        job: jobManager.serialize(activeJob)
+      });
+    }
+
+    const validationEnabled = options.validation === true;
+    console.log(`🔁 Regenerating answer for question: ${question.id}`);
+
+    // Only the questions the question follows on from are used as context, as when it was first asked.
+    // Looked up before the job exists, so a storage error can't leave a queued job behind
+    const path = await dataStore.getQuestionPath(question.id);
+
+    const job = jobManager.create({
+      userId,
+      questionId: question.id,
+      conversationId: question.conversationId,
+      regenerate: true
+    });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      questionId: question.id,
+      question
+    });
+
+    processQuestionJob(job, {
+      question: question.question,
+      parentId: path.length > 1 ? path[path.length - 2].id : null,
+      validationEnabled,
+      regenerate: true
+    });
+
+  } catch (error) {
+    console.error('Error regenerating answer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/questions/:id/branch - Ask an edited version of an earlier question as a new branch.
+// The new question follows on from the same question as the original, which is kept with its answers.
+router.post('/questions/:id/branch', requireLLMProvider, async (req, res) => {
+  try {
+    const { userId, question, options = {} } = req.body;
+
+    if (!userId || !question || !question.trim()) {
+      return res.status(400).json({ error: 'userId and question are required' });
+    }
+
+    const original = await dataStore.getQuestionById(req.params.id);
+    if (!original || original.userId !== userId) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const path = await dataStore.getQuestionPath(original.id);
+    const parentId = path.length > 1 ? path[path.length - 2].id : null;
+    const validationEnabled = options.validation === true;
+
+    const questionId = `q_${uuidv4()}`;
+    const questionObj = new Question(questionId, userId, question.trim(), null, original.conversationId, parentId);
+    await dataStore.saveQuestion(questionObj);
+    console.log(`🌿 Branched question ${original.id} into ${questionId}`);
+
+    const job = jobManager.create({ userId, questionId, conversationId: original.conversationId });
+
+    broadcastSSE('question_received', {
+      questionId,
+      jobId: job.id,
+      question: questionObj,
+      status: 'received',
+      message: 'Question received, starting processing...'
+    }, { userId, questionId });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      questionId,
+      question: questionObj,
+      conversationId: original.conversationId
+    });
+
+    processQuestionJob(job, { question: questionObj.question, parentId, validationEnabled });
+
+  } catch (error) {
+    console.error('Error branching question:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/questions/:id/answers - Every answer version of a question, oldest first
+router.get('/questions/:id/answers', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    const question = await dataStore.getQuestionById(req.params.id);
+    if (!question || question.userId !== userId) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const answers = await dataStore.getAnswerVersions(question);
+    res.json({
+      questionId: question.id,
+      currentAnswerId: question.answerId,
+      answers
+    });
+  } catch (error) {
+    console.error('Error fetching answer versions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/questions/:id/current-answer - Pick which answer version is kept as current
+router.put('/questions/:id/current-answer', async (req, res) => {
+  try {
+    const { userId, answerId } = req.body;
+
+    if (!userId || !answerId) {
+      return res.status(400).json({ error: 'userId and answerId are required' });
+    }
+
+    const existing = await dataStore.getQuestionById(req.params.id);
+    if (!existing || existing.userId !== userId) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    if (!dataStore.getAnswerIds(existing).includes(answerId)) {
+      return res.status(400).json({ error: 'answerId is not a version of this question' });
+    }
+
+    const question = await dataStore.updateQuestion(existing.id, { answerId });
+
+    broadcastSSE('question_updated', { userId, question }, { userId, questionId: question.id });
+
+    res.json(question);
+  } catch (error) {
+    console.error('Error setting current answer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/questions/:id - Update a question's metadata (its text or tags); answers are kept as they are
+router.patch('/questions/:id', async (req, res) => {
+  try {
+    const { userId, ...changes } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const unknownFields = Object.keys(changes).filter(field => !QUESTION_PATCH_FIELDS.includes(field));
+    if (unknownFields.length > 0 || Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: `Only ${QUESTION_PATCH_FIELDS.join(' and ')} can be updated` });
+    }
+
+    const updates = {};
+    if ('question' in changes) {
+      if (typeof changes.question !== 'string' || !changes.question.trim()) {
+        return res.status(400).json({ error: 'question must be a non-empty string' });
+      }
+      updates.question = changes.question.trim();
+    }
+    if ('tags' in changes) {
+      const { tags } = changes;
+      if (!Array.isArray(tags) || tags.length > MAX_QUESTION_TAGS || !tags.every(tag => typeof tag === 'string' && tag.trim())) {
+        return res.status(400).json({ error: `tags must be an array of at most ${MAX_QUESTION_TAGS} non-empty strings` });
+      }
+      updates.tags = [...new Set(tags.map(tag => tag.trim()))];
+    }
+
+    const existing = await dataStore.getQuestionById(req.params.id);
+    if (!existing || existing.userId !== userId) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const question = await dataStore.updateQuestion(existing.id, { ...updates, updatedAt: new Date() });
+
+    broadcastSSE('question_updated', { userId, question }, { userId, questionId: question.id });
+
+    res.json(question);
+  } catch (error) {
+    console.error('Error updating question:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/questions/:id - Delete a question with all of its answer versions
+router.delete('/questions/:id', async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const existing = await dataStore.getQuestionById(req.params.id);
+    if (!existing || existing.userId !== userId) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    // Stop an answer that is still being generated; one that is already being saved can't be
+    const activeJob = jobManager.findActiveForQuestion(existing.id);
+    if (activeJob && !jobManager.cancel(activeJob.id)) {
+      return res.status(409).json({
+        error: 'The answer to this question is being saved; try again in a moment',
+        job: jobManager.serialize(activeJob)
+      });
+    }
+
+    const { answersDeleted, reparented } = await dataStore.deleteQuestionWithAnswers(existing.id);
+
+    broadcastSSE('question_deleted', {
+      userId,
+      questionId: existing.id,
+      conversationId: existing.conversationId,
+      reparented // Follow-ups now attached to the deleted question's parent
+    }, { userId, questionId: existing.id });
+
+    console.log(`🗑️ Deleted question ${existing.id} with ${answersDeleted} answers`);
+
+    res.json({
+      message: 'Question deleted successfully',
+      questionId: existing.id,
+      answersDeleted,
+      reparented: reparented.map(q => q.id)
+    });
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/answers/:id - Get specific answer with visualization
+router.get('/answers/:id', async (req, res) => {
+  try {
+    const answerId = req.params.id;
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    // Answers owned by other users are reported as not found
+    const answer = await dataStore.getAnswerForUser(answerId, userId);
+    
+    if (!answer) {
+      return res.status(404).json({ error: 'Answer not found' });
+    }
+    
+    res.json(answer);
+  } catch (error) {
+    console.error('Error fetching answer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/answers/:id/export.html - Download the answer as one self-contained HTML page that plays offline
+router.get('/answers/:id/export.html', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    const answer = await dataStore.getAnswerForUser(req.params.id, userId);
+    if (!answer) {
+      return res.status(404).json({ error: 'Answer not found' });
+    }
+    if (!answer.visualization) {
+      return res.status(422).json({ error: 'Answer has no visualization to export' });
+    }
+
+    const question = await dataStore.getQuestionForAnswer(answer);
+    const title = question ? question.question : 'Visualization';
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+
+    const html = htmlExporter.render({ title, text: answer.text, visualization: answer.visualization });
+
+    console.log(`📄 Exported answer ${answer.id} as HTML`);
+    res.set('Content-Disposition', `attachment; filename="${slug || 'visualization'}.html"`);
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Error exporting answer as HTML:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/answers/:id/frame.png - Render one frame of the answer's visualization on the server
+// Query: userId, t (timeline position in milliseconds, default 0; clamped to the duration),
+// width (PNG width in pixels, default 800; the height keeps the 4:3 canvas ratio)
+router.get('/answers/:id/frame.png', async (req, res) => {
+  try {
+    const { userId, t = '0', width = String(FRAME_DEFAULT_WIDTH) } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    const time = Number(t);
+    if (!Number.isFinite(time) || time < 0) {
+      return res.status(400).json({ error: 't must be a non-negative number of milliseconds' });
+    }
+
+    const frameWidth = Number(width);
+    if (!Number.isInteger(frameWidth) || frameWidth < FRAME_MIN_WIDTH || frameWidth > FRAME_MAX_WIDTH) {
+      return res.status(400).json({ error: `width must be an integer from ${FRAME_MIN_WIDTH} to ${FRAME_MAX_WIDTH}` });
+    }
+
+    const answer = await dataStore.getAnswerForUser(req.params.id, userId);
+    if (!answer) {
+      return res.status(404).json({ error: 'Answer not found' });
+    }
+    if (!answer.visualization) {
+      return res.status(422).json({ error: 'Answer has no visualization to render' });
+    }
+
+    const frame = frameRenderer.render(answer.visualization, time, { width: frameWidth });
+    if (frame.errors.length > 0) {
+      console.warn(`⚠️ ${frame.errors.length} layer(s) of answer ${answer.id} failed to render at ${frame.time}ms`);
+    }
+
+    // Answers never change once saved, so a frame can be cached like a static image
+    res.set('Cache-Control', 'private, max-age=86400');
+    // The time actually drawn, after clamping to the visualization's duration
+    res.set('X-Frame-Time', String(frame.time));
+    res.type('png').send(frame.png);
+  } catch (error) {
+    console.error('Error rendering answer frame:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public view of a share link (the owning userId is left out)
+function serializeShare(share) {
+  const { userId, ...rest } = share;
+  return {
+    ...rest,
+    status: dataStore.getShareStatus(share),
+    path: `/shared/${share.token}`,
+    embedPath: `/embed/${share.token}`
+  };
+}
+
+// POST /api/answers/:id/share - Create a read-only link to one answer
+// Body: { userId, expiresAt } - expiresAt is optional; links without it stay valid until revoked
+router.post('/answers/:id/share', async (req, res) => {
+  try {
+    const { userId, expiresAt = null } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (Number.isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({ error: 'expiresAt must be a date in the future' });
+    }
+
+    const answer = await dataStore.getAnswerForUser(req.params.id, userId);
+    if (!answer) {
+      return res.status(404).json({ error: 'Answer not found' });
+    }
+
+    const share = new ShareToken(`s_${uuidv4()}`, userId, answer.id, expiry);
+    await dataStore.saveShare(share);
+
+    console.log(`🔗 Shared answer ${answer.id}${expiry ? ` until ${expiry.toISOString()}` : ''}`);
+    res.status(201).json(serializeShare(share));
+  } catch (error) {
+    console.error('Error sharing answer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/answers/:id/shares - List the links created for an answer, revoked and expired ones included
+router.get('/answers/:id/shares', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    const answer = await dataStore.getAnswerForUser(req.params.id, userId);
+    if (!answer) {
+      return res.status(404).json({ error: 'Answer not found' });
+    }
+
+    const shares = (await dataStore.getSharesByAnswer(answer.id)).filter(share => share.userId === userId);
+    res.json({ answerId: answer.id, shares: shares.map(serializeShare) });
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/answers/:id/shares/:shareId - Revoke a link; it stops working straight away
+router.delete('/answers/:id/shares/:shareId', async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
     }
 
-    // Extract validation preference from options
-    const validationEnabled = options.validation === true; // Default to false (OFF)
-    console.log(`🔍 Validation ${validationEnabled ? 'ENABLED' : 'DISABLED'} for question: ${question}`);
+    const answer = await dataStore.getAnswerForUser(req.params.id, userId);
+    const share = answer && (await dataStore.getSharesByAnswer(answer.id))
+      .find(candidate => candidate.id === req.params.shareId && candidate.userId === userId);
+    if (!share) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
 
-    // Create and save question
-    questionId = `q_${uuidv4()}`;
-    questionObj = new Question(questionId, userId, question);
-    await dataStore.saveQuestion(questionObj);
+    const revoked = share.revokedAt ? share : await dataStore.revokeShare(share.id);
 
-    // Broadcast question created event
-    broadcastSSE('question_received', { 
-      questionId,
-      question: questionObj,
-      status: 'received',
-      message: 'Question received, starting processing...' 
-    });
+    console.log(`🔗 Revoked share link ${share.id}`);
+    res.json(serializeShare(revoked));
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Broadcast processing started
-    broadcastSSE('processing_started', { 
-      questionId,
-      status: 'processing',
-      message: 'Analyzing question and generating initial response...' 
-    });
+// GET /api/shared/:token - Public, read-only view of a shared answer; no userId needed
+// Query: version - 'shared' (default, the version the link was made for) or 'current'
+// (whichever version of the question is current now; used by the embed player)
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const { version = 'shared' } = req.query;
 
-    // Generate answer using LLM
-    const llmResponse = await llmService.generateExplanationAndVisualization(question, {
-      validation: validationEnabled, // Pass validation preference to LLM service
-      onProgress: (stage, message) => {
-        // Map LLM stages to appropriate SSE event types
-        let eventType = 'processing_progress'; // default
-        
-        switch(stage) {
-          case 'validation_started':
-            eventType = 'validation_started';
-            break;
-          case 'validation_completed':
-          case 'validation_skipped':
-            eventType = 'validation_completed';
-            break;
-          case 'llm_generation':
-          case 'llm_response_received':
-          case 'validation_unavailable':
-          case 'completed':
-          default:
-            eventType = 'processing_progress';
-            break;
-        }
-        
-        // Send progress updates during LLM processing
-        broadcastSSE(eventType, {
-          questionId,
-          stage,
-          status: 'in_progress',
-          message
-        });
-      }
-    });
-    
-    // Broadcast completion
-    broadcastSSE('processing_complete', { 
-      questionId,
-      status: 'complete',
-      message: 'Response generated and validated successfully!' 
+    if (!SHARED_VERSIONS.includes(version)) {
+      return res.status(400).json({ error: `version must be one of: ${SHARED_VERSIONS.join(', ')}` });
+    }
+
+    const shared = await dataStore.getSharedAnswer(req.params.token, { followCurrent: version === 'current' });
+
+    if (!shared) {
+      return res.status(404).json({ error: 'Shared link not found' });
+    }
+    if (shared.status !== 'active') {
+      return res.status(410).json({ error: `This link has ${shared.status === 'revoked' ? 'been revoked' : 'expired'}`, status: shared.status });
+    }
+    if (!shared.answer) {
+      return res.status(404).json({ error: 'The shared answer has been deleted' });
+    }
+
+    // Only what the link shows: no ids of the owner's other questions or answers
+    res.json({
+      question: shared.question ? shared.question.question : null,
+      text: shared.answer.text,
+      visualization: shared.answer.visualization,
+      answeredAt: shared.answer.createdAt,
+      expiresAt: shared.share.expiresAt
     });
+  } catch (error) {
+    console.error('Error fetching shared answer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Create and save answer
-    const answerId = `a_${uuidv4()}`;
-    const answerObj = new Answer(answerId, llmResponse.text, llmResponse.visualization);
-    await dataStore.saveAnswer(answerObj);
+// DELETE /api/answers/:id - Delete one answer version; its question is kept
+router.delete('/answers/:id', async (req, res) => {
+  try {
+    const { userId } = req.body;
 
-    // Update question with answer ID
-    await dataStore.updateQuestion(questionId, { answerId });
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
 
-    // Broadcast answer created event
-    broadcastSSE('answer_created', { answer: answerObj, questionId });
+    const answer = await dataStore.getAnswerForUser(req.params.id, userId);
+    if (!answer) {
+      return res.status(404).json({ error: 'Answer not found' });
+    }
+
+    const { question } = await dataStore.deleteAnswerVersion(answer);
+
+    broadcastSSE('answer_deleted', {
+      userId,
+      answerId: answer.id,
+      questionId: question ? question.id : null,
+      question // With the remaining versions and the new current answer
+    }, { userId, ...(question && { questionId: question.id }) });
 
     res.json({
-      questionId,
-      answerId
+      message: 'Answer deleted successfully',
+      answerId: answer.id,
+      question
     });
+  } catch (error) {
+    console.error('Error deleting answer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/search - Search the requesting user's questions, explanations and text layers
+// Query: q, conversationId, limit
+router.get('/search', async (req, res) => {
+  try {
+    const { userId, conversationId, q = '' } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    const query = String(q).trim();
+    if (!query) {
+      return res.status(400).json({ error: 'q query parameter is required' });
+    }
+    if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({ error: `q must be at most ${MAX_SEARCH_QUERY_LENGTH} characters` });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS)) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_SEARCH_RESULTS}` });
+    }
 
+    const results = await searchService.search(userId, query, { conversationId, limit });
+    res.json({ query, results });
   } catch (error) {
-    console.error('Error processing question:', error);
-    
-    // Clean up: Delete the question from database if it was created but failed to get an answer
-    if (questionId) {
-      try {
-        await dataStore.deleteQuestion(questionId);
-        console.log(`🗑️ Cleaned up failed question: ${questionId}`);
-      } catch (deleteError) {
-        console.error('Error cleaning up failed question:', deleteError);
-        // Don't fail the error response if cleanup fails
-      }
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/stats - Get storage statistics for the requesting user
+router.get('/stats', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
     }
-    
-    // Broadcast error to connected clients
-    broadcastSSE('error', { 
-      questionId: questionId,
-      status: 'error',
-      message: error.message || 'Failed to process question'
-    });
-    
-    // Return meaningful error message to client
-    res.status(500).json({ 
-      error: error.message || 'Internal server error',
-      details: 'The AI service encountered an error while processing your question.'
+
+    const stats = await dataStore.getStats(userId);
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/conversations - List the requesting user's conversation threads
+router.get('/conversations', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    await dataStore.adoptOrphanQuestions(userId);
+
+    const [conversations, questions] = await Promise.all([
+      dataStore.getConversationsByUser(userId),
+      dataStore.getQuestionsByUser(userId)
+    ]);
+
+    const questionCounts = {};
+    questions.forEach(q => {
+      questionCounts[q.conversationId] = (questionCounts[q.conversationId] || 0) + 1;
     });
+
+    // Most recently active thread first
+    const result = conversations
+      .map(c => ({ ...c, questionCount: questionCounts[c.id] || 0 }))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/questions - Fetch all questions
-router.get('/questions', async (req, res) => {
+// POST /api/conversations - Create a new conversation thread
+router.post('/conversations', async (req, res) => {
   try {
-    const questions = await dataStore.getAllQuestions();
-    res.json(questions);
+    const { userId, title } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    // Untitled threads are named after their first question
+    const conversation = new Conversation(`c_${uuidv4()}`, userId, (title || '').trim() || null);
+    await dataStore.saveConversation(conversation);
+
+    broadcastSSE('conversation_created', { userId, conversation }, { userId });
+
+    res.status(201).json(conversation);
   } catch (error) {
-    console.error('Error fetching questions:', error);
+    console.error('Error creating conversation:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/answers/:id - Get specific answer with visualization
-router.get('/answers/:id', async (req, res) => {
+// PATCH /api/conversations/:id - Rename a conversation thread
+router.patch('/conversations/:id', async (req, res) => {
   try {
-    const answerId = req.params.id;
-    const answer = await dataStore.getAnswerById(answerId);
-    
-    if (!answer) {
-      return res.status(404).json({ error: 'Answer not found' });
+    const { userId, title } = req.body;
+
+    if (!userId || !title || !title.trim()) {
+      return res.status(400).json({ error: 'userId and title are required' });
     }
-    
-    res.json(answer);
+
+    const existing = await dataStore.getConversationForUser(req.params.id, userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const conversation = await dataStore.updateConversation(existing.id, {
+      title: title.trim(),
+      updatedAt: new Date()
+    });
+
+    broadcastSSE('conversation_updated', { userId, conversation }, { userId });
+
+    res.json(conversation);
   } catch (error) {
-    console.error('Error fetching answer:', error);
+    console.error('Error renaming conversation:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/stats - Get storage statistics
-router.get('/stats', async (req, res) => {
+// DELETE /api/conversations/:id - Delete a conversation thread with its questions and answers
+router.delete('/conversations/:id', async (req, res) => {
   try {
-    const stats = await dataStore.getStats();
-    res.json(stats);
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const existing = await dataStore.getConversationForUser(req.params.id, userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const result = await dataStore.deleteConversation(existing.id);
+
+    broadcastSSE('conversation_deleted', { userId, conversationId: existing.id }, { userId });
+
+    res.json({
+      message: 'Conversation deleted successfully',
+      conversationId: existing.id,
+      ...result
+    });
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Error deleting conversation:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// DELETE /api/conversations - Clear all conversations
+// DELETE /api/conversations - Clear all conversations of the requesting user
 router.delete('/conversations', async (req, res) => {
   try {
     const { userId } = req.body;
@@ -179,16 +1187,17 @@ router.delete('/conversations', async (req, res) => {
       return res.status(400).json({ error: 'userId is required' });
     }
 
-    // Clear all data from storage
-    await dataStore.clearAll();
+    // Clear only this user's data from storage
+    const result = await dataStore.clearUser(userId);
 
-    // Broadcast clear event to all connected clients
-    broadcastSSE('conversations_cleared', { userId, timestamp: new Date() });
+    // Notify the user's other open tabs
+    broadcastSSE('conversations_cleared', { userId, timestamp: new Date() }, { userId });
 
     console.log(`🗑️ All conversations cleared for user: ${userId}`);
     
     res.json({ 
       message: 'All conversations cleared successfully',
+      ...result,
       timestamp: new Date()
     });
 
@@ -198,30 +1207,90 @@ router.delete('/conversations', async (req, res) => {
   }
 });
 
+// GET /api/export - Download the requesting user's conversations, questions and answers as one archive
+router.get('/export', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId query parameter is required' });
+    }
+
+    const archive = await archiveService.exportUser(userId);
+    const date = archive.exportedAt.slice(0, 10);
+
+    console.log(`📦 Exported ${archive.questions.length} questions for user ${userId}`);
+    res.set('Content-Disposition', `attachment; filename="chat-to-viz-${date}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Error exporting history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/import - Restore an archive from GET /api/export into the requesting user's history
+// Body: { userId, archive, mode: 'merge' | 'replace' }
+router.post('/import', async (req, res) => {
+  try {
+    const { userId, archive, mode = 'merge' } = req.body;
+
+    if (!userId || !archive) {
+      return res.status(400).json({ error: 'userId and archive are required' });
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    const { valid, errors } = archiveService.validate(archive);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid archive', validationErrors: errors });
+    }
+
+    // Replacing would delete the questions those jobs are answering
+    if (mode === 'replace' && jobManager.hasActiveForUser(userId)) {
+      return res.status(409).json({ error: 'Wait for questions still being answered before replacing your history' });
+    }
+
+    const result = await archiveService.importArchive(userId, archive, { mode });
+
+    // Open tabs reload their history rather than patching it record by record
+    broadcastSSE('history_imported', { userId, mode, imported: result.imported }, { userId });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error importing archive:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/stream - SSE endpoint
+// Subscribe with ?userId= for all of a user's events, or ?questionId= for one question's progress.
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to replay the events they missed.
 router.get('/stream', (req, res) => {
+  const { userId, questionId } = req.query;
+
+  if (!userId && !questionId) {
+    return res.status(400).json({ error: 'userId or questionId query parameter is required' });
+  }
+
+  const lastEventIdHeader = req.get('Last-Event-ID') || req.query.lastEventId;
+  const lastEventId = lastEventIdHeader !== undefined ? parseInt(lastEventIdHeader, 10) : NaN;
+
   // Set SSE headers
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
   });
 
   // Send initial connection confirmation
   res.write('data: {"type":"connected","message":"SSE connection established"}\n\n');
 
-  // Store client
-  const clientId = uuidv4();
-  const client = { id: clientId, response: res };
-  sseClients.push(client);
-
-  // Remove client on disconnect
-  req.on('close', () => {
-    sseClients = sseClients.filter(c => c.id !== clientId);
-    console.log(`SSE client ${clientId} disconnected`);
-  });
+  // Store client, replaying missed events first
+  sseHub.addClient(req, res, { userId, questionId }, Number.isNaN(lastEventId) ? null : lastEventId);
 
   // Keep connection alive with heartbeat
   const heartbeat = setInterval(() => {
@@ -233,24 +1302,15 @@ router.get('/stream', (req, res) => {
   });
 });
 
-// Helper function to broadcast SSE events
-function broadcastSSE(eventType, data) {
-  const message = JSON.stringify({ type: eventType, ...data });
-  
-  console.log(`📤 Broadcasting ${eventType} to ${sseClients.length} clients:`, message);
-  
-  sseClients.forEach(client => {
-    try {
-      client.response.write(`data: ${message}\n\n`);
-    } catch (error) {
-      console.error('❌ Error sending SSE message:', error);
-    }
-  });
-  
-  console.log(`✅ Broadcasted ${eventType} to ${sseClients.length} clients`);
+// Helper function to send SSE events to the subscribers that own them
+// audience: { userId, questionId } - events are never sent to every client
+// options: { replay: false } for transient events that aren't kept for reconnecting clients
+function broadcastSSE(eventType, data, audience = {}, options = {}) {
+  sseHub.broadcast(eventType, data, audience, options);
 }
 
 // POST /api/validate - Validate a visualization response
+// Schema and visual lint checks run locally; the LLM is only asked for a correction when originalQuestion is given
 router.post('/validate', async (req, res) => {
   try {
     const { response, originalQuestion } = req.body;
@@ -261,19 +1321,20 @@ router.post('/validate', async (req, res) => {
 
     console.log('🔍 Validation request received');
 
-    // Check if validation is available
-    if (!llmService.isValidationAvailable()) {
-      return res.status(503).json({ 
-        error: 'Validation service unavailable',
-        message: 'Validation engine is not initialized'
-      });
-    }
-
     // Quick validation check
     const quickValidation = await llmService.quickValidate(response);
     
     let validatedResponse = response;
     if (quickValidation.needsCorrection && originalQuestion) {
+      // Check if validation is available
+      if (!llmService.isValidationAvailable()) {
+        return res.status(503).json({ 
+          error: 'Validation service unavailable',
+          message: 'Validation engine is not initialized',
+          validation: quickValidation
+        });
+      }
+
       console.log('🔧 Running full validation and correction...');
       validatedResponse = await llmService.validateResponse(response, originalQuestion);
     }
@@ -294,11 +1355,19 @@ router.post('/validate', async (req, res) => {
   }
 });
 
+// GET /api/schema/visualization - JSON Schema every saved visualization conforms to
+router.get('/schema/visualization', (req, res) => {
+  res.json(schemaValidator.schema);
+});
+
 // GET /api/validation-status - Check validation engine status
 router.get('/validation-status', (req, res) => {
+  const { provider } = llmService;
   res.json({
     available: llmService.isValidationAvailable(),
-    engine: 'Google Gemini 2.5 Pro',
+    engine: provider ? (provider.name === 'gemini' ? 'Google Gemini 2.5 Pro' : 'Offline fixture provider') : null,
+    provider: provider ? provider.name : null,
+    ...(llmService.providerError && { error: llmService.providerError }),
     features: [
       'Animation logic validation',
       'Visual design checks',
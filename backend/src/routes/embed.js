@@ -0,0 +1,43 @@
+const express = require('express');
+const EmbedPlayer = require('../services/embedPlayer');
+
+const router = express.Router();
+const embedPlayer = new EmbedPlayer();
+
+// How long browsers may cache player.js (seconds); it only changes with a deploy
+const PLAYER_SCRIPT_MAX_AGE = 60 * 60;
+
+// GET /embed/player.js - The VisualizationEngine and the embed player runtime in one script
+router.get('/player.js', (req, res) => {
+  try {
+    res.type('application/javascript');
+    res.set('Cache-Control', `public, max-age=${PLAYER_SCRIPT_MAX_AGE}`);
+    res.send(embedPlayer.getScript());
+  } catch (error) {
+    console.error('Error serving embed player:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /embed/:token - Player page for an <iframe>, by share token
+// Query: autoplay, loop, controls (1/0 or true/false, all on by default), theme (light|dark), t (start, seconds)
+// The page loads the answer itself, so it always shows the question's current answer version
+// and reports revoked or expired links inside the frame
+router.get('/:token', (req, res) => {
+  try {
+    const options = embedPlayer.parseOptions(req.query);
+    const token = encodeURIComponent(req.params.token);
+
+    res.type('html');
+    res.send(embedPlayer.renderPage({
+      dataUrl: `/api/shared/${token}?version=current`,
+      scriptUrl: '/embed/player.js',
+      options
+    }));
+  } catch (error) {
+    console.error('Error rendering embed player:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
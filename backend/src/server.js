@@ -3,6 +3,7 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const apiRoutes = require('./routes/api');
+const embedRoutes = require('./routes/embed');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -29,7 +30,7 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 };
 
@@ -43,6 +44,8 @@ app.use(express.urlencoded({ extended: true, limit: '1000mb' }));
 
 // Routes
 app.use('/api', apiRoutes);
+// Embeddable player pages (loaded in iframes on other sites)
+app.use('/embed', embedRoutes);
 
 // Health check endpoint for Railway deployment
 app.get('/health', (req, res) => {
@@ -60,13 +63,33 @@ app.get('/', (req, res) => {
   res.json({ 
     message: 'Chat-to-Visualization API Server',
     version: '1.0.0',
-    storage: 'File System (JSON)',
+    storage: process.env.STORAGE_BACKEND === 'sqlite' ? 'SQLite' : 'File System (JSON)',
     endpoints: {
-      'POST /api/questions': 'Submit a new question',
+      'POST /api/questions': 'Submit a new question (returns a job id)',
+      'GET /api/jobs/:id?userId=': 'Get the status of a question processing job',
+      'POST /api/jobs/:id/cancel': 'Cancel a question that is still being generated',
       'GET /api/questions': 'Get all questions',
+      'POST /api/questions/:id/branch': 'Ask an edited version of an earlier question as a new branch',
+      'POST /api/questions/:id/regenerate': 'Generate another answer version (returns a job id)',
+      'GET /api/questions/:id/answers?userId=': 'List every answer version of a question',
+      'PUT /api/questions/:id/current-answer': 'Pick the answer version kept as current',
+      'PATCH /api/questions/:id': 'Update a question\'s text or tags',
+      'DELETE /api/questions/:id': 'Delete a question with its answers',
       'GET /api/answers/:id': 'Get answer by ID',
+      'GET /api/answers/:id/export.html?userId=': 'Download the answer as a standalone HTML player',
+      'GET /api/answers/:id/frame.png?userId=&t=': 'Render one frame of the answer\'s visualization as a PNG',
+      'DELETE /api/answers/:id': 'Delete one answer version',
+      'POST /api/answers/:id/share': 'Create a read-only link to an answer',
+      'GET /api/answers/:id/shares?userId=': 'List an answer\'s share links',
+      'DELETE /api/answers/:id/shares/:shareId': 'Revoke a share link',
+      'GET /api/shared/:token': 'Public view of a shared answer',
+      'GET /embed/:token': 'Embeddable player for a shared answer (autoplay, loop, controls, theme, t)',
+      'GET /embed/player.js': 'Script bundle used by the embed player',
+      'GET /api/search?userId=&q=': 'Search questions, explanations and text layers',
       'GET /api/stats': 'Get storage statistics',
-      'GET /api/stream': 'SSE stream for real-time updates'
+      'GET /api/export?userId=': 'Download the user\'s history as a JSON archive',
+      'POST /api/import': 'Merge or replace the user\'s history from an archive',
+      'GET /api/stream?userId=': 'SSE stream for the user\'s real-time updates'
     }
   });
 });
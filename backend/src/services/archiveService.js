@@ -0,0 +1,348 @@
+const { v4: uuidv4 } = require('uuid');
+const archiveSchema = require('../schemas/archive.schema.json');
+const SchemaValidator = require('./schemaValidator');
+const { dataStore } = require('../models/dataStore');
+const { compareByCreation } = require('../utils/cursor');
+
+const ARCHIVE_FORMAT = 'chat-to-viz-archive';
+// Bumped when the archive layout changes; older archives must stay importable
+const ARCHIVE_VERSION = 1;
+
+// Visualization problems reported per import; the rest are only counted
+const MAX_IMPORT_WARNINGS = 20;
+
+// Id prefix of each kind of record, used when an imported id has to be replaced
+const ID_PREFIXES = {
+  conversations: 'c',
+  questions: 'q',
+  answers: 'a'
+};
+
+/**
+ * Exports a user's conversations, questions and every answer version as one
+ * versioned JSON archive, and imports such archives back, for backups and for
+ * moving history between deployments.
+ *
+ * Imported records are given to the importing user. Ids another user
+ * already has in this deployment are replaced with fresh ones and every
+ * reference to them is rewritten, so someone else's archive can be imported
+ * any number of times; records the user already has are not duplicated.
+ */
+class ArchiveService {
+  constructor(options = {}) {
+    this.archiveValidator = new SchemaValidator(archiveSchema);
+    // Answers are checked against the visualization schema, but only warned about:
+    // archives may hold answers saved before the schema existed
+    this.visualizationValidator = options.schemaValidator || new SchemaValidator();
+  }
+
+  /**
+   * Build the archive of everything a user has stored
+   * @param {string} userId - Whose history to export
+   * @returns {Object} - { format, version, exportedAt, schemaVersion, conversations, questions, answers }
+   */
+  async exportUser(userId) {
+    // Questions from before threads existed are given one, so the archive is self-contained
+    await dataStore.adoptOrphanQuestions(userId);
+
+    const conversations = await dataStore.getConversationsByUser(userId);
+    const questions = await dataStore.getQuestionsByUser(userId);
+    const answerIds = questions.flatMap(question => dataStore.getAnswerIds(question));
+    const answers = [...(await dataStore.getAnswersByIds(answerIds)).values()];
+
+    // userId is left out: the archive belongs to whoever imports it
+    const strip = ({ userId: owner, ...record }) => record;
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      schemaVersion: this.visualizationValidator.version,
+      conversations: conversations.slice().sort(compareByCreation).map(strip),
+      questions: questions.slice().sort(compareByCreation).map(strip),
+      answers: answers.sort(compareByCreation).map(strip)
+    };
+  }
+
+  /**
+   * Check an archive's structure and that its records only refer to each other
+   * @param {Object} archive - Parsed archive
+   * @returns {Object} - { valid, errors: [{ path, message }] }
+   */
+  validate(archive) {
+    const { valid, errors } = this.archiveValidator.validate(archive);
+    if (!valid) {
+      return { valid, errors: errors.map(({ path, message }) => ({ path, message })) };
+    }
+
+    if (archive.version > ARCHIVE_VERSION) {
+      return {
+        valid: false,
+        errors: [{ path: '/version', message: `archive version ${archive.version} is newer than the supported version ${ARCHIVE_VERSION}` }]
+      };
+    }
+
+    const referenceErrors = this.checkReferences(archive);
+    return { valid: referenceErrors.length === 0, errors: referenceErrors };
+  }
+
+  checkReferences(archive) {
+    const errors = [];
+    const ids = {};
+
+    Object.keys(ID_PREFIXES).forEach(collection => {
+      ids[collection] = new Set();
+      archive[collection].forEach((record, index) => {
+        if (ids[collection].has(record.id)) {
+          errors.push({ path: `/${collection}/${index}/id`, message: `duplicate id "${record.id}"` });
+        }
+        ids[collection].add(record.id);
+      });
+    });
+
+    const expect = (path, id, collection) => {
+      if (id !== null && id !== undefined && !ids[collection].has(id)) {
+        errors.push({ path, message: `refers to "${id}", which is not in ${collection}` });
+      }
+    };
+
+    archive.questions.forEach((question, index) => {
+      const path = `/questions/${index}`;
+      expect(`${path}/conversationId`, question.conversationId, 'conversations');
+      expect(`${path}/parentId`, question.parentId, 'questions');
+      expect(`${path}/answerId`, question.answerId, 'answers');
+      (question.answerIds || []).forEach((answerId, i) => expect(`${path}/answerIds/${i}`, answerId, 'answers'));
+
+      if (question.answerId && question.answerIds && !question.answerIds.includes(question.answerId)) {
+        errors.push({ path: `${path}/answerId`, message: 'must be one of answerIds' });
+      }
+    });
+
+    archive.answers.forEach((answer, index) => {
+      expect(`/answers/${index}/questionId`, answer.questionId, 'questions');
+    });
+
+    return errors;
+  }
+
+  /**
+   * Store a validated archive for a user
+   * @param {string} userId - Who the imported records will belong to
+   * @param {Object} archive - Archive that passed validate()
+   * @param {Object} options - { mode: 'merge' (keep existing history) or 'replace' (delete it first) }
+   * @returns {Object} - { mode, imported, skipped: { conversations, questions, answers }, renamedIds, warnings, warningCount }
+   */
+  async importArchive(userId, archive, options = {}) {
+    const mode = options.mode || 'merge';
+
+    // Every record is prepared before the first write, so nothing is cleared for an archive that can't be stored
+    const plan = await this.planImport(userId, archive, mode);
+
+    if (mode === 'replace') {
+      await this.replaceHistory(userId, plan);
+    } else {
+      await this.writeRecords(plan);
+    }
+
+    const warnings = this.checkVisualizations(archive.answers);
+    console.log(`📦 Imported ${plan.questions.length} questions for user ${userId} (${mode}, ${plan.renamedIds} ids renamed)`);
+
+    return {
+      mode,
+      imported: {
+        conversations: plan.conversations.length,
+        questions: plan.questions.length,
+        answers: plan.answers.length
+      },
+      skipped: plan.skipped,
+      renamedIds: plan.renamedIds,
+      warnings: warnings.slice(0, MAX_IMPORT_WARNINGS),
+      warningCount: warnings.length
+    };
+  }
+
+  /**
+   * Work out the records an import writes, without writing anything.
+   * Ids used by another user get fresh ones. Records the importing user
+   * already has keep their ids: 'replace' stores them again after clearing,
+   * 'merge' leaves the existing ones alone, so importing your own backup
+   * twice doesn't duplicate it. An existing question still gains answer
+   * versions that only the archive has (e.g. ones deleted since the export).
+   * @returns {Object} - { conversations, answers, questions, questionUpdates: [{ id, updates }], skipped, renamedIds }
+   */
+  async planImport(userId, archive, mode) {
+    const { idMaps, owned } = await this.resolveIds(userId, archive);
+    const mapId = (collection, id) => (id ? idMaps[collection].get(id) || id : id);
+    const isNew = (collection, record) => mode === 'replace' || !owned[collection].has(record.id);
+
+    const conversations = archive.conversations
+      .filter(conversation => isNew('conversations', conversation))
+      .map(conversation => ({ ...conversation, id: mapId('conversations', conversation.id), userId }));
+
+    const answers = archive.answers
+      .filter(answer => isNew('answers', answer))
+      .map(answer => ({
+        ...answer,
+        id: mapId('answers', answer.id),
+        userId,
+        questionId: mapId('questions', answer.questionId ?? null)
+      }));
+
+    const questions = [];
+    const questionUpdates = [];
+    for (const question of archive.questions) {
+      const answerIds = dataStore.getAnswerIds(question).map(id => mapId('answers', id));
+
+      if (!isNew('questions', question)) {
+        // Versions generated since the export come after the archived ones
+        const existingIds = dataStore.getAnswerIds(owned.questions.get(question.id));
+        if (answerIds.some(id => !existingIds.includes(id))) {
+          const merged = [...answerIds, ...existingIds.filter(id => !answerIds.includes(id))];
+          questionUpdates.push({ id: question.id, updates: { answerIds: merged } });
+        }
+        continue;
+      }
+
+      const imported = {
+        ...question,
+        id: mapId('questions', question.id),
+        userId,
+        conversationId: mapId('conversations', question.conversationId ?? null),
+        answerId: mapId('answers', question.answerId ?? null),
+        answerIds
+      };
+      // Questions without a parentId key follow on from the previous question of their thread; keep it that way
+      if ('parentId' in question) {
+        imported.parentId = mapId('questions', question.parentId);
+      }
+      questions.push(imported);
+    }
+
+    return {
+      conversations,
+      answers,
+      questions,
+      questionUpdates,
+      skipped: {
+        conversations: archive.conversations.length - conversations.length,
+        questions: archive.questions.length - questions.length,
+        answers: archive.answers.length - answers.length
+      },
+      renamedIds: Object.values(idMaps).reduce((count, map) => count + map.size, 0)
+    };
+  }
+
+  async writeRecords(plan) {
+    for (const conversation of plan.conversations) {
+      await dataStore.saveConversation(conversation);
+    }
+    for (const answer of plan.answers) {
+      await dataStore.saveAnswer(answer);
+    }
+    for (const question of plan.questions) {
+      await dataStore.saveQuestion(question);
+    }
+    for (const { id, updates } of plan.questionUpdates) {
+      await dataStore.updateQuestion(id, updates);
+    }
+  }
+
+  // Swap the user's history for the planned records; if storing them fails, the previous history is put back
+  async replaceHistory(userId, plan) {
+    const snapshot = await this.snapshotUser(userId);
+    await dataStore.clearUser(userId);
+    console.log(`🗑️ Cleared history of user ${userId} before import`);
+
+    try {
+      await this.writeRecords(plan);
+    } catch (error) {
+      console.error(`❌ Import failed, restoring the previous history of user ${userId}:`, error.message);
+      try {
+        await dataStore.clearUser(userId);
+        await this.writeRecords({ ...snapshot, questionUpdates: [] });
+        for (const share of snapshot.shares) {
+          await dataStore.saveShare(share);
+        }
+        console.log(`🔄 Restored ${snapshot.questions.length} questions of user ${userId}`);
+      } catch (restoreError) {
+        console.error(`❌ Could not restore the history of user ${userId}:`, restoreError);
+      }
+      throw error;
+    }
+  }
+
+  // Everything clearUser() deletes for a user, as stored
+  async snapshotUser(userId) {
+    const conversations = await dataStore.getConversationsByUser(userId);
+    const questions = await dataStore.getQuestionsByUser(userId);
+    const linkedAnswerIds = new Set(questions.flatMap(question => dataStore.getAnswerIds(question)));
+    const answers = (await dataStore.getAllAnswers())
+      .filter(answer => answer.userId === userId || linkedAnswerIds.has(answer.id));
+
+    const shares = [];
+    for (const answer of answers) {
+      const answerShares = await dataStore.getSharesByAnswer(answer.id);
+      shares.push(...answerShares.filter(share => share.userId === userId));
+    }
+    return { conversations, questions, answers, shares };
+  }
+
+  /**
+   * Sort the archive's ids by who already uses them in this deployment
+   * @returns {Object} - { idMaps: old id -> fresh id for ids of other users,
+   *   owned: id -> existing record for ids the importing user already has }, per collection
+   */
+  async resolveIds(userId, archive) {
+    const existingAnswers = await dataStore.getAnswersByIds(archive.answers.map(answer => answer.id));
+    // Answers saved before per-user isolation only belong to a user through their question
+    const userAnswerIds = new Set(
+      (await dataStore.getQuestionsByUser(userId)).flatMap(question => dataStore.getAnswerIds(question))
+    );
+
+    const lookups = {
+      conversations: async id => {
+        const conversation = await dataStore.getConversationById(id);
+        return conversation && { record: conversation, mine: conversation.userId === userId };
+      },
+      questions: async id => {
+        const question = await dataStore.getQuestionById(id);
+        return question && { record: question, mine: question.userId === userId };
+      },
+      answers: async id => {
+        const answer = existingAnswers.get(id);
+        return answer && {
+          record: answer,
+          mine: answer.userId ? answer.userId === userId : userAnswerIds.has(id)
+        };
+      }
+    };
+
+    const idMaps = {};
+    const owned = {};
+    for (const [collection, prefix] of Object.entries(ID_PREFIXES)) {
+      idMaps[collection] = new Map();
+      owned[collection] = new Map();
+      for (const record of archive[collection]) {
+        const existing = await lookups[collection](record.id);
+        if (!existing) continue;
+        if (existing.mine) {
+          owned[collection].set(record.id, existing.record);
+        } else {
+          idMaps[collection].set(record.id, `${prefix}_${uuidv4()}`);
+        }
+      }
+    }
+    return { idMaps, owned };
+  }
+
+  // Schema problems in imported visualizations, as { path, message } into the archive
+  checkVisualizations(answers) {
+    return answers.flatMap((answer, index) => {
+      if (!answer.visualization) return [];
+      const { errors } = this.visualizationValidator.validate({ text: answer.text, visualization: answer.visualization });
+      return errors.map(error => ({ path: `/answers/${index}${error.path === '/' ? '' : error.path}`, message: error.message }));
+    });
+  }
+}
+
+module.exports = ArchiveService;
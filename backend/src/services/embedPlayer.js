@@ -0,0 +1,251 @@
+const { getEngineScript } = require('../utils/engineSource');
+const { escapeHtml, toScriptJson } = require('../utils/html');
+
+// Logical canvas size the engine scales visualizations to
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+
+const THEMES = ['light', 'dark'];
+
+// Tag on every postMessage sent or accepted, so hosts can tell our messages from others
+const MESSAGE_SOURCE = 'chat-to-viz-embed';
+
+// Browser side of the player, appended to the engine in player.js. Exposes
+// ChatToVizPlayer.mount(root, config) and speaks the postMessage protocol.
+const PLAYER_RUNTIME = `
+var ChatToVizPlayer = (function () {
+  var MESSAGE_SOURCE = ${JSON.stringify(MESSAGE_SOURCE)};
+  // timeupdate events are sent at most this often (milliseconds)
+  var TIMEUPDATE_INTERVAL = 250;
+
+  function mount(root, config) {
+    var canvas = root.querySelector('canvas');
+    var message = root.querySelector('.embed-message');
+    var playPause = root.querySelector('[data-action="play-pause"]');
+    var progress = root.querySelector('.embed-progress');
+    var progressBar = root.querySelector('.embed-progress-bar');
+    var engine = new VisualizationEngine(canvas, canvas.getContext('2d'));
+    var ready = false;
+    var wasPlaying = false;
+    var lastTimeUpdate = 0;
+
+    engine.setDebug(false);
+    engine.setLoop(config.loop);
+
+    // Events go to the host page; the player also works without one
+    function emit(type, detail) {
+      if (window.parent === window) return;
+      var data = { source: MESSAGE_SOURCE, type: type };
+      for (var key in detail) data[key] = detail[key];
+      window.parent.postMessage(data, '*');
+    }
+
+    // Times are exchanged in seconds; the engine counts milliseconds
+    function timing() {
+      return {
+        currentTime: engine.currentTime / 1000,
+        duration: engine.visualization ? engine.visualization.duration / 1000 : 0,
+        playing: engine.isPlaying,
+        loop: engine.loop
+      };
+    }
+
+    function showError(status, text) {
+      ready = false;
+      engine.pause();
+      message.textContent = text;
+      root.classList.add('has-error');
+      emit('error', { status: status, message: text });
+    }
+
+    function play() {
+      // A finished, non-looping animation starts over
+      if (engine.getProgress() >= 1) engine.seek(0);
+      engine.play();
+    }
+
+    function seek(seconds) {
+      engine.seek(Number(seconds) * 1000 || 0);
+      emit('seek', timing());
+    }
+
+    function load(resume) {
+      return fetch(config.dataUrl)
+        .then(function (response) {
+          return response.json().catch(function () { return {}; }).then(function (body) {
+            if (!response.ok) throw { status: response.status, message: body.error || 'This visualization could not be loaded.' };
+            return body;
+          });
+        })
+        .then(function (shared) {
+          if (!shared.visualization) throw { status: 422, message: 'This answer has no visualization.' };
+
+          root.classList.remove('has-error');
+          document.title = shared.question || document.title;
+          engine.loadVisualization(shared.visualization);
+          engine.seek(resume ? resume.currentTime * 1000 : config.start * 1000);
+          if (resume ? resume.playing : config.autoplay) engine.play();
+
+          ready = true;
+          wasPlaying = engine.isPlaying;
+          var state = timing();
+          state.question = shared.question;
+          emit('ready', state);
+        })
+        .catch(function (error) {
+          showError(error.status || 0, error.message || 'This visualization could not be loaded.');
+        });
+    }
+
+    function handleCommand(command) {
+      switch (command.type) {
+        case 'play': play(); break;
+        case 'pause': engine.pause(); break;
+        case 'toggle':
+          if (engine.isPlaying) engine.pause(); else play();
+          break;
+        case 'seek': seek(command.time); break;
+        case 'restart': engine.seek(0); engine.play(); break;
+        case 'setLoop': engine.setLoop(Boolean(command.loop)); break;
+        // Picks up a regenerated answer without reloading the iframe
+        case 'reload': load(ready ? timing() : null); break;
+        case 'getState': emit('state', timing()); break;
+        default: break;
+      }
+    }
+
+    window.addEventListener('message', function (event) {
+      var command = event.data;
+      if (event.source !== window.parent || !command || command.source !== MESSAGE_SOURCE) return;
+      if (!ready && command.type !== 'reload') return;
+      handleCommand(command);
+    });
+
+    // Play, pause and end events are derived from the engine, so they fire
+    // whichever way playback changed (controls, host commands, end of timeline)
+    function watch(now) {
+      if (ready) {
+        if (engine.isPlaying !== wasPlaying) {
+          var ended = !engine.isPlaying && engine.getProgress() >= 1;
+          emit(engine.isPlaying ? 'play' : (ended ? 'ended' : 'pause'), timing());
+          wasPlaying = engine.isPlaying;
+        }
+        if (engine.isPlaying && now - lastTimeUpdate >= TIMEUPDATE_INTERVAL) {
+          lastTimeUpdate = now;
+          emit('timeupdate', timing());
+        }
+        if (playPause) playPause.textContent = engine.isPlaying ? '\\u23F8' : '\\u25B6';
+        if (progressBar) progressBar.style.width = (engine.getProgress() * 100) + '%';
+      }
+      requestAnimationFrame(watch);
+    }
+    requestAnimationFrame(watch);
+
+    if (playPause) {
+      playPause.addEventListener('click', function () { handleCommand({ type: 'toggle' }); });
+    }
+    if (progress) {
+      progress.addEventListener('click', function (event) {
+        if (!ready) return;
+        var box = progress.getBoundingClientRect();
+        seek(((event.clientX - box.left) / box.width) * timing().duration);
+      });
+    }
+
+    load(null);
+  }
+
+  return { mount: mount };
+})();
+`;
+
+/**
+ * The live embed player: a small HTML page per share token, meant for an
+ * iframe, plus one cacheable script (the VisualizationEngine and the player
+ * runtime). Unlike HtmlExporter's snapshot the page fetches the answer when it
+ * loads, so embeds show whichever version of the answer is current.
+ */
+class EmbedPlayer {
+  /**
+   * Read the player options from an embed URL's query string. Anything
+   * missing or malformed falls back to its default, so a typo never breaks
+   * an embedded page.
+   * @param {Object} query - req.query
+   * @returns {Object} - { autoplay, loop, controls, theme, start } (start in seconds)
+   */
+  parseOptions(query = {}) {
+    const flag = (value, fallback) => {
+      if (value === '1' || value === 'true') return true;
+      if (value === '0' || value === 'false') return false;
+      return fallback;
+    };
+    const start = Number(query.t);
+
+    return {
+      autoplay: flag(query.autoplay, true),
+      loop: flag(query.loop, true),
+      controls: flag(query.controls, true),
+      theme: THEMES.includes(query.theme) ? query.theme : THEMES[0],
+      start: Number.isFinite(start) && start > 0 ? start : 0
+    };
+  }
+
+  /**
+   * @returns {string} - player.js: the engine followed by the player runtime
+   */
+  getScript() {
+    if (!this.script) {
+      this.script = `${getEngineScript()}\n${PLAYER_RUNTIME}`;
+    }
+    return this.script;
+  }
+
+  /**
+   * @param {Object} page
+   * @param {string} page.dataUrl - Where the player fetches the shared answer
+   * @param {string} page.scriptUrl - Where player.js is served
+   * @param {Object} page.options - Result of parseOptions()
+   * @returns {string} - Complete HTML document
+   */
+  renderPage({ dataUrl, scriptUrl, options }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Visualization</title>
+<style>
+  html, body { margin: 0; height: 100%; }
+  body { display: flex; flex-direction: column; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #ffffff; color: #2c3e50; }
+  body.theme-dark { background: #1e272e; color: #ecf0f1; }
+  .embed-stage { flex: 1; min-height: 0; display: flex; align-items: center; justify-content: center; }
+  canvas { display: block; max-width: 100%; max-height: 100%; width: auto !important; height: auto !important; aspect-ratio: ${CANVAS_WIDTH} / ${CANVAS_HEIGHT}; }
+  .theme-dark canvas { background: #ffffff; }
+  .embed-controls { display: flex; align-items: center; gap: 8px; padding: 6px 10px; }
+  .embed-controls button { width: 32px; height: 28px; border: none; border-radius: 6px; background: #3498db; color: white; font-size: 14px; cursor: pointer; }
+  .embed-progress { flex: 1; height: 6px; border-radius: 3px; background: #dfe6e9; overflow: hidden; cursor: pointer; }
+  .theme-dark .embed-progress { background: #485460; }
+  .embed-progress-bar { height: 100%; width: 0; background: #3498db; }
+  .embed-message { display: none; padding: 24px; text-align: center; }
+  .has-error .embed-message { display: block; }
+  .has-error .embed-stage, .has-error .embed-controls { display: none; }
+</style>
+</head>
+<body class="theme-${escapeHtml(options.theme)}">
+<div class="embed-message" role="alert"></div>
+<div class="embed-stage"><canvas width="${CANVAS_WIDTH}" height="${CANVAS_HEIGHT}"></canvas></div>
+${options.controls ? `<div class="embed-controls">
+  <button type="button" data-action="play-pause" aria-label="Play or pause"></button>
+  <div class="embed-progress"><div class="embed-progress-bar"></div></div>
+</div>` : ''}
+<script src="${escapeHtml(scriptUrl)}"></script>
+<script>
+ChatToVizPlayer.mount(document.body, ${toScriptJson({ ...options, dataUrl })});
+</script>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = EmbedPlayer;
@@ -0,0 +1,81 @@
+const vm = require('vm');
+const { createCanvas } = require('@napi-rs/canvas');
+const { getEngineScript, getEnginePath } = require('../utils/engineSource');
+
+// Logical canvas size the engine scales visualizations to
+const BASE_WIDTH = 800;
+const BASE_HEIGHT = 600;
+
+// The app draws visualizations on a white canvas; PNGs match it instead of being transparent
+const BACKGROUND = '#ffffff';
+
+/**
+ * Renders single frames of a visualization to PNG on the server, for
+ * thumbnails, previews and regression snapshots. The frontend
+ * VisualizationEngine itself runs in a VM context against a Node canvas, so
+ * frames come out of the same calculateProperties() and render*() code the
+ * browser uses rather than a second implementation.
+ */
+class FrameRenderer {
+  constructor() {
+    this.Engine = null;
+  }
+
+  // The engine class, evaluated once. It only needs the few browser globals below:
+  // frames are drawn one at a time, so nothing ever schedules an animation frame
+  getEngineClass() {
+    if (!this.Engine) {
+      const context = vm.createContext({
+        window: { devicePixelRatio: 1 },
+        performance,
+        console,
+        requestAnimationFrame: () => null,
+        cancelAnimationFrame: () => {}
+      });
+      this.Engine = vm.runInContext(`${getEngineScript()}\nVisualizationEngine;`, context, {
+        filename: getEnginePath()
+      });
+    }
+    return this.Engine;
+  }
+
+  /**
+   * Draw the visualization as it looks at one point of its timeline
+   * @param {Object} visualization - Visualization with layers and duration
+   * @param {number} time - Timeline position in milliseconds, clamped to [0, duration]
+   * @param {Object} options - { width } of the PNG in pixels; the height keeps the 4:3 canvas ratio
+   * @returns {Object} - { png: Buffer, time (the clamped time rendered), width, height, errors }
+   *   errors lists layers the engine failed to draw, as { id, error }
+   */
+  render(visualization, time, options = {}) {
+    const width = Math.round(options.width || BASE_WIDTH);
+    const height = Math.round(width * BASE_HEIGHT / BASE_WIDTH);
+
+    const canvas = createCanvas(width, height);
+    // The engine reads its display size from the element's CSS size, as it would in a page
+    canvas.style = { width: `${width}px`, height: `${height}px` };
+
+    const Engine = this.getEngineClass();
+    const engine = new Engine(canvas, canvas.getContext('2d'));
+    engine.setDebug(false);
+    engine.loadVisualization(visualization);
+    engine.seek(time);
+
+    // The engine clears to transparent, so the frame is laid over the background afterwards
+    const output = createCanvas(width, height);
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(canvas, 0, 0);
+
+    return {
+      png: output.toBuffer('image/png'),
+      time: engine.currentTime,
+      width,
+      height,
+      errors: engine.lastFrameStats.errors
+    };
+  }
+}
+
+module.exports = FrameRenderer;
@@ -0,0 +1,104 @@
+const { getEngineScript } = require('../utils/engineSource');
+const { escapeHtml, toScriptJson } = require('../utils/html');
+
+// Logical canvas size the engine scales visualizations to
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+
+/**
+ * Builds a single self-contained HTML page that plays one answer's
+ * visualization: the VisualizationEngine, the layer JSON, the explanation and
+ * the playback controls are all inlined, so the file works offline (slides,
+ * LMS pages) without the app or its backend.
+ */
+class HtmlExporter {
+  /**
+   * @param {Object} content
+   * @param {string} content.title - Page title, usually the question
+   * @param {string} content.text - Explanation shown under the player
+   * @param {Object} content.visualization - Visualization to play
+   * @param {Date} content.exportedAt - Shown in the footer
+   * @returns {string} - Complete HTML document
+   */
+  render({ title, text, visualization, exportedAt = new Date() }) {
+    const engineScript = getEngineScript().replace(/<\/script/gi, '<\\/script');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; padding: 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f7fa; color: #2c3e50; }
+  .player { max-width: ${CANVAS_WIDTH}px; margin: 0 auto; }
+  h1 { font-size: 1.3rem; margin: 0 0 16px; }
+  .stage { background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.08); overflow: hidden; }
+  canvas { display: block; width: 100% !important; height: auto !important; }
+  .controls { display: flex; align-items: center; gap: 8px; margin-top: 12px; }
+  .controls button { background: #3498db; color: white; border: none; border-radius: 8px; padding: 8px 14px; font-size: 14px; cursor: pointer; }
+  .controls button:hover { background: #2980b9; }
+  .controls label { display: flex; align-items: center; gap: 4px; font-size: 14px; }
+  .progress { flex: 1; height: 6px; background: #dfe6e9; border-radius: 3px; overflow: hidden; }
+  .progress-bar { height: 100%; width: 0; background: #3498db; }
+  .explanation { margin-top: 20px; line-height: 1.6; white-space: pre-wrap; }
+  footer { margin-top: 24px; font-size: 12px; color: #95a5a6; }
+</style>
+</head>
+<body>
+<div class="player">
+  <h1>${escapeHtml(title)}</h1>
+  <div class="stage"><canvas id="visualization" width="${CANVAS_WIDTH}" height="${CANVAS_HEIGHT}"></canvas></div>
+  <div class="controls">
+    <button id="play-pause" type="button">⏸️ Pause</button>
+    <button id="restart" type="button">⏮️ Restart</button>
+    <label><input id="loop" type="checkbox" checked> Loop</label>
+    <div class="progress"><div id="progress-bar" class="progress-bar"></div></div>
+  </div>
+  <p class="explanation">${escapeHtml(text || '')}</p>
+  <footer>Exported from Chat-to-Visualization on ${escapeHtml(exportedAt.toISOString().slice(0, 10))}</footer>
+</div>
+<script>
+${engineScript}
+</script>
+<script>
+(function () {
+  var visualization = ${toScriptJson(visualization)};
+  var canvas = document.getElementById('visualization');
+  var engine = new VisualizationEngine(canvas, canvas.getContext('2d'));
+  var playPause = document.getElementById('play-pause');
+  var progressBar = document.getElementById('progress-bar');
+
+  engine.setDebug(false);
+  engine.setLoop(true);
+  engine.loadVisualization(visualization);
+  engine.play();
+
+  function showState() {
+    playPause.textContent = engine.isPlaying ? '⏸️ Pause' : '▶️ Play';
+    progressBar.style.width = (engine.getProgress() * 100) + '%';
+    requestAnimationFrame(showState);
+  }
+  showState();
+
+  playPause.addEventListener('click', function () {
+    // A finished, non-looping animation starts over
+    if (!engine.isPlaying && engine.getProgress() >= 1) engine.stop();
+    engine.togglePlayPause();
+  });
+  document.getElementById('restart').addEventListener('click', function () {
+    engine.stop();
+    engine.play();
+  });
+  document.getElementById('loop').addEventListener('change', function (event) {
+    engine.setLoop(event.target.checked);
+  });
+})();
+</script>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = HtmlExporter;
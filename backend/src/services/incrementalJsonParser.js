@@ -0,0 +1,213 @@
+// Keys under "visualization" whose array items are layers (some responses use "elements")
+const LAYER_ARRAY_KEYS = ['layers', 'elements'];
+
+/**
+ * Incremental parser for a streamed LLM response of the form
+ * { "text": "...", "visualization": { ..., "layers": [ {...}, ... ] } }
+ *
+ * Chunks are fed in as they arrive. The top-level "text" value is reported
+ * as a decoded delta per chunk, and each layer is reported as soon as its
+ * closing brace is seen, so the client can show them before the response
+ * is complete.
+ * The final answer still comes from parsing the whole response; this parser
+ * only drives previews and never throws on malformed input.
+ */
+class IncrementalJsonParser {
+  /**
+   * @param {Object} handlers - Callbacks for streamed parts
+   * @param {Function} handlers.onTextDelta - (delta) with the decoded "text" added by a chunk
+   * @param {Function} handlers.onVisualizationStart - (meta) with the visualization fields before its layers
+   * @param {Function} handlers.onLayer - (layer, index) for each completed layer
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.buffer = '';
+    this.position = 0;
+    this.stack = []; // Open containers: { type, key, start, expect, pendingKey, index }
+    this.started = false;
+    this.finished = false;
+
+    // String state
+    this.inString = false;
+    this.stringIsKey = false;
+    this.streamingText = false;
+    this.stringValue = '';
+    this.escape = null;
+
+    this.text = '';
+    this.layerCount = 0;
+  }
+
+  // Feed the next chunk of the response
+  push(chunk) {
+    this.buffer += chunk;
+    const textBefore = this.text.length;
+
+    for (; this.position < this.buffer.length && !this.finished; this.position++) {
+      this.consume(this.buffer[this.position], this.position);
+    }
+
+    // One delta per chunk rather than per character
+    if (this.text.length > textBefore && this.handlers.onTextDelta) {
+      this.handlers.onTextDelta(this.text.slice(textBefore));
+    }
+  }
+
+  consume(char, index) {
+    if (this.inString) {
+      this.consumeStringChar(char);
+      return;
+    }
+
+    // Skip anything before the root object, e.g. a ```json fence
+    if (!this.started) {
+      if (char !== '{') return;
+      this.started = true;
+    }
+
+    const top = this.stack[this.stack.length - 1];
+
+    switch (char) {
+      case '"':
+        this.inString = true;
+        this.stringValue = '';
+        this.stringIsKey = Boolean(top) && top.type === 'object' && top.expect === 'key';
+        this.streamingText = !this.stringIsKey && this.stack.length === 1 && top.pendingKey === 'text';
+        break;
+      case '{':
+      case '[':
+        this.openContainer(char === '{' ? 'object' : 'array', index);
+        break;
+      case '}':
+      case ']':
+        this.closeContainer(index);
+        break;
+      case ':':
+        if (top && top.type === 'object') top.expect = 'value';
+        break;
+      case ',':
+        if (top && top.type === 'object') {
+          top.expect = 'key';
+          top.pendingKey = null;
+        } else if (top) {
+          top.index++;
+        }
+        break;
+      default:
+        // Numbers, literals and whitespace don't affect the structure
+        break;
+    }
+  }
+
+  consumeStringChar(char) {
+    if (this.escape !== null) {
+      this.escape += char;
+      const complete = this.escape[1] === 'u' ? this.escape.length === 6 : this.escape.length === 2;
+      if (complete) {
+        this.appendString(this.decodeEscape(this.escape));
+        this.escape = null;
+      }
+      return;
+    }
+
+    if (char === '\\') {
+      this.escape = char;
+    } else if (char === '"') {
+      this.endString();
+    } else {
+      this.appendString(char);
+    }
+  }
+
+  decodeEscape(sequence) {
+    try {
+      return JSON.parse(`"${sequence}"`);
+    } catch (error) {
+      return '';
+    }
+  }
+
+  appendString(value) {
+    if (this.streamingText) {
+      this.text += value;
+    } else if (this.stringIsKey) {
+      this.stringValue += value;
+    }
+  }
+
+  endString() {
+    this.inString = false;
+    const top = this.stack[this.stack.length - 1];
+    if (this.stringIsKey && top) {
+      top.pendingKey = this.stringValue;
+      top.expect = 'colon';
+    }
+    this.streamingText = false;
+  }
+
+  openContainer(type, index) {
+    const parent = this.stack[this.stack.length - 1];
+    const key = parent ? (parent.type === 'object' ? parent.pendingKey : parent.index) : null;
+
+    if (type === 'array' && this.isVisualization(parent) && LAYER_ARRAY_KEYS.includes(key)) {
+      this.reportVisualizationStart(parent, index);
+    }
+
+    this.stack.push({ type, key, start: index, expect: 'key', pendingKey: null, index: 0 });
+  }
+
+  closeContainer(index) {
+    const container = this.stack.pop();
+    if (!container) return;
+
+    if (this.stack.length === 0) {
+      this.finished = true;
+      return;
+    }
+
+    const parent = this.stack[this.stack.length - 1];
+    if (
+      container.type === 'object' &&
+      parent.type === 'array' &&
+      LAYER_ARRAY_KEYS.includes(parent.key) &&
+      this.isVisualization(this.stack[this.stack.length - 2])
+    ) {
+      this.reportLayer(this.buffer.slice(container.start, index + 1));
+    }
+  }
+
+  // The "visualization" object directly under the root
+  isVisualization(container) {
+    return Boolean(container) && container.type === 'object' && container.key === 'visualization' &&
+      this.stack.indexOf(container) === 1;
+  }
+
+  // Parse the visualization's fields that came before its layers (id, duration, fps, ...)
+  reportVisualizationStart(visualization, arrayStart) {
+    if (!this.handlers.onVisualizationStart) return;
+
+    const head = this.buffer
+      .slice(visualization.start, arrayStart)
+      .replace(/,?\s*"(layers|elements)"\s*:\s*$/, '');
+    const meta = this.parseFragment(`${head}}`);
+    this.handlers.onVisualizationStart(meta || {});
+  }
+
+  reportLayer(raw) {
+    const layer = this.parseFragment(raw);
+    if (layer && this.handlers.onLayer) {
+      this.handlers.onLayer(layer, this.layerCount++);
+    }
+  }
+
+  // JSON.parse with the trailing-comma cleanup LLM output usually needs
+  parseFragment(raw) {
+    try {
+      return JSON.parse(raw.replace(/,(\s*[\]}])/g, '$1'));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = IncrementalJsonParser;
@@ -0,0 +1,164 @@
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATUSES = ['queued', 'generating', 'validating', 'done', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Finished jobs are kept this long so late pollers can still read the result
+const DEFAULT_JOB_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * In-memory registry of question processing jobs. POST /api/questions
+ * returns a job id straight away and the work runs in the background;
+ * clients follow it over SSE or by polling GET /api/jobs/:id.
+ */
+class JobManager {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.ttlMs = options.ttlMs || parseInt(process.env.JOB_TTL_MS, 10) || DEFAULT_JOB_TTL_MS;
+  }
+
+  /**
+   * Register a new queued job
+   * @param {Object} details - { userId, questionId, conversationId, regenerate }
+   * @returns {Object} - The created job
+   */
+  create(details) {
+    this.pruneExpired();
+
+    const now = new Date();
+    const job = {
+      id: `j_${uuidv4()}`,
+      userId: details.userId,
+      questionId: details.questionId,
+      conversationId: details.conversationId || null,
+      regenerate: Boolean(details.regenerate), // Adds another answer version to an answered question
+      status: 'queued',
+      stage: null,
+      message: 'Waiting to start...',
+      answerId: null,
+      error: null,
+      validationErrors: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      // Aborted to stop the LLM/validation work; cleared once the answer is being saved
+      abortController: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    console.log(`📋 Created job ${job.id} for question ${job.questionId}`);
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  // Jobs are only visible to the user that submitted them
+  getForUser(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    return job && job.userId === userId ? job : undefined;
+  }
+
+  // The unfinished job generating an answer for a question, if any
+  findActiveForQuestion(questionId) {
+    for (const job of this.jobs.values()) {
+      if (job.questionId === questionId && !this.isFinished(job)) return job;
+    }
+    return undefined;
+  }
+
+  // Whether any of a user's jobs is still running
+  hasActiveForUser(userId) {
+    for (const job of this.jobs.values()) {
+      if (job.userId === userId && !this.isFinished(job)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Apply updates to a job; finished jobs are never changed again
+   * @param {string} jobId - Job to update
+   * @param {Object} updates - Fields to merge (status must be one of JOB_STATUSES)
+   * @returns {Object|undefined} - The updated job
+   */
+  update(jobId, updates) {
+    const job = this.jobs.get(jobId);
+    if (!job || this.isFinished(job)) return job;
+
+    if (updates.status && !JOB_STATUSES.includes(updates.status)) {
+      throw new Error(`Unknown job status "${updates.status}"`);
+    }
+
+    Object.assign(job, updates, { updatedAt: new Date() });
+    if (this.isFinished(job)) {
+      job.finishedAt = job.updatedAt;
+      console.log(`📋 Job ${job.id} ${job.status}`);
+    }
+    return job;
+  }
+
+  complete(jobId, answerId) {
+    return this.update(jobId, {
+      status: 'done',
+      stage: 'completed',
+      message: 'Response ready',
+      answerId
+    });
+  }
+
+  fail(jobId, error) {
+    return this.update(jobId, {
+      status: 'failed',
+      message: 'Failed to process question',
+      error: error.message || String(error),
+      // JSON-pointer paths of schema violations, when that's why it failed
+      validationErrors: error.validationErrors || null
+    });
+  }
+
+  /**
+   * Cancel a job that hasn't started saving its answer yet
+   * @param {string} jobId - Job to cancel
+   * @returns {Object|null} - The cancelled job, or null if it can no longer be cancelled
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || this.isFinished(job) || !job.abortController) return null;
+
+    this.update(jobId, {
+      status: 'cancelled',
+      message: 'Cancelled by user'
+    });
+    job.abortController.abort();
+    return job;
+  }
+
+  // Past this point cancel() is refused, so a saved answer is never left behind
+  markUncancellable(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job) job.abortController = null;
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  // Drop finished jobs older than the TTL
+  pruneExpired() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  // Public view of a job (the owning userId and abort controller are left out)
+  serialize(job) {
+    const { userId, abortController, ...rest } = job;
+    return { ...rest, cancellable: Boolean(abortController) && !this.isFinished(job) };
+  }
+}
+
+module.exports = JobManager;
@@ -1,27 +1,69 @@
 require('dotenv').config();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const ValidationEngine = require('./validationEngine');
+const SchemaValidator = require('./schemaValidator');
+const VisualLinter = require('./visualLinter');
+const IncrementalJsonParser = require('./incrementalJsonParser');
 const { dataStore } = require('../models/dataStore');
+const { createLLMProvider } = require('../providers');
+const { isAbortError, throwIfAborted } = require('../utils/abort');
+const { applyRepairs, repairLayer } = require('../repairs');
+
+// Follow-up prompts allowed when a response isn't valid JSON (LLM_JSON_REPAIR_ATTEMPTS, 0 disables)
+const DEFAULT_JSON_REPAIR_ATTEMPTS = 2;
+
+// Low temperature so repairs stay close to the broken response
+const JSON_REPAIR_GENERATION_CONFIG = {
+  temperature: 0.1,
+  topP: 0.8,
+};
+
+// Characters of the broken response shown around the parse error
+const JSON_REPAIR_EXCERPT_RADIUS = 400;
 
 class LLMService {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'demo-key');
-    this.model = this.genAI.getGenerativeModel({ model: "gemini-2.5-pro" });
-    
-    // Initialize validation engine
+  constructor(options = {}) {
+    // Gemini or the offline fixture provider, chosen by LLM_PROVIDER. Without a usable
+    // provider the server still runs (history, shares, exports) but can't answer questions
+    this.provider = null;
+    this.providerError = null;
     try {
-      this.validationEngine = new ValidationEngine();
-      console.log('✅ Validation engine initialized');
+      this.provider = options.provider || createLLMProvider();
+      console.log(`🤖 LLM provider: ${this.provider.name}`);
     } catch (error) {
-      console.warn('⚠️ Validation engine failed to initialize:', error.message);
-      this.validationEngine = null;
+      this.providerError = error.message;
+      console.error(`❌ LLM provider unavailable: ${error.message}`);
+    }
+
+    const repairAttempts = options.jsonRepairAttempts ?? parseInt(process.env.LLM_JSON_REPAIR_ATTEMPTS, 10);
+    this.jsonRepairAttempts = Number.isInteger(repairAttempts) && repairAttempts >= 0
+      ? repairAttempts
+      : DEFAULT_JSON_REPAIR_ATTEMPTS;
+    
+    // Schema and visual lint checks are local and don't need a provider
+    this.schemaValidator = options.schemaValidator || new SchemaValidator();
+    this.visualLinter = options.visualLinter || new VisualLinter();
+
+    // Initialize validation engine (it shares the same provider)
+    this.validationEngine = null;
+    if (this.provider) {
+      try {
+        this.validationEngine = new ValidationEngine({ provider: this.provider });
+        console.log('✅ Validation engine initialized');
+      } catch (error) {
+        console.warn('⚠️ Validation engine failed to initialize:', error.message);
+      }
     }
   }
 
-  // Build conversation context from recent Q&As for multi-turn conversations
-  async buildConversationContext(limit = 3) {
+  // Build conversation context from the recent Q&As of the user's current thread,
+  // or only from the branch leading to parentId when it is given
+  async buildConversationContext(userId, conversationId = null, limit = 3, parentId = undefined) {
     try {
-      const recentQAs = await dataStore.getRecentQuestionsWithAnswers(limit);
+      if (!userId) {
+        return null; // Never mix in another user's history
+      }
+
+      const recentQAs = await dataStore.getRecentQuestionsWithAnswers({ userId, conversationId, parentId, limit });
       
       if (recentQAs.length === 0) {
         return null; // No previous conversation
@@ -54,7 +96,10 @@ class LLMService {
   }
 
   async generateExplanationAndVisualization(question, options = {}) {
-    const { onProgress, validation = false } = options; // Default validation to false (OFF)
+    const { onProgress, onTextDelta, onLayer, validation = false, userId, conversationId, parentId, signal } = options; // Default validation to false (OFF)
+    if (!this.provider) {
+      throw new Error(`LLM provider unavailable: ${this.providerError}`);
+    }
     console.log(`🔍 Validation ${validation ? 'enabled' : 'disabled'} for LLM generation`);
     
     const systemPrompt = `You are an expert science educator with access to an advanced visualization engine. Create engaging explanations and stunning visualizations for any scientific question.
@@ -224,16 +269,11 @@ Text Positioning Guidelines:
 Canvas size: 800x400px (auto-scaled)`;
 
     try {
-      // For demo purposes, if no API key, return mock data
-      if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'demo-key') {
-        return this.generateMockResponse(question);
-      }
-
       // Progress: Starting LLM generation
       if (onProgress) onProgress('llm_generation', 'Sending question to AI for initial response...');
 
       // Build conversation context for multi-turn conversations
-      const conversationContext = await this.buildConversationContext(3);
+      const conversationContext = await this.buildConversationContext(userId, conversationId, 3, parentId);
       
       // Construct the prompt with optional conversation context
       let prompt = systemPrompt;
@@ -259,62 +299,82 @@ Please respond with ONLY a valid JSON object (no markdown formatting or extra te
 
       console.log(`🔗 Context: ${conversationContext ? 'Using conversation history' : 'No previous context'}`);
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      // Stream the response so the explanation and finished layers can be shown while it arrives
+      let streamedVisualization = {};
+      let previewLayerCount = 0;
+      const streamParser = new IncrementalJsonParser({
+        onTextDelta,
+        onVisualizationStart: (meta) => { streamedVisualization = meta; },
+        onLayer: (layer, index) => {
+          if (!onLayer) return;
+          // Previews get the same repairs as the final answer; one layer may expand into several
+          const { layers } = repairLayer(layer, `/visualization/layers/${index}`);
+          layers.forEach(repaired => onLayer(repaired, previewLayerCount++, streamedVisualization));
+        }
+      });
+      let text = '';
+
+      for await (const chunk of this.provider.streamText(prompt, { task: 'generation', question, signal })) {
+        text += chunk;
+        streamParser.push(chunk);
+      }
       
       // Progress: Initial response received
       if (onProgress) onProgress('llm_response_received', 'Initial response received, parsing and validating...');
       
-      // Clean the response to ensure it's valid JSON
-      let cleanedResponse = text.replace(/```json\n?|\n?```/g, '').trim();
+      let parseResult = this.parseResponseText(text);
       
-      // Additional cleaning for common AI response issues
-      cleanedResponse = cleanedResponse
-        .replace(/\.\.\..*?\.\.\./g, '') // Remove ellipsis shortcuts like "...Array.f..."
-        .replace(/,\s*\]/g, ']')         // Remove trailing commas before closing brackets
-        .replace(/,\s*\}/g, '}')         // Remove trailing commas before closing braces
-        .replace(/,(\s*[,\]\}])/g, '$1') // Remove duplicate commas
-        .trim();
-      
-      let parsed;
-      try {
-        parsed = JSON.parse(cleanedResponse);
-      } catch (parseError) {
-        console.error('JSON Parse Error:', parseError.message);
-        console.error('Problematic JSON:', cleanedResponse.substring(0, 500) + '...');
-        
-        // Try to repair common JSON issues and parse again
-        let repairedJson = cleanedResponse
-          .replace(/\.\.\..*?\.\.\./g, '""') // Replace ellipsis with empty strings
-          .replace(/,(\s*[,\]\}])/g, '$1')   // Remove duplicate commas again
-          .replace(/([,\[])\s*,/g, '$1')     // Remove leading commas after brackets
-          .replace(/:\s*,/g, ': ""')         // Replace missing values with empty strings
-          .replace(/,\s*$/g, '');            // Remove trailing commas at end
-        
-        try {
-          parsed = JSON.parse(repairedJson);
-          console.log('✅ Successfully repaired and parsed JSON');
-        } catch (repairError) {
-          throw new Error(`Invalid JSON response from AI that could not be repaired: ${parseError.message}`);
+      // Send unparseable responses back to the model with the parse error
+      for (let attempt = 1; parseResult.error && attempt <= this.jsonRepairAttempts; attempt++) {
+        if (onProgress) {
+          onProgress(
+            'json_repair_attempt',
+            `Response was not valid JSON, asking the AI to fix it (attempt ${attempt} of ${this.jsonRepairAttempts})...`,
+            { attempt, maxAttempts: this.jsonRepairAttempts }
+          );
         }
+        
+        const repairText = await this.provider.generateText(
+          this.buildJsonRepairPrompt(parseResult.cleanedResponse, parseResult.error),
+          { task: 'repair', question, generationConfig: JSON_REPAIR_GENERATION_CONFIG, signal }
+        );
+        parseResult = this.parseResponseText(repairText);
+        if (!parseResult.error) console.log(`✅ JSON repaired by the AI on attempt ${attempt}`);
       }
       
+      if (parseResult.error) {
+        throw new Error(`Invalid JSON response from AI that could not be repaired: ${parseResult.error.message}`);
+      }
+      let parsed = parseResult.parsed;
+      
+      // Fix known LLM mistakes with local rules before any LLM-based validation
+      const repairs = this.applyRepairs(parsed, onProgress);
+      parsed = repairs.response;
+      const fixes = [...repairs.fixes];
+      
       // 🔍 VALIDATION STEP: Use validation engine to check and fix the response (if enabled)
+      const llmValidation = { status: 'disabled', changes: [] };
       if (validation && this.validationEngine) {
         try {
           // Progress: Starting validation
           if (onProgress) onProgress('validation_started', 'Initial response generated! Running validation checks...');
           
           console.log('🔍 Running validation engine on LLM response...');
-          const validatedResponse = await this.validationEngine.validateAndFix(parsed, question);
-          parsed = validatedResponse;
+          const validatedResponse = await this.validationEngine.validateAndFix(parsed, question, { signal });
+          llmValidation.status = 'applied';
+          llmValidation.changes = this.validationEngine.describeChanges(parsed, validatedResponse);
+          // The validator may reintroduce mistakes the rules already know how to fix
+          const revalidated = this.applyRepairs(validatedResponse, onProgress);
+          parsed = revalidated.response;
+          fixes.push(...revalidated.fixes);
           
           // Progress: Validation completed
           if (onProgress) onProgress('validation_completed', 'Validation completed! Applying final optimizations...');
           console.log('✅ Validation completed successfully');
         } catch (validationError) {
+          if (isAbortError(validationError)) throw validationError;
           console.warn('⚠️ Validation failed, using original response:', validationError.message);
+          llmValidation.status = 'failed';
           if (onProgress) onProgress('validation_skipped', 'Validation skipped, using original response...');
           // Continue with original response if validation fails
         }
@@ -323,137 +383,20 @@ Please respond with ONLY a valid JSON object (no markdown formatting or extra te
         if (onProgress) onProgress('validation_skipped', 'Validation disabled by user preference...');
       } else {
         console.log('⚠️ Validation engine not available, skipping validation');
+        llmValidation.status = 'unavailable';
         if (onProgress) onProgress('validation_unavailable', 'Processing response without validation...');
       }
       
-      // Transform format if LLM used 'elements' instead of 'layers'
-      if (parsed.visualization && parsed.visualization.elements && !parsed.visualization.layers) {
-        parsed.visualization.layers = parsed.visualization.elements;
-        delete parsed.visualization.elements;
-        
-        // Ensure required top-level properties exist
-        if (!parsed.visualization.id) {
-          parsed.visualization.id = `viz_${Date.now()}`;
-        }
-        if (!parsed.visualization.duration) {
-          parsed.visualization.duration = 5000;
-        }
-        if (!parsed.visualization.fps) {
-          parsed.visualization.fps = 30;
-        }
-      }
-      
-      // Transform SVG coordinates to Canvas coordinates
-      if (parsed.visualization && parsed.visualization.layers) {
-        const transformedLayers = [];
-        
-        parsed.visualization.layers.forEach(layer => {
-          if (!layer.props) {
-            transformedLayers.push(layer);
-            return;
-          }
-          
-          // Transform cx, cy to x, y for circles
-          if (layer.props.cx !== undefined) {
-            layer.props.x = layer.props.cx;
-            delete layer.props.cx;
-          }
-          if (layer.props.cy !== undefined) {
-            layer.props.y = layer.props.cy;
-            delete layer.props.cy;
-          }
-          
-          // Transform SVG path 'd' attribute - for now, skip complex paths
-          if (layer.type === 'path' && layer.props.d) {
-            console.warn('Path elements with SVG d attribute are not supported. Converting to simple shapes.');
-            layer.type = 'wave';
-            layer.props = {
-              startX: 0, endX: 800, startY: 200,
-              amplitude: 50, frequency: 0.02,
-              stroke: layer.props.stroke || '#3498db',
-              strokeWidth: layer.props.strokeWidth || 3
-            };
-            delete layer.props.d;
-          }
-          
-          // Transform wave properties to match engine expectations
-          if (layer.type === 'wave' && layer.props.x !== undefined && layer.props.width !== undefined) {
-            const startX = layer.props.x || 0;
-            const width = layer.props.width || 800;
-            const startY = layer.props.y || 200;
-            
-            layer.props.startX = startX;
-            layer.props.endX = startX + width;
-            layer.props.startY = startY;
-            layer.props.amplitude = layer.props.amplitude || 20;
-            layer.props.frequency = layer.props.frequency || 0.02;
-            
-            // Transform animations that reference old properties
-            if (layer.animations) {
-              layer.animations.forEach(animation => {
-                if (animation.property === 'x') {
-                  // Convert x animation to phase animation for wave movement
-                  animation.property = 'phase';
-                  animation.startValue = 0;
-                  animation.endValue = Math.PI * 2; // Full wave cycle
-                }
-              });
-            }
-            
-            // Clean up old properties
-            delete layer.props.x;
-            delete layer.props.y;
-            delete layer.props.width;
-            delete layer.props.height;
-          }
-          
-          // Transform particle properties to individual circles
-          if (layer.type === 'particle') {
-            if (layer.props.count && layer.props.spread) {
-              // Convert particle system to individual animated circles
-              const count = Math.min(layer.props.count, 20); // Limit for performance
-              const spread = layer.props.spread;
-              const baseX = layer.props.x || 0;
-              const baseY = layer.props.y || 200;
-              
-              // Create individual circle layers for each particle
-              for (let i = 0; i < count; i++) {
-                const particleX = baseX + (Math.random() * spread);
-                const particleY = baseY + (Math.random() * 40 - 20);
-                
-                transformedLayers.push({
-                  id: `${layer.id}_particle_${i}`,
-                  type: 'circle',
-                  props: {
-                    x: particleX,
-                    y: particleY,
-                    r: layer.props.r || 3,
-                    fill: layer.props.fill || '#e74c3c'
-                  },
-                  animations: layer.animations ? layer.animations.map(anim => ({
-                    ...anim,
-                    delay: (anim.delay || 0) + i * 50 // Stagger animations
-                  })) : []
-                });
-              }
-              return; // Skip adding the original particle layer
-            }
-          }
-          
-          // Add the original layer (possibly transformed)
-          transformedLayers.push(layer);
-        });
-        
-        // Replace layers with transformed layers
-        parsed.visualization.layers = transformedLayers;
-      }
-      
       // Progress: Final completion
       if (onProgress) onProgress('completed', 'Response ready! Loading visualization...');
       
-      return parsed;
+      throwIfAborted(signal);
+      return { ...parsed, repairs: fixes, llmValidation };
     } catch (error) {
-      console.error('Gemini API Error:', error);
+      // Cancellation is not a failure; let the caller tell the two apart
+      if (isAbortError(error)) throw error;
+
+      console.error(`LLM provider (${this.provider.name}) error:`, error);
       
       // Determine appropriate error message based on error type
       let errorMessage = 'Failed to generate AI response';
@@ -477,711 +420,109 @@ Please respond with ONLY a valid JSON object (no markdown formatting or extra te
     }
   }
 
-  generateMockResponse(question) {
-    const lowerQuestion = question.toLowerCase();
-    
-    if (lowerQuestion.includes('wave') || lowerQuestion.includes('propagat')) {
-      return {
-        text: "Waves propagate by transferring energy through a medium without the actual movement of the medium itself. Think of it like a domino effect – each domino falls (transfers energy), but stays in roughly the same location.",
-        visualization: {
-          id: "wave_propagation_demo",
-          duration: 6000,
-          fps: 30,
-          layers: [
-            // Background
-            {
-              id: "background",
-              type: "rectangle",
-              props: {
-                x: 0, y: 0, width: 800, height: 400,
-                fill: "#2c3e50"
-              },
-              animations: []
-            },
-            // Wave particles showing oscillation
-            {
-              id: "particle_1",
-              type: "circle",
-              props: { 
-                x: 100, y: 200, r: 8, 
-                fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
-              },
-              animations: [
-                {
-                  property: "y",
-                  startValue: 200,
-                  endValue: 150,
-                  duration: 2000,
-                  easing: "easeInOutQuad",
-                  repeat: true,
-                  alternate: true
-                }
-              ]
-            },
-            {
-              id: "particle_2",
-              type: "circle",
-              props: { 
-                x: 200, y: 200, r: 8, 
-                fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
-              },
-              animations: [
-                {
-                  property: "y",
-                  startValue: 200,
-                  endValue: 250,
-                  duration: 2000,
-                  delay: 500,
-                  easing: "easeInOutQuad",
-                  repeat: true,
-                  alternate: true
-                }
-              ]
-            },
-            {
-              id: "particle_3",
-              type: "circle",
-              props: { 
-                x: 300, y: 200, r: 8, 
-                fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
-              },
-              animations: [
-                {
-                  property: "y",
-                  startValue: 200,
-                  endValue: 150,
-                  duration: 2000,
-                  delay: 1000,
-                  easing: "easeInOutQuad",
-                  repeat: true,
-                  alternate: true
-                }
-              ]
-            },
-            {
-              id: "particle_4",
-              type: "circle",
-              props: { 
-                x: 400, y: 200, r: 8, 
-                fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
-              },
-              animations: [
-                {
-                  property: "y",
-                  startValue: 200,
-                  endValue: 250,
-                  duration: 2000,
-                  delay: 1500,
-                  easing: "easeInOutQuad",
-                  repeat: true,
-                  alternate: true
-                }
-              ]
-            },
-            {
-              id: "particle_5",
-              type: "circle",
-              props: { 
-                x: 500, y: 200, r: 8, 
-                fill: "#3498db", stroke: "#2980b9", strokeWidth: 2
-              },
-              animations: [
-                {
-                  property: "y",
-                  startValue: 200,
-                  endValue: 150,
-                  duration: 2000,
-                  delay: 2000,
-                  easing: "easeInOutQuad",
-                  repeat: true,
-                  alternate: true
-                }
-              ]
-            },
-            // Energy indicator moving along
-            {
-              id: "energy_pulse",
-              type: "circle",
-              props: { 
-                x: 50, y: 200, r: 15, 
-                fill: "#e74c3c", opacity: 0.7
-              },
-              animations: [
-                {
-                  property: "x",
-                  startValue: 50,
-                  endValue: 750,
-                  duration: 5000,
-                  easing: "linear",
-                  repeat: true
-                },
-                {
-                  property: "opacity",
-                  startValue: 0.7,
-                  endValue: 0.3,
-                  duration: 500,
-                  easing: "easeInOutQuad",
-                  repeat: true,
-                  alternate: true
-                }
-              ]
-            },
-            // Title
-            {
-              id: "title",
-              type: "text",
-              props: { 
-                x: 400, y: 100, 
-                text: "Wave Energy Propagation", 
-                fontSize: 22, 
-                color: "#ecf0f1"
-              },
-              animations: [
-                {
-                  property: "opacity",
-                  startValue: 0,
-                  endValue: 1,
-                  duration: 1000,
-                  delay: 1000,
-                  easing: "easeOutQuad"
-                }
-              ]
-            }
-          ]
-        }
-      };
-    }
+  /**
+   * Clean up raw model output and parse it
+   * @param {string} text - Response text as returned by the provider
+   * @returns {Object} - { parsed, cleanedResponse, error } where error is set if it couldn't be parsed
+   */
+  parseResponseText(text) {
+    // Clean the response to ensure it's valid JSON
+    let cleanedResponse = text.replace(/```json\n?|\n?```/g, '').trim();
     
-    if (lowerQuestion.includes('newton') || lowerQuestion.includes('motion') || lowerQuestion.includes('force')) {
-      return {
-        text: "Newton's First Law states that an object will remain at rest or in uniform motion unless acted upon by an external force. This animation shows a ball moving at constant velocity after being pushed.",
-        visualization: {
-          id: "newtons_first_law",
-          duration: 6000,
-          fps: 30,
-          layers: [
-            // Background
-            {
-              id: "background",
-              type: "rectangle",
-              props: {
-                x: 0, y: 0, width: 800, height: 400,
-                fill: "#2c3e50"
-              },
-              animations: []
-            },
-            // Moving ball - simple linear motion
-            {
-              id: "ball",
-              type: "circle",
-              props: { 
-                x: 100, y: 200, r: 25, 
-                fill: "#3498db", stroke: "#2980b9", strokeWidth: 3
-              },
-              animations: [
-                {
-                  property: "x",
-                  startValue: 100,
-                  endValue: 700,
-                  duration: 4000,
-                  delay: 1000,
-                  easing: "linear",
-                  repeat: false
-                }
-              ]
-            },
-            // Force arrow (appears briefly)
-            {
-              id: "force_indicator",
-              type: "rectangle",
-              props: { 
-                x: 50, y: 190, width: 40, height: 8,
-                fill: "#e74c3c"
-              },
-              animations: [
-                {
-                  property: "opacity",
-                  startValue: 0,
-                  endValue: 1,
-                  duration: 500,
-                  delay: 500,
-                  easing: "easeOutQuad"
-                },
-                {
-                  property: "opacity",
-                  startValue: 1,
-                  endValue: 0,
-                  duration: 500,
-                  delay: 1000,
-                  easing: "easeInQuad"
-                }
-              ]
-            },
-            // Text label
-            {
-              id: "label",
-              type: "text",
-              props: { 
-                x: 400, y: 100, 
-                text: "Constant Velocity Motion", 
-                fontSize: 20, 
-                color: "#ecf0f1"
-              },
-              animations: [
-                {
-                  property: "opacity",
-                  startValue: 0,
-                  endValue: 1,
-                  duration: 1000,
-                  delay: 2000,
-                  easing: "easeOutQuad"
-                }
-              ]
-            }
-          ]
-        }
-      };
-    }
+    // Additional cleaning for common AI response issues
+    cleanedResponse = cleanedResponse
+      .replace(/\.\.\..*?\.\.\./g, '') // Remove ellipsis shortcuts like "...Array.f..."
+      .replace(/,\s*\]/g, ']')         // Remove trailing commas before closing brackets
+      .replace(/,\s*\}/g, '}')         // Remove trailing commas before closing braces
+      .replace(/,(\s*[,\]\}])/g, '$1') // Remove duplicate commas
+      .trim();
     
-    if (lowerQuestion.includes('solar') || lowerQuestion.includes('planet') || lowerQuestion.includes('sun')) {
-      return {
-        text: "The Solar System consists of the Sun at the center with planets orbiting around it due to gravitational pull. Earth is the third planet from the Sun.",
-        visualization: {
-          id: "solar_system",
-          duration: 8000,
-          fps: 30,
-          layers: [
-            // Space background with gradient
-            {
-              id: "space",
-              type: "gradient",
-              props: {
-                shape: "rectangle",
-                type: "radial",
-                x: 400, y: 200, radius: 300,
-                width: 800, height: 400,
-                colorStops: [
-                  {offset: 0, color: "#2c3e50"},
-                  {offset: 0.7, color: "#34495e"},
-                  {offset: 1, color: "#1a252f"}
-                ]
-              },
-              animations: []
-            },
-            // Sun with glow effect
-            {
-              id: "sun_glow",
-              type: "gradient",
-              props: {
-                shape: "circle",
-                type: "radial",
-                x: 400, y: 200, radius: 50,
-                colorStops: [
-                  {offset: 0, color: "#f39c12"},
-                  {offset: 0.6, color: "#e67e22"},
-                  {offset: 1, color: "rgba(243, 156, 18, 0)"}
-                ]
-              },
-              animations: [
-                {
-                  property: "radius",
-                  startValue: 45,
-                  endValue: 55,
-                  duration: 2000,
-                  easing: "easeInOutQuad",
-                  alternate: true,
-                  repeat: true
-                }
-              ]
-            },
-            // Sun core
-            {
-              id: "sun",
-              type: "circle",
-              props: { x: 400, y: 200, r: 25, fill: "#f1c40f", stroke: "#e67e22", strokeWidth: 2 },
-              animations: []
-            },
-            // Mercury - fast inner orbit
-            {
-              id: "mercury",
-              type: "circle",
-              props: { x: 450, y: 200, r: 4, fill: "#95a5a6" },
-              animations: [
-                {
-                  property: "orbit",
-                  centerX: 400,
-                  centerY: 200,
-                  radius: 50,
-                  duration: 2000,
-                  repeat: true,
-                  easing: "linear"
-                }
-              ]
-            },
-            // Earth - medium orbit
-            {
-              id: "earth",
-              type: "circle",
-              props: { x: 500, y: 200, r: 8, fill: "#3498db", stroke: "#27ae60", strokeWidth: 1 },
-              animations: [
-                {
-                  property: "orbit",
-                  centerX: 400,
-                  centerY: 200,
-                  radius: 100,
-                  duration: 4000,
-                  repeat: true,
-                  easing: "linear"
-                }
-              ]
-            },
-            // Mars - slower outer orbit
-            {
-              id: "mars",
-              type: "circle",
-              props: { x: 550, y: 200, r: 6, fill: "#e74c3c" },
-              animations: [
-                {
-                  property: "orbit",
-                  centerX: 400,
-                  centerY: 200,
-                  radius: 150,
-                  duration: 6000,
-                  repeat: true,
-                  easing: "linear"
-                }
-              ]
-            },
-            // Orbital paths as dashed circles
-            {
-              id: "earth_orbit",
-              type: "arc",
-              props: { 
-                x: 400, y: 200, radius: 100, 
-                startAngle: 0, endAngle: 6.28,
-                stroke: "#7f8c8d", strokeWidth: 1, opacity: 0.4
-              },
-              animations: []
-            },
-            // Stars as particles
-            {
-              id: "stars",
-              type: "particle",
-              props: {
-                particles: Array.from({length: 30}, () => ({
-                  x: Math.random() * 800,
-                  y: Math.random() * 400,
-                  size: Math.random() * 2 + 1,
-                  color: "#ecf0f1",
-                  opacity: Math.random() * 0.8 + 0.2
-                }))
-              },
-              animations: []
-            }
-          ]
-        }
-      };
+    let parsed;
+    try {
+      parsed = JSON.parse(cleanedResponse);
+    } catch (parseError) {
+      console.error('JSON Parse Error:', parseError.message);
+      console.error('Problematic JSON:', cleanedResponse.substring(0, 500) + '...');
+      
+      // Try to repair common JSON issues and parse again
+      let repairedJson = cleanedResponse
+        .replace(/\.\.\..*?\.\.\./g, '""') // Replace ellipsis with empty strings
+        .replace(/,(\s*[,\]\}])/g, '$1')   // Remove duplicate commas again
+        .replace(/([,\[])\s*,/g, '$1')     // Remove leading commas after brackets
+        .replace(/:\s*,/g, ': ""')         // Replace missing values with empty strings
+        .replace(/,\s*$/g, '');            // Remove trailing commas at end
+      
+      try {
+        parsed = JSON.parse(repairedJson);
+        console.log('✅ Successfully repaired and parsed JSON');
+      } catch (repairError) {
+        return { parsed: null, cleanedResponse, error: parseError };
+      }
     }
-    
-    if (lowerQuestion.includes('photosynthesis') || lowerQuestion.includes('plant') || lowerQuestion.includes('chlorophyll')) {
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || !parsed.text || !parsed.visualization) {
       return {
-        text: "Photosynthesis converts sunlight, CO₂, and water into glucose and oxygen. This visualization shows the process: yellow light particles energize green chloroplasts, CO₂ and H₂O molecules enter, and glucose (blue) and oxygen (white) are produced.",
-        visualization: {
-          id: "photosynthesis_process",
-          duration: 8000,
-          fps: 30,
-          layers: [
-            // Background gradient (representing plant cell environment)
-            {
-              id: "cell_background",
-              type: "gradient",
-              props: {
-                shape: "rectangle",
-                type: "radial",
-                x: 400, y: 200, radius: 300,
-                colorStops: [
-                  {offset: 0, color: "#d5f4e6"},
-                  {offset: 1, color: "#27ae60"}
-                ]
-              }
-            },
-            // Chloroplast (where photosynthesis occurs)
-            {
-              id: "chloroplast",
-              type: "ellipse",
-              props: { 
-                x: 400, y: 200, radiusX: 120, radiusY: 80, 
-                fill: "#2ecc71", stroke: "#27ae60", strokeWidth: 3,
-                opacity: 0.8
-              },
-              animations: [
-                {
-                  property: "opacity",
-                  startValue: 0.8,
-                  endValue: 1.0,
-                  duration: 1000,
-                  easing: "easeInOutQuad",
-                  repeat: true,
-                  alternate: true
-                }
-              ]
-            },
-            // Sun (light source)
-            {
-              id: "sun",
-              type: "star",
-              props: { 
-                x: 100, y: 60, outerRadius: 30, innerRadius: 18,
-                points: 12, fill: "#f1c40f", stroke: "#f39c12", strokeWidth: 2
-              },
-              animations: [
-                {
-                  property: "rotation",
-                  startValue: 0,
-                  endValue: 6.28,
-                  duration: 3000,
-                  easing: "linear",
-                  repeat: true
-                }
-              ]
-            },
-            // Light photons traveling to chloroplast
-            {
-              id: "photons",
-              type: "particle",
-              props: {
-                particles: Array.from({length: 15}, (_, i) => ({
-                  x: 130 + i * 20,
-                  y: 60 + Math.sin(i * 0.4) * 15,
-                  size: 4,
-                  color: "#f1c40f",
-                  opacity: 0.9
-                }))
-              },
-              animations: [
-                {
-                  property: "opacity",
-                  startValue: 0.3,
-                  endValue: 1.0,
-                  duration: 500,
-                  delay: i => i * 100,
-                  easing: "easeInQuad",
-                  repeat: true
-                }
-              ]
-            },
-            // CO₂ molecules entering
-            {
-              id: "co2_molecules",
-              type: "particle",
-              props: {
-                particles: [
-                  {x: 50, y: 120, size: 8, color: "#95a5a6", opacity: 0.8},
-                  {x: 80, y: 140, size: 8, color: "#95a5a6", opacity: 0.8},
-                  {x: 110, y: 160, size: 8, color: "#95a5a6", opacity: 0.8}
-                ]
-              },
-              animations: [
-                {
-                  property: "x",
-                  startValue: 50,
-                  endValue: 350,
-                  duration: 2500,
-                  delay: i => i * 300,
-                  easing: "easeInOutQuad"
-                }
-              ]
-            },
-            // H₂O molecules entering
-            {
-              id: "h2o_molecules",
-              type: "particle",
-              props: {
-                particles: [
-                  {x: 50, y: 280, size: 6, color: "#3498db", opacity: 0.8},
-                  {x: 80, y: 300, size: 6, color: "#3498db", opacity: 0.8},
-                  {x: 110, y: 320, size: 6, color: "#3498db", opacity: 0.8}
-                ]
-              },
-              animations: [
-                {
-                  property: "x",
-                  startValue: 50,
-                  endValue: 350,
-                  duration: 2000,
-                  delay: i => i * 200,
-                  easing: "easeInOutQuad"
-                }
-              ]
-            },
-            // Glucose production (blue particles leaving)
-            {
-              id: "glucose_output",
-              type: "particle",
-              props: {
-                particles: [
-                  {x: 450, y: 180, size: 10, color: "#2980b9", opacity: 0},
-                  {x: 460, y: 200, size: 10, color: "#2980b9", opacity: 0},
-                  {x: 440, y: 220, size: 10, color: "#2980b9", opacity: 0}
-                ]
-              },
-              animations: [
-                {
-                  property: "x",
-                  startValue: 450,
-                  endValue: 700,
-                  duration: 2000,
-                  delay: 3000,
-                  easing: "easeOutQuad"
-                },
-                {
-                  property: "opacity",
-                  startValue: 0,
-                  endValue: 1,
-                  duration: 500,
-                  delay: 3000,
-                  easing: "easeOutQuad"
-                }
-              ]
-            },
-            // Oxygen bubbles (white particles floating up)
-            {
-              id: "oxygen_bubbles",
-              type: "particle",
-              props: {
-                particles: Array.from({length: 6}, (_, i) => ({
-                  x: 400 + Math.cos(i) * 20,
-                  y: 140,
-                  size: 5,
-                  color: "#ecf0f1",
-                  opacity: 0
-                }))
-              },
-              animations: [
-                {
-                  property: "y",
-                  startValue: 140,
-                  endValue: 20,
-                  duration: 2500,
-                  delay: i => 3500 + i * 200,
-                  easing: "easeOutQuad"
-                },
-                {
-                  property: "opacity",
-                  startValue: 0,
-                  endValue: 1,
-                  duration: 300,
-                  delay: i => 3500 + i * 200,
-                  easing: "easeOutQuad"
-                }
-              ]
-            },
-            // Chemical equation text
-            {
-              id: "equation",
-              type: "text",
-              props: { 
-                x: 400, y: 350, 
-                text: "6CO₂ + 6H₂O + Light Energy → C₆H₁₂O₆ + 6O₂", 
-                fontSize: 14, color: "#2c3e50",
-                opacity: 0
-              },
-              animations: [
-                {
-                  property: "opacity",
-                  startValue: 0,
-                  endValue: 1,
-                  duration: 1000,
-                  delay: 5000,
-                  easing: "easeInQuad"
-                }
-              ]
-            }
-          ]
-        }
+        parsed: null,
+        cleanedResponse,
+        error: new Error('Response must be a JSON object with "text" and "visualization"')
       };
     }
 
-    // Default response with advanced shapes
-    return {
-      text: "This is an interesting scientific concept! Let me create a dynamic visualization to help explain it.",
-      visualization: {
-        id: "generic_concept",
-        duration: 4000,
-        fps: 30,
-        layers: [
-          // Animated gradient background
-          {
-            id: "background",
-            type: "gradient",
-            props: {
-              shape: "rectangle",
-              type: "radial",
-              x: 400, y: 200, radius: 200,
-              width: 800, height: 400,
-              colorStops: [
-                {offset: 0, color: "#667eea"},
-                {offset: 1, color: "#764ba2"}
-              ]
-            },
-            animations: [
-              {
-                property: "radius",
-                startValue: 200,
-                endValue: 300,
-                duration: 2000,
-                easing: "easeInOutQuad",
-                alternate: true,
-                repeat: true
-              }
-            ]
-          },
-          // Central pulsing element
-          {
-            id: "main_element",
-            type: "star",
-            props: { 
-              x: 400, y: 200, outerRadius: 30, innerRadius: 15,
-              points: 6, fill: "#f1c40f", stroke: "#e67e22", strokeWidth: 2
-            },
-            animations: [
-              {
-                property: "outerRadius",
-                startValue: 30,
-                endValue: 50,
-                duration: 1500,
-                easing: "easeInOutBounce",
-                alternate: true,
-                repeat: true
-              },
-              {
-                property: "rotation",
-                startValue: 0,
-                endValue: 6.28,
-                duration: 3000,
-                easing: "linear",
-                repeat: true
-              }
-            ]
-          },
-          // Orbiting particles
-          {
-            id: "particles",
-            type: "particle",
-            props: {
-              particles: Array.from({length: 12}, (_, i) => ({
-                x: 400 + Math.cos(i * 0.524) * 80,
-                y: 200 + Math.sin(i * 0.524) * 80,
-                size: 4,
-                color: `hsl(${i * 30}, 70%, 60%)`,
-                opacity: 0.8
-              }))
-            },
-            animations: []
-          }
-        ]
-      }
-    };
+    return { parsed, cleanedResponse, error: null };
+  }
+
+  /**
+   * Builds the follow-up prompt asking the model to fix a response that didn't parse
+   */
+  buildJsonRepairPrompt(brokenResponse, parseError) {
+    // Point the model at the failing spot when JSON.parse reports a position
+    const position = parseInt((parseError.message.match(/position (\d+)/) || [])[1], 10);
+    const from = Number.isInteger(position) ? Math.max(0, position - JSON_REPAIR_EXCERPT_RADIUS) : 0;
+    const to = Number.isInteger(position) ? position + JSON_REPAIR_EXCERPT_RADIUS : JSON_REPAIR_EXCERPT_RADIUS * 2;
+    const excerpt = brokenResponse.substring(from, to);
+
+    return `Your previous response could not be parsed as JSON.
+
+PARSE ERROR: ${parseError.message}
+
+EXCERPT AROUND THE ERROR${from > 0 ? ` (starting at character ${from})` : ''}:
+\`\`\`
+${excerpt}
+\`\`\`
+
+FULL PREVIOUS RESPONSE:
+\`\`\`
+${brokenResponse}
+\`\`\`
+
+Fix the JSON so that it parses and keep the content unchanged. It must be a single object with
+"text" (the explanation) and "visualization" ({ "id", "duration", "fps", "layers": [...] }).
+NEVER use ellipsis, comments or trailing commas, and write every array element out in full.
+
+Return ONLY the corrected JSON object, with no markdown formatting or explanation text.`;
+  }
+
+  /**
+   * Run the rule-based repairs on a parsed response and report what changed
+   * @returns {Object} - { response, fixes: [{ rule, path, message }] }
+   */
+  applyRepairs(response, onProgress) {
+    const result = applyRepairs(response);
+    if (result.fixes.length === 0) return result;
+
+    console.log(`🔧 Applied ${result.fixes.length} automatic fixes:`);
+    result.fixes.forEach(fix => console.log(`   ${fix.path}: ${fix.message} (${fix.rule})`));
+
+    const message = `Applied ${result.fixes.length} automatic fix${result.fixes.length === 1 ? '' : 'es'}`;
+    if (onProgress) onProgress('repairs_applied', message, { fixes: result.fixes });
+    return result;
+  }
+
+  /**
+   * Check if there is a provider to generate answers with
+   */
+  isAvailable() {
+    return this.provider !== null;
   }
 
   /**
@@ -1192,14 +533,50 @@ Please respond with ONLY a valid JSON object (no markdown formatting or extra te
   }
 
   /**
-   * Get quick validation status for a response
+   * Quick validation check without full correction; runs locally, so it works without a provider
+   * @param {Object} response - Response to validate
+   * @returns {Object} - Validation result with issues found; schemaErrors, schemaWarnings and lintIssues hold JSON-pointer paths
    */
   async quickValidate(response) {
-    if (!this.validationEngine) {
-      return { isValid: false, issues: ['Validation engine not available'], needsCorrection: false };
-    }
+    const issues = [];
     
-    return await this.validationEngine.quickValidate(response);
+    try {
+      // Structure, shape and animation checks come from the visualization schema
+      const { errors: schemaErrors, warnings: schemaWarnings } = this.schemaValidator.validate(response);
+      [...schemaErrors, ...schemaWarnings].forEach(error => issues.push(`${error.path}: ${error.message}`));
+
+      // Contrast, overlap, off-canvas and visibility checks over the animation
+      const { issues: lintIssues } = this.visualLinter.lint(response.visualization);
+      lintIssues.forEach(issue => issues.push(`${issue.path}: ${issue.message}`));
+      
+      // Check for white colors on white background
+      if (Array.isArray(response.visualization?.layers)) {
+        response.visualization.layers.forEach((layer, index) => {
+          if (layer.props?.fill === '#ffffff' || layer.props?.color === '#ffffff') {
+            issues.push(`Layer ${index + 1}: Using white color on white background (invisible)`);
+          }
+        });
+      }
+      
+      return {
+        isValid: issues.length === 0,
+        issues: issues,
+        schemaErrors,
+        schemaWarnings,
+        lintIssues,
+        needsCorrection: issues.length > 0
+      };
+      
+    } catch (error) {
+      return {
+        isValid: false,
+        issues: [`Validation error: ${error.message}`],
+        schemaErrors: [],
+        schemaWarnings: [],
+        lintIssues: [],
+        needsCorrection: true
+      };
+    }
   }
 
   /**
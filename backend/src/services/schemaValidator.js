@@ -0,0 +1,83 @@
+const Ajv = require('ajv');
+const visualizationSchema = require('../schemas/visualization.schema.json');
+
+// Violations the engine copes with by drawing a default, e.g. a circle without r: reported as warnings
+const WARNING_RULES = [
+  { keyword: 'required', instancePath: /^\/visualization\/layers\/\d+\/props$/ } // Missing layer prop
+];
+
+/**
+ * Checks LLM responses against the visualization JSON Schema
+ * (src/schemas/visualization.schema.json). Errors carry JSON-pointer paths
+ * into the response, e.g. "/visualization/layers/3/props/r". Only errors
+ * make a response invalid; warnings are mismatches the engine renders anyway.
+ */
+class SchemaValidator {
+  constructor(schema = visualizationSchema) {
+    this.schema = schema;
+    this.version = schema.version;
+
+    this.ajv = new Ajv({ allErrors: true });
+    this.ajv.addVocabulary(['version']);
+    this.validateFn = this.ajv.compile(schema);
+  }
+
+  /**
+   * Validate a parsed response
+   * @param {Object} response - { text, visualization }
+   * @returns {Object} - { valid, errors, warnings }, each a list of { path, message, keyword, severity }
+   */
+  validate(response) {
+    if (this.validateFn(response)) {
+      return { valid: true, errors: [], warnings: [] };
+    }
+
+    const problems = this.normalizeErrors(this.validateFn.errors);
+    const errors = problems.filter(problem => problem.severity === 'error');
+    const warnings = problems.filter(problem => problem.severity === 'warning');
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  severityOf(ajvError) {
+    const tolerated = WARNING_RULES.some(rule => (
+      rule.keyword === ajvError.keyword && rule.instancePath.test(ajvError.instancePath)
+    ));
+    return tolerated ? 'warning' : 'error';
+  }
+
+  normalizeErrors(ajvErrors) {
+    const seen = new Set();
+
+    return ajvErrors
+      // "must match then schema" only repeats the errors reported inside it
+      .filter(error => error.keyword !== 'if')
+      .map(error => {
+        // Missing properties are reported on the property itself
+        const path = error.keyword === 'required'
+          ? `${error.instancePath}/${error.params.missingProperty}`
+          : error.instancePath;
+
+        let message = error.message;
+        if (error.keyword === 'enum') {
+          message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+        }
+
+        return { path: path || '/', message, keyword: error.keyword, severity: this.severityOf(error) };
+      })
+      .filter(error => {
+        const key = `${error.path} ${error.message}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  // One-line summary for error messages and logs
+  formatErrors(errors, limit = 5) {
+    const shown = errors.slice(0, limit).map(error => `${error.path} ${error.message}`);
+    const more = errors.length > limit ? ` (and ${errors.length - limit} more)` : '';
+    return `${shown.join('; ')}${more}`;
+  }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,141 @@
+const { dataStore } = require('../models/dataStore');
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+const DEFAULT_RESULT_LIMIT = 20;
+
+// How much a match counts towards a result's score, per field
+const FIELD_WEIGHTS = {
+  question: 3,
+  layer: 2,
+  answer: 1
+};
+
+/**
+ * Full-text search over a user's history: question text, the current answer's
+ * explanation, and the text of text layers in its visualization.
+ *
+ * A question matches when every search term appears in at least one of its
+ * fields. Each result lists the matching fields with a snippet whose
+ * highlights are { start, end } character ranges into snippet.text.
+ */
+class SearchService {
+  /**
+   * @param {string} userId - Whose history to search
+   * @param {string} query - Search terms, separated by whitespace
+   * @param {Object} options - { conversationId, limit }
+   * @returns {Array} - Results, best match first:
+   *   { questionId, conversationId, answerId, question, createdAt, score,
+   *     matches: [{ field: 'question' | 'answer' | 'layer', layerId, path, snippet: { text, highlights } }] }
+   */
+  async search(userId, query, options = {}) {
+    const terms = this.parseTerms(query);
+    if (terms.length === 0) return [];
+
+    const limit = options.limit || DEFAULT_RESULT_LIMIT;
+    const questions = (await dataStore.getQuestionsByUser(userId))
+      .filter(q => !options.conversationId || q.conversationId === options.conversationId);
+    const answers = await dataStore.getAnswersByIds(questions.map(q => q.answerId).filter(Boolean));
+
+    return questions
+      .map(question => this.matchQuestion(question, answers.get(question.answerId), terms))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Lowercased, de-duplicated terms
+  parseTerms(query) {
+    return [...new Set(String(query || '').toLowerCase().split(/\s+/).filter(Boolean))];
+  }
+
+  // Everything searchable about a question, as { field, layerId, path, text }
+  searchableFields(question, answer) {
+    const fields = [{ field: 'question', layerId: null, path: '/question', text: question.question || '' }];
+    if (!answer) return fields;
+
+    fields.push({ field: 'answer', layerId: null, path: '/text', text: answer.text || '' });
+
+    const layers = Array.isArray(answer.visualization?.layers) ? answer.visualization.layers : [];
+    layers.forEach((layer, index) => {
+      if (layer?.type !== 'text') return;
+      const prop = layer.props?.text ? 'text' : 'content';
+      const text = layer.props?.[prop];
+      if (typeof text === 'string' && text) {
+        fields.push({ field: 'layer', layerId: layer.id ?? null, path: `/visualization/layers/${index}/props/${prop}`, text });
+      }
+    });
+    return fields;
+  }
+
+  matchQuestion(question, answer, terms) {
+    const matches = [];
+    const matchedTerms = new Set();
+    let score = 0;
+
+    this.searchableFields(question, answer).forEach(({ field, layerId, path, text }) => {
+      const ranges = this.findTerms(text, terms);
+      if (ranges.length === 0) return;
+
+      ranges.forEach(range => matchedTerms.add(range.term));
+      score += ranges.length * FIELD_WEIGHTS[field];
+      matches.push({ field, layerId, path, snippet: this.buildSnippet(text, ranges) });
+    });
+
+    if (matchedTerms.size < terms.length) return null;
+
+    return {
+      questionId: question.id,
+      conversationId: question.conversationId || null,
+      answerId: answer ? answer.id : null,
+      question: question.question,
+      createdAt: question.createdAt,
+      score,
+      matches
+    };
+  }
+
+  // Every occurrence of every term, in order, as { term, start, end }
+  findTerms(text, terms) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+
+    terms.forEach(term => {
+      let index = lower.indexOf(term);
+      while (index !== -1) {
+        ranges.push({ term, start: index, end: index + term.length });
+        index = lower.indexOf(term, index + term.length);
+      }
+    });
+
+    return ranges.sort((a, b) => a.start - b.start);
+  }
+
+  // A window of text around the first match, with the matches inside it highlighted
+  buildSnippet(text, ranges) {
+    const from = Math.max(0, ranges[0].start - SNIPPET_CONTEXT);
+    const to = Math.min(text.length, ranges[0].end + SNIPPET_CONTEXT * 2);
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+
+    const highlights = [];
+    ranges
+      .filter(range => range.start >= from && range.end <= to)
+      .forEach(range => {
+        const start = range.start - from + prefix.length;
+        const end = range.end - from + prefix.length;
+        const last = highlights[highlights.length - 1];
+        // Overlapping terms (e.g. "photo" and "photosynthesis") become one highlight
+        if (last && start <= last.end) {
+          last.end = Math.max(last.end, end);
+        } else {
+          highlights.push({ start, end });
+        }
+      });
+
+    return { text: prefix + text.slice(from, to) + suffix, highlights };
+  }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,140 @@
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_REPLAY_BUFFER_SIZE = 500;
+
+/**
+ * Fixed-size buffer of the most recent events, oldest overwritten first
+ */
+class EventRingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.size) % this.capacity;
+    this.items[index] = item;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  // Oldest id still held, or null when empty
+  oldestId() {
+    return this.size > 0 ? this.items[this.start].id : null;
+  }
+
+  // Events with an id greater than afterId, oldest first
+  since(afterId) {
+    const result = [];
+    for (let i = 0; i < this.size; i++) {
+      const item = this.items[(this.start + i) % this.capacity];
+      if (item.id > afterId) result.push(item);
+    }
+    return result;
+  }
+}
+
+/**
+ * Server-Sent Events hub: tracks subscribed clients, assigns monotonically
+ * increasing event ids and replays missed events on reconnect (Last-Event-ID)
+ */
+class SSEHub {
+  constructor(options = {}) {
+    this.clients = [];
+    this.lastEventId = 0;
+    this.buffer = new EventRingBuffer(
+      options.bufferSize || parseInt(process.env.SSE_REPLAY_BUFFER_SIZE, 10) || DEFAULT_REPLAY_BUFFER_SIZE
+    );
+  }
+
+  /**
+   * Register a client connection and replay anything it missed
+   * @param {Object} req - Express request (closing it removes the client)
+   * @param {Object} res - Express response to stream events into
+   * @param {Object} subscription - { userId, questionId }
+   * @param {number|null} lastEventId - Last event id the client received, if reconnecting
+   */
+  addClient(req, res, subscription, lastEventId = null) {
+    const client = {
+      id: uuidv4(),
+      response: res,
+      userId: subscription.userId || null,
+      questionId: subscription.questionId || null
+    };
+
+    if (lastEventId !== null) {
+      this.replay(client, lastEventId);
+    }
+
+    this.clients.push(client);
+
+    req.on('close', () => {
+      this.clients = this.clients.filter(c => c.id !== client.id);
+      console.log(`SSE client ${client.id} disconnected`);
+    });
+
+    return client;
+  }
+
+  // Send buffered events newer than lastEventId that belong to this client
+  replay(client, lastEventId) {
+    const oldestId = this.buffer.oldestId();
+
+    // Events were dropped from the buffer (or the server restarted): the client must reload
+    if (lastEventId > this.lastEventId || (oldestId !== null && lastEventId < oldestId - 1)) {
+      this.write(client, null, { type: 'resync_required', message: 'Missed events are no longer available' });
+      console.log(`⚠️ SSE client ${client.id} asked for event ${lastEventId}, resync required`);
+      return;
+    }
+
+    const missed = this.buffer.since(lastEventId).filter(event => this.isSubscribed(client, event.audience));
+    missed.forEach(event => this.write(client, event.id, event.payload));
+    console.log(`🔁 Replayed ${missed.length} events to SSE client ${client.id} after event ${lastEventId}`);
+  }
+
+  // Check whether a client's subscription covers an event's audience
+  isSubscribed(client, audience) {
+    if (audience.questionId && client.questionId === audience.questionId) return true;
+    if (audience.userId && client.userId === audience.userId) return true;
+    return false;
+  }
+
+  write(client, eventId, payload) {
+    try {
+      const idLine = eventId !== null ? `id: ${eventId}\n` : '';
+      client.response.write(`${idLine}data: ${JSON.stringify(payload)}\n\n`);
+    } catch (error) {
+      console.error('❌ Error sending SSE message:', error);
+    }
+  }
+
+  /**
+   * Send an event to the subscribers that own it and keep it for replay
+   * @param {string} eventType - Event type sent as the payload's "type"
+   * @param {Object} data - Event payload
+   * @param {Object} audience - { userId, questionId }; events are never sent to every client
+   * @param {Object} options - { replay: false } to skip the replay buffer for transient events
+   */
+  broadcast(eventType, data, audience = {}, options = {}) {
+    const event = {
+      id: ++this.lastEventId,
+      payload: { type: eventType, ...data },
+      audience
+    };
+    if (options.replay !== false) {
+      this.buffer.push(event);
+    }
+
+    const recipients = this.clients.filter(client => this.isSubscribed(client, audience));
+    console.log(`📤 Sending ${eventType} (#${event.id}) to ${recipients.length} of ${this.clients.length} clients`);
+
+    recipients.forEach(client => this.write(client, event.id, event.payload));
+  }
+}
+
+module.exports = SSEHub;
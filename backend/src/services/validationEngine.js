@@ -1,30 +1,27 @@
 require('dotenv').config();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createLLMProvider } = require('../providers');
+const { isAbortError } = require('../utils/abort');
+
+// Low temperature for consistent validation
+const VALIDATION_GENERATION_CONFIG = {
+  temperature: 0.1,
+  topK: 1,
+  topP: 0.8,
+};
 
 class ValidationEngine {
-  constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is required for validation engine');
-    }
-    
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ 
-      model: 'gemini-2.5-pro',
-      generationConfig: {
-        temperature: 0.1, // Low temperature for consistent validation
-        topK: 1,
-        topP: 0.8,
-      }
-    });
+  constructor(options = {}) {
+    this.provider = options.provider || createLLMProvider();
   }
 
   /**
    * Validates and fixes LLM-generated visualization response
    * @param {Object} llmResponse - The original LLM response
    * @param {string} originalQuestion - The user's original question
+   * @param {Object} options - { signal } to abort the pending validation request
    * @returns {Object} - Validated and potentially corrected response
    */
-  async validateAndFix(llmResponse, originalQuestion) {
+  async validateAndFix(llmResponse, originalQuestion, options = {}) {
     try {
       console.log('🔍 Starting validation for LLM response...');
       
@@ -40,12 +37,16 @@ class ValidationEngine {
       // Create validation prompt
       const validationPrompt = this.buildValidationPrompt(parsedResponse, originalQuestion);
       
-      // Get validation from Gemini
-      const result = await this.model.generateContent(validationPrompt);
-      const response = await result.response;
-      const validationText = response.text();
+      // Get validation from the LLM provider
+      const validationText = await this.provider.generateText(validationPrompt, {
+        task: 'validation',
+        question: originalQuestion,
+        response: parsedResponse,
+        generationConfig: VALIDATION_GENERATION_CONFIG,
+        signal: options.signal
+      });
       
-      console.log('🔍 Validation response received from Gemini');
+      console.log(`🔍 Validation response received from ${this.provider.name}`);
       
       // Parse validation response
       const validatedResponse = this.parseValidationResponse(validationText);
@@ -54,6 +55,8 @@ class ValidationEngine {
       return validatedResponse;
       
     } catch (error) {
+      if (isAbortError(error)) throw error;
+
       console.error('❌ Validation engine error:', error);
       // Return original response if validation fails
       console.log('⚠️ Returning original response due to validation failure');
@@ -62,7 +65,52 @@ class ValidationEngine {
   }
 
   /**
-   * Builds the validation prompt for Gemini
+   * Summarize what the validator changed, one entry per changed part
+   * @param {Object} before - Response sent for validation
+   * @param {Object} after - Response the validator returned
+   * @returns {Array} - [{ path, message }]
+   */
+  describeChanges(before, after) {
+    const changes = [];
+    if (!before || !after) return changes;
+
+    if (before.text !== after.text) {
+      changes.push({ path: '/text', message: 'Rewrote the explanation text' });
+    }
+
+    const beforeViz = before.visualization || {};
+    const afterViz = after.visualization || {};
+    ['id', 'duration', 'fps'].forEach(key => {
+      if (beforeViz[key] !== afterViz[key]) {
+        changes.push({ path: `/visualization/${key}`, message: `Changed ${key} from ${beforeViz[key]} to ${afterViz[key]}` });
+      }
+    });
+
+    // Layers are matched by id, since the validator may add, drop or reorder them
+    const beforeLayers = Array.isArray(beforeViz.layers) ? beforeViz.layers : [];
+    const afterLayers = Array.isArray(afterViz.layers) ? afterViz.layers : [];
+    const beforeById = new Map(beforeLayers.map(layer => [layer?.id, layer]));
+    const afterIds = new Set(afterLayers.map(layer => layer?.id));
+
+    afterLayers.forEach((layer, index) => {
+      const path = `/visualization/layers/${index}`;
+      if (!beforeById.has(layer?.id)) {
+        changes.push({ path, message: `Added layer "${layer?.id}"` });
+      } else if (JSON.stringify(beforeById.get(layer.id)) !== JSON.stringify(layer)) {
+        changes.push({ path, message: `Changed layer "${layer.id}"` });
+      }
+    });
+    beforeLayers.forEach((layer, index) => {
+      if (!afterIds.has(layer?.id)) {
+        changes.push({ path: `/visualization/layers/${index}`, message: `Removed layer "${layer?.id}"` });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Builds the validation prompt for the LLM
    */
   buildValidationPrompt(response, originalQuestion) {
     return `You are an expert visualization validation engine. Your job is to analyze and fix visualization responses.
@@ -161,7 +209,7 @@ Example of what to return:
   }
 
   /**
-   * Parses and validates the response from Gemini
+   * Parses and validates the response from the LLM
    */
   parseValidationResponse(validationText) {
     try {
@@ -189,57 +237,6 @@ Example of what to return:
       throw error;
     }
   }
-
-  /**
-   * Quick validation check without full correction
-   * @param {Object} response - Response to validate
-   * @returns {Object} - Validation result with issues found
-   */
-  async quickValidate(response) {
-    const issues = [];
-    
-    try {
-      // Structure checks
-      if (!response.text) issues.push('Missing text explanation');
-      if (!response.visualization) issues.push('Missing visualization object');
-      if (!response.visualization?.layers) issues.push('Missing visualization layers');
-      
-      // Layer validation
-      if (response.visualization?.layers) {
-        response.visualization.layers.forEach((layer, index) => {
-          if (!layer.id) issues.push(`Layer ${index + 1}: Missing id`);
-          if (!layer.type) issues.push(`Layer ${index + 1}: Missing type`);
-          if (!layer.props) issues.push(`Layer ${index + 1}: Missing props`);
-          
-          // Check for white colors on white background
-          if (layer.props?.fill === '#ffffff' || layer.props?.color === '#ffffff') {
-            issues.push(`Layer ${index + 1}: Using white color on white background (invisible)`);
-          }
-          
-          // Animation validation
-          if (layer.animations) {
-            layer.animations.forEach((anim, animIndex) => {
-              if (!anim.property) issues.push(`Layer ${index + 1}, Animation ${animIndex + 1}: Missing property`);
-              if (anim.duration === undefined) issues.push(`Layer ${index + 1}, Animation ${animIndex + 1}: Missing duration`);
-            });
-          }
-        });
-      }
-      
-      return {
-        isValid: issues.length === 0,
-        issues: issues,
-        needsCorrection: issues.length > 0
-      };
-      
-    } catch (error) {
-      return {
-        isValid: false,
-        issues: [`Validation error: ${error.message}`],
-        needsCorrection: true
-      };
-    }
-  }
 }
 
 module.exports = ValidationEngine;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const SchemaValidator = require('./schemaValidator');
+const VisualLinter = require('./visualLinter');
+
+// Bump when the checks or the scoring change, so stored scores can be told apart
+const VALIDATOR_VERSION = '1.0.0';
+
+// Points taken off a perfect 100 for each issue left in the saved answer
+const SEVERITY_PENALTIES = {
+  error: 15,
+  warning: 5
+};
+
+/**
+ * Builds the validation report saved with each answer:
+ * {
+ *   validatorVersion, schemaVersion, score (0-100), checkedAt,
+ *   issues: [{ source: 'schema' | 'lint', rule, severity, path, message }],
+ *   fixes: [{ source: 'rule' | 'llm', rule, path, message }],
+ *   llmValidation: 'applied' | 'failed' | 'disabled' | 'unavailable'
+ * }
+ * Issues describe the answer as saved; fixes record what was changed to get there.
+ */
+class ValidationReporter {
+  constructor(options = {}) {
+    this.schemaValidator = options.schemaValidator || new SchemaValidator();
+    this.visualLinter = options.visualLinter || new VisualLinter();
+  }
+
+  /**
+   * @param {Object} response - Final { text, visualization }
+   * @param {Object} details - { repairs, llmValidation: { status, changes } } as returned by LLMService
+   * @returns {Object} - Validation report
+   */
+  build(response, details = {}) {
+    const { repairs = [], llmValidation = {} } = details;
+
+    const { errors: schemaErrors, warnings: schemaWarnings } = this.schemaValidator.validate(response);
+    const schemaIssues = [...schemaErrors, ...schemaWarnings].map(error => ({
+      source: 'schema',
+      rule: error.keyword,
+      severity: error.severity,
+      path: error.path,
+      message: error.message
+    }));
+    const lintIssues = this.visualLinter.lint(response.visualization).issues.map(issue => ({
+      source: 'lint',
+      rule: issue.rule,
+      severity: issue.severity,
+      path: issue.path,
+      message: issue.message
+    }));
+    const issues = [...schemaIssues, ...lintIssues];
+
+    const fixes = [
+      ...repairs.map(fix => ({ source: 'rule', ...fix })),
+      ...(llmValidation.changes || []).map(change => ({ source: 'llm', rule: 'llm-validation', ...change }))
+    ];
+
+    return {
+      validatorVersion: VALIDATOR_VERSION,
+      schemaVersion: this.schemaValidator.version,
+      score: this.score(issues),
+      issues,
+      fixes,
+      llmValidation: llmValidation.status || 'disabled',
+      checkedAt: new Date()
+    };
+  }
+
+  score(issues) {
+    const penalty = issues.reduce((total, issue) => total + (SEVERITY_PENALTIES[issue.severity] || 0), 0);
+    return Math.max(0, 100 - penalty);
+  }
+}
+
+module.exports = ValidationReporter;
@@ -0,0 +1,263 @@
+const { layerPropsAt, layerBounds, coversPoint } = require('../utils/sceneSampler');
+const { parseColor, compositeOver, contrastRatio, toHex } = require('../utils/color');
+
+// Logical canvas the engine scales to the screen
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 400;
+
+// Evenly spaced timestamps checked per visualization, besides animation start and end times
+const DEFAULT_SAMPLE_COUNT = 20;
+
+// WCAG minimum contrast for large text; anything lower is hard to read at any size
+const MIN_TEXT_CONTRAST = 3;
+
+// Share of the smaller label that has to be covered before two labels count as overlapping
+const MIN_LABEL_OVERLAP = 0.15;
+
+// Opacity at or below this is treated as invisible
+const VISIBLE_OPACITY = 0.01;
+
+// The canvas is drawn on a white page
+const PAGE_BACKGROUND = { r: 255, g: 255, b: 255, a: 1 };
+
+// Default fill per shape type, as drawn by the engine; null means no fill unless one is set
+const SURFACE_FILLS = {
+  circle: '#3498db',
+  rectangle: null,
+  rect: null,
+  ellipse: null,
+  polygon: '#3498db',
+  star: '#f1c40f'
+};
+
+/**
+ * Deterministic visual checks for a visualization, run without any LLM.
+ *
+ * The scene is evaluated at sampled timestamps and checked for:
+ *   text-contrast    text that is hard to read against what is drawn beneath it
+ *   label-overlap    text labels drawn on top of each other
+ *   off-canvas       shapes that are entirely outside the 800x400 canvas while visible
+ *   never-visible    layers whose opacity stays 0 for the whole animation
+ * Each issue is { rule, severity, layerId, path, message, time } where path is
+ * a JSON pointer into the response and time the first sample it was seen at.
+ */
+class VisualLinter {
+  constructor(options = {}) {
+    this.width = options.width || CANVAS_WIDTH;
+    this.height = options.height || CANVAS_HEIGHT;
+    this.sampleCount = options.sampleCount || DEFAULT_SAMPLE_COUNT;
+  }
+
+  /**
+   * Lint a visualization
+   * @param {Object} visualization - { duration, layers }
+   * @returns {Object} - { issues, sampleTimes }
+   */
+  lint(visualization) {
+    const layers = Array.isArray(visualization?.layers) ? visualization.layers : [];
+    const duration = visualization?.duration > 0 ? visualization.duration : 5000;
+    const sampleTimes = this.sampleTimes(layers, duration);
+
+    // frames[i][j] is layer j at sampleTimes[i]
+    const frames = sampleTimes.map(time => layers.map((layer, index) => this.evaluateLayer(layer, index, time, duration)));
+    const issues = [
+      ...this.checkNeverVisible(layers, frames),
+      ...this.checkOffCanvas(layers, frames, sampleTimes),
+      ...this.checkTextContrast(layers, frames, sampleTimes),
+      ...this.checkLabelOverlap(layers, frames, sampleTimes)
+    ];
+
+    return { issues, sampleTimes };
+  }
+
+  // Evenly spaced times plus every animation's start and end, within the visualization
+  sampleTimes(layers, duration) {
+    const times = new Set();
+    for (let i = 0; i <= this.sampleCount; i++) {
+      times.add(Math.round((duration * i) / this.sampleCount));
+    }
+
+    layers.forEach(layer => {
+      (Array.isArray(layer?.animations) ? layer.animations : []).forEach(animation => {
+        if (!animation) return;
+        const start = animation.start ?? animation.delay ?? 0;
+        [start, start + (animation.duration || 0)].forEach(time => {
+          if (typeof time === 'number' && time >= 0 && time <= duration) times.add(Math.round(time));
+        });
+      });
+    });
+
+    return [...times].sort((a, b) => a - b);
+  }
+
+  evaluateLayer(layer, index, time, duration) {
+    if (!layer || typeof layer !== 'object') return null;
+
+    const props = layerPropsAt(layer, time, duration);
+    return {
+      layer,
+      index,
+      props,
+      bounds: layerBounds(layer.type, props),
+      visible: this.isVisible(layer, props)
+    };
+  }
+
+  isVisible(layer, props) {
+    if ((props.opacity ?? 1) <= VISIBLE_OPACITY) return false;
+
+    if (layer.type === 'particle' && Array.isArray(props.particles)) {
+      const fallback = props.opacity ?? 0.7;
+      return props.particles.some(particle => (particle?.opacity ?? fallback) > VISIBLE_OPACITY);
+    }
+    return true;
+  }
+
+  issue(rule, severity, layer, index, message, time) {
+    return {
+      rule,
+      severity,
+      layerId: layer.id ?? null,
+      path: `/visualization/layers/${index}`,
+      message,
+      time
+    };
+  }
+
+  label(layer, index) {
+    return layer.id ? `"${layer.id}"` : `Layer ${index + 1}`;
+  }
+
+  checkNeverVisible(layers, frames) {
+    return layers.flatMap((layer, index) => {
+      if (!layer || typeof layer !== 'object') return [];
+      const everVisible = frames.some(frame => frame[index].visible);
+      return everVisible ? [] : [this.issue(
+        'never-visible', 'error', layer, index,
+        `${this.label(layer, index)} is never visible: its opacity stays 0`,
+        null
+      )];
+    });
+  }
+
+  checkOffCanvas(layers, frames, sampleTimes) {
+    return layers.flatMap((layer, index) => {
+      const offAt = frames.findIndex(frame => {
+        const state = frame[index];
+        return state && state.visible && state.bounds && !this.intersectsCanvas(state.bounds);
+      });
+      if (offAt === -1) return [];
+
+      const alwaysOff = frames.every(frame => !frame[index]?.bounds || !this.intersectsCanvas(frame[index].bounds));
+      const message = alwaysOff
+        ? `${this.label(layer, index)} is entirely outside the ${this.width}x${this.height} canvas`
+        : `${this.label(layer, index)} moves entirely outside the ${this.width}x${this.height} canvas at ${sampleTimes[offAt]}ms`;
+      return [this.issue('off-canvas', alwaysOff ? 'error' : 'warning', layer, index, message, sampleTimes[offAt])];
+    });
+  }
+
+  intersectsCanvas(bounds) {
+    return bounds.maxX > 0 && bounds.minX < this.width && bounds.maxY > 0 && bounds.minY < this.height;
+  }
+
+  checkTextContrast(layers, frames, sampleTimes) {
+    return layers.flatMap((layer, index) => {
+      if (layer?.type !== 'text') return [];
+
+      // Judged at full strength, so text that is fading in or out isn't flagged mid-fade
+      const peakOpacity = Math.max(...frames.map(frame => (frame[index].visible ? frame[index].props.opacity ?? 1 : 0)));
+
+      for (let i = 0; i < frames.length; i++) {
+        const state = frames[i][index];
+        if (!state.visible || !state.bounds || !(state.props.text || state.props.content)) continue;
+
+        const textColor = parseColor(state.props.fill || state.props.color || '#2c3e50');
+        if (!textColor) continue;
+
+        const center = {
+          x: (state.bounds.minX + state.bounds.maxX) / 2,
+          y: (state.bounds.minY + state.bounds.maxY) / 2
+        };
+        const backdrop = this.backdropAt(frames[i], index, center);
+        const ratio = contrastRatio(compositeOver(textColor, peakOpacity, backdrop), backdrop);
+
+        if (ratio < MIN_TEXT_CONTRAST) {
+          return [this.issue(
+            'text-contrast', 'warning', layer, index,
+            `${this.label(layer, index)} has low contrast (${ratio.toFixed(1)}:1, at least ${MIN_TEXT_CONTRAST}:1 is needed) ` +
+              `against ${toHex(backdrop)} beneath it at ${sampleTimes[i]}ms`,
+            sampleTimes[i]
+          )];
+        }
+      }
+      return [];
+    });
+  }
+
+  // Color drawn at a point by the layers below the given one, over the page background
+  backdropAt(frame, belowIndex, point) {
+    return frame.slice(0, belowIndex).reduce((backdrop, state) => {
+      if (!state || !state.visible) return backdrop;
+
+      const fill = this.surfaceColor(state);
+      if (!fill || !coversPoint(state.layer.type, state.props, point)) return backdrop;
+      return compositeOver(fill, state.props.opacity ?? 1, backdrop);
+    }, PAGE_BACKGROUND);
+  }
+
+  // Solid color a filled shape paints, or null for outlines, lines and text
+  surfaceColor({ layer, props }) {
+    if (layer.type === 'gradient') {
+      const stops = (Array.isArray(props.colorStops) ? props.colorStops : [])
+        .map(stop => parseColor(stop?.color))
+        .filter(Boolean);
+      if (stops.length === 0) return null;
+      // The average stop color stands in for the whole gradient
+      const average = channel => stops.reduce((sum, color) => sum + color[channel], 0) / stops.length;
+      return { r: average('r'), g: average('g'), b: average('b'), a: 1 };
+    }
+
+    if (!(layer.type in SURFACE_FILLS)) return null;
+    const fill = props.fill || (['rectangle', 'rect', 'ellipse', 'polygon'].includes(layer.type) ? props.color : null);
+    return parseColor(fill || SURFACE_FILLS[layer.type]);
+  }
+
+  checkLabelOverlap(layers, frames, sampleTimes) {
+    const textIndexes = layers
+      .map((layer, index) => (layer?.type === 'text' ? index : -1))
+      .filter(index => index !== -1);
+    const issues = [];
+
+    textIndexes.forEach((first, position) => {
+      textIndexes.slice(position + 1).forEach(second => {
+        const overlapAt = frames.findIndex(frame => {
+          const a = frame[first];
+          const b = frame[second];
+          return a.visible && b.visible && a.bounds && b.bounds && this.overlapShare(a.bounds, b.bounds) >= MIN_LABEL_OVERLAP;
+        });
+        if (overlapAt === -1) return;
+
+        issues.push(this.issue(
+          'label-overlap', 'warning', layers[second], second,
+          `${this.label(layers[second], second)} overlaps ${this.label(layers[first], first)} at ${sampleTimes[overlapAt]}ms`,
+          sampleTimes[overlapAt]
+        ));
+      });
+    });
+
+    return issues;
+  }
+
+  // Overlapping area as a share of the smaller box
+  overlapShare(a, b) {
+    const width = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+    const height = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+    if (width <= 0 || height <= 0) return 0;
+
+    const area = box => (box.maxX - box.minX) * (box.maxY - box.minY);
+    const smaller = Math.min(area(a), area(b));
+    return smaller > 0 ? (width * height) / smaller : 0;
+  }
+}
+
+module.exports = VisualLinter;
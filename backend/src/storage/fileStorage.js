@@ -1,27 +1,40 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { compareByCreation } = require('../utils/cursor');
 
 class FileStorage {
-  constructor() {
-    this.dataDir = path.join(__dirname, '../../data');
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../../data');
     this.questionsFile = path.join(this.dataDir, 'questions.json');
     this.answersFile = path.join(this.dataDir, 'answers.json');
-    this.initialized = false;
+    this.conversationsFile = path.join(this.dataDir, 'conversations.json');
+    this.sharesFile = path.join(this.dataDir, 'shares.json');
+    this.initPromise = null;
+    this.fileLocks = new Map(); // filePath -> tail of that file's write queue
   }
 
-  // Initialize storage directory and files
+  // Initialize storage directory and files (concurrent callers share one run)
   async initialize() {
-    if (this.initialized) return;
+    if (!this.initPromise) {
+      this.initPromise = this.runInitialization().catch(error => {
+        this.initPromise = null; // Allow a retry on the next call
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
 
+  async runInitialization() {
     try {
       // Create data directory if it doesn't exist
       await fs.mkdir(this.dataDir, { recursive: true });
       
-      // Initialize files if they don't exist
+      // Initialize files if they don't exist, and recover them if they are corrupt
       await this.initializeFile(this.questionsFile, []);
       await this.initializeFile(this.answersFile, []);
+      await this.initializeFile(this.conversationsFile, []);
+      await this.initializeFile(this.sharesFile, []);
       
-      this.initialized = true;
       console.log('✅ File storage initialized successfully');
     } catch (error) {
       console.error('❌ Failed to initialize file storage:', error);
@@ -35,62 +48,120 @@ class FileStorage {
       await fs.access(filePath);
     } catch (error) {
       if (error.code === 'ENOENT') {
-        await fs.writeFile(filePath, JSON.stringify(defaultContent, null, 2), 'utf8');
+        await this.writeJsonFile(filePath, defaultContent);
         console.log(`📄 Created ${path.basename(filePath)}`);
-      } else {
-        throw error;
+        return;
       }
+      throw error;
     }
+
+    await this.recoverFileIfCorrupt(filePath, defaultContent);
   }
 
-  // Read JSON file with error handling
-  async readJsonFile(filePath) {
+  // Check that a data file parses; if not, quarantine it and restore the last good copy
+  async recoverFileIfCorrupt(filePath, defaultContent) {
     try {
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
+      await this.readJsonFile(filePath);
+      return;
     } catch (error) {
-      console.error(`❌ Error reading ${path.basename(filePath)}:`, error);
-      return [];
+      console.warn(`⚠️ ${path.basename(filePath)} is corrupt: ${error.message}`);
+    }
+
+    // Keep the corrupt file around for manual inspection
+    const quarantinePath = `${filePath}.corrupt-${Date.now()}`;
+    await fs.rename(filePath, quarantinePath);
+    console.warn(`📦 Moved corrupt file to ${path.basename(quarantinePath)}`);
+
+    const backupPath = `${filePath}.backup`;
+    try {
+      const backupData = await this.readJsonFile(backupPath);
+      await this.writeJsonFile(filePath, backupData);
+      console.log(`🔄 Restored ${path.basename(filePath)} from backup (${backupData.length} records)`);
+    } catch (backupError) {
+      await this.writeJsonFile(filePath, defaultContent);
+      console.warn(`⚠️ No usable backup for ${path.basename(filePath)}, starting empty`);
+    }
+  }
+
+  // Read JSON file, throwing if it is unreadable or not a JSON array
+  async readJsonFile(filePath) {
+    const data = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(data);
+    
+    if (!Array.isArray(parsed)) {
+      throw new Error(`${path.basename(filePath)} does not contain a JSON array`);
     }
+    
+    return parsed;
   }
 
-  // Write JSON file with backup and error handling
+  // Write JSON file atomically: write a temp file, keep a backup, then rename over the original
   async writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    
     try {
-      // Create backup of existing file
-      const backupPath = `${filePath}.backup`;
+      // Write new data with pretty formatting and flush it to disk
+      const jsonString = JSON.stringify(data, null, 2);
+      const handle = await fs.open(tempPath, 'w');
       try {
-        await fs.copyFile(filePath, backupPath);
-      } catch (error) {
-        // Backup fails if original doesn't exist, which is fine
+        await handle.writeFile(jsonString, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
       }
 
-      // Write new data with pretty formatting
-      const jsonString = JSON.stringify(data, null, 2);
-      await fs.writeFile(filePath, jsonString, 'utf8');
-      
-      // Remove backup after successful write
+      // Keep the previous version as the recovery source for corrupt files
       try {
-        await fs.unlink(backupPath);
+        await fs.copyFile(filePath, `${filePath}.backup`);
       } catch (error) {
-        // Ignore backup cleanup errors
+        // Backup fails if original doesn't exist, which is fine
       }
+
+      // rename() replaces the file in one step, so readers never see a partial write
+      await fs.rename(tempPath, filePath);
     } catch (error) {
       console.error(`❌ Error writing ${path.basename(filePath)}:`, error);
       
-      // Try to restore from backup
-      const backupPath = `${filePath}.backup`;
       try {
-        await fs.copyFile(backupPath, filePath);
-        console.log(`🔄 Restored ${path.basename(filePath)} from backup`);
-      } catch (restoreError) {
-        console.error(`❌ Failed to restore from backup:`, restoreError);
+        await fs.unlink(tempPath);
+      } catch (cleanupError) {
+        // Temp file may not exist if the failure happened before it was created
       }
       
       throw error;
     }
   }
 
+  // Serialize read-modify-write operations per file so concurrent saves can't overwrite each other
+  async withFileLock(filePath, operation) {
+    const previous = this.fileLocks.get(filePath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    
+    // Later operations wait on this one whether it succeeds or fails
+    const tail = current.catch(() => {});
+    this.fileLocks.set(filePath, tail);
+    tail.then(() => {
+      if (this.fileLocks.get(filePath) === tail) {
+        this.fileLocks.delete(filePath);
+      }
+    });
+    
+    return current;
+  }
+
+  // Apply a mutation to a file's records under its lock and persist the result
+  async mutateJsonFile(filePath, mutate) {
+    await this.initialize();
+    return this.withFileLock(filePath, async () => {
+      const records = await this.readJsonFile(filePath);
+      const result = await mutate(records);
+      if (result.changed !== false) {
+        await this.writeJsonFile(filePath, result.records || records);
+      }
+      return result.value;
+    });
+  }
+
   // QUESTIONS OPERATIONS
 
   async getAllQuestions() {
@@ -99,46 +170,74 @@ class FileStorage {
   }
 
   async saveQuestion(question) {
-    await this.initialize();
-    const questions = await this.getAllQuestions();
-    questions.push(question);
-    await this.writeJsonFile(this.questionsFile, questions);
+    await this.mutateJsonFile(this.questionsFile, questions => {
+      questions.push(question);
+      return { value: question };
+    });
     console.log(`💾 Saved question: ${question.id}`);
     return question;
   }
 
   async updateQuestion(questionId, updates) {
-    await this.initialize();
-    const questions = await this.getAllQuestions();
-    const index = questions.findIndex(q => q.id === questionId);
-    
-    if (index === -1) {
-      throw new Error(`Question ${questionId} not found`);
-    }
-    
-    questions[index] = { ...questions[index], ...updates };
-    await this.writeJsonFile(this.questionsFile, questions);
+    const updated = await this.mutateJsonFile(this.questionsFile, questions => {
+      const index = questions.findIndex(q => q.id === questionId);
+      
+      if (index === -1) {
+        throw new Error(`Question ${questionId} not found`);
+      }
+      
+      questions[index] = { ...questions[index], ...updates };
+      return { value: questions[index] };
+    });
     console.log(`🔄 Updated question: ${questionId}`);
-    return questions[index];
+    return updated;
+  }
+
+  async getQuestionsByUser(userId) {
+    const questions = await this.getAllQuestions();
+    return this.sortByCreation(questions.filter(q => q.userId === userId));
+  }
+
+  // One page of a user's questions in (createdAt, id) order, starting after the `after` cursor key
+  async queryQuestions({ userId, conversationId = null, from = null, to = null, text = '', sort = 'asc', after = null, limit }) {
+    const needle = text.toLowerCase();
+    const direction = sort === 'desc' ? -1 : 1;
+    const questions = await this.getAllQuestions();
+
+    return questions
+      .filter(q => q.userId === userId)
+      .filter(q => !conversationId || q.conversationId === conversationId)
+      .filter(q => !from || new Date(q.createdAt) >= from)
+      .filter(q => !to || new Date(q.createdAt) <= to)
+      .filter(q => !needle || (q.question || '').toLowerCase().includes(needle))
+      .filter(q => !after || direction * compareByCreation(q, after) > 0)
+      .sort((a, b) => direction * compareByCreation(a, b))
+      .slice(0, limit);
+  }
+
+  async getQuestionsByConversation(conversationId) {
+    const questions = await this.getAllQuestions();
+    return this.sortByCreation(questions.filter(q => q.conversationId === conversationId));
   }
 
   async getQuestionById(questionId) {
+    await this.initialize();
     const questions = await this.getAllQuestions();
     return questions.find(q => q.id === questionId);
   }
 
   async deleteQuestion(questionId) {
-    await this.initialize();
-    const questions = await this.getAllQuestions();
-    const initialLength = questions.length;
-    const filteredQuestions = questions.filter(q => q.id !== questionId);
+    const deleted = await this.mutateJsonFile(this.questionsFile, questions => {
+      const filteredQuestions = questions.filter(q => q.id !== questionId);
+      const changed = filteredQuestions.length !== questions.length;
+      return { records: filteredQuestions, changed, value: changed };
+    });
     
-    if (filteredQuestions.length === initialLength) {
+    if (!deleted) {
       console.log(`⚠️ Question ${questionId} not found for deletion`);
       return false;
     }
     
-    await this.writeJsonFile(this.questionsFile, filteredQuestions);
     console.log(`🗑️ Deleted question: ${questionId}`);
     return true;
   }
@@ -151,33 +250,193 @@ class FileStorage {
   }
 
   async saveAnswer(answer) {
-    await this.initialize();
-    const answers = await this.getAllAnswers();
-    answers.push(answer);
-    await this.writeJsonFile(this.answersFile, answers);
+    await this.mutateJsonFile(this.answersFile, answers => {
+      answers.push(answer);
+      return { value: answer };
+    });
     console.log(`💾 Saved answer: ${answer.id}`);
     return answer;
   }
 
   async getAnswerById(answerId) {
+    await this.initialize();
     const answers = await this.getAllAnswers();
     return answers.find(a => a.id === answerId);
   }
 
+  // Several answers with a single read of the answers file
+  async getAnswersByIds(answerIds) {
+    const wanted = new Set(answerIds);
+    const answers = await this.getAllAnswers();
+    return answers.filter(a => wanted.has(a.id));
+  }
+
+  async deleteAnswer(answerId) {
+    const deleted = await this.mutateJsonFile(this.answersFile, answers => {
+      const kept = answers.filter(a => a.id !== answerId);
+      const changed = kept.length !== answers.length;
+      return { records: kept, changed, value: changed };
+    });
+
+    if (!deleted) {
+      console.log(`⚠️ Answer ${answerId} not found for deletion`);
+      return false;
+    }
+
+    console.log(`🗑️ Deleted answer: ${answerId}`);
+    return true;
+  }
+
+  // CONVERSATIONS OPERATIONS
+
+  async getConversationsByUser(userId) {
+    await this.initialize();
+    const conversations = await this.readJsonFile(this.conversationsFile);
+    return this.sortByCreation(conversations.filter(c => c.userId === userId));
+  }
+
+  async getConversationById(conversationId) {
+    await this.initialize();
+    const conversations = await this.readJsonFile(this.conversationsFile);
+    return conversations.find(c => c.id === conversationId);
+  }
+
+  async saveConversation(conversation) {
+    await this.mutateJsonFile(this.conversationsFile, conversations => {
+      conversations.push(conversation);
+      return { value: conversation };
+    });
+    console.log(`💾 Saved conversation: ${conversation.id}`);
+    return conversation;
+  }
+
+  async updateConversation(conversationId, updates) {
+    const updated = await this.mutateJsonFile(this.conversationsFile, conversations => {
+      const index = conversations.findIndex(c => c.id === conversationId);
+      
+      if (index === -1) {
+        throw new Error(`Conversation ${conversationId} not found`);
+      }
+      
+      conversations[index] = { ...conversations[index], ...updates };
+      return { value: conversations[index] };
+    });
+    console.log(`🔄 Updated conversation: ${conversationId}`);
+    return updated;
+  }
+
+  // Delete a conversation together with its questions and their answers
+  async deleteConversation(conversationId) {
+    const deleted = await this.mutateJsonFile(this.conversationsFile, conversations => {
+      const kept = conversations.filter(c => c.id !== conversationId);
+      const changed = kept.length !== conversations.length;
+      return { records: kept, changed, value: changed };
+    });
+    
+    if (!deleted) {
+      console.log(`⚠️ Conversation ${conversationId} not found for deletion`);
+      return false;
+    }
+
+    const removedAnswerIds = new Set();
+    const questionsDeleted = await this.mutateJsonFile(this.questionsFile, questions => {
+      const kept = questions.filter(q => {
+        if (q.conversationId !== conversationId) return true;
+        this.answerIdsOf(q).forEach(id => removedAnswerIds.add(id));
+        return false;
+      });
+      return { records: kept, changed: kept.length !== questions.length, value: questions.length - kept.length };
+    });
+
+    const answersDeleted = await this.mutateJsonFile(this.answersFile, answers => {
+      const kept = answers.filter(a => !removedAnswerIds.has(a.id));
+      return { records: kept, changed: kept.length !== answers.length, value: answers.length - kept.length };
+    });
+    
+    console.log(`🗑️ Deleted conversation: ${conversationId} (${questionsDeleted} questions)`);
+    return { questionsDeleted, answersDeleted };
+  }
+
+  // SHARE LINK OPERATIONS
+
+  async saveShare(share) {
+    await this.mutateJsonFile(this.sharesFile, shares => {
+      shares.push(share);
+      return { value: share };
+    });
+    console.log(`💾 Saved share link: ${share.id}`);
+    return share;
+  }
+
+  async getShareByToken(token) {
+    await this.initialize();
+    const shares = await this.readJsonFile(this.sharesFile);
+    return shares.find(s => s.token === token);
+  }
+
+  async getSharesByAnswer(answerId) {
+    await this.initialize();
+    const shares = await this.readJsonFile(this.sharesFile);
+    return shares.filter(s => s.answerId === answerId);
+  }
+
+  async updateShare(shareId, updates) {
+    const updated = await this.mutateJsonFile(this.sharesFile, shares => {
+      const index = shares.findIndex(s => s.id === shareId);
+
+      if (index === -1) {
+        throw new Error(`Share link ${shareId} not found`);
+      }
+
+      shares[index] = { ...shares[index], ...updates };
+      return { value: shares[index] };
+    });
+    console.log(`🔄 Updated share link: ${shareId}`);
+    return updated;
+  }
+
+  // Oldest first, like the SQLite adapter; the sort is stable, so ties keep the order they were saved in
+  sortByCreation(records) {
+    return records.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // Current answer plus every earlier version of a question
+  answerIdsOf(question) {
+    return [question.answerId, ...(question.answerIds || [])].filter(Boolean);
+  }
+
+  // Answers belong to a user directly, or through the question that links to them
+  filterAnswersByUser(answers, questions, userId) {
+    const linkedAnswerIds = new Set(
+      questions.filter(q => q.userId === userId).flatMap(q => this.answerIdsOf(q))
+    );
+    return answers.filter(a => a.userId === userId || linkedAnswerIds.has(a.id));
+  }
+
   // UTILITY OPERATIONS
 
-  async getStats() {
+  async getStats(userId = null) {
     await this.initialize();
-    const questions = await this.getAllQuestions();
-    const answers = await this.getAllAnswers();
+    let questions = await this.getAllQuestions();
+    let answers = await this.getAllAnswers();
+    let conversations = await this.readJsonFile(this.conversationsFile);
+    
+    if (userId) {
+      answers = this.filterAnswersByUser(answers, questions, userId);
+      questions = questions.filter(q => q.userId === userId);
+      conversations = conversations.filter(c => c.userId === userId);
+    }
     
     return {
       questionsCount: questions.length,
       answersCount: answers.length,
+      conversationsCount: conversations.length,
+      storage: 'file',
       dataDirectory: this.dataDir,
       lastModified: {
         questions: await this.getFileModifiedTime(this.questionsFile),
-        answers: await this.getFileModifiedTime(this.answersFile)
+        answers: await this.getFileModifiedTime(this.answersFile),
+        conversations: await this.getFileModifiedTime(this.conversationsFile)
       }
     };
   }
@@ -193,11 +452,48 @@ class FileStorage {
 
   // Clear all data (useful for testing)
   async clearAll() {
-    await this.initialize();
-    await this.writeJsonFile(this.questionsFile, []);
-    await this.writeJsonFile(this.answersFile, []);
+    await this.mutateJsonFile(this.questionsFile, () => ({ records: [] }));
+    await this.mutateJsonFile(this.answersFile, () => ({ records: [] }));
+    await this.mutateJsonFile(this.conversationsFile, () => ({ records: [] }));
+    await this.mutateJsonFile(this.sharesFile, () => ({ records: [] }));
     console.log('🗑️ Cleared all data');
   }
+
+  // Clear one user's questions and answers, leaving other users untouched
+  async clearUser(userId) {
+    const removedAnswerIds = new Set();
+    const removedQuestions = await this.mutateJsonFile(this.questionsFile, questions => {
+      const kept = questions.filter(q => {
+        if (q.userId !== userId) return true;
+        this.answerIdsOf(q).forEach(id => removedAnswerIds.add(id));
+        return false;
+      });
+      return { records: kept, changed: kept.length !== questions.length, value: questions.length - kept.length };
+    });
+
+    const removedAnswers = await this.mutateJsonFile(this.answersFile, answers => {
+      const kept = answers.filter(a => a.userId !== userId && !removedAnswerIds.has(a.id));
+      return { records: kept, changed: kept.length !== answers.length, value: answers.length - kept.length };
+    });
+
+    const removedConversations = await this.mutateJsonFile(this.conversationsFile, conversations => {
+      const kept = conversations.filter(c => c.userId !== userId);
+      return { records: kept, changed: kept.length !== conversations.length, value: conversations.length - kept.length };
+    });
+
+    // Links to answers that no longer exist
+    await this.mutateJsonFile(this.sharesFile, shares => {
+      const kept = shares.filter(s => s.userId !== userId);
+      return { records: kept, changed: kept.length !== shares.length };
+    });
+
+    console.log(`🗑️ Cleared ${removedQuestions} questions and ${removedAnswers} answers for user: ${userId}`);
+    return {
+      questionsDeleted: removedQuestions,
+      answersDeleted: removedAnswers,
+      conversationsDeleted: removedConversations
+    };
+  }
 }
 
 module.exports = FileStorage;
\ No newline at end of file
@@ -0,0 +1,79 @@
+const path = require('path');
+
+/**
+ * Storage adapter contract.
+ *
+ * Every storage backend must implement these async methods. dataStore only
+ * talks to storage through this interface, so backends can be swapped via
+ * the STORAGE_BACKEND environment variable without touching routes.
+ */
+const STORAGE_METHODS = [
+  'getAllQuestions',
+  'getQuestionsByUser',
+  'getQuestionsByConversation',
+  'queryQuestions',
+  'saveQuestion',
+  'updateQuestion',
+  'getQuestionById',
+  'deleteQuestion',
+  'getAllAnswers',
+  'saveAnswer',
+  'getAnswerById',
+  'getAnswersByIds',
+  'deleteAnswer',
+  'getConversationsByUser',
+  'getConversationById',
+  'saveConversation',
+  'updateConversation',
+  'deleteConversation',
+  'saveShare',
+  'getShareByToken',
+  'getSharesByAnswer',
+  'updateShare',
+  'getStats',
+  'clearAll',
+  'clearUser'
+];
+
+// Throw early if an adapter is missing part of the contract
+function assertStorageAdapter(storage, name) {
+  const missing = STORAGE_METHODS.filter(method => typeof storage[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${name}" is missing methods: ${missing.join(', ')}`);
+  }
+  return storage;
+}
+
+/**
+ * Create the storage adapter selected by configuration
+ * @param {Object} options - Overrides for environment configuration
+ * @param {string} options.backend - 'file' (default) or 'sqlite'
+ * @param {string} options.sqlitePath - Database file for the SQLite backend
+ * @returns {Object} - Storage adapter implementing STORAGE_METHODS
+ */
+function createStorage(options = {}) {
+  const backend = (options.backend || process.env.STORAGE_BACKEND || 'file').toLowerCase();
+
+  switch (backend) {
+    case 'file': {
+      const FileStorage = require('./fileStorage');
+      return assertStorageAdapter(new FileStorage(), backend);
+    }
+    case 'sqlite': {
+      // Required lazily so the native module is only loaded when SQLite is selected
+      const SqliteStorage = require('./sqliteStorage');
+      const sqlitePath = options.sqlitePath || process.env.SQLITE_PATH;
+      return assertStorageAdapter(new SqliteStorage({
+        dbPath: sqlitePath ? path.resolve(sqlitePath) : undefined
+      }), backend);
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use "file" or "sqlite".`);
+  }
+}
+
+module.exports = {
+  STORAGE_METHODS,
+  assertStorageAdapter,
+  createStorage
+};
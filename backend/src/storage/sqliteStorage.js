@@ -0,0 +1,471 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+class SqliteStorage {
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || path.join(__dirname, '../../data/chat-to-viz.db');
+    this.db = null;
+    this.initialized = false;
+  }
+
+  // Open the database and create tables/indexes if they don't exist
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+
+      // Indexed columns are kept alongside the full JSON record so that new
+      // model fields don't require a schema migration
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS questions (
+          id TEXT PRIMARY KEY,
+          user_id TEXT,
+          created_at TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_questions_user_id ON questions (user_id);
+        CREATE INDEX IF NOT EXISTS idx_questions_created_at ON questions (created_at);
+
+        CREATE TABLE IF NOT EXISTS answers (
+          id TEXT PRIMARY KEY,
+          user_id TEXT,
+          created_at TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_answers_user_id ON answers (user_id);
+        CREATE INDEX IF NOT EXISTS idx_answers_created_at ON answers (created_at);
+
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          user_id TEXT,
+          created_at TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations (user_id);
+
+        CREATE TABLE IF NOT EXISTS shares (
+          id TEXT PRIMARY KEY,
+          user_id TEXT,
+          answer_id TEXT,
+          token TEXT UNIQUE,
+          created_at TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_shares_answer_id ON shares (answer_id);
+      `);
+
+      // Columns added after the initial schema
+      this.ensureColumn('questions', 'conversation_id', 'TEXT');
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_questions_conversation_id ON questions (conversation_id)');
+
+      // Serves the keyset pagination in queryQuestions
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_questions_user_created_id ON questions (user_id, created_at, id)');
+
+      // SQLite's lower() only folds ASCII; match question text the way the file backend does
+      this.db.function('contains_text', { deterministic: true }, (value, needle) => (
+        String(value ?? '').toLowerCase().includes(needle) ? 1 : 0
+      ));
+
+      this.initialized = true;
+      console.log(`✅ SQLite storage initialized at ${this.dbPath}`);
+    } catch (error) {
+      console.error('❌ Failed to initialize SQLite storage:', error);
+      throw error;
+    }
+  }
+
+  // Add a column to an existing table if a database predates it
+  ensureColumn(table, column, type) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      console.log(`🔧 Added ${table}.${column} column`);
+    }
+  }
+
+  // Serialize a record into its indexed columns plus JSON payload
+  toRow(record) {
+    const data = JSON.parse(JSON.stringify(record));
+    return {
+      id: data.id,
+      user_id: data.userId || null,
+      created_at: data.createdAt || new Date().toISOString(),
+      data: JSON.stringify(data)
+    };
+  }
+
+  questionToRow(question) {
+    return {
+      ...this.toRow(question),
+      conversation_id: question.conversationId || null
+    };
+  }
+
+  shareToRow(share) {
+    return {
+      ...this.toRow(share),
+      answer_id: share.answerId,
+      token: share.token
+    };
+  }
+
+  fromRow(row) {
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  // QUESTIONS OPERATIONS
+
+  async getAllQuestions() {
+    await this.initialize();
+    const rows = this.db.prepare('SELECT data FROM questions ORDER BY created_at ASC, rowid ASC').all();
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async saveQuestion(question) {
+    await this.initialize();
+    this.db.prepare(
+      `INSERT INTO questions (id, user_id, conversation_id, created_at, data)
+       VALUES (@id, @user_id, @conversation_id, @created_at, @data)`
+    ).run(this.questionToRow(question));
+    console.log(`💾 Saved question: ${question.id}`);
+    return question;
+  }
+
+  async updateQuestion(questionId, updates) {
+    await this.initialize();
+
+    const update = this.db.transaction(() => {
+      const existing = this.fromRow(
+        this.db.prepare('SELECT data FROM questions WHERE id = ?').get(questionId)
+      );
+
+      if (!existing) {
+        throw new Error(`Question ${questionId} not found`);
+      }
+
+      const updated = { ...existing, ...updates };
+      this.db.prepare(
+        `UPDATE questions SET user_id = @user_id, conversation_id = @conversation_id,
+           created_at = @created_at, data = @data WHERE id = @id`
+      ).run(this.questionToRow(updated));
+      return updated;
+    });
+
+    const updated = update();
+    console.log(`🔄 Updated question: ${questionId}`);
+    return updated;
+  }
+
+  async getQuestionsByUser(userId) {
+    await this.initialize();
+    const rows = this.db.prepare(
+      'SELECT data FROM questions WHERE user_id = ? ORDER BY created_at ASC, rowid ASC'
+    ).all(userId);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  // One page of a user's questions in (createdAt, id) order, starting after the `after` cursor key
+  async queryQuestions({ userId, conversationId = null, from = null, to = null, text = '', sort = 'asc', after = null, limit }) {
+    await this.initialize();
+    const conditions = ['user_id = @userId'];
+    const params = { userId, limit };
+
+    if (conversationId) {
+      conditions.push('conversation_id = @conversationId');
+      params.conversationId = conversationId;
+    }
+    if (from) {
+      conditions.push('created_at >= @from');
+      params.from = from.toISOString();
+    }
+    if (to) {
+      conditions.push('created_at <= @to');
+      params.to = to.toISOString();
+    }
+    if (text) {
+      conditions.push("contains_text(json_extract(data, '$.question'), @text)");
+      params.text = text.toLowerCase();
+    }
+
+    const direction = sort === 'desc' ? 'DESC' : 'ASC';
+    if (after) {
+      conditions.push(`(created_at, id) ${sort === 'desc' ? '<' : '>'} (@afterCreatedAt, @afterId)`);
+      params.afterCreatedAt = new Date(after.createdAt).toISOString();
+      params.afterId = after.id;
+    }
+
+    const rows = this.db.prepare(
+      `SELECT data FROM questions WHERE ${conditions.join(' AND ')} ORDER BY created_at ${direction}, id ${direction} LIMIT @limit`
+    ).all(params);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async getQuestionsByConversation(conversationId) {
+    await this.initialize();
+    const rows = this.db.prepare(
+      'SELECT data FROM questions WHERE conversation_id = ? ORDER BY created_at ASC, rowid ASC'
+    ).all(conversationId);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async getQuestionById(questionId) {
+    await this.initialize();
+    return this.fromRow(this.db.prepare('SELECT data FROM questions WHERE id = ?').get(questionId));
+  }
+
+  async deleteQuestion(questionId) {
+    await this.initialize();
+    const result = this.db.prepare('DELETE FROM questions WHERE id = ?').run(questionId);
+
+    if (result.changes === 0) {
+      console.log(`⚠️ Question ${questionId} not found for deletion`);
+      return false;
+    }
+
+    console.log(`🗑️ Deleted question: ${questionId}`);
+    return true;
+  }
+
+  // ANSWERS OPERATIONS
+
+  async getAllAnswers() {
+    await this.initialize();
+    const rows = this.db.prepare('SELECT data FROM answers ORDER BY created_at ASC, rowid ASC').all();
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async saveAnswer(answer) {
+    await this.initialize();
+    this.db.prepare(
+      'INSERT INTO answers (id, user_id, created_at, data) VALUES (@id, @user_id, @created_at, @data)'
+    ).run(this.toRow(answer));
+    console.log(`💾 Saved answer: ${answer.id}`);
+    return answer;
+  }
+
+  async getAnswerById(answerId) {
+    await this.initialize();
+    return this.fromRow(this.db.prepare('SELECT data FROM answers WHERE id = ?').get(answerId));
+  }
+
+  async getAnswersByIds(answerIds) {
+    await this.initialize();
+    const rows = this.db.prepare(
+      'SELECT data FROM answers WHERE id IN (SELECT value FROM json_each(?))'
+    ).all(JSON.stringify(answerIds));
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async deleteAnswer(answerId) {
+    await this.initialize();
+    const result = this.db.prepare('DELETE FROM answers WHERE id = ?').run(answerId);
+
+    if (result.changes === 0) {
+      console.log(`⚠️ Answer ${answerId} not found for deletion`);
+      return false;
+    }
+
+    console.log(`🗑️ Deleted answer: ${answerId}`);
+    return true;
+  }
+
+  // CONVERSATIONS OPERATIONS
+
+  async getConversationsByUser(userId) {
+    await this.initialize();
+    const rows = this.db.prepare(
+      'SELECT data FROM conversations WHERE user_id = ? ORDER BY created_at ASC, rowid ASC'
+    ).all(userId);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async getConversationById(conversationId) {
+    await this.initialize();
+    return this.fromRow(this.db.prepare('SELECT data FROM conversations WHERE id = ?').get(conversationId));
+  }
+
+  async saveConversation(conversation) {
+    await this.initialize();
+    this.db.prepare(
+      'INSERT INTO conversations (id, user_id, created_at, data) VALUES (@id, @user_id, @created_at, @data)'
+    ).run(this.toRow(conversation));
+    console.log(`💾 Saved conversation: ${conversation.id}`);
+    return conversation;
+  }
+
+  async updateConversation(conversationId, updates) {
+    await this.initialize();
+
+    const updated = this.db.transaction(() => {
+      const existing = this.fromRow(
+        this.db.prepare('SELECT data FROM conversations WHERE id = ?').get(conversationId)
+      );
+
+      if (!existing) {
+        throw new Error(`Conversation ${conversationId} not found`);
+      }
+
+      const merged = { ...existing, ...updates };
+      this.db.prepare(
+        'UPDATE conversations SET user_id = @user_id, created_at = @created_at, data = @data WHERE id = @id'
+      ).run(this.toRow(merged));
+      return merged;
+    })();
+
+    console.log(`🔄 Updated conversation: ${conversationId}`);
+    return updated;
+  }
+
+  // Delete a conversation together with its questions and their answers
+  async deleteConversation(conversationId) {
+    await this.initialize();
+    const result = this.db.transaction(() => {
+      const removed = this.db.prepare('DELETE FROM conversations WHERE id = ?').run(conversationId).changes;
+      if (removed === 0) return false;
+
+      // Regenerated answers are listed in answerIds; older questions only have answerId
+      const answersDeleted = this.db.prepare(
+        `DELETE FROM answers WHERE id IN (
+           SELECT json_extract(data, '$.answerId') FROM questions WHERE conversation_id = @conversationId
+           UNION
+           SELECT version.value FROM questions, json_each(questions.data, '$.answerIds') AS version
+           WHERE questions.conversation_id = @conversationId
+         )`
+      ).run({ conversationId }).changes;
+      const questionsDeleted = this.db.prepare('DELETE FROM questions WHERE conversation_id = ?').run(conversationId).changes;
+      return { questionsDeleted, answersDeleted };
+    })();
+
+    if (!result) {
+      console.log(`⚠️ Conversation ${conversationId} not found for deletion`);
+      return false;
+    }
+
+    console.log(`🗑️ Deleted conversation: ${conversationId} (${result.questionsDeleted} questions)`);
+    return result;
+  }
+
+  // SHARE LINK OPERATIONS
+
+  async saveShare(share) {
+    await this.initialize();
+    this.db.prepare(
+      `INSERT INTO shares (id, user_id, answer_id, token, created_at, data)
+       VALUES (@id, @user_id, @answer_id, @token, @created_at, @data)`
+    ).run(this.shareToRow(share));
+    console.log(`💾 Saved share link: ${share.id}`);
+    return share;
+  }
+
+  async getShareByToken(token) {
+    await this.initialize();
+    return this.fromRow(this.db.prepare('SELECT data FROM shares WHERE token = ?').get(token));
+  }
+
+  async getSharesByAnswer(answerId) {
+    await this.initialize();
+    const rows = this.db.prepare('SELECT data FROM shares WHERE answer_id = ? ORDER BY created_at ASC').all(answerId);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async updateShare(shareId, updates) {
+    await this.initialize();
+
+    const updated = this.db.transaction(() => {
+      const existing = this.fromRow(this.db.prepare('SELECT data FROM shares WHERE id = ?').get(shareId));
+
+      if (!existing) {
+        throw new Error(`Share link ${shareId} not found`);
+      }
+
+      const merged = { ...existing, ...updates };
+      this.db.prepare('UPDATE shares SET data = @data WHERE id = @id').run(this.shareToRow(merged));
+      return merged;
+    })();
+
+    console.log(`🔄 Updated share link: ${shareId}`);
+    return updated;
+  }
+
+  // UTILITY OPERATIONS
+
+  async getStats(userId = null) {
+    await this.initialize();
+    const questionWhere = userId ? 'WHERE user_id = @userId' : '';
+    // Answers belong to a user directly, or through the question that links to them
+    const answerWhere = userId
+      ? `WHERE user_id = @userId OR id IN (
+           SELECT json_extract(data, '$.answerId') FROM questions WHERE user_id = @userId
+           UNION
+           SELECT version.value FROM questions, json_each(questions.data, '$.answerIds') AS version
+           WHERE questions.user_id = @userId
+         )`
+      : '';
+    const params = userId ? { userId } : {};
+
+    const questionStats = this.db.prepare(
+      `SELECT COUNT(*) AS count, MAX(created_at) AS last FROM questions ${questionWhere}`
+    ).get(params);
+    const answerStats = this.db.prepare(
+      `SELECT COUNT(*) AS count, MAX(created_at) AS last FROM answers ${answerWhere}`
+    ).get(params);
+    const conversationStats = this.db.prepare(
+      `SELECT COUNT(*) AS count, MAX(created_at) AS last FROM conversations ${questionWhere}`
+    ).get(params);
+
+    return {
+      questionsCount: questionStats.count,
+      answersCount: answerStats.count,
+      conversationsCount: conversationStats.count,
+      storage: 'sqlite',
+      databaseFile: this.dbPath,
+      lastModified: {
+        questions: questionStats.last ? new Date(questionStats.last) : null,
+        answers: answerStats.last ? new Date(answerStats.last) : null,
+        conversations: conversationStats.last ? new Date(conversationStats.last) : null
+      }
+    };
+  }
+
+  // Clear all data (useful for testing)
+  async clearAll() {
+    await this.initialize();
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM questions').run();
+      this.db.prepare('DELETE FROM answers').run();
+      this.db.prepare('DELETE FROM conversations').run();
+      this.db.prepare('DELETE FROM shares').run();
+    })();
+    console.log('🗑️ Cleared all data');
+  }
+
+  // Clear one user's questions and answers, leaving other users untouched
+  async clearUser(userId) {
+    await this.initialize();
+    const result = this.db.transaction(() => {
+      const answersDeleted = this.db.prepare(
+        `DELETE FROM answers WHERE user_id = @userId OR id IN (
+           SELECT json_extract(data, '$.answerId') FROM questions WHERE user_id = @userId
+           UNION
+           SELECT version.value FROM questions, json_each(questions.data, '$.answerIds') AS version
+           WHERE questions.user_id = @userId
+         )`
+      ).run({ userId }).changes;
+      const questionsDeleted = this.db.prepare('DELETE FROM questions WHERE user_id = ?').run(userId).changes;
+      const conversationsDeleted = this.db.prepare('DELETE FROM conversations WHERE user_id = ?').run(userId).changes;
+      // Links to answers that no longer exist
+      this.db.prepare('DELETE FROM shares WHERE user_id = ?').run(userId);
+      return { questionsDeleted, answersDeleted, conversationsDeleted };
+    })();
+
+    console.log(`🗑️ Cleared ${result.questionsDeleted} questions and ${result.answersDeleted} answers for user: ${userId}`);
+    return result;
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,47 @@
+// Helpers for cancelling in-flight work with an AbortSignal
+
+function createAbortError(message = 'Question processing was cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Settle with the promise, or reject with an AbortError as soon as the signal
+ * fires. The Gemini SDK can't take a signal, so an aborted request still runs
+ * to completion in the background but its result is ignored.
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise} - The promise's result
+ */
+function raceWithAbort(promise, signal) {
+  if (!signal) return promise;
+  throwIfAborted(signal);
+
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+module.exports = {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  raceWithAbort
+};
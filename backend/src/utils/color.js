@@ -0,0 +1,110 @@
+// Color parsing and WCAG contrast helpers for the visual linter
+
+// CSS names LLM responses commonly use; anything else is treated as unknown
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  lime: '#00ff00',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  pink: '#ffc0cb',
+  brown: '#a52a2a',
+  gray: '#808080',
+  grey: '#808080',
+  lightgray: '#d3d3d3',
+  lightgrey: '#d3d3d3',
+  darkgray: '#a9a9a9',
+  darkgrey: '#a9a9a9',
+  navy: '#000080',
+  teal: '#008080',
+  cyan: '#00ffff',
+  magenta: '#ff00ff',
+  gold: '#ffd700',
+  silver: '#c0c0c0',
+  skyblue: '#87ceeb',
+  lightblue: '#add8e6',
+  darkblue: '#00008b',
+  darkgreen: '#006400'
+};
+
+/**
+ * Parse a CSS color
+ * @param {string} color - #rgb, #rrggbb, #rrggbbaa, rgb(), rgba() or a common color name
+ * @returns {Object|null} - { r, g, b, a } with channels 0-255 and alpha 0-1, or null if unknown
+ */
+function parseColor(color) {
+  if (typeof color !== 'string') return null;
+  const value = color.trim().toLowerCase();
+
+  if (NAMED_COLORS[value]) return parseColor(NAMED_COLORS[value]);
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3) {
+      digits = digits.split('').map(char => char + char).join('');
+    }
+    return {
+      r: parseInt(digits.substr(0, 2), 16),
+      g: parseInt(digits.substr(2, 2), 16),
+      b: parseInt(digits.substr(4, 2), 16),
+      a: digits.length === 8 ? parseInt(digits.substr(6, 2), 16) / 255 : 1
+    };
+  }
+
+  const rgb = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb) {
+    return {
+      r: Number(rgb[1]),
+      g: Number(rgb[2]),
+      b: Number(rgb[3]),
+      a: rgb[4] !== undefined ? Number(rgb[4]) : 1
+    };
+  }
+
+  return null;
+}
+
+// Paint a color with the given opacity over an opaque backdrop
+function compositeOver(color, opacity, backdrop) {
+  const alpha = Math.min(1, Math.max(0, (color.a ?? 1) * opacity));
+  return {
+    r: color.r * alpha + backdrop.r * (1 - alpha),
+    g: color.g * alpha + backdrop.g * (1 - alpha),
+    b: color.b * alpha + backdrop.b * (1 - alpha),
+    a: 1
+  };
+}
+
+// WCAG 2 relative luminance
+function relativeLuminance({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+// WCAG 2 contrast ratio, from 1 (none) to 21 (black on white)
+function contrastRatio(first, second) {
+  const lighter = Math.max(relativeLuminance(first), relativeLuminance(second));
+  const darker = Math.min(relativeLuminance(first), relativeLuminance(second));
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+module.exports = {
+  parseColor,
+  compositeOver,
+  relativeLuminance,
+  contrastRatio,
+  toHex
+};
@@ -0,0 +1,32 @@
+// Opaque pagination cursors: the sort key of the last item of a page, base64url-encoded JSON
+
+function encodeCursor(item) {
+  const key = { createdAt: new Date(item.createdAt).toISOString(), id: item.id };
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+// Returns { createdAt, id }, or null if the cursor wasn't produced by encodeCursor
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!key || typeof key.id !== 'string' || Number.isNaN(new Date(key.createdAt).getTime())) {
+      return null;
+    }
+    return { createdAt: key.createdAt, id: key.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Order items by creation time, with the id breaking ties so every item has a unique position
+function compareByCreation(a, b) {
+  const difference = new Date(a.createdAt) - new Date(b.createdAt);
+  if (difference !== 0) return difference;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  compareByCreation
+};
@@ -0,0 +1,38 @@
+// Source of the frontend VisualizationEngine, for running it outside the React app
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ENGINE_PATH = path.resolve(__dirname, '../../../frontend/src/utils/visualizationEngine.js');
+
+let cachedSource = null;
+
+function getEnginePath() {
+  return process.env.VISUALIZATION_ENGINE_PATH
+    ? path.resolve(process.env.VISUALIZATION_ENGINE_PATH)
+    : DEFAULT_ENGINE_PATH;
+}
+
+/**
+ * The engine as a classic script that declares `class VisualizationEngine`
+ * (the module's `export` is dropped). Read once and cached.
+ * @returns {string} - Script source
+ * @throws {Error} - If the engine file is missing or doesn't declare the class
+ */
+function getEngineScript() {
+  if (cachedSource) return cachedSource;
+
+  const enginePath = getEnginePath();
+  const source = fs.readFileSync(enginePath, 'utf8');
+  const script = source.replace(/^export\s+(?=class\s+VisualizationEngine\b)/m, '');
+  if (!/^class\s+VisualizationEngine\b/m.test(script)) {
+    throw new Error(`${enginePath} does not declare class VisualizationEngine`);
+  }
+
+  cachedSource = script;
+  return script;
+}
+
+module.exports = {
+  getEnginePath,
+  getEngineScript
+};
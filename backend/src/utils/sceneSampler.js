@@ -0,0 +1,269 @@
+/**
+ * Evaluates visualization layers at a point in time without a canvas, the
+ * way the frontend VisualizationEngine does in calculateProperties(). Used by
+ * the visual linter. Coordinates stay in the 800x400 logical canvas space;
+ * the engine's auto-scaling is not applied.
+ */
+const { parseColor } = require('./color');
+
+const EASING_FUNCTIONS = {
+  'linear': t => t,
+  'ease-in': t => t * t,
+  'ease-out': t => t * (2 - t),
+  'ease-in-out': t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  'ease-in-cubic': t => t * t * t,
+  'ease-out-cubic': t => 1 - Math.pow(1 - t, 3),
+  'elastic': t => {
+    const c4 = (2 * Math.PI) / 3;
+    return t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
+  },
+  'bounce': t => {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+  }
+};
+
+const easeInOutQuad = EASING_FUNCTIONS['ease-in-out'];
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Shapes default to these sizes in the engine when the props leave them out
+function applyDefaults(type, props) {
+  if (props.radius && !props.r) props.r = props.radius;
+  if (props.size && !props.r) props.r = props.size;
+
+  if (type === 'circle') {
+    if (!isNumber(props.r)) props.r = 20;
+    if (!isNumber(props.x)) props.x = 100;
+    if (!isNumber(props.y)) props.y = 100;
+  }
+  if (type === 'text') {
+    if (!isNumber(props.x)) props.x = 50;
+    if (!isNumber(props.y)) props.y = 50;
+  }
+  if (type === 'rectangle' || type === 'rect') {
+    if (!isNumber(props.x)) props.x = 50;
+    if (!isNumber(props.y)) props.y = 50;
+    if (!isNumber(props.width)) props.width = 100;
+    if (!isNumber(props.height)) props.height = 60;
+  }
+  if (type === 'ellipse') {
+    if (!isNumber(props.x)) props.x = 100;
+    if (!isNumber(props.y)) props.y = 100;
+    if (!isNumber(props.radiusX)) props.radiusX = props.width ? props.width / 2 : 50;
+    if (!isNumber(props.radiusY)) props.radiusY = props.height ? props.height / 2 : 30;
+  }
+}
+
+/**
+ * Props of a layer at the given time, with its animations applied
+ * @param {Object} layer - Visualization layer
+ * @param {number} time - Milliseconds since the start of the visualization
+ * @param {number} visualizationDuration - Fallback duration for scale and colorTransition
+ * @returns {Object} - Evaluated props
+ */
+function layerPropsAt(layer, time, visualizationDuration = 1000) {
+  const props = { ...(layer.props || {}) };
+  applyDefaults(layer.type, props);
+
+  const animations = Array.isArray(layer.animations) ? layer.animations : [];
+  animations.forEach(animation => {
+    if (!animation || !animation.property) return;
+
+    if (animation.property === 'scale') {
+      const start = animation.start ?? 0;
+      const duration = animation.duration ?? visualizationDuration;
+      if (duration > 0 && time >= start) {
+        const eased = easeInOutQuad(Math.min((time - start) / duration, 1));
+        const scale = (animation.from ?? 1) + ((animation.to ?? 1) - (animation.from ?? 1)) * eased;
+        ['r', 'width', 'height', 'radiusX', 'radiusY', 'fontSize'].forEach(key => {
+          if (props[key]) props[key] *= scale;
+        });
+      }
+      return;
+    }
+
+    if (animation.property === 'colorTransition') {
+      const start = animation.start ?? 0;
+      const duration = animation.duration ?? visualizationDuration;
+      if (duration > 0 && time >= start && time <= start + duration) {
+        const eased = easeInOutQuad((time - start) / duration);
+        const fromColor = parseColor(animation.from || '#000000') || { r: 0, g: 0, b: 0 };
+        const toColor = parseColor(animation.to || '#FFFFFF') || { r: 0, g: 0, b: 0 };
+        const [r, g, b] = ['r', 'g', 'b'].map(channel =>
+          Math.round(fromColor[channel] + (toColor[channel] - fromColor[channel]) * eased));
+        props.fill = `rgb(${r}, ${g}, ${b})`;
+        props.color = props.fill;
+      }
+      return;
+    }
+
+    if (animation.property === 'orbit') {
+      const start = animation.start ?? animation.delay ?? 0;
+      const duration = animation.duration ?? 1000;
+      if (duration <= 0 || time < start) return;
+
+      let localT = time - start;
+      localT = animation.repeat ? localT % duration : Math.min(localT, duration);
+      const angle = (animation.startAngle ?? 0) + (localT / duration) * Math.PI * 2;
+      const cx = animation.centerX ?? props.x ?? 0;
+      const cy = animation.centerY ?? props.y ?? 0;
+      const radius = animation.radius ?? 0;
+      props.x = cx + radius * Math.cos(angle);
+      props.y = cy + radius * Math.sin(angle);
+      return;
+    }
+
+    const start = animation.start ?? animation.delay ?? 0;
+    const duration = animation.duration ?? (animation.end ? (animation.end - start) : 1000);
+    const from = animation.from ?? animation.startValue;
+    const to = animation.to ?? animation.endValue;
+    if (duration <= 0 || !isNumber(from) || !isNumber(to)) return;
+
+    let localT = time - start;
+    if (localT < 0) return;
+
+    if (animation.repeat) {
+      if (animation.alternate) {
+        const timeInCycle = localT % (duration * 2);
+        localT = timeInCycle <= duration ? timeInCycle : duration - (timeInCycle - duration);
+      } else {
+        localT = localT % duration;
+      }
+    } else {
+      localT = Math.min(localT, duration);
+    }
+
+    const easing = EASING_FUNCTIONS[animation.easing] || EASING_FUNCTIONS.linear;
+    props[animation.property] = from + (to - from) * easing(Math.min(Math.max(localT / duration, 0), 1));
+  });
+
+  return props;
+}
+
+// Rough rendered width of a line of text (Arial averages a little over half an em per character)
+function estimateTextWidth(text, fontSize) {
+  return String(text).length * fontSize * 0.55;
+}
+
+function boundsOfPoints(points, padding = 0) {
+  const valid = points.filter(point => point && isNumber(point.x) && isNumber(point.y));
+  if (valid.length === 0) return null;
+  const xs = valid.map(point => point.x);
+  const ys = valid.map(point => point.y);
+  return {
+    minX: Math.min(...xs) - padding,
+    minY: Math.min(...ys) - padding,
+    maxX: Math.max(...xs) + padding,
+    maxY: Math.max(...ys) + padding
+  };
+}
+
+const centeredBounds = (x, y, radiusX, radiusY = radiusX) => ({
+  minX: x - radiusX, minY: y - radiusY, maxX: x + radiusX, maxY: y + radiusY
+});
+
+/**
+ * Axis-aligned bounding box of a layer's evaluated props
+ * @returns {Object|null} - { minX, minY, maxX, maxY }, or null if it can't be worked out
+ */
+function layerBounds(type, props) {
+  let bounds = null;
+
+  switch (type) {
+    case 'circle':
+      bounds = centeredBounds(props.x, props.y, props.r);
+      break;
+    case 'rectangle':
+    case 'rect':
+      bounds = { minX: props.x, minY: props.y, maxX: props.x + props.width, maxY: props.y + props.height };
+      break;
+    case 'ellipse':
+      bounds = centeredBounds(props.x, props.y, props.radiusX, props.radiusY);
+      break;
+    case 'line':
+      bounds = boundsOfPoints([{ x: props.x1, y: props.y1 }, { x: props.x2, y: props.y2 }], (props.strokeWidth || 1) / 2);
+      break;
+    case 'arrow':
+      bounds = boundsOfPoints([{ x: props.x, y: props.y }, { x: props.x + props.dx, y: props.y + props.dy }]);
+      break;
+    case 'text': {
+      const fontSize = props.fontSize || props.size || 16;
+      const width = estimateTextWidth(props.text || props.content || '', fontSize);
+      const align = props.align || 'left';
+      const minX = align === 'center' ? props.x - width / 2 : align === 'right' ? props.x - width : props.x;
+      bounds = { minX, minY: props.y, maxX: minX + width, maxY: props.y + fontSize };
+      break;
+    }
+    case 'star':
+      bounds = centeredBounds(props.x, props.y, props.outerRadius || 50);
+      break;
+    case 'spiral':
+      bounds = centeredBounds(props.x, props.y, props.maxRadius);
+      break;
+    case 'arc':
+      bounds = centeredBounds(props.x, props.y, props.radius);
+      break;
+    case 'bezier':
+      bounds = boundsOfPoints([props.startPoint, props.controlPoint1, props.controlPoint2, props.endPoint]);
+      break;
+    case 'polygon':
+      bounds = boundsOfPoints(Array.isArray(props.points) ? props.points : []);
+      break;
+    case 'wave': {
+      const amplitude = Math.abs(props.amplitude || 0);
+      bounds = {
+        minX: Math.min(props.startX, props.endX),
+        minY: props.startY - amplitude,
+        maxX: Math.max(props.startX, props.endX),
+        maxY: props.startY + amplitude
+      };
+      break;
+    }
+    case 'gradient':
+      bounds = props.type === 'radial' && props.radius
+        ? centeredBounds(props.x, props.y, props.radius)
+        : { minX: props.x, minY: props.y, maxX: props.x + (props.width || 0), maxY: props.y + (props.height || 0) };
+      break;
+    case 'particle': {
+      const particles = Array.isArray(props.particles) ? props.particles : [];
+      const largest = Math.max(0, ...particles.map(particle => (particle && particle.size) || 3));
+      bounds = boundsOfPoints(particles, largest);
+      break;
+    }
+    default:
+      return null;
+  }
+
+  const complete = bounds && [bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(isNumber);
+  return complete ? bounds : null;
+}
+
+// Whether a filled shape covers the point (bounding box for the less common shapes)
+function coversPoint(type, props, point) {
+  if (type === 'circle') {
+    return Math.hypot(point.x - props.x, point.y - props.y) <= props.r;
+  }
+  if (type === 'ellipse') {
+    const dx = (point.x - props.x) / props.radiusX;
+    const dy = (point.y - props.y) / props.radiusY;
+    return dx * dx + dy * dy <= 1;
+  }
+
+  const bounds = layerBounds(type, props);
+  return Boolean(bounds) &&
+    point.x >= bounds.minX && point.x <= bounds.maxX &&
+    point.y >= bounds.minY && point.y <= bounds.maxY;
+}
+
+module.exports = {
+  EASING_FUNCTIONS,
+  layerPropsAt,
+  layerBounds,
+  coversPoint,
+  estimateTextWidth
+};
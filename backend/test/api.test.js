@@ -0,0 +1,237 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// The router opens the configured storage and LLM provider when it is first required: use a throwaway
+// database and no provider, so only the routes that don't generate answers work
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-to-viz-api-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(directory, 'test.db');
+delete process.env.LLM_PROVIDER;
+delete process.env.GEMINI_API_KEY;
+
+const apiRoutes = require('../src/routes/api');
+const { dataStore } = require('../src/models/dataStore');
+const LLMService = require('../src/services/llmService');
+
+const offCanvas = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'visual-lint', 'off-canvas.json'), 'utf8'));
+
+describe('API routes', () => {
+  let server;
+  let baseUrl;
+
+  async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}/api${url}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    const app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    mock.restoreAll();
+  });
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    await dataStore.clearAll();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('GET /api/questions', () => {
+    it('pages through a user\'s questions with the returned cursor', async () => {
+      for (const minute of [1, 2, 3]) {
+        await dataStore.saveQuestion({ id: `q${minute}`, userId: 'alice', question: `Question ${minute}`, conversationId: 'c1', parentId: null, createdAt: new Date(Date.UTC(2024, 0, 1, 0, minute)) });
+      }
+
+      const first = await request('GET', '/questions?userId=alice&limit=2');
+      assert.deepEqual(first.body.questions.map(q => q.id), ['q1', 'q2']);
+
+      const second = await request('GET', `/questions?userId=alice&limit=2&cursor=${first.body.nextCursor}`);
+      assert.deepEqual(second.body.questions.map(q => q.id), ['q3']);
+      assert.equal(second.body.nextCursor, null);
+    });
+
+    it('gives questions saved before branching existed the question asked before them as parent', async () => {
+      for (const minute of [1, 2, 3]) {
+        await dataStore.saveQuestion({ id: `q${minute}`, userId: 'alice', question: `Question ${minute}`, conversationId: 'c1', createdAt: new Date(Date.UTC(2024, 0, 1, 0, minute)) });
+      }
+
+      const { body } = await request('GET', '/questions?userId=alice&sort=desc&limit=2');
+
+      assert.deepEqual(body.questions.map(q => [q.id, q.parentId]), [['q3', 'q2'], ['q2', 'q1']]);
+    });
+  });
+
+  describe('share links', () => {
+    const OWNER = 'owner-7f3a';
+
+    beforeEach(async () => {
+      for (const userId of [OWNER, 'bob']) {
+        await dataStore.saveAnswer({ id: `${userId}-a1`, userId, questionId: `${userId}-q1`, version: 1, text: 'Light scatters', visualization: offCanvas.visualization, createdAt: new Date() });
+        await dataStore.saveQuestion({ id: `${userId}-q1`, userId, question: 'Why is the sky blue?', conversationId: `${userId}-c1`, parentId: null, answerId: `${userId}-a1`, answerIds: [`${userId}-a1`], createdAt: new Date() });
+      }
+    });
+
+    async function share(fields = {}) {
+      const { status, body } = await request('POST', `/answers/${OWNER}-a1/share`, { userId: OWNER, ...fields });
+      assert.equal(status, 201);
+      return body;
+    }
+
+    it('shows the shared answer without any ids of its owner', async () => {
+      const link = await share();
+      assert.equal('userId' in link, false);
+
+      const { status, body } = await request('GET', `/shared/${link.token}`);
+
+      assert.equal(status, 200);
+      assert.deepEqual(Object.keys(body).sort(), ['answeredAt', 'expiresAt', 'question', 'text', 'visualization']);
+      assert.equal(body.text, 'Light scatters');
+      assert.ok(!JSON.stringify(body).includes(OWNER));
+    });
+
+    it('answers 404 for an unknown token', async () => {
+      assert.equal((await request('GET', '/shared/not-a-token')).status, 404);
+    });
+
+    it('answers 410 once a link is revoked', async () => {
+      const link = await share();
+
+      const revoked = await request('DELETE', `/answers/${OWNER}-a1/shares/${link.id}`, { userId: OWNER });
+      assert.equal(revoked.body.status, 'revoked');
+
+      const { status, body } = await request('GET', `/shared/${link.token}`);
+      assert.equal(status, 410);
+      assert.equal(body.status, 'revoked');
+    });
+
+    it('answers 410 once a link has expired', async () => {
+      await dataStore.saveShare({ id: 's-old', userId: OWNER, answerId: `${OWNER}-a1`, token: 'expired-token', expiresAt: new Date(Date.now() - 1000), revokedAt: null, createdAt: new Date(Date.now() - 60000) });
+
+      const { status, body } = await request('GET', '/shared/expired-token');
+
+      assert.equal(status, 410);
+      assert.equal(body.status, 'expired');
+    });
+
+    it('does not let another user list or revoke the links', async () => {
+      const link = await share();
+
+      assert.equal((await request('GET', `/answers/${OWNER}-a1/shares?userId=bob`)).status, 404);
+      assert.equal((await request('DELETE', `/answers/${OWNER}-a1/shares/${link.id}`, { userId: 'bob' })).status, 404);
+      // Not through an answer of their own either
+      assert.equal((await request('DELETE', `/answers/bob-a1/shares/${link.id}`, { userId: 'bob' })).status, 404);
+      assert.deepEqual((await request('GET', '/answers/bob-a1/shares?userId=bob')).body.shares, []);
+
+      assert.equal((await request('GET', `/shared/${link.token}`)).status, 200);
+      const { body } = await request('GET', `/answers/${OWNER}-a1/shares?userId=${OWNER}`);
+      assert.deepEqual(body.shares.map(listed => [listed.id, listed.status]), [[link.id, 'active']]);
+    });
+  });
+
+  describe('per-user isolation', () => {
+    // Alice's thread: q1, then q2 following on from it, whose answer predates per-answer user ids
+    beforeEach(async () => {
+      await dataStore.saveConversation({ id: 'c-alice', userId: 'alice', title: 'Sky', createdAt: new Date(), updatedAt: new Date() });
+      await dataStore.saveAnswer({ id: 'a1', userId: 'alice', questionId: 'q1', version: 1, text: 'Alice answer one', visualization: offCanvas.visualization, createdAt: new Date() });
+      await dataStore.saveAnswer({ id: 'a2', userId: null, questionId: 'q2', version: 1, text: 'Alice answer two', visualization: offCanvas.visualization, createdAt: new Date() });
+      await dataStore.saveQuestion({ id: 'q1', userId: 'alice', question: 'Alice question one', conversationId: 'c-alice', parentId: null, answerId: 'a1', answerIds: ['a1'], createdAt: new Date(Date.now() - 2000) });
+      await dataStore.saveQuestion({ id: 'q2', userId: 'alice', question: 'Alice question two', conversationId: 'c-alice', parentId: 'q1', answerId: 'a2', answerIds: ['a2'], createdAt: new Date(Date.now() - 1000) });
+
+      await dataStore.saveConversation({ id: 'c-bob', userId: 'bob', title: 'Bob', createdAt: new Date(), updatedAt: new Date() });
+      await dataStore.saveAnswer({ id: 'a-bob', userId: 'bob', questionId: 'q-bob', version: 1, text: 'Bob answer', visualization: offCanvas.visualization, createdAt: new Date() });
+      await dataStore.saveQuestion({ id: 'q-bob', userId: 'bob', question: 'Bob question', conversationId: 'c-bob', parentId: null, answerId: 'a-bob', answerIds: ['a-bob'], createdAt: new Date() });
+    });
+
+    it('answers 404 when another user fetches, changes or deletes a question', async () => {
+      assert.equal((await request('GET', '/questions/q1/answers?userId=bob')).status, 404);
+      assert.equal((await request('PATCH', '/questions/q1', { userId: 'bob', question: 'Hijacked' })).status, 404);
+      assert.equal((await request('PUT', '/questions/q1/current-answer', { userId: 'bob', answerId: 'a1' })).status, 404);
+      assert.equal((await request('DELETE', '/questions/q1', { userId: 'bob' })).status, 404);
+
+      const question = await dataStore.getQuestionById('q1');
+      assert.equal(question.question, 'Alice question one');
+      assert.ok(await dataStore.getAnswerById('a1'));
+    });
+
+    it('answers 404 when another user fetches or deletes an answer, including one linked only through its question', async () => {
+      for (const answerId of ['a1', 'a2']) {
+        assert.equal((await request('GET', `/answers/${answerId}?userId=bob`)).status, 404, answerId);
+        assert.equal((await request('GET', `/answers/${answerId}/export.html?userId=bob`)).status, 404, answerId);
+        assert.equal((await request('GET', `/answers/${answerId}/frame.png?userId=bob`)).status, 404, answerId);
+        assert.equal((await request('DELETE', `/answers/${answerId}`, { userId: 'bob' })).status, 404, answerId);
+      }
+
+      assert.equal((await request('GET', '/answers/a2?userId=alice')).body.text, 'Alice answer two');
+      assert.deepEqual((await dataStore.getQuestionById('q2')).answerIds, ['a2']);
+    });
+
+    it('lists only the requesting user\'s questions', async () => {
+      const { body } = await request('GET', '/questions?userId=bob');
+      assert.deepEqual(body.questions.map(q => q.id), ['q-bob']);
+    });
+
+    it('never builds conversation context from another user\'s questions', async () => {
+      const llmService = new LLMService();
+
+      // Pointing at Alice's thread or one of her questions finds nothing
+      assert.equal(await llmService.buildConversationContext('bob', 'c-alice'), null);
+      assert.equal(await llmService.buildConversationContext('bob', 'c-alice', 3, 'q2'), null);
+
+      const own = await llmService.buildConversationContext('bob');
+      assert.match(own, /Bob question/);
+      assert.doesNotMatch(own, /Alice/);
+
+      assert.equal(await llmService.buildConversationContext(null), null);
+      assert.match(await llmService.buildConversationContext('alice', 'c-alice', 3, 'q2'), /Alice question one/);
+    });
+  });
+
+  describe('POST /api/validate', () => {
+    it('runs the schema check and visual linter without an LLM provider', async () => {
+      const response = { explanation: 'Shapes leaving the canvas', visualization: offCanvas.visualization };
+
+      const { status, body } = await request('POST', '/validate', { response });
+
+      assert.equal(status, 200);
+      assert.equal(body.validation.isValid, false);
+      assert.deepEqual(
+        body.validation.lintIssues.map(issue => [issue.rule, issue.layerId]),
+        offCanvas.expected.map(issue => [issue.rule, issue.layerId])
+      );
+      assert.ok(body.validation.issues.some(issue => issue.startsWith('/visualization/layers/0: ')));
+      assert.equal(body.wasChanged, false);
+    });
+
+    it('does not ask for a correction it cannot make', async () => {
+      const response = { explanation: 'Shapes leaving the canvas', visualization: offCanvas.visualization };
+
+      const { status, body } = await request('POST', '/validate', { response, originalQuestion: 'What leaves the canvas?' });
+
+      assert.equal(status, 503);
+      assert.equal(body.validation.lintIssues.length, 3);
+    });
+  });
+});
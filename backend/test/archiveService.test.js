@@ -0,0 +1,191 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// dataStore opens the configured storage when it is first required; point it at a throwaway database
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-to-viz-archive-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(directory, 'test.db');
+
+const { dataStore } = require('../src/models/dataStore');
+const ArchiveService = require('../src/services/archiveService');
+
+const visualization = { id: 'v', duration: 1000, fps: 30, layers: [{ id: 'c', type: 'circle', props: { x: 1, y: 2, r: 3 } }] };
+
+// A user's thread with one question, answered twice
+async function seedHistory(userId, prefix = '') {
+  await dataStore.saveConversation({ id: `${prefix}c1`, userId, title: 'Waves', createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z' });
+  await dataStore.saveAnswer({ id: `${prefix}a1`, userId, questionId: `${prefix}q1`, version: 1, text: 'First', visualization, createdAt: '2024-01-01T00:01:00.000Z' });
+  await dataStore.saveAnswer({ id: `${prefix}a2`, userId, questionId: `${prefix}q1`, version: 2, text: 'Second', visualization, createdAt: '2024-01-01T00:02:00.000Z' });
+  await dataStore.saveQuestion({
+    id: `${prefix}q1`,
+    userId,
+    question: 'How do waves work?',
+    conversationId: `${prefix}c1`,
+    parentId: null,
+    answerId: `${prefix}a2`,
+    answerIds: [`${prefix}a1`, `${prefix}a2`],
+    createdAt: '2024-01-01T00:00:30.000Z'
+  });
+}
+
+async function history(userId) {
+  const questions = await dataStore.getQuestionsByUser(userId);
+  const answers = await dataStore.getAnswersByIds(questions.flatMap(question => dataStore.getAnswerIds(question)));
+  return {
+    conversations: (await dataStore.getConversationsByUser(userId)).map(conversation => conversation.id),
+    questions: questions.map(question => question.id),
+    answerIds: questions.map(question => dataStore.getAnswerIds(question)),
+    answers: [...answers.keys()].sort()
+  };
+}
+
+describe('ArchiveService import', () => {
+  let archiveService;
+
+  before(() => {
+    archiveService = new ArchiveService();
+  });
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    await dataStore.clearAll();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  describe('merge', () => {
+    it('does not duplicate anything when a user re-imports their own backup', async () => {
+      await seedHistory('alice');
+      const archive = await archiveService.exportUser('alice');
+      const before = await history('alice');
+
+      const result = await archiveService.importArchive('alice', archive, { mode: 'merge' });
+
+      assert.deepEqual(await history('alice'), before);
+      assert.deepEqual(result.imported, { conversations: 0, questions: 0, answers: 0 });
+      assert.deepEqual(result.skipped, { conversations: 1, questions: 1, answers: 2 });
+      assert.equal(result.renamedIds, 0);
+
+      const stats = await dataStore.getStats();
+      assert.deepEqual([stats.conversationsCount, stats.questionsCount, stats.answersCount], [1, 1, 2]);
+    });
+
+    it('keeps the user\'s own changes to records they already have', async () => {
+      await seedHistory('alice');
+      const archive = await archiveService.exportUser('alice');
+      await dataStore.updateConversation('c1', { title: 'Renamed since the backup' });
+
+      await archiveService.importArchive('alice', archive, { mode: 'merge' });
+
+      assert.equal((await dataStore.getConversationById('c1')).title, 'Renamed since the backup');
+    });
+
+    it('restores records deleted since the backup, including answer versions of kept questions', async () => {
+      await seedHistory('alice');
+      const archive = await archiveService.exportUser('alice');
+      await dataStore.deleteAnswerVersion(await dataStore.getAnswerById('a1'));
+      // A version generated after the export
+      await dataStore.saveAnswer({ id: 'a3', userId: 'alice', questionId: 'q1', version: 3, text: 'Third', visualization, createdAt: '2024-01-02T00:00:00.000Z' });
+      await dataStore.addAnswerVersion('q1', 'a3');
+
+      const result = await archiveService.importArchive('alice', archive, { mode: 'merge' });
+
+      assert.deepEqual(result.imported, { conversations: 0, questions: 0, answers: 1 });
+      const question = await dataStore.getQuestionById('q1');
+      assert.deepEqual(question.answerIds, ['a1', 'a2', 'a3']);
+      assert.equal(question.answerId, 'a3');
+      assert.equal((await dataStore.getAnswerById('a1')).text, 'First');
+    });
+
+    it('gives fresh ids only to records another user has, and rewrites references to them', async () => {
+      await seedHistory('alice');
+      const archive = await archiveService.exportUser('alice');
+
+      const result = await archiveService.importArchive('bob', archive, { mode: 'merge' });
+
+      assert.equal(result.renamedIds, 4);
+      assert.deepEqual(result.imported, { conversations: 1, questions: 1, answers: 2 });
+      const bob = await history('bob');
+      assert.equal(bob.questions.length, 1);
+      assert.notEqual(bob.questions[0], 'q1');
+      const question = await dataStore.getQuestionById(bob.questions[0]);
+      assert.equal(question.conversationId, bob.conversations[0]);
+      assert.equal(question.answerId, question.answerIds[1]);
+      assert.ok(question.answerIds.every(id => !['a1', 'a2'].includes(id)));
+      assert.equal((await dataStore.getAnswerById(question.answerIds[0])).questionId, question.id);
+
+      // Alice's records are untouched
+      assert.deepEqual(await history('alice'), { conversations: ['c1'], questions: ['q1'], answerIds: [['a1', 'a2']], answers: ['a1', 'a2'] });
+    });
+
+    it('keeps the ids of a record nobody has', async () => {
+      await seedHistory('alice');
+      const archive = await archiveService.exportUser('alice');
+      await dataStore.clearAll();
+
+      const result = await archiveService.importArchive('bob', archive, { mode: 'merge' });
+
+      assert.equal(result.renamedIds, 0);
+      assert.deepEqual(await history('bob'), { conversations: ['c1'], questions: ['q1'], answerIds: [['a1', 'a2']], answers: ['a1', 'a2'] });
+    });
+  });
+
+  describe('replace', () => {
+    it('swaps the user\'s history for the archive, keeping the ids of their own records', async () => {
+      await seedHistory('alice');
+      const archive = await archiveService.exportUser('alice');
+      await seedHistory('alice', 'extra-');
+
+      const result = await archiveService.importArchive('alice', archive, { mode: 'replace' });
+
+      assert.deepEqual(result.imported, { conversations: 1, questions: 1, answers: 2 });
+      assert.equal(result.renamedIds, 0);
+      assert.deepEqual(await history('alice'), { conversations: ['c1'], questions: ['q1'], answerIds: [['a1', 'a2']], answers: ['a1', 'a2'] });
+    });
+
+    it('puts the previous history back when storing the archive fails', async () => {
+      await seedHistory('alice');
+      await seedHistory('bob', 'bob-');
+      await dataStore.saveShare({ id: 's1', userId: 'alice', answerId: 'a2', token: 'alice-token', createdAt: '2024-01-03T00:00:00.000Z' });
+      const before = await history('alice');
+
+      const archive = await archiveService.exportUser('alice');
+      archive.questions[0].question = 'Replaced';
+      archive.questions.push({ ...archive.questions[0], id: 'q2', answerId: null, answerIds: [], question: 'Second' });
+
+      // The second question fails to save, after the history was cleared and part of the archive stored
+      const saveQuestion = dataStore.saveQuestion;
+      mock.method(dataStore, 'saveQuestion', async question => {
+        if (question.id === 'q2') throw new Error('disk full');
+        return saveQuestion.call(dataStore, question);
+      });
+
+      await assert.rejects(archiveService.importArchive('alice', archive, { mode: 'replace' }), /disk full/);
+      mock.restoreAll();
+
+      assert.deepEqual(await history('alice'), before);
+      assert.equal((await dataStore.getQuestionById('q1')).question, 'How do waves work?');
+      assert.equal((await dataStore.getAnswerById('a2')).text, 'Second');
+      assert.equal((await dataStore.getConversationById('c1')).title, 'Waves');
+      assert.equal((await dataStore.getSharedAnswer('alice-token')).answer.id, 'a2');
+      assert.deepEqual(await history('bob'), { conversations: ['bob-c1'], questions: ['bob-q1'], answerIds: [['bob-a1', 'bob-a2']], answers: ['bob-a1', 'bob-a2'] });
+    });
+
+    it('does not touch the history when the archive cannot be planned', async () => {
+      await seedHistory('alice');
+      const before = await history('alice');
+      mock.method(dataStore, 'getQuestionById', async () => { throw new Error('storage offline'); });
+
+      await assert.rejects(archiveService.importArchive('alice', await archiveService.exportUser('alice'), { mode: 'replace' }), /storage offline/);
+      mock.restoreAll();
+
+      assert.deepEqual(await history('alice'), before);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseColor, compositeOver, relativeLuminance, contrastRatio, toHex } = require('../src/utils/color');
+
+describe('color', () => {
+  it('parses hex, rgb(), rgba(), names and transparent', () => {
+    assert.deepEqual(parseColor('#fff'), { r: 255, g: 255, b: 255, a: 1 });
+    assert.deepEqual(parseColor('#3498DB'), { r: 52, g: 152, b: 219, a: 1 });
+    assert.deepEqual(parseColor('#00000080'), { r: 0, g: 0, b: 0, a: 128 / 255 });
+    assert.deepEqual(parseColor('rgb(1, 2, 3)'), { r: 1, g: 2, b: 3, a: 1 });
+    assert.deepEqual(parseColor(' RGBA(10,20,30,0.5) '), { r: 10, g: 20, b: 30, a: 0.5 });
+    assert.deepEqual(parseColor('Navy'), { r: 0, g: 0, b: 128, a: 1 });
+    assert.deepEqual(parseColor('transparent'), { r: 0, g: 0, b: 0, a: 0 });
+  });
+
+  it('returns null for anything it does not know', () => {
+    [undefined, null, 42, '', '#12', '#ggg', 'hsl(0, 0%, 0%)', 'blurple'].forEach(value => {
+      assert.equal(parseColor(value), null, String(value));
+    });
+  });
+
+  it('composites with the color alpha and the layer opacity', () => {
+    const white = { r: 255, g: 255, b: 255, a: 1 };
+    assert.deepEqual(compositeOver({ r: 0, g: 0, b: 0, a: 1 }, 1, white), { r: 0, g: 0, b: 0, a: 1 });
+    assert.deepEqual(compositeOver({ r: 0, g: 0, b: 0, a: 1 }, 0.5, white), { r: 127.5, g: 127.5, b: 127.5, a: 1 });
+    assert.deepEqual(compositeOver({ r: 0, g: 0, b: 0, a: 0.5 }, 0.5, white), { r: 191.25, g: 191.25, b: 191.25, a: 1 });
+    // Out-of-range opacity is clamped
+    assert.deepEqual(compositeOver({ r: 0, g: 0, b: 0, a: 1 }, 3, white), { r: 0, g: 0, b: 0, a: 1 });
+  });
+
+  it('computes WCAG luminance and contrast', () => {
+    assert.equal(relativeLuminance({ r: 0, g: 0, b: 0 }), 0);
+    assert.equal(relativeLuminance({ r: 255, g: 255, b: 255 }), 1);
+    assert.equal(contrastRatio({ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }), 21);
+    assert.equal(contrastRatio({ r: 255, g: 255, b: 255 }, { r: 0, g: 0, b: 0 }), 21);
+    assert.equal(contrastRatio({ r: 52, g: 152, b: 219 }, { r: 52, g: 152, b: 219 }), 1);
+    // #777 on white is the classic just-below-AA grey
+    assert.equal(contrastRatio(parseColor('#777777'), parseColor('#ffffff')).toFixed(2), '4.48');
+  });
+
+  it('formats colors as hex', () => {
+    assert.equal(toHex({ r: 52, g: 152, b: 219 }), '#3498db');
+    assert.equal(toHex({ r: 127.5, g: 0.4, b: 255 }), '#8000ff');
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const FrameRenderer = require('../src/services/frameRenderer');
+
+// A red circle moving from x=100 to x=700 (of the 800-wide canvas) at y=300 over 2000ms
+const { visualization } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'frames', 'moving-circle.json'), 'utf8'));
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const RED = [255, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+
+// Width and height from the PNG's IHDR chunk
+function pngSize(png) {
+  assert.deepEqual(png.subarray(0, 8), PNG_SIGNATURE);
+  return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+// RGBA of one pixel of a PNG
+async function pixelAt(png, x, y) {
+  const image = await loadImage(png);
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return Array.from(ctx.getImageData(x, y, 1, 1).data);
+}
+
+describe('FrameRenderer', () => {
+  const renderer = new FrameRenderer();
+
+  it('renders PNGs with the 4:3 canvas ratio at the requested width', () => {
+    [[800, 600], [400, 300], [120, 90]].forEach(([width, height]) => {
+      const frame = renderer.render(visualization, 0, { width });
+      assert.deepEqual([frame.width, frame.height], [width, height]);
+      assert.deepEqual(pngSize(frame.png), { width, height });
+    });
+
+    assert.deepEqual(pngSize(renderer.render(visualization, 0).png), { width: 800, height: 600 });
+  });
+
+  it('draws the layer where the animation has it at each timestamp', async () => {
+    const start = renderer.render(visualization, 0, { width: 400 });
+    const middle = renderer.render(visualization, 1000, { width: 400 });
+
+    assert.equal(start.errors.length, 0);
+    assert.equal(middle.errors.length, 0);
+
+    // The circle's start position (100, 300) and half-way position (400, 300), at half scale
+    assert.deepEqual(await pixelAt(start.png, 50, 150), RED);
+    assert.deepEqual(await pixelAt(middle.png, 50, 150), WHITE);
+    assert.deepEqual(await pixelAt(start.png, 200, 150), WHITE);
+    assert.deepEqual(await pixelAt(middle.png, 200, 150), RED);
+  });
+
+  it('clamps the time to the visualization\'s duration', () => {
+    const before = renderer.render(visualization, -500, { width: 200 });
+    const after = renderer.render(visualization, 9999, { width: 200 });
+
+    assert.equal(before.time, 0);
+    assert.equal(after.time, 2000);
+    assert.deepEqual(before.png, renderer.render(visualization, 0, { width: 200 }).png);
+    assert.deepEqual(after.png, renderer.render(visualization, 2000, { width: 200 }).png);
+    assert.notDeepEqual(before.png, after.png);
+  });
+});
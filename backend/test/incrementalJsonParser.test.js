@@ -0,0 +1,172 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const IncrementalJsonParser = require('../src/services/incrementalJsonParser');
+
+// Feed chunks to a new parser and record everything it reports
+function parse(chunks) {
+  const events = { deltas: [], meta: [], layers: [] };
+  const parser = new IncrementalJsonParser({
+    onTextDelta: delta => events.deltas.push(delta),
+    onVisualizationStart: meta => events.meta.push(meta),
+    onLayer: (layer, index) => events.layers.push({ layer, index })
+  });
+  chunks.forEach(chunk => parser.push(chunk));
+  return { text: events.deltas.join(''), meta: events.meta, layers: events.layers, deltas: events.deltas, parser };
+}
+
+// Ways of cutting a document: every two-piece split, fixed-size chunks and one character at a time
+function chunkings(document) {
+  const splits = [];
+  for (let at = 0; at <= document.length; at++) {
+    splits.push({ name: `split at ${at}`, chunks: [document.slice(0, at), document.slice(at)] });
+  }
+  [2, 3, 7, 16].forEach(size => {
+    const chunks = [];
+    for (let at = 0; at < document.length; at += size) chunks.push(document.slice(at, at + size));
+    splits.push({ name: `chunks of ${size}`, chunks });
+  });
+  splits.push({ name: 'characters', chunks: [...document] });
+  return splits;
+}
+
+// The same document must give the same result however it is cut
+function assertChunkingIndependent(document, expected) {
+  chunkings(document).forEach(({ name, chunks }) => {
+    const { text, meta, layers } = parse(chunks);
+    assert.equal(text, expected.text, `text (${name})`);
+    assert.deepEqual(meta, expected.meta, `visualization start (${name})`);
+    assert.deepEqual(layers.map(({ layer }) => layer), expected.layers, `layers (${name})`);
+    assert.deepEqual(layers.map(({ index }) => index), expected.layers.map((_, index) => index), `layer indexes (${name})`);
+  });
+}
+
+describe('IncrementalJsonParser', () => {
+  it('reports text, visualization fields and layers however the response is chunked', () => {
+    const response = {
+      text: 'Tides are caused by the Moon.',
+      visualization: {
+        id: 'tides',
+        duration: 4000,
+        fps: 30,
+        layers: [
+          { id: 'earth', type: 'circle', props: { x: 400, y: 300, r: 60, fill: '#3498db' } },
+          {
+            id: 'moon',
+            type: 'circle',
+            props: { x: 600, y: 300, r: 15, fill: '#ecf0f1' },
+            animations: [{ property: 'orbit', centerX: 400, centerY: 300, radius: 200, duration: 4000 }]
+          }
+        ]
+      }
+    };
+    const document = JSON.stringify(response, null, 2);
+
+    assertChunkingIndependent(document, {
+      text: response.text,
+      meta: [{ id: 'tides', duration: 4000, fps: 30 }],
+      layers: response.visualization.layers
+    });
+  });
+
+  it('decodes escapes and surrogate pairs split across chunks', () => {
+    const text = 'Line 1\nLine "2"\t\\ café 🌊 end';
+    const document = JSON.stringify({ text, visualization: { id: 'v', layers: [] } });
+    assert.ok(document.includes('\\n') && document.includes('\\"'), 'the document contains escapes');
+
+    // \u escapes are decoded too, not just the ones JSON.stringify writes
+    const unicodeDocument = '{"text": "caf\\u00e9 \\ud83c\\udf0a", "visualization": {"layers": []}}';
+
+    assertChunkingIndependent(document, { text, meta: [{ id: 'v' }], layers: [] });
+    assertChunkingIndependent(unicodeDocument, { text: 'café 🌊', meta: [{}], layers: [] });
+  });
+
+  it('sends one text delta per chunk', () => {
+    const { deltas } = parse(['{"text": "Hel', 'lo wor', 'ld", "visualization": {}}']);
+    assert.deepEqual(deltas, ['Hel', 'lo wor', 'ld']);
+  });
+
+  it('ignores brackets, braces and quotes inside strings', () => {
+    const layers = [
+      { id: 'label', type: 'text', props: { x: 1, y: 2, text: 'f(x) = {a: [1, 2]} "quoted" \\' } },
+      { id: 'dot', type: 'circle', props: { x: 1, y: 2, r: 3 } }
+    ];
+    const document = JSON.stringify({ text: 'Sets look like {1, 2} and lists like [3]', visualization: { layers } });
+
+    assertChunkingIndependent(document, { text: 'Sets look like {1, 2} and lists like [3]', meta: [{}], layers });
+  });
+
+  it('only reports layers directly in visualization.layers or elements', () => {
+    const layers = [{
+      id: 'group',
+      type: 'circle',
+      props: { x: 1, y: 2, r: 3, nested: { layers: [{ id: 'not-a-layer' }] } },
+      animations: [{ property: 'x', keyframes: [{ t: 0 }, { t: 1 }] }]
+    }];
+    const document = JSON.stringify({
+      text: 'Nested',
+      layers: [{ id: 'top-level, not a layer' }],
+      extra: { visualization: { layers: [{ id: 'too deep' }] } },
+      visualization: { id: 'v', layers }
+    });
+
+    assertChunkingIndependent(document, { text: 'Nested', meta: [{ id: 'v' }], layers });
+  });
+
+  it('accepts "elements" in place of "layers"', () => {
+    const elements = [{ id: 'a', type: 'circle', props: { x: 1, y: 2, r: 3 } }];
+    const document = JSON.stringify({ text: 'Old format', visualization: { duration: 1000, elements } });
+
+    assertChunkingIndependent(document, { text: 'Old format', meta: [{ duration: 1000 }], layers: elements });
+  });
+
+  it('only streams the top-level text, not text props of layers', () => {
+    const { text, layers } = parse(['{"visualization": {"layers": [{"id": "t", "type": "text", "props": {"text": "label"}}]}, "text": "Answer"}']);
+    assert.equal(text, 'Answer');
+    assert.equal(layers[0].layer.props.text, 'label');
+  });
+
+  it('skips a code fence before the root object and anything after it', () => {
+    const layers = [{ id: 'a', type: 'circle', props: { x: 1, y: 2, r: 3 } }];
+    const document = `\`\`\`json\n${JSON.stringify({ text: 'Fenced', visualization: { layers } })}\n\`\`\`\n{"text": "ignored"}`;
+
+    assertChunkingIndependent(document, { text: 'Fenced', meta: [{}], layers });
+  });
+
+  it('tolerates trailing commas in layers and in the visualization fields', () => {
+    const document = '{"text": "Commas", "visualization": {"id": "v", "fps": 30, "layers": [{"id": "a", "props": {"x": 1,},}, {"id": "b", "props": {},},]}}';
+
+    assertChunkingIndependent(document, {
+      text: 'Commas',
+      meta: [{ id: 'v', fps: 30 }],
+      layers: [{ id: 'a', props: { x: 1 } }, { id: 'b', props: {} }]
+    });
+  });
+
+  it('reports what it can of a partial document without throwing', () => {
+    const document = JSON.stringify({
+      text: 'Cut short',
+      visualization: { id: 'v', layers: [{ id: 'a', props: { x: 1 } }, { id: 'b', props: { x: 2 } }] }
+    });
+    const cut = document.slice(0, document.indexOf('"b"') + 5);
+
+    chunkings(cut).forEach(({ name, chunks }) => {
+      const { text, layers, parser } = parse(chunks);
+      assert.equal(text, 'Cut short', name);
+      assert.deepEqual(layers.map(({ layer }) => layer.id), ['a'], name);
+      assert.equal(parser.finished, false, name);
+    });
+
+    // A cut inside the text still streams what was received
+    assert.equal(parse(['{"text": "Half of th']).text, 'Half of th');
+  });
+
+  it('skips layers that are not valid JSON and keeps counting the valid ones', () => {
+    const { layers } = parse(['{"text": "", "visualization": {"layers": [{"id": "a"}, {"id": bad}, {"id": "c"}]}}']);
+    assert.deepEqual(layers, [{ layer: { id: 'a' }, index: 0 }, { layer: { id: 'c' }, index: 1 }]);
+  });
+
+  it('never throws on garbage', () => {
+    assert.doesNotThrow(() => parse(['}]"\\', '{{{[[[', '"\\u12', 'zz"}]', ',:,:']));
+    assert.doesNotThrow(() => parse(['no json here at all']));
+  });
+});
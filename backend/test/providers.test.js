@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLLMProvider } = require('../src/providers');
+const LLMService = require('../src/services/llmService');
+
+const ENV_KEYS = ['GEMINI_API_KEY', 'LLM_PROVIDER'];
+
+describe('LLM provider selection', () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    mock.restoreAll();
+  });
+
+  describe('createLLMProvider', () => {
+    it('uses Gemini by default and refuses to start it without a key', () => {
+      assert.throws(() => createLLMProvider(), /GEMINI_API_KEY is not set/);
+    });
+
+    it('treats the example placeholder keys as missing', () => {
+      ['your_gemini_api_key_here', 'demo-key'].forEach(key => {
+        process.env.GEMINI_API_KEY = key;
+        assert.throws(() => createLLMProvider(), /GEMINI_API_KEY is not set/, key);
+      });
+    });
+
+    it('never falls back to fixtures on its own', () => {
+      process.env.LLM_PROVIDER = 'gemini';
+      assert.throws(() => createLLMProvider(), /GEMINI_API_KEY is not set/);
+    });
+
+    it('serves fixtures only when asked to', () => {
+      process.env.LLM_PROVIDER = 'fixture';
+      assert.equal(createLLMProvider().name, 'fixture');
+      delete process.env.LLM_PROVIDER;
+      assert.equal(createLLMProvider({ provider: 'fixture' }).name, 'fixture');
+    });
+
+    it('uses Gemini when a key is set', () => {
+      process.env.GEMINI_API_KEY = 'test-key';
+      assert.equal(createLLMProvider().name, 'gemini');
+    });
+
+    it('rejects unknown providers', () => {
+      assert.throws(() => createLLMProvider({ provider: 'gpt' }), /Unknown LLM_PROVIDER "gpt"/);
+    });
+  });
+
+  describe('LLMService without a usable provider', () => {
+    it('reports itself and LLM validation as unavailable, with the reason', () => {
+      const llmService = new LLMService();
+
+      assert.equal(llmService.provider, null);
+      assert.equal(llmService.isAvailable(), false);
+      assert.equal(llmService.isValidationAvailable(), false);
+      assert.match(llmService.providerError, /GEMINI_API_KEY is not set/);
+    });
+
+    it('still runs the local schema and lint checks', async () => {
+      const llmService = new LLMService();
+      const validation = await llmService.quickValidate({
+        explanation: 'A lost circle',
+        visualization: { duration: 1000, layers: [{ id: 'lost', type: 'circle', props: { x: 1000, y: 200, r: 20 } }] }
+      });
+
+      assert.equal(validation.isValid, false);
+      assert.deepEqual(validation.lintIssues.map(issue => issue.rule), ['off-canvas']);
+    });
+
+    it('refuses to generate answers', async () => {
+      const llmService = new LLMService();
+      await assert.rejects(
+        llmService.generateExplanationAndVisualization('Why is the sky blue?'),
+        /LLM provider unavailable: GEMINI_API_KEY is not set/
+      );
+    });
+
+    it('is available with the fixture provider', () => {
+      process.env.LLM_PROVIDER = 'fixture';
+      const llmService = new LLMService();
+      assert.equal(llmService.isAvailable(), true);
+      assert.equal(llmService.isValidationAvailable(), true);
+      assert.equal(llmService.providerError, null);
+    });
+  });
+});
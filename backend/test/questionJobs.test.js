@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Answers come from the built-in fixtures without delay, stored in a throwaway database
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-to-viz-jobs-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(directory, 'test.db');
+process.env.LLM_PROVIDER = 'fixture';
+delete process.env.LLM_FIXTURES_DIR;
+delete process.env.LLM_FIXTURE_DELAY_MS;
+
+const apiRoutes = require('../src/routes/api');
+const { dataStore } = require('../src/models/dataStore');
+
+describe('question jobs', () => {
+  let server;
+  let baseUrl;
+
+  async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}/api${url}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Ask a question in a new thread and wait for its job to finish
+  async function ask(question) {
+    const { body } = await request('POST', '/questions', { userId: 'alice', question });
+    let job;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      job = (await request('GET', `/jobs/${body.jobId}?userId=alice`)).body;
+    } while (!['done', 'failed', 'cancelled'].includes(job.status));
+    return { ...body, job };
+  }
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    await dataStore.clearAll();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('removes a failed question and the thread started for it', async () => {
+    mock.method(dataStore, 'saveAnswer', async () => { throw new Error('disk full'); });
+
+    const { questionId, conversationId, job } = await ask('Why is the sky blue?');
+
+    assert.equal(job.status, 'failed');
+    assert.equal(await dataStore.getQuestionById(questionId), undefined);
+    assert.equal(await dataStore.getConversationById(conversationId), undefined);
+  });
+
+  it('keeps the new thread when another question was asked in it meanwhile', async () => {
+    mock.method(dataStore, 'saveAnswer', async answer => {
+      const failed = await dataStore.getQuestionById(answer.questionId);
+      await dataStore.saveQuestion({ id: 'q-other', userId: 'alice', question: 'And at sunset?', conversationId: failed.conversationId, parentId: null, createdAt: new Date() });
+      throw new Error('disk full');
+    });
+
+    const { questionId, conversationId, job } = await ask('Why is the sky blue?');
+
+    assert.equal(job.status, 'failed');
+    assert.equal(await dataStore.getQuestionById(questionId), undefined);
+    assert.ok(await dataStore.getConversationById(conversationId));
+    assert.deepEqual((await dataStore.getQuestionsByConversation(conversationId)).map(q => q.id), ['q-other']);
+  });
+
+  it('keeps a question whose answer was saved when a later step fails', async () => {
+    mock.method(dataStore, 'updateConversation', async () => { throw new Error('disk full'); });
+
+    const { questionId, conversationId, job } = await ask('Why is the sky blue?');
+
+    assert.equal(job.status, 'failed');
+    const question = await dataStore.getQuestionById(questionId);
+    assert.ok(question.answerId);
+    assert.ok(await dataStore.getAnswerById(question.answerId));
+    assert.ok(await dataStore.getConversationById(conversationId));
+  });
+});
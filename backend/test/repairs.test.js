@@ -0,0 +1,455 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { REPAIR_RULES, applyRepairs, repairLayer } = require('../src/repairs');
+const SchemaValidator = require('../src/services/schemaValidator');
+
+// Run one rule on its own copy of the target, collecting what it reports
+function runRule(name, target) {
+  const rule = REPAIR_RULES.find(candidate => candidate.name === name);
+  assert.ok(rule, `rule ${name} exists`);
+  const fixes = [];
+  const result = rule.apply(JSON.parse(JSON.stringify(target)), (message, path = '') => fixes.push({ message, path }));
+  return { result, fixes };
+}
+
+const circle = (props, animations) => ({ id: 'c', type: 'circle', props, ...(animations ? { animations } : {}) });
+
+describe('repair rules', () => {
+  it('every rule has a unique name, a description and a known scope', () => {
+    const names = REPAIR_RULES.map(rule => rule.name);
+    assert.equal(new Set(names).size, names.length);
+    REPAIR_RULES.forEach(rule => {
+      assert.ok(rule.description, `${rule.name} has a description`);
+      assert.ok(['visualization', 'layer'].includes(rule.scope), `${rule.name} has a known scope`);
+    });
+  });
+
+  describe('elements-to-layers', () => {
+    it('leaves a visualization with layers unchanged', () => {
+      const visualization = { id: 'v', duration: 3000, fps: 30, layers: [] };
+      const { result, fixes } = runRule('elements-to-layers', visualization);
+      assert.deepEqual(result, visualization);
+      assert.deepEqual(fixes, []);
+    });
+
+    it('renames elements and fills in id, duration and fps', () => {
+      const { result, fixes } = runRule('elements-to-layers', { elements: [circle({ x: 1, y: 2, r: 3 })] });
+      assert.equal(result.elements, undefined);
+      assert.equal(result.layers.length, 1);
+      assert.equal(result.duration, 5000);
+      assert.equal(result.fps, 30);
+      assert.match(result.id, /^viz_\d+$/);
+      assert.deepEqual(fixes.map(fix => fix.path), ['/elements', '/id', '/duration', '/fps']);
+    });
+
+    it('keeps an existing duration', () => {
+      const { result, fixes } = runRule('elements-to-layers', { id: 'v', duration: 2000, fps: 60, elements: [] });
+      assert.equal(result.duration, 2000);
+      assert.deepEqual(fixes.map(fix => fix.path), ['/elements']);
+    });
+  });
+
+  describe('animation-duration', () => {
+    it('leaves animations with a duration unchanged', () => {
+      const visualization = { duration: 3000, layers: [circle({ x: 1, y: 2, r: 3 }, [{ property: 'x', from: 1, to: 2, duration: 500 }])] };
+      const { result, fixes } = runRule('animation-duration', visualization);
+      assert.deepEqual(result, visualization);
+      assert.deepEqual(fixes, []);
+    });
+
+    it('uses the engine\'s fallbacks: end - start, the visualization duration or 1000ms', () => {
+      const { result, fixes } = runRule('animation-duration', {
+        duration: 4000,
+        layers: [
+          circle({ x: 1, y: 2, r: 3 }, [
+            { property: 'x', from: 1, to: 2 },
+            { property: 'y', from: 1, to: 2, start: 500, end: 2000 },
+            { property: 'r', from: 1, to: 2, delay: 250, end: 1250 }
+          ]),
+          circle({ x: 1, y: 2, r: 3 }, [
+            { property: 'scale', from: 1, to: 2 },
+            { property: 'colorTransition', from: '#000', to: '#fff' },
+            { property: 'orbit', radius: 10, end: 3000 }
+          ])
+        ]
+      });
+
+      assert.deepEqual(result.layers.map(layer => layer.animations.map(animation => animation.duration)), [
+        [1000, 1500, 1000],
+        [4000, 4000, 1000]
+      ]);
+      assert.deepEqual(fixes[0], { message: 'Added missing duration (1000ms)', path: '/layers/0/animations/0/duration' });
+      assert.deepEqual(fixes.map(fix => fix.path), [
+        '/layers/0/animations/0/duration',
+        '/layers/0/animations/1/duration',
+        '/layers/0/animations/2/duration',
+        '/layers/1/animations/0/duration',
+        '/layers/1/animations/1/duration',
+        '/layers/1/animations/2/duration'
+      ]);
+    });
+
+    it('falls back to 1000ms for scale when the visualization has no duration', () => {
+      const { result } = runRule('animation-duration', { layers: [circle({ x: 1, y: 2, r: 3 }, [{ property: 'scale', from: 1, to: 2 }])] });
+      assert.equal(result.layers[0].animations[0].duration, 1000);
+    });
+
+    it('leaves animations that end before they start for the schema check', () => {
+      const visualization = { layers: [circle({ x: 1, y: 2, r: 3 }, [{ property: 'x', from: 1, to: 2, start: 500, end: 500 }])] };
+      assert.deepEqual(runRule('animation-duration', visualization), { result: visualization, fixes: [] });
+    });
+
+    it('tolerates malformed layers and animations', () => {
+      const visualization = { layers: [null, { id: 'a', animations: 'none' }, circle({}, [null, 'x'])] };
+      assert.deepEqual(runRule('animation-duration', visualization), { result: visualization, fixes: [] });
+      assert.deepEqual(runRule('animation-duration', { layers: 'none' }).fixes, []);
+    });
+  });
+
+  describe('rect-to-rectangle', () => {
+    it('leaves other layer types unchanged', () => {
+      const layer = { id: 'r', type: 'rectangle', props: { x: 0, y: 0, width: 10, height: 10 } };
+      assert.deepEqual(runRule('rect-to-rectangle', layer), { result: layer, fixes: [] });
+    });
+
+    it('renames rect', () => {
+      const { result, fixes } = runRule('rect-to-rectangle', { id: 'r', type: 'rect', props: {} });
+      assert.equal(result.type, 'rectangle');
+      assert.deepEqual(fixes, [{ message: 'Changed layer type "rect" to "rectangle"', path: '/type' }]);
+    });
+  });
+
+  describe('svg-center-to-xy', () => {
+    it('leaves x and y unchanged', () => {
+      const layer = circle({ x: 1, y: 2, r: 3 });
+      assert.deepEqual(runRule('svg-center-to-xy', layer), { result: layer, fixes: [] });
+    });
+
+    it('converts cx and cy', () => {
+      const { result, fixes } = runRule('svg-center-to-xy', circle({ cx: 10, cy: 20, r: 3 }));
+      assert.deepEqual(result.props, { x: 10, y: 20, r: 3 });
+      assert.deepEqual(fixes, [
+        { message: 'Converted cx to x', path: '/props/cx' },
+        { message: 'Converted cy to y', path: '/props/cy' }
+      ]);
+    });
+  });
+
+  describe('circle-radius', () => {
+    it('leaves circles with r unchanged', () => {
+      const layer = circle({ x: 1, y: 2, r: 3 }, [{ property: 'r', from: 3, to: 6 }]);
+      assert.deepEqual(runRule('circle-radius', layer), { result: layer, fixes: [] });
+    });
+
+    it('only touches circles', () => {
+      const layer = { id: 's', type: 'star', props: { x: 0, y: 0, size: 5 } };
+      assert.deepEqual(runRule('circle-radius', layer), { result: layer, fixes: [] });
+    });
+
+    it('converts radius to r and retargets its animations', () => {
+      const { result, fixes } = runRule('circle-radius', circle({ x: 1, y: 2, radius: 9 }, [{ property: 'radius', from: 9, to: 12 }]));
+      assert.deepEqual(result.props, { x: 1, y: 2, r: 9 });
+      assert.equal(result.animations[0].property, 'r');
+      assert.deepEqual(fixes, [
+        { message: 'Converted radius to r', path: '/props/radius' },
+        { message: 'Animation now targets r instead of radius', path: '/animations/0/property' }
+      ]);
+    });
+
+    it('drops size when r is already set', () => {
+      const { result, fixes } = runRule('circle-radius', circle({ x: 1, y: 2, r: 4, size: 8 }));
+      assert.deepEqual(result.props, { x: 1, y: 2, r: 4 });
+      assert.deepEqual(fixes, [{ message: 'Removed size, r is already set', path: '/props/size' }]);
+    });
+  });
+
+  describe('svg-path-to-wave', () => {
+    it('leaves paths without d unchanged', () => {
+      const layer = { id: 'p', type: 'path', props: { points: [[0, 0], [10, 10]] } };
+      assert.deepEqual(runRule('svg-path-to-wave', layer), { result: layer, fixes: [] });
+    });
+
+    it('replaces an SVG path with a wave, keeping its stroke', () => {
+      const { result, fixes } = runRule('svg-path-to-wave', { id: 'p', type: 'path', props: { d: 'M0 0 L10 10', stroke: '#f00' } });
+      assert.equal(result.type, 'wave');
+      assert.equal(result.props.stroke, '#f00');
+      assert.equal(result.props.strokeWidth, 3);
+      assert.equal(result.props.d, undefined);
+      assert.deepEqual(fixes, [{ message: 'Replaced unsupported SVG path with a wave', path: '/type' }]);
+    });
+  });
+
+  describe('wave-bounds', () => {
+    it('leaves waves with startX and endX unchanged', () => {
+      const layer = { id: 'w', type: 'wave', props: { startX: 0, endX: 800, startY: 200, amplitude: 20, frequency: 0.02 } };
+      assert.deepEqual(runRule('wave-bounds', layer), { result: layer, fixes: [] });
+    });
+
+    it('converts x, y, width and turns x animations into a phase shift', () => {
+      const { result, fixes } = runRule('wave-bounds', {
+        id: 'w',
+        type: 'wave',
+        props: { x: 100, y: 50, width: 300, height: 40 },
+        animations: [{ property: 'x', from: 100, to: 200 }]
+      });
+      assert.deepEqual(result.props, { startX: 100, endX: 400, startY: 50, amplitude: 20, frequency: 0.02 });
+      assert.deepEqual(result.animations[0], { property: 'phase', startValue: 0, endValue: Math.PI * 2 });
+      assert.deepEqual(fixes, [
+        { message: 'Converted wave x, y, width to startX, startY, endX', path: '/props' },
+        { message: 'Converted x animation to a phase animation', path: '/animations/0' }
+      ]);
+    });
+  });
+
+  describe('particle-system-to-circles', () => {
+    it('leaves particle layers with explicit particles unchanged', () => {
+      const layer = { id: 'p', type: 'particle', props: { particles: [{ x: 1, y: 2 }] } };
+      assert.deepEqual(runRule('particle-system-to-circles', layer), { result: layer, fixes: [] });
+    });
+
+    it('expands count and spread into staggered circles', () => {
+      const { result, fixes } = runRule('particle-system-to-circles', {
+        id: 'dust',
+        type: 'particle',
+        props: { x: 100, y: 200, count: 4, spread: 400, fill: '#0f0' },
+        animations: [{ property: 'opacity', from: 0, to: 1, delay: 10 }]
+      });
+
+      assert.equal(result.length, 4);
+      assert.deepEqual(result.map(layer => layer.id), ['dust_particle_0', 'dust_particle_1', 'dust_particle_2', 'dust_particle_3']);
+      result.forEach(layer => {
+        assert.equal(layer.type, 'circle');
+        assert.equal(layer.props.fill, '#0f0');
+        assert.equal(layer.props.r, 3);
+      });
+      assert.deepEqual(result.map(layer => layer.props.x), [150, 250, 350, 450]);
+      assert.deepEqual(result.map(layer => layer.animations[0].delay), [10, 60, 110, 160]);
+      assert.deepEqual(fixes, [{ message: 'Expanded particle system into 4 circles', path: '' }]);
+    });
+
+    it('is deterministic', () => {
+      const layer = { id: 'p', type: 'particle', props: { count: 5, spread: 100 } };
+      assert.deepEqual(runRule('particle-system-to-circles', layer).result, runRule('particle-system-to-circles', layer).result);
+    });
+
+    it('caps the number of circles', () => {
+      const { result, fixes } = runRule('particle-system-to-circles', { id: 'p', type: 'particle', props: { count: 500, spread: 100 } });
+      assert.equal(result.length, 20);
+      assert.equal(fixes[0].message, 'Expanded particle system into 20 circles');
+    });
+  });
+
+  describe('clamp-opacity', () => {
+    it('leaves opacities within 0..1 unchanged', () => {
+      const layer = circle({ x: 1, y: 2, r: 3, opacity: 0.5 }, [{ property: 'opacity', from: 0, to: 1 }]);
+      assert.deepEqual(runRule('clamp-opacity', layer), { result: layer, fixes: [] });
+    });
+
+    it('clamps props, particles and opacity animations', () => {
+      const { result, fixes } = runRule('clamp-opacity', {
+        id: 'p',
+        type: 'particle',
+        props: { opacity: 1.5, particles: [{ x: 0, y: 0, opacity: -1 }] },
+        animations: [{ property: 'opacity', from: 0, to: 2 }, { property: 'x', from: 0, to: 200 }]
+      });
+      assert.equal(result.props.opacity, 1);
+      assert.equal(result.props.particles[0].opacity, 0);
+      assert.equal(result.animations[0].to, 1);
+      assert.equal(result.animations[1].to, 200);
+      assert.deepEqual(fixes, [
+        { message: 'Clamped opacity 1.5 to 1', path: '/props/opacity' },
+        { message: 'Clamped opacity -1 to 0', path: '/props/particles/0/opacity' },
+        { message: 'Clamped opacity 2 to 1', path: '/animations/0/to' }
+      ]);
+    });
+  });
+
+  describe('drop-unknown-animations', () => {
+    it('keeps animations on schema props, layer props and special properties', () => {
+      const layer = circle({ x: 1, y: 2, r: 3, custom: 1 }, [
+        { property: 'x', from: 1, to: 2 },
+        { property: 'custom', from: 1, to: 2 },
+        { property: 'orbit', centerX: 0, centerY: 0, radius: 10 }
+      ]);
+      assert.deepEqual(runRule('drop-unknown-animations', layer), { result: layer, fixes: [] });
+    });
+
+    it('leaves layer types the schema does not know alone', () => {
+      const layer = { id: 'b', type: 'blob', props: {}, animations: [{ property: 'wobble' }] };
+      assert.deepEqual(runRule('drop-unknown-animations', layer), { result: layer, fixes: [] });
+    });
+
+    it('drops animations on unknown properties and without one', () => {
+      const { result, fixes } = runRule('drop-unknown-animations', circle({ x: 1, y: 2, r: 3 }, [
+        { property: 'bounceHeight', from: 0, to: 1 },
+        { property: 'y', from: 2, to: 4 },
+        { from: 0, to: 1 }
+      ]));
+      assert.deepEqual(result.animations, [{ property: 'y', from: 2, to: 4 }]);
+      assert.deepEqual(fixes, [
+        { message: 'Dropped animation on unknown circle property "bounceHeight"', path: '/animations/0' },
+        { message: 'Dropped animation without a property', path: '/animations/2' }
+      ]);
+    });
+  });
+
+  describe('easing-names', () => {
+    it('leaves the engine\'s easings and animations without one unchanged', () => {
+      const layer = circle({ x: 1, y: 2, r: 3 }, [
+        { property: 'x', from: 1, to: 2, easing: 'ease-in-out' },
+        { property: 'y', from: 1, to: 2, easing: 'bounce' },
+        { property: 'r', from: 1, to: 2 }
+      ]);
+      assert.deepEqual(runRule('easing-names', layer), { result: layer, fixes: [] });
+    });
+
+    it('renames camelCase, CSS and library spellings', () => {
+      const easings = ['easeInOutQuad', 'easeOutQuad', 'easeIn', 'ease', 'EaseInCubic', 'ease_out_cubic', 'easeInOutBounce', 'easeOutElastic', 'Linear'];
+      const { result, fixes } = runRule('easing-names', circle({ x: 1, y: 2, r: 3 }, easings.map(easing => ({ property: 'x', from: 1, to: 2, easing }))));
+
+      assert.deepEqual(result.animations.map(animation => animation.easing), [
+        'ease-in-out', 'ease-out', 'ease-in', 'ease-in-out', 'ease-in-cubic', 'ease-out-cubic', 'bounce', 'elastic', 'linear'
+      ]);
+      assert.deepEqual(fixes[0], { message: 'Changed easing "easeInOutQuad" to "ease-in-out"', path: '/animations/0/easing' });
+      assert.equal(fixes.length, easings.length);
+    });
+
+    it('replaces unknown easings with linear, which the engine would draw anyway', () => {
+      const { result, fixes } = runRule('easing-names', circle({ x: 1, y: 2, r: 3 }, [
+        { property: 'x', from: 1, to: 2, easing: 'wobbly' },
+        { property: 'y', from: 1, to: 2, easing: 3 }
+      ]));
+      assert.deepEqual(result.animations.map(animation => animation.easing), ['linear', 'linear']);
+      assert.deepEqual(fixes, [
+        { message: 'Replaced unknown easing "wobbly" with "linear"', path: '/animations/0/easing' },
+        { message: 'Replaced unknown easing "3" with "linear"', path: '/animations/1/easing' }
+      ]);
+    });
+  });
+});
+
+describe('applyRepairs', () => {
+  it('returns a valid response unchanged, with no fixes', () => {
+    const response = {
+      text: 'A circle',
+      visualization: { id: 'v', duration: 1000, fps: 30, layers: [circle({ x: 1, y: 2, r: 3, fill: '#f00' })] }
+    };
+    assert.deepEqual(applyRepairs(response), { response, fixes: [] });
+  });
+
+  it('does not modify its input', () => {
+    const response = { text: 't', visualization: { elements: [circle({ cx: 1, cy: 2, radius: 3 })] } };
+    const before = JSON.parse(JSON.stringify(response));
+    applyRepairs(response);
+    assert.deepEqual(response, before);
+  });
+
+  it('tolerates responses without a visualization or with malformed layers', () => {
+    assert.deepEqual(applyRepairs({ text: 't' }), { response: { text: 't' }, fixes: [] });
+    const response = { text: 't', visualization: { id: 'v', duration: 1, fps: 30, layers: [null, { id: 'x', type: 'circle' }] } };
+    assert.deepEqual(applyRepairs(response), { response, fixes: [] });
+  });
+
+  it('chains rules: each one sees the previous rules\' output', () => {
+    const { response, fixes } = applyRepairs({
+      text: 't',
+      visualization: {
+        elements: [
+          { id: 'box', type: 'rect', props: { x: 0, y: 0, width: 10, height: 10, opacity: 3 } },
+          {
+            id: 'ball',
+            type: 'circle',
+            props: { cx: 5, cy: 6, size: 7 },
+            animations: [{ property: 'size', from: 7, to: 9 }, { property: 'bounce', from: 0, to: 1 }]
+          }
+        ]
+      }
+    });
+
+    const [box, ball] = response.visualization.layers;
+    assert.equal(box.type, 'rectangle');
+    assert.equal(box.props.opacity, 1);
+    assert.deepEqual(ball.props, { x: 5, y: 6, r: 7 });
+    // circle-radius retargets the size animation to r, so drop-unknown-animations keeps it
+    assert.deepEqual(ball.animations, [{ property: 'r', from: 7, to: 9, duration: 1000 }]);
+
+    assert.deepEqual(fixes.map(({ rule, path }) => `${rule} ${path}`), [
+      'elements-to-layers /visualization/elements',
+      'elements-to-layers /visualization/id',
+      'elements-to-layers /visualization/duration',
+      'elements-to-layers /visualization/fps',
+      // animation-duration needs the layers elements-to-layers created
+      'animation-duration /visualization/layers/1/animations/0/duration',
+      'animation-duration /visualization/layers/1/animations/1/duration',
+      'rect-to-rectangle /visualization/layers/0/type',
+      'clamp-opacity /visualization/layers/0/props/opacity',
+      'svg-center-to-xy /visualization/layers/1/props/cx',
+      'svg-center-to-xy /visualization/layers/1/props/cy',
+      'circle-radius /visualization/layers/1/props/size',
+      'circle-radius /visualization/layers/1/animations/0/property',
+      'drop-unknown-animations /visualization/layers/1/animations/1'
+    ]);
+  });
+
+  it('makes the engine-tolerated easing and duration mistakes pass the schema', () => {
+    const schemaValidator = new SchemaValidator();
+    const response = {
+      text: 't',
+      visualization: {
+        id: 'v',
+        duration: 2000,
+        fps: 30,
+        layers: [circle({ x: 1, y: 2, r: 3 }, [
+          { property: 'y', startValue: 2, endValue: 4, easing: 'easeInOutQuad' },
+          { property: 'opacity', startValue: 0, endValue: 1, duration: 500, easing: 'easeOutQuad' }
+        ])]
+      }
+    };
+    assert.equal(schemaValidator.validate(response).valid, false);
+
+    const { response: repaired, fixes } = applyRepairs(response);
+    assert.deepEqual(schemaValidator.validate(repaired), { valid: true, errors: [], warnings: [] });
+    assert.deepEqual(fixes.map(({ rule, path }) => `${rule} ${path}`), [
+      'animation-duration /visualization/layers/0/animations/0/duration',
+      'easing-names /visualization/layers/0/animations/0/easing',
+      'easing-names /visualization/layers/0/animations/1/easing'
+    ]);
+  });
+
+  it('reports fixes against the original layer index when a layer is expanded', () => {
+    const { response, fixes } = applyRepairs({
+      text: 't',
+      visualization: {
+        id: 'v',
+        duration: 1000,
+        fps: 30,
+        layers: [
+          { id: 'p', type: 'particle', props: { count: 3, spread: 30, opacity: 2 } },
+          circle({ cx: 1, cy: 2, r: 3 })
+        ]
+      }
+    });
+
+    assert.deepEqual(response.visualization.layers.map(layer => layer.id), ['p_particle_0', 'p_particle_1', 'p_particle_2', 'c']);
+    assert.deepEqual(fixes.map(({ rule, path }) => `${rule} ${path}`), [
+      'particle-system-to-circles /visualization/layers/0',
+      'svg-center-to-xy /visualization/layers/1/props/cx',
+      'svg-center-to-xy /visualization/layers/1/props/cy'
+    ]);
+  });
+
+  it('runs only the rules it is given', () => {
+    const rules = REPAIR_RULES.filter(rule => rule.name === 'rect-to-rectangle');
+    const { response, fixes } = applyRepairs({ text: 't', visualization: { layers: [{ id: 'r', type: 'rect', props: { cx: 1 } }] } }, rules);
+    assert.deepEqual(response.visualization.layers[0], { id: 'r', type: 'rectangle', props: { cx: 1 } });
+    assert.deepEqual(fixes, [{ rule: 'rect-to-rectangle', path: '/visualization/layers/0/type', message: 'Changed layer type "rect" to "rectangle"' }]);
+  });
+});
+
+describe('repairLayer', () => {
+  it('prefixes fix paths with the layer path', () => {
+    const { layers, fixes } = repairLayer({ id: 'r', type: 'rect', props: {} }, '/x/layers/4');
+    assert.equal(layers[0].type, 'rectangle');
+    assert.deepEqual(fixes, [{ rule: 'rect-to-rectangle', path: '/x/layers/4/type', message: 'Changed layer type "rect" to "rectangle"' }]);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { layerPropsAt, layerBounds, coversPoint, estimateTextWidth } = require('../src/utils/sceneSampler');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+describe('sceneSampler', () => {
+  describe('layerPropsAt', () => {
+    it('fills in the engine defaults and leaves the layer untouched', () => {
+      const layer = { type: 'circle', props: { fill: '#f00' } };
+      assert.deepEqual(layerPropsAt(layer, 0), { fill: '#f00', r: 20, x: 100, y: 100 });
+      assert.deepEqual(layer.props, { fill: '#f00' });
+      assert.deepEqual(layerPropsAt({ type: 'circle', props: { radius: 7 } }, 0).r, 7);
+    });
+
+    it('interpolates from/to with start, duration and easing', () => {
+      const layer = {
+        type: 'circle',
+        props: { x: 0, y: 0, r: 5 },
+        animations: [
+          { property: 'x', from: 0, to: 100, start: 1000, duration: 1000 },
+          { property: 'y', startValue: 0, endValue: 100, duration: 1000, easing: 'ease-in' }
+        ]
+      };
+      assert.equal(layerPropsAt(layer, 500).x, 0);
+      assert.equal(layerPropsAt(layer, 1500).x, 50);
+      assert.equal(layerPropsAt(layer, 5000).x, 100);
+      assert.equal(layerPropsAt(layer, 500).y, 25);
+    });
+
+    it('uses end when there is no duration and falls back to linear for unknown easings', () => {
+      const layer = { type: 'circle', props: {}, animations: [{ property: 'x', from: 0, to: 10, start: 0, end: 100, easing: 'easeInOutQuad' }] };
+      assert.equal(layerPropsAt(layer, 50).x, 5);
+    });
+
+    it('repeats and alternates', () => {
+      const repeat = { type: 'circle', props: {}, animations: [{ property: 'x', from: 0, to: 100, duration: 1000, repeat: true }] };
+      assert.equal(layerPropsAt(repeat, 1250).x, 25);
+
+      const alternate = { type: 'circle', props: {}, animations: [{ property: 'x', from: 0, to: 100, duration: 1000, repeat: true, alternate: true }] };
+      assert.equal(layerPropsAt(alternate, 1250).x, 75);
+    });
+
+    it('applies orbit, scale and colorTransition like the engine', () => {
+      const orbit = layerPropsAt({
+        type: 'circle',
+        props: { x: 0, y: 0, r: 5 },
+        animations: [{ property: 'orbit', centerX: 100, centerY: 100, radius: 50, duration: 1000 }]
+      }, 250);
+      close(orbit.x, 100);
+      close(orbit.y, 150);
+
+      const scaled = layerPropsAt({ type: 'circle', props: { r: 10 }, animations: [{ property: 'scale', from: 1, to: 3, duration: 1000 }] }, 1000);
+      assert.equal(scaled.r, 30);
+
+      const colored = layerPropsAt({ type: 'rectangle', props: {}, animations: [{ property: 'colorTransition', from: '#000000', to: '#ffffff', duration: 1000 }] }, 500);
+      assert.equal(colored.fill, 'rgb(128, 128, 128)');
+    });
+
+    it('ignores animations it cannot evaluate', () => {
+      const props = layerPropsAt({
+        type: 'circle',
+        props: { x: 1, y: 2, r: 3 },
+        animations: [null, { from: 0, to: 1 }, { property: 'x', from: 'a', to: 'b' }, { property: 'x', from: 0, to: 9, duration: 0 }]
+      }, 500);
+      assert.deepEqual(props, { x: 1, y: 2, r: 3 });
+    });
+  });
+
+  describe('layerBounds', () => {
+    it('bounds the common shapes', () => {
+      assert.deepEqual(layerBounds('circle', { x: 10, y: 20, r: 5 }), { minX: 5, minY: 15, maxX: 15, maxY: 25 });
+      assert.deepEqual(layerBounds('rectangle', { x: 1, y: 2, width: 3, height: 4 }), { minX: 1, minY: 2, maxX: 4, maxY: 6 });
+      assert.deepEqual(layerBounds('line', { x1: 0, y1: 0, x2: 10, y2: 0, strokeWidth: 4 }), { minX: -2, minY: -2, maxX: 12, maxY: 2 });
+      assert.deepEqual(layerBounds('wave', { startX: 100, endX: 0, startY: 50, amplitude: -10 }), { minX: 0, minY: 40, maxX: 100, maxY: 60 });
+      assert.deepEqual(layerBounds('polygon', { points: [{ x: 0, y: 5 }, { x: 10, y: -5 }] }), { minX: 0, minY: -5, maxX: 10, maxY: 5 });
+    });
+
+    it('estimates text boxes from the font size and alignment', () => {
+      const closeBounds = (actual, expected) => Object.keys(expected).forEach(key => close(actual[key], expected[key]));
+
+      close(estimateTextWidth('Hello', 20), 55);
+      closeBounds(layerBounds('text', { x: 100, y: 10, text: 'Hello', fontSize: 20 }), { minX: 100, minY: 10, maxX: 155, maxY: 30 });
+      closeBounds(layerBounds('text', { x: 100, y: 10, text: 'Hello', fontSize: 20, align: 'center' }), { minX: 72.5, minY: 10, maxX: 127.5, maxY: 30 });
+      closeBounds(layerBounds('text', { x: 100, y: 10, content: 'Hello', size: 20, align: 'right' }), { minX: 45, minY: 10, maxX: 100, maxY: 30 });
+    });
+
+    it('returns null for unknown types and incomplete props', () => {
+      assert.equal(layerBounds('blob', { x: 0, y: 0 }), null);
+      assert.equal(layerBounds('circle', { x: 0, y: 0 }), null);
+      assert.equal(layerBounds('polygon', { points: [] }), null);
+    });
+  });
+
+  describe('coversPoint', () => {
+    it('uses the exact shape for circles and ellipses and the box otherwise', () => {
+      assert.equal(coversPoint('circle', { x: 0, y: 0, r: 10 }, { x: 7, y: 7 }), true);
+      assert.equal(coversPoint('circle', { x: 0, y: 0, r: 10 }, { x: 8, y: 8 }), false);
+      assert.equal(coversPoint('ellipse', { x: 0, y: 0, radiusX: 20, radiusY: 5 }, { x: 19, y: 0 }), true);
+      assert.equal(coversPoint('ellipse', { x: 0, y: 0, radiusX: 20, radiusY: 5 }, { x: 0, y: 6 }), false);
+      assert.equal(coversPoint('rectangle', { x: 0, y: 0, width: 10, height: 10 }, { x: 10, y: 10 }), true);
+      assert.equal(coversPoint('blob', { x: 0, y: 0 }, { x: 0, y: 0 }), false);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaValidator = require('../src/services/schemaValidator');
+const ValidationReporter = require('../src/services/validationReporter');
+
+const response = layers => ({ text: 'An answer', visualization: { id: 'v', duration: 1000, fps: 30, layers } });
+
+describe('SchemaValidator', () => {
+  const schemaValidator = new SchemaValidator();
+
+  it('accepts a complete response', () => {
+    const result = schemaValidator.validate(response([{ id: 'c', type: 'circle', props: { x: 1, y: 2, r: 3 } }]));
+    assert.deepEqual(result, { valid: true, errors: [], warnings: [] });
+  });
+
+  it('only warns about missing layer props, which the engine draws with defaults', () => {
+    const result = schemaValidator.validate(response([
+      { id: 'c', type: 'circle', props: { x: 1, y: 2 } },
+      { id: 'l', type: 'line', props: { x1: 0, y1: 0, x2: 10, y2: 10 } }
+    ]));
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, [
+      { path: '/visualization/layers/0/props/r', message: "must have required property 'r'", keyword: 'required', severity: 'warning' },
+      { path: '/visualization/layers/1/props/stroke', message: "must have required property 'stroke'", keyword: 'required', severity: 'warning' }
+    ]);
+  });
+
+  it('rejects structural problems and wrong prop types', () => {
+    const result = schemaValidator.validate(response([
+      { id: 'c', type: 'circle' },
+      { id: 'h', type: 'hexagon', props: {} },
+      { id: 'r', type: 'circle', props: { x: 1, y: 2, r: 'big' } }
+    ]));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(error => `${error.severity} ${error.path}`), [
+      'error /visualization/layers/0/props',
+      'error /visualization/layers/1/type',
+      'error /visualization/layers/2/props/r'
+    ]);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it('keeps warnings next to errors in an invalid response', () => {
+    const result = schemaValidator.validate({ visualization: { layers: [{ id: 'c', type: 'circle', props: { x: 1, y: 2 } }] } });
+    assert.deepEqual(result.errors.map(error => error.path), ['/text']);
+    assert.deepEqual(result.warnings.map(warning => warning.path), ['/visualization/layers/0/props/r']);
+  });
+});
+
+describe('ValidationReporter', () => {
+  it('reports schema warnings as warning issues, scored as such', () => {
+    const report = new ValidationReporter().build(response([
+      { id: 'label', type: 'text', props: { x: 100, y: 100, text: 'Label', color: '#2c3e50' } },
+      { id: 'c', type: 'circle', props: { x: 400, y: 300, fill: '#3498db' } }
+    ]));
+
+    assert.deepEqual(report.issues, [{
+      source: 'schema',
+      rule: 'required',
+      severity: 'warning',
+      path: '/visualization/layers/1/props/r',
+      message: "must have required property 'r'"
+    }]);
+    assert.equal(report.score, 95);
+  });
+});
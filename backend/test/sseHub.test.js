@@ -0,0 +1,212 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const SSEHub = require('../src/services/sseHub');
+
+// An Express request/response pair that records the SSE messages written to it
+function connection() {
+  const req = new EventEmitter();
+  const res = {
+    chunks: [],
+    write(chunk) { this.chunks.push(chunk); },
+    // Messages as { id, data }; id is null when the message has no id line
+    messages() {
+      return this.chunks.map(chunk => {
+        const id = chunk.match(/^id: (\d+)$/m);
+        const data = chunk.match(/^data: (.*)$/m);
+        return { id: id ? Number(id[1]) : null, data: JSON.parse(data[1]) };
+      });
+    },
+    types() { return this.messages().map(message => message.data.type); },
+    ids() { return this.messages().map(message => message.id); }
+  };
+  return { req, res };
+}
+
+function connect(hub, subscription, lastEventId = null) {
+  const { req, res } = connection();
+  const client = hub.addClient(req, res, subscription, lastEventId);
+  return { req, res, client };
+}
+
+describe('SSEHub', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  describe('broadcast', () => {
+    it('numbers events in order and writes them with their id', () => {
+      const hub = new SSEHub();
+      const { res } = connect(hub, { userId: 'u1' });
+
+      hub.broadcast('first', { value: 1 }, { userId: 'u1' });
+      hub.broadcast('second', { value: 2 }, { userId: 'u1' });
+
+      assert.deepEqual(res.messages(), [
+        { id: 1, data: { type: 'first', value: 1 } },
+        { id: 2, data: { type: 'second', value: 2 } }
+      ]);
+      assert.equal(res.chunks[0], 'id: 1\ndata: {"type":"first","value":1}\n\n');
+    });
+
+    it('only sends an event to the user or question it belongs to', () => {
+      const hub = new SSEHub();
+      const alice = connect(hub, { userId: 'alice' });
+      const bob = connect(hub, { userId: 'bob' });
+      const watcher = connect(hub, { questionId: 'q1' });
+
+      hub.broadcast('for_alice', {}, { userId: 'alice' });
+      hub.broadcast('for_question', {}, { userId: 'bob', questionId: 'q1' });
+      hub.broadcast('for_nobody', {});
+
+      assert.deepEqual(alice.res.types(), ['for_alice']);
+      assert.deepEqual(bob.res.types(), ['for_question']);
+      assert.deepEqual(watcher.res.types(), ['for_question']);
+    });
+
+    it('stops sending to a client once its request closes', () => {
+      const hub = new SSEHub();
+      const { req, res } = connect(hub, { userId: 'u1' });
+
+      hub.broadcast('before', {}, { userId: 'u1' });
+      req.emit('close');
+      hub.broadcast('after', {}, { userId: 'u1' });
+
+      assert.deepEqual(res.types(), ['before']);
+      assert.equal(hub.clients.length, 0);
+    });
+
+    it('keeps sending to other clients when one connection fails', () => {
+      const hub = new SSEHub();
+      const broken = connect(hub, { userId: 'u1' });
+      broken.res.write = () => { throw new Error('socket closed'); };
+      const healthy = connect(hub, { userId: 'u1' });
+
+      assert.doesNotThrow(() => hub.broadcast('update', {}, { userId: 'u1' }));
+      assert.deepEqual(healthy.res.types(), ['update']);
+    });
+  });
+
+  describe('Last-Event-ID replay', () => {
+    it('replays the events a reconnecting client missed, oldest first', () => {
+      const hub = new SSEHub();
+      [1, 2, 3, 4].forEach(value => hub.broadcast('tick', { value }, { userId: 'u1' }));
+
+      const { res } = connect(hub, { userId: 'u1' }, 2);
+      assert.deepEqual(res.messages(), [
+        { id: 3, data: { type: 'tick', value: 3 } },
+        { id: 4, data: { type: 'tick', value: 4 } }
+      ]);
+    });
+
+    it('replays nothing to a client that is up to date', () => {
+      const hub = new SSEHub();
+      hub.broadcast('tick', {}, { userId: 'u1' });
+
+      const { res } = connect(hub, { userId: 'u1' }, 1);
+      assert.deepEqual(res.chunks, []);
+    });
+
+    it('does not replay to a new connection without Last-Event-ID', () => {
+      const hub = new SSEHub();
+      hub.broadcast('tick', {}, { userId: 'u1' });
+
+      const { res } = connect(hub, { userId: 'u1' });
+      assert.deepEqual(res.chunks, []);
+    });
+
+    it('only replays the reconnecting user\'s own events', () => {
+      const hub = new SSEHub();
+      hub.broadcast('mine', {}, { userId: 'alice' });
+      hub.broadcast('theirs', {}, { userId: 'bob' });
+      hub.broadcast('question', {}, { questionId: 'q1' });
+      hub.broadcast('mine_again', {}, { userId: 'alice' });
+
+      assert.deepEqual(connect(hub, { userId: 'alice' }, 0).res.ids(), [1, 4]);
+      assert.deepEqual(connect(hub, { userId: 'bob' }, 0).res.ids(), [2]);
+      assert.deepEqual(connect(hub, { questionId: 'q1' }, 0).res.ids(), [3]);
+    });
+
+    it('does not replay transient events', () => {
+      const hub = new SSEHub();
+      const live = connect(hub, { userId: 'u1' });
+      hub.broadcast('kept', {}, { userId: 'u1' });
+      hub.broadcast('chunk', {}, { userId: 'u1' }, { replay: false });
+      hub.broadcast('kept_too', {}, { userId: 'u1' });
+
+      assert.deepEqual(live.res.types(), ['kept', 'chunk', 'kept_too']);
+      assert.deepEqual(connect(hub, { userId: 'u1' }, 0).res.types(), ['kept', 'kept_too']);
+    });
+
+    it('replays the new events first, then delivers live ones', () => {
+      const hub = new SSEHub();
+      hub.broadcast('missed', {}, { userId: 'u1' });
+      const { res } = connect(hub, { userId: 'u1' }, 0);
+      hub.broadcast('live', {}, { userId: 'u1' });
+
+      assert.deepEqual(res.messages().map(({ id, data }) => `${id} ${data.type}`), ['1 missed', '2 live']);
+    });
+  });
+
+  describe('ring buffer eviction', () => {
+    it('keeps only the most recent events', () => {
+      const hub = new SSEHub({ bufferSize: 3 });
+      [1, 2, 3, 4, 5].forEach(value => hub.broadcast('tick', { value }, { userId: 'u1' }));
+
+      // Event 2 was evicted, but a client that saw it only needs 3 to 5, which are all still held
+      assert.deepEqual(connect(hub, { userId: 'u1' }, 2).res.ids(), [3, 4, 5]);
+      assert.deepEqual(connect(hub, { userId: 'u1' }, 4).res.ids(), [5]);
+    });
+
+    it('asks for a resync when the events a client missed were evicted', () => {
+      const hub = new SSEHub({ bufferSize: 3 });
+      [1, 2, 3, 4, 5].forEach(value => hub.broadcast('tick', { value }, { userId: 'u1' }));
+
+      const { res } = connect(hub, { userId: 'u1' }, 1);
+      assert.deepEqual(res.messages(), [
+        { id: null, data: { type: 'resync_required', message: 'Missed events are no longer available' } }
+      ]);
+    });
+
+    it('asks for a resync when the client is ahead of the server (restart)', () => {
+      const hub = new SSEHub();
+      hub.broadcast('tick', {}, { userId: 'u1' });
+
+      assert.deepEqual(connect(hub, { userId: 'u1' }, 42).res.types(), ['resync_required']);
+    });
+
+    it('wraps around more than once without losing order', () => {
+      const hub = new SSEHub({ bufferSize: 4 });
+      for (let value = 1; value <= 11; value++) hub.broadcast('tick', { value }, { userId: 'u1' });
+
+      assert.deepEqual(connect(hub, { userId: 'u1' }, 7).res.ids(), [8, 9, 10, 11]);
+      assert.deepEqual(connect(hub, { userId: 'u1' }, 6).res.types(), ['resync_required']);
+    });
+
+    it('counts other users\' events towards the buffer size', () => {
+      const hub = new SSEHub({ bufferSize: 2 });
+      hub.broadcast('mine', {}, { userId: 'alice' });
+      hub.broadcast('theirs', {}, { userId: 'bob' });
+      hub.broadcast('theirs', {}, { userId: 'bob' });
+
+      // Alice's event was pushed out by Bob's, so she can't be sure she has everything
+      assert.deepEqual(connect(hub, { userId: 'alice' }, 0).res.types(), ['resync_required']);
+    });
+
+    it('reads the buffer size from SSE_REPLAY_BUFFER_SIZE', () => {
+      const previous = process.env.SSE_REPLAY_BUFFER_SIZE;
+      process.env.SSE_REPLAY_BUFFER_SIZE = '2';
+      try {
+        const hub = new SSEHub();
+        [1, 2, 3].forEach(() => hub.broadcast('tick', {}, { userId: 'u1' }));
+        assert.deepEqual(connect(hub, { userId: 'u1' }, 0).res.types(), ['resync_required']);
+        assert.deepEqual(connect(hub, { userId: 'u1' }, 1).res.ids(), [2, 3]);
+      } finally {
+        if (previous === undefined) delete process.env.SSE_REPLAY_BUFFER_SIZE;
+        else process.env.SSE_REPLAY_BUFFER_SIZE = previous;
+      }
+    });
+  });
+});
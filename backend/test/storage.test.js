@@ -0,0 +1,368 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STORAGE_METHODS } = require('../src/storage');
+const FileStorage = require('../src/storage/fileStorage');
+const SqliteStorage = require('../src/storage/sqliteStorage');
+
+// Each adapter gets a fresh temporary directory, so tests never touch backend/data
+const ADAPTERS = {
+  file: directory => new FileStorage({ dataDir: directory }),
+  sqlite: directory => new SqliteStorage({ dbPath: path.join(directory, 'test.db') })
+};
+
+// Records shaped like the models in dataStore, created at a fixed minute offset so ordering is deterministic
+function at(minute) {
+  return new Date(Date.UTC(2024, 0, 1, 0, minute));
+}
+
+function question(id, userId, minute, fields = {}) {
+  return { id, userId, question: `Question ${id}`, answerId: null, conversationId: null, createdAt: at(minute), ...fields };
+}
+
+function answer(id, userId, minute, fields = {}) {
+  return { id, userId, text: `Answer ${id}`, visualization: null, createdAt: at(minute), ...fields };
+}
+
+function conversation(id, userId, minute) {
+  return { id, userId, title: `Conversation ${id}`, createdAt: at(minute), updatedAt: at(minute) };
+}
+
+function ids(records) {
+  return records.map(record => record.id);
+}
+
+// The same behaviour is required of every adapter: dataStore can't tell them apart
+Object.entries(ADAPTERS).forEach(([name, createAdapter]) => {
+  describe(`${name} storage contract`, () => {
+    let directory;
+    let storage;
+
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'warn', () => {});
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), `chat-to-viz-${name}-`));
+      storage = createAdapter(directory);
+    });
+
+    afterEach(() => {
+      if (storage.db) storage.db.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+      mock.restoreAll();
+    });
+
+    it('implements every storage method', () => {
+      STORAGE_METHODS.forEach(method => assert.equal(typeof storage[method], 'function', method));
+    });
+
+    describe('questions', () => {
+      it('saves a question and reads it back with dates as ISO strings', async () => {
+        const saved = question('q1', 'alice', 0, { conversationId: 'c1' });
+        assert.equal(await storage.saveQuestion(saved), saved);
+
+        assert.deepEqual(await storage.getQuestionById('q1'), {
+          ...saved,
+          createdAt: saved.createdAt.toISOString()
+        });
+        assert.equal(await storage.getQuestionById('missing'), undefined);
+      });
+
+      it('merges updates into the stored question and returns the result', async () => {
+        await storage.saveQuestion(question('q1', 'alice', 0));
+
+        const updated = await storage.updateQuestion('q1', { answerId: 'a1', answerIds: ['a1'] });
+        assert.equal(updated.answerId, 'a1');
+        assert.equal(updated.question, 'Question q1');
+
+        const stored = await storage.getQuestionById('q1');
+        assert.deepEqual(stored.answerIds, ['a1']);
+        assert.equal(stored.userId, 'alice');
+      });
+
+      it('throws when updating a question that does not exist', async () => {
+        await assert.rejects(storage.updateQuestion('missing', { answerId: 'a1' }), /Question missing not found/);
+      });
+
+      it('deletes a question and reports whether it existed', async () => {
+        await storage.saveQuestion(question('q1', 'alice', 0));
+        await storage.saveQuestion(question('q2', 'alice', 1));
+
+        assert.equal(await storage.deleteQuestion('q1'), true);
+        assert.equal(await storage.deleteQuestion('q1'), false);
+        assert.deepEqual(ids(await storage.getAllQuestions()), ['q2']);
+      });
+
+      it('lists a user\'s questions oldest first, whatever order they were saved in', async () => {
+        await storage.saveQuestion(question('q-late', 'alice', 30));
+        await storage.saveQuestion(question('q-bob', 'bob', 10));
+        await storage.saveQuestion(question('q-early', 'alice', 5));
+        await storage.saveQuestion(question('q-middle', 'alice', 20));
+
+        assert.deepEqual(ids(await storage.getQuestionsByUser('alice')), ['q-early', 'q-middle', 'q-late']);
+        assert.deepEqual(ids(await storage.getQuestionsByUser('bob')), ['q-bob']);
+        assert.deepEqual(await storage.getQuestionsByUser('nobody'), []);
+      });
+
+      it('keeps questions created at the same moment in the order they were saved', async () => {
+        await storage.saveQuestion(question('q-b', 'alice', 0));
+        await storage.saveQuestion(question('q-a', 'alice', 0));
+        await storage.saveQuestion(question('q-c', 'alice', 0));
+
+        assert.deepEqual(ids(await storage.getQuestionsByUser('alice')), ['q-b', 'q-a', 'q-c']);
+      });
+
+      it('lists a conversation\'s questions oldest first', async () => {
+        await storage.saveQuestion(question('q2', 'alice', 2, { conversationId: 'c1' }));
+        await storage.saveQuestion(question('q1', 'alice', 1, { conversationId: 'c1' }));
+        await storage.saveQuestion(question('q3', 'alice', 3, { conversationId: 'c2' }));
+
+        assert.deepEqual(ids(await storage.getQuestionsByConversation('c1')), ['q1', 'q2']);
+      });
+    });
+
+    describe('question pages', () => {
+      // The cursor key of a page's last question, as decodeCursor returns it
+      function after(page) {
+        const last = page[page.length - 1];
+        return { createdAt: last.createdAt, id: last.id };
+      }
+
+      // Every page of a query, as lists of ids
+      async function allPages(query) {
+        const pages = [];
+        let page = await storage.queryQuestions(query);
+        while (page.length > 0) {
+          pages.push(ids(page));
+          page = await storage.queryQuestions({ ...query, after: after(page) });
+        }
+        return pages;
+      }
+
+      beforeEach(async () => {
+        for (const [id, minute] of [['q3', 3], ['q1', 1], ['q5', 5], ['q2', 2], ['q4', 4]]) {
+          await storage.saveQuestion(question(id, 'alice', minute, { conversationId: minute % 2 ? 'odd' : 'even' }));
+        }
+        await storage.saveQuestion(question('q-bob', 'bob', 0));
+      });
+
+      it('splits a user\'s questions into pages of the given size, oldest first', async () => {
+        assert.deepEqual(await allPages({ userId: 'alice', limit: 2 }), [['q1', 'q2'], ['q3', 'q4'], ['q5']]);
+        assert.deepEqual(await allPages({ userId: 'alice', limit: 5 }), [['q1', 'q2', 'q3', 'q4', 'q5']]);
+        assert.deepEqual(await allPages({ userId: 'nobody', limit: 5 }), []);
+      });
+
+      it('pages newest first', async () => {
+        assert.deepEqual(await allPages({ userId: 'alice', sort: 'desc', limit: 2 }), [['q5', 'q4'], ['q3', 'q2'], ['q1']]);
+      });
+
+      it('orders questions created at the same moment by id, including across a page boundary', async () => {
+        await storage.saveQuestion(question('q2-b', 'alice', 2));
+        await storage.saveQuestion(question('q2-a', 'alice', 2));
+
+        assert.deepEqual(await allPages({ userId: 'alice', limit: 2 }), [['q1', 'q2'], ['q2-a', 'q2-b'], ['q3', 'q4'], ['q5']]);
+        assert.deepEqual(await allPages({ userId: 'alice', limit: 3 }), [['q1', 'q2', 'q2-a'], ['q2-b', 'q3', 'q4'], ['q5']]);
+        assert.deepEqual(await allPages({ userId: 'alice', sort: 'desc', limit: 3 }), [['q5', 'q4', 'q3'], ['q2-b', 'q2-a', 'q2'], ['q1']]);
+      });
+
+      it('continues from the cursor when questions are added or deleted between pages', async () => {
+        const first = await storage.queryQuestions({ userId: 'alice', limit: 2 });
+        assert.deepEqual(ids(first), ['q1', 'q2']);
+
+        // One question lands before the cursor, one after it; the cursor's own question goes away
+        await storage.saveQuestion(question('q0', 'alice', 0));
+        await storage.saveQuestion(question('q6', 'alice', 6));
+        await storage.deleteQuestion('q2');
+
+        assert.deepEqual(await allPages({ userId: 'alice', limit: 2, after: after(first) }), [['q3', 'q4'], ['q5', 'q6']]);
+      });
+
+      it('filters by thread, time range and question text before paging', async () => {
+        await storage.saveQuestion(question('q-umlaut', 'alice', 6, { question: 'Warum ist ÜBER groß?' }));
+
+        assert.deepEqual(await allPages({ userId: 'alice', conversationId: 'odd', limit: 2 }), [['q1', 'q3'], ['q5']]);
+        assert.deepEqual(await allPages({ userId: 'alice', from: at(2), to: at(4), limit: 2 }), [['q2', 'q3'], ['q4']]);
+        assert.deepEqual(await allPages({ userId: 'alice', text: 'QUESTION Q', sort: 'desc', limit: 10 }), [['q5', 'q4', 'q3', 'q2', 'q1']]);
+        assert.deepEqual(await allPages({ userId: 'alice', text: 'über', limit: 10 }), [['q-umlaut']]);
+      });
+    });
+
+    describe('answers', () => {
+      it('saves answers and looks them up one at a time or several at once', async () => {
+        await storage.saveAnswer(answer('a1', 'alice', 0, { visualization: { duration: 1000, layers: [] } }));
+        await storage.saveAnswer(answer('a2', 'alice', 1));
+        await storage.saveAnswer(answer('a3', 'bob', 2));
+
+        const stored = await storage.getAnswerById('a1');
+        assert.deepEqual(stored.visualization, { duration: 1000, layers: [] });
+        assert.equal(stored.createdAt, at(0).toISOString());
+        assert.equal(await storage.getAnswerById('missing'), undefined);
+
+        const several = await storage.getAnswersByIds(['a3', 'a1', 'missing']);
+        assert.deepEqual(ids(several).sort(), ['a1', 'a3']);
+        assert.deepEqual(await storage.getAnswersByIds([]), []);
+      });
+
+      it('deletes an answer and reports whether it existed', async () => {
+        await storage.saveAnswer(answer('a1', 'alice', 0));
+
+        assert.equal(await storage.deleteAnswer('a1'), true);
+        assert.equal(await storage.deleteAnswer('a1'), false);
+        assert.equal(await storage.getAnswerById('a1'), undefined);
+      });
+    });
+
+    describe('conversations', () => {
+      it('saves, updates and lists a user\'s conversations oldest first', async () => {
+        await storage.saveConversation(conversation('c2', 'alice', 2));
+        await storage.saveConversation(conversation('c1', 'alice', 1));
+        await storage.saveConversation(conversation('c3', 'bob', 3));
+
+        assert.deepEqual(ids(await storage.getConversationsByUser('alice')), ['c1', 'c2']);
+
+        const updated = await storage.updateConversation('c1', { title: 'Renamed' });
+        assert.equal(updated.title, 'Renamed');
+        assert.equal((await storage.getConversationById('c1')).title, 'Renamed');
+        assert.equal(await storage.getConversationById('missing'), undefined);
+      });
+
+      it('deletes a conversation with its questions and every version of their answers', async () => {
+        await storage.saveConversation(conversation('c1', 'alice', 0));
+        await storage.saveQuestion(question('q1', 'alice', 1, { conversationId: 'c1', answerId: 'a2', answerIds: ['a1', 'a2'] }));
+        await storage.saveQuestion(question('q2', 'alice', 2, { conversationId: 'c1', answerId: 'a3' }));
+        await storage.saveQuestion(question('q3', 'alice', 3, { answerId: 'a4' }));
+        for (const [id, minute] of [['a1', 1], ['a2', 2], ['a3', 3], ['a4', 4]]) {
+          await storage.saveAnswer(answer(id, 'alice', minute));
+        }
+
+        assert.deepEqual(await storage.deleteConversation('c1'), { questionsDeleted: 2, answersDeleted: 3 });
+        assert.equal(await storage.getConversationById('c1'), undefined);
+        assert.deepEqual(ids(await storage.getQuestionsByUser('alice')), ['q3']);
+        assert.deepEqual(ids(await storage.getAllAnswers()), ['a4']);
+
+        assert.equal(await storage.deleteConversation('c1'), false);
+      });
+    });
+
+    describe('shares', () => {
+      it('saves shares, finds them by token or answer and updates them', async () => {
+        const share = { id: 's1', userId: 'alice', answerId: 'a1', token: 'token-1', revoked: false, createdAt: at(0) };
+        await storage.saveShare(share);
+        await storage.saveShare({ ...share, id: 's2', token: 'token-2', createdAt: at(1) });
+
+        assert.equal((await storage.getShareByToken('token-1')).id, 's1');
+        assert.equal(await storage.getShareByToken('missing'), undefined);
+        assert.deepEqual(ids(await storage.getSharesByAnswer('a1')), ['s1', 's2']);
+
+        const updated = await storage.updateShare('s1', { revoked: true });
+        assert.equal(updated.revoked, true);
+        assert.equal((await storage.getShareByToken('token-1')).revoked, true);
+      });
+    });
+
+    describe('users', () => {
+      // Alice has a regenerated answer (a1 then a2, where a1 predates per-answer user ids) and a conversation;
+      // Bob has one question of his own
+      async function seedTwoUsers() {
+        await storage.saveConversation(conversation('c1', 'alice', 0));
+        await storage.saveQuestion(question('q1', 'alice', 1, { conversationId: 'c1', answerId: 'a2', answerIds: ['a1', 'a2'] }));
+        await storage.saveQuestion(question('q2', 'alice', 2, { answerId: 'a3' }));
+        await storage.saveAnswer(answer('a1', null, 1));
+        await storage.saveAnswer(answer('a2', 'alice', 2));
+        await storage.saveAnswer(answer('a3', 'alice', 3));
+        await storage.saveQuestion(question('q3', 'bob', 3, { answerId: 'a4' }));
+        await storage.saveAnswer(answer('a4', 'bob', 4));
+        await storage.saveShare({ id: 's1', userId: 'alice', answerId: 'a2', token: 'alice-token', createdAt: at(5) });
+      }
+
+      it('counts a user\'s records, including answers linked only through their questions', async () => {
+        await seedTwoUsers();
+
+        const alice = await storage.getStats('alice');
+        assert.deepEqual(
+          { questions: alice.questionsCount, answers: alice.answersCount, conversations: alice.conversationsCount },
+          { questions: 2, answers: 3, conversations: 1 }
+        );
+        assert.equal(alice.storage, name);
+
+        const bob = await storage.getStats('bob');
+        assert.deepEqual([bob.questionsCount, bob.answersCount, bob.conversationsCount], [1, 1, 0]);
+
+        const all = await storage.getStats();
+        assert.deepEqual([all.questionsCount, all.answersCount, all.conversationsCount], [3, 4, 1]);
+      });
+
+      it('clears one user\'s data and leaves everyone else\'s alone', async () => {
+        await seedTwoUsers();
+
+        assert.deepEqual(await storage.clearUser('alice'), {
+          questionsDeleted: 2,
+          answersDeleted: 3,
+          conversationsDeleted: 1
+        });
+
+        assert.deepEqual(await storage.getQuestionsByUser('alice'), []);
+        assert.deepEqual(await storage.getConversationsByUser('alice'), []);
+        assert.equal(await storage.getShareByToken('alice-token'), undefined);
+        assert.deepEqual(ids(await storage.getAllQuestions()), ['q3']);
+        assert.deepEqual(ids(await storage.getAllAnswers()), ['a4']);
+
+        const stats = await storage.getStats('alice');
+        assert.deepEqual([stats.questionsCount, stats.answersCount, stats.conversationsCount], [0, 0, 0]);
+      });
+
+      it('clears a user with no data without failing', async () => {
+        assert.deepEqual(await storage.clearUser('nobody'), {
+          questionsDeleted: 0,
+          answersDeleted: 0,
+          conversationsDeleted: 0
+        });
+      });
+
+      it('clears everything', async () => {
+        await seedTwoUsers();
+        await storage.clearAll();
+
+        const stats = await storage.getStats();
+        assert.deepEqual([stats.questionsCount, stats.answersCount, stats.conversationsCount], [0, 0, 0]);
+        assert.equal(await storage.getShareByToken('alice-token'), undefined);
+      });
+    });
+  });
+});
+
+describe('file storage writes', () => {
+  let directory;
+  let storage;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-to-viz-file-'));
+    storage = new FileStorage({ dataDir: directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  it('keeps every one of many concurrent saves and updates, and leaves no temp files behind', async () => {
+    const count = 25;
+    await storage.saveQuestion(question('q-shared', 'alice', 0));
+
+    // Each update writes its own field, so a lost write shows up as a missing field
+    await Promise.all(Array.from({ length: count }, (_, index) => Promise.all([
+      storage.saveQuestion(question(`q${index}`, 'alice', index + 1)),
+      storage.updateQuestion('q-shared', { [`field${index}`]: index })
+    ])));
+
+    const questions = await storage.getQuestionsByUser('alice');
+    assert.equal(questions.length, count + 1);
+
+    const shared = await storage.getQuestionById('q-shared');
+    Array.from({ length: count }, (_, index) => assert.equal(shared[`field${index}`], index));
+
+    assert.deepEqual(fs.readdirSync(directory).filter(file => file.endsWith('.tmp')), []);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const VisualLinter = require('../src/services/visualLinter');
+
+// Each fixture is { description, visualization, expected: [{ rule, severity, layerId, path, time }] }
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'visual-lint');
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')) }));
+
+describe('VisualLinter', () => {
+  const linter = new VisualLinter();
+
+  fixtures.forEach(fixture => {
+    it(`${fixture.name}: ${fixture.description}`, () => {
+      const { issues } = linter.lint(fixture.visualization);
+      const found = issues.map(({ rule, severity, layerId, path: issuePath, time }) => ({ rule, severity, layerId, path: issuePath, time }));
+      assert.deepEqual(found, fixture.expected);
+
+      issues.forEach(issue => {
+        assert.ok(issue.message.includes(`"${issue.layerId}"`), `message names the layer: ${issue.message}`);
+      });
+    });
+  });
+
+  it('has a fixture for every rule and one without findings', () => {
+    const rules = new Set(fixtures.flatMap(fixture => fixture.expected.map(issue => issue.rule)));
+    assert.deepEqual([...rules].sort(), ['label-overlap', 'never-visible', 'off-canvas', 'text-contrast']);
+    assert.ok(fixtures.some(fixture => fixture.expected.length === 0));
+  });
+
+  it('explains the finding in the message', () => {
+    const byName = name => fixtures.find(fixture => fixture.name === name).visualization;
+
+    const [lost, runaway] = linter.lint(byName('off-canvas')).issues;
+    assert.equal(lost.message, '"lost" is entirely outside the 800x400 canvas');
+    assert.equal(runaway.message, '"runaway" moves entirely outside the 800x400 canvas at 1200ms');
+
+    const [contrast] = linter.lint(byName('text-contrast')).issues;
+    assert.match(contrast.message, /^"dark-on-dark" has low contrast \(1\.\d:1, at least 3:1 is needed\) against #2c3e50 beneath it at 0ms$/);
+  });
+
+  it('samples evenly and at every animation start and end', () => {
+    const sampler = new VisualLinter({ sampleCount: 4 });
+    const times = sampler.sampleTimes([
+      { animations: [{ property: 'x', start: 150, duration: 100 }, { property: 'y', delay: 5000, duration: 10 }] }
+    ], 1000);
+    assert.deepEqual(times, [0, 150, 250, 500, 750, 1000]);
+  });
+
+  it('names layers without an id by position', () => {
+    const { issues } = linter.lint({ duration: 1000, layers: [{ type: 'circle', props: { x: 100, y: 100, r: 10, opacity: 0 } }] });
+    assert.equal(issues[0].layerId, null);
+    assert.equal(issues[0].message, 'Layer 1 is never visible: its opacity stays 0');
+  });
+
+  it('copes with missing or malformed visualizations', () => {
+    assert.deepEqual(linter.lint(null).issues, []);
+    assert.deepEqual(linter.lint({ layers: 'nope' }).issues, []);
+    assert.deepEqual(linter.lint({ duration: 1000, layers: [null, 42, { id: 'odd', type: 'blob', props: {} }] }).issues, []);
+  });
+});
@@ -1,13 +1,55 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import ChatPanel from './components/ChatPanel';
 import ChatHistory from './components/ChatHistory';
+import ThreadSidebar from './components/ThreadSidebar';
 import VisualizationCanvas from './components/VisualizationCanvas';
 import ApiService from './services/apiService';
+import { selectBranch, selectPathTo } from './utils/branches';
+import { downloadFile, slugify } from './utils/download';
 import './App.css';
 
+// How often a submitted question's job is polled when SSE can't deliver its progress
+const JOB_POLL_INTERVAL = 2000;
+// While SSE is open, jobs are still checked every Nth interval in case an event was lost
+const JOB_POLL_SSE_EVERY = 5;
+
+// Questions loaded per page of a thread's history
+const HISTORY_PAGE_SIZE = 20;
+
+// Progress stage shown for each job status when following a job by polling
+const JOB_STATUS_STAGES = {
+  queued: 'received',
+  generating: 'llm_generation',
+  validating: 'validation'
+};
+
+// Chat entry for a stored question, fetched with its current answer embedded
+const toConversation = (question) => {
+  const { answer } = question;
+  return {
+    id: question.id,
+    conversationId: question.conversationId,
+    parentId: question.parentId,
+    question: question.question,
+    tags: question.tags || [],
+    answer: answer ? answer.text : null,
+    visualization: answer ? answer.visualization : null,
+    validationReport: answer ? answer.validationReport || null : null,
+    answerId: answer ? answer.id : null, // Version shown
+    currentAnswerId: question.answerId, // Version kept as the question's answer
+    answerIds: question.answerIds || (question.answerId ? [question.answerId] : []),
+    questionTime: question.createdAt,
+    answerTime: answer ? answer.createdAt : null,
+    userId: question.userId
+  };
+};
+
 function App() {
   const [messages, setMessages] = useState([]);
   const [conversations, setConversations] = useState([]); // New: conversation history
+  const [threads, setThreads] = useState([]); // Named conversation threads, most recent first
+  const [activeThreadId, setActiveThreadId] = useState(null); // null = next question starts a new thread
+  const [selectedBranches, setSelectedBranches] = useState({}); // Question picked at each fork of a thread (see utils/branches)
   const [currentVisualization, setCurrentVisualization] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -15,6 +57,11 @@ function App() {
   const [error, setError] = useState(null);
   const [viewMode, setViewMode] = useState('chat'); // 'chat' or 'history'
   const [validationEnabled, setValidationEnabled] = useState(false); // Toggle for validation - default OFF
+  const [historyVersion, setHistoryVersion] = useState(0); // Bumped to reload history after missed SSE events
+  const [threadPages, setThreadPages] = useState({}); // threadId -> { nextCursor, isLoading } of its loaded history
+  const [focusRequest, setFocusRequest] = useState(null); // { questionId, nonce } of a search result to scroll to
+  const [activeJob, setActiveJob] = useState(null); // { jobId, questionId } of the question being answered
+  const [isCancelling, setIsCancelling] = useState(false);
   
   // Progress tracking state
   const [processingProgress, setProcessingProgress] = useState({
@@ -28,9 +75,26 @@ function App() {
   const appRef = useRef(null);
   const headerRef = useRef(null);
   const contentRef = useRef(null);
+  // Set while a question is submitted without a thread, so its new thread becomes active
+  const pendingNewThreadRef = useRef(false);
+  // Whether the SSE stream is currently delivering events
+  const sseOpenRef = useRef(false);
+  // Questions already shown, and questions whose answer or error was already handled,
+  // so SSE events and job polling never apply the same update twice
+  const shownQuestionsRef = useRef(new Set());
+  const settledQuestionsRef = useRef(new Set());
+  // Threads whose first page of history was requested, and threads with a page in flight
+  const requestedThreadsRef = useRef(new Set());
+  const loadingPagesRef = useRef(new Set());
+  // Visualization being assembled from streamed layers: { questionId, visualization }
+  const streamingVizRef = useRef(null);
+  // Answered questions getting another answer version; a failed regeneration keeps the question
+  const regeneratingQuestionsRef = useRef(new Set());
+  // Deleted questions, so the SSE event for a deletion made here isn't applied a second time
+  const deletedQuestionsRef = useRef(new Set());
 
-  // User ID for the session (in a real app, this would come from authentication)
-  const userId = 'user_' + Math.random().toString(36).substr(2, 9);
+  // User ID persisted per browser so history and context stay scoped to this user
+  const [userId] = useState(() => ApiService.getUserId());
 
   useEffect(() => {
     console.log('Initializing Chat-to-Viz App');
@@ -48,9 +112,11 @@ function App() {
     try {
       // Initialize SSE connection
       console.log('Creating SSE connection...');
+      // Only this user's events are delivered on the stream
       const eventSource = ApiService.createSSEConnection(
         handleSSEMessage,
-        handleSSEError
+        handleSSEError,
+        { userId }
       );
       
       setSSEConnection(eventSource);
@@ -82,49 +148,66 @@ function App() {
     }
   }, []);
 
-  // Load existing conversations on startup
+  // Load the conversation threads on startup; their questions are loaded a page at a time
   useEffect(() => {
-    const loadConversations = async () => {
+    const loadThreads = async () => {
       try {
-        console.log('Loading conversation history...');
-        const questions = await ApiService.getQuestions();
-        
-        const conversationPromises = questions.map(async (question) => {
-          if (question.answerId) {
-            const answer = await ApiService.getAnswer(question.answerId);
-            return {
-              id: question.id,
-              question: question.question,
-              answer: answer.text,
-              visualization: answer.visualization,
-              questionTime: question.createdAt,
-              answerTime: answer.createdAt,
-              userId: question.userId
-            };
-          }
-          return {
-            id: question.id,
-            question: question.question,
-            answer: null,
-            visualization: null,
-            questionTime: question.createdAt,
-            answerTime: null,
-            userId: question.userId
-          };
-        });
-
-        const loadedConversations = await Promise.all(conversationPromises);
-        setConversations(loadedConversations.reverse()); // Most recent first
-        console.log('Loaded', loadedConversations.length, 'conversations');
+        console.log('Loading conversation threads...');
+        // The server groups questions from before threads existed into one thread
+        const loadedThreads = await ApiService.getConversations(userId);
+        setThreads(loadedThreads);
+        setActiveThreadId(prev => prev || loadedThreads[0]?.id || null);
       } catch (error) {
-        console.error('Failed to load conversations:', error);
+        console.error('Failed to load conversation threads:', error);
       }
     };
 
     if (isConnected) {
-      loadConversations();
+      // Reloading after missed events starts the history over
+      requestedThreadsRef.current.clear();
+      setConversations([]);
+      setThreadPages({});
+      loadThreads();
+    }
+  }, [isConnected, userId, historyVersion]);
+
+  // Load the next page of a thread's questions (most recent first), with their answers embedded
+  const loadThreadPage = useCallback(async (threadId, cursor = null) => {
+    if (loadingPagesRef.current.has(threadId)) return;
+    loadingPagesRef.current.add(threadId);
+    setThreadPages(prev => ({ ...prev, [threadId]: { ...prev[threadId], isLoading: true } }));
+
+    try {
+      const page = await ApiService.getQuestions(userId, {
+        conversationId: threadId,
+        sort: 'desc',
+        limit: HISTORY_PAGE_SIZE,
+        include: 'answer',
+        cursor: cursor || undefined
+      });
+      const loaded = page.questions.map(toConversation);
+
+      // Older questions go after the ones already shown; questions asked meanwhile are already there
+      setConversations(prev => {
+        const known = new Set(prev.map(conv => conv.id));
+        return [...prev, ...loaded.filter(conv => !known.has(conv.id))];
+      });
+      setThreadPages(prev => ({ ...prev, [threadId]: { nextCursor: page.nextCursor, isLoading: false } }));
+      console.log('Loaded', loaded.length, 'questions of thread', threadId);
+    } catch (error) {
+      console.error('Failed to load conversation history:', error);
+      setThreadPages(prev => ({ ...prev, [threadId]: { nextCursor: cursor, isLoading: false } }));
+    } finally {
+      loadingPagesRef.current.delete(threadId);
     }
-  }, [isConnected]);
+  }, [userId]);
+
+  // The first page of a thread is loaded when it is first shown
+  useEffect(() => {
+    if (!isConnected || !activeThreadId || requestedThreadsRef.current.has(activeThreadId)) return;
+    requestedThreadsRef.current.add(activeThreadId);
+    loadThreadPage(activeThreadId);
+  }, [isConnected, activeThreadId, historyVersion, loadThreadPage]);
 
   const handleSSEMessage = (data) => {
     try {
@@ -133,6 +216,7 @@ function App() {
       switch (data.type) {
         case 'connected':
           console.log('SSE connection confirmed');
+          sseOpenRef.current = true;
           setIsConnected(true);
           break;
           
@@ -145,24 +229,7 @@ function App() {
             questionId: data.questionId
           });
 
-           const questionMessage = {
-            type: 'user',
-            text: data.question.question,
-            timestamp: new Date(data.question.createdAt)
-          };
-          setMessages(prev => [...prev, questionMessage]);
-          
-          // Add to conversations (without answer yet)
-          const newConversation = {
-            id: data.question.id,
-            question: data.question.question,
-            answer: null,
-            visualization: null,
-            questionTime: data.question.createdAt,
-            answerTime: null,
-            userId: data.question.userId
-          };
-          setConversations(prev => [newConversation, ...prev]);
+          showQuestion(data.question);
           break;
           
         case 'processing_started':
@@ -201,6 +268,7 @@ function App() {
           
         case 'processing_complete':
           console.log('🎉 Processing complete event received');
+          finishJob(data.questionId); // The answer is being saved and can no longer be cancelled
           setIsLoading(false); // Hide the loader immediately
           setProcessingProgress({
             isProcessing: false,
@@ -235,47 +303,85 @@ function App() {
           
         case 'answer_created':
           console.log('Answer created event received');
-          setIsLoading(false);
-          setProcessingProgress({
-            isProcessing: false,
-            stage: 'complete',
-            message: 'Visualization ready!',
-            questionId: null
-          });
-          
-          // Add answer to messages
-          const answerMessage = {
-            type: 'assistant',
-            text: data.answer.text,
-            timestamp: new Date(data.answer.createdAt)
-          };
-          setMessages(prev => [...prev, answerMessage]);
-          setCurrentVisualization(data.answer.visualization);
+          showAnswer(data.questionId, data.answer);
+          console.log('Visualization updated:', data.answer.visualization);
+          break;
           
-          // Update the corresponding conversation with answer
-          setConversations(prev => prev.map(conv => 
-            conv.id === data.questionId 
-              ? {
-                  ...conv,
-                  answer: data.answer.text,
-                  visualization: data.answer.visualization,
-                  answerTime: data.answer.createdAt
-                }
+        case 'answer_text_delta':
+          // The explanation streams into the question's answer bubble
+          setConversations(prev => prev.map(conv =>
+            conv.id === data.questionId && (!conv.answer || conv.regenerating)
+              ? { ...conv, partialAnswer: (conv.partialAnswer || '') + data.delta }
               : conv
           ));
-          
-          console.log('Visualization updated:', data.answer.visualization);
           break;
-          
+
+        case 'question_updated':
+          // The question's text, tags or current answer version changed, possibly in another tab
+          if (data.userId !== userId) break;
+          applyQuestionUpdate(data.question);
+          break;
+
+        case 'question_deleted':
+          if (data.userId !== userId) break;
+          removeQuestion(data.questionId, data.conversationId, data.reparented);
+          break;
+
+        case 'answer_deleted':
+          if (data.userId !== userId || !data.question) break;
+          removeAnswerVersion(data.answerId, data.question);
+          break;
+
+        case 'layer_ready':
+          showStreamedLayer(data);
+          break;
+
         case 'heartbeat':
           console.log('Heartbeat received');
           break;
+
+        case 'resync_required':
+          // Events were missed while disconnected and can't be replayed; reload from the server
+          console.log('SSE resync required, reloading conversation history');
+          setHistoryVersion(v => v + 1);
+          break;
           
+        case 'conversation_created':
+          if (data.userId !== userId) break;
+          setThreads(prev => prev.some(thread => thread.id === data.conversation.id)
+            ? prev
+            : [{ ...data.conversation, questionCount: 0 }, ...prev]);
+          break;
+
+        case 'conversation_updated':
+          if (data.userId !== userId) break;
+          setThreads(prev => prev
+            .map(thread => thread.id === data.conversation.id ? { ...thread, ...data.conversation } : thread)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)));
+          break;
+
+        case 'conversation_deleted':
+          if (data.userId !== userId) break;
+          setThreads(prev => prev.filter(thread => thread.id !== data.conversationId));
+          setConversations(prev => prev.filter(conv => conv.conversationId !== data.conversationId));
+          setActiveThreadId(prev => prev === data.conversationId ? null : prev);
+          break;
+
+        case 'history_imported':
+          if (data.userId !== userId) break;
+          console.log('History imported, reloading conversations');
+          reloadImportedHistory(data.mode);
+          break;
+
         case 'conversations_cleared':
+          // Another user clearing their history must not wipe ours
+          if (data.userId !== userId) break;
           console.log('Conversations cleared event received');
           // Clear all frontend state when notified by server
           setMessages([]);
           setConversations([]);
+          setThreads([]);
+          setActiveThreadId(null);
           setCurrentVisualization(null);
           console.log('Frontend state cleared via SSE');
           break;
@@ -283,26 +389,12 @@ function App() {
         case 'error':
           console.error('SSE Error:', data.message);
           setError(data.message);
-          setIsLoading(false);
-          setProcessingProgress({
-            isProcessing: false,
-            stage: 'error',
-            message: data.message || 'An error occurred during processing',
-            questionId: null
-          });
-          
-          // Remove any incomplete conversation that might have been added
-          if (data.questionId) {
-            setConversations(prev => prev.filter(conv => conv.id !== data.questionId));
-          }
-          
-          // Add error message to chat for better user visibility
-          const errorMessage = {
-            type: 'assistant',
-            text: data.message || 'An error occurred while processing your question.',
-            timestamp: new Date()
-          };
-          setMessages(prev => [...prev, errorMessage]);
+          showFailure(data.questionId, data.message);
+          break;
+
+        case 'cancelled':
+          console.log('🛑 Question cancelled event received');
+          showCancelled(data.questionId);
           break;
           
         default:
@@ -315,29 +407,327 @@ function App() {
 
   const handleSSEError = (error) => {
     console.error('SSE connection error:', error);
+    sseOpenRef.current = false;
     setIsConnected(false);
   };
 
+  // Add a submitted question to the chat and the history of its thread
+  const showQuestion = (question) => {
+    if (shownQuestionsRef.current.has(question.id)) return;
+    shownQuestionsRef.current.add(question.id);
+
+    const questionMessage = {
+      type: 'user',
+      text: question.question,
+      timestamp: new Date(question.createdAt)
+    };
+    setMessages(prev => [...prev, questionMessage]);
+
+    // A question sent from "new conversation" switches to the thread the server created
+    if (pendingNewThreadRef.current && question.userId === userId) {
+      pendingNewThreadRef.current = false;
+      setActiveThreadId(question.conversationId);
+    }
+    setThreads(prev => prev.map(thread =>
+      thread.id === question.conversationId
+        ? { ...thread, questionCount: (thread.questionCount || 0) + 1 }
+        : thread
+    ));
+
+    // Add to conversations (without answer yet)
+    const newConversation = {
+      id: question.id,
+      conversationId: question.conversationId,
+      parentId: question.parentId ?? null,
+      question: question.question,
+      answer: null,
+      visualization: null,
+      answerIds: [],
+      questionTime: question.createdAt,
+      answerTime: null,
+      userId: question.userId
+    };
+    setConversations(prev => [newConversation, ...prev]);
+  };
+
+  // Take over changes made to a stored question
+  const applyQuestionUpdate = (question) => {
+    setConversations(prev => prev.map(conv =>
+      conv.id === question.id
+        ? {
+            ...conv,
+            question: question.question,
+            tags: question.tags || [],
+            currentAnswerId: question.answerId,
+            answerIds: question.answerIds || conv.answerIds
+          }
+        : conv
+    ));
+  };
+
+  // Drop a deleted question; its follow-ups now continue from its parent
+  const removeQuestion = (questionId, conversationId, reparented = []) => {
+    if (deletedQuestionsRef.current.has(questionId)) return;
+    deletedQuestionsRef.current.add(questionId);
+
+    const newParents = new Map(reparented.map(question => [question.id, question.parentId]));
+    setConversations(prev => prev
+      .filter(conv => conv.id !== questionId)
+      .map(conv => newParents.has(conv.id) ? { ...conv, parentId: newParents.get(conv.id) } : conv));
+    setThreads(prev => prev.map(thread =>
+      thread.id === conversationId
+        ? { ...thread, questionCount: Math.max(0, (thread.questionCount || 1) - 1) }
+        : thread
+    ));
+  };
+
+  // Drop a deleted answer version; if it was shown, show the question's current answer instead
+  const removeAnswerVersion = async (answerId, question) => {
+    let replacement = null;
+    if (question.answerId) {
+      try {
+        replacement = await ApiService.getAnswer(question.answerId, userId);
+      } catch (error) {
+        console.error('Error loading current answer:', error);
+      }
+    }
+
+    setConversations(prev => prev.map(conv => {
+      if (conv.id !== question.id) return conv;
+      const updated = { ...conv, currentAnswerId: question.answerId, answerIds: question.answerIds || [] };
+      if (conv.answerId !== answerId) return updated;
+      return {
+        ...updated,
+        answer: replacement ? replacement.text : null,
+        visualization: replacement ? replacement.visualization : null,
+        validationReport: replacement ? replacement.validationReport || null : null,
+        answerId: replacement ? replacement.id : null,
+        answerTime: replacement ? replacement.createdAt : null
+      };
+    }));
+  };
+
+  // Forget the job of a question once it can no longer be cancelled
+  const finishJob = (questionId) => {
+    setActiveJob(prev => prev && prev.questionId === questionId ? null : prev);
+    setIsCancelling(false);
+  };
+
+  // Render a layer of the response being streamed before the full answer arrives
+  const showStreamedLayer = ({ questionId, index, layer, visualization }) => {
+    if (settledQuestionsRef.current.has(questionId)) return;
+
+    let streaming = streamingVizRef.current;
+    if (!streaming || streaming.questionId !== questionId) {
+      streaming = {
+        questionId,
+        visualization: {
+          duration: 6000,
+          fps: 30,
+          ...visualization,
+          id: `streaming_${questionId}`,
+          streaming: true, // VisualizationCanvas appends layers instead of reloading
+          layers: []
+        }
+      };
+    }
+
+    // Layers arrive in order; ignore repeats
+    if (index < streaming.visualization.layers.length) return;
+
+    streaming.visualization = {
+      ...streaming.visualization,
+      layers: [...streaming.visualization.layers, layer]
+    };
+    streamingVizRef.current = streaming;
+    setCurrentVisualization(streaming.visualization);
+  };
+
+  // Drop a streamed preview that will never be completed
+  const discardStreamedPreview = (questionId) => {
+    if (streamingVizRef.current?.questionId !== questionId) return;
+    streamingVizRef.current = null;
+    setCurrentVisualization(prev => prev && prev.streaming ? null : prev);
+  };
+
+  // Show the generated answer and its visualization
+  const showAnswer = (questionId, answer) => {
+    if (settledQuestionsRef.current.has(questionId)) return;
+    settledQuestionsRef.current.add(questionId);
+    regeneratingQuestionsRef.current.delete(questionId);
+    finishJob(questionId);
+    if (streamingVizRef.current?.questionId === questionId) {
+      streamingVizRef.current = null;
+    }
+
+    setIsLoading(false);
+    setProcessingProgress({
+      isProcessing: false,
+      stage: 'complete',
+      message: 'Visualization ready!',
+      questionId: null
+    });
+
+    // Add answer to messages
+    const answerMessage = {
+      type: 'assistant',
+      text: answer.text,
+      timestamp: new Date(answer.createdAt)
+    };
+    setMessages(prev => [...prev, answerMessage]);
+    setCurrentVisualization(answer.visualization);
+
+    // Update the corresponding conversation with answer
+    setConversations(prev => prev.map(conv =>
+      conv.id === questionId
+        ? {
+            ...conv,
+            answer: answer.text,
+            partialAnswer: null,
+            regenerating: false,
+            visualization: answer.visualization,
+            validationReport: answer.validationReport || null,
+            answerId: answer.id,
+            currentAnswerId: answer.id, // A new version becomes the current one
+            answerIds: (conv.answerIds || []).includes(answer.id)
+              ? conv.answerIds
+              : [...(conv.answerIds || []), answer.id],
+            answerTime: answer.createdAt
+          }
+        : conv
+    ));
+  };
+
+  // Remove a question that got no answer; a question being regenerated keeps its earlier answers
+  const dropUnansweredConversation = (questionId) => {
+    if (regeneratingQuestionsRef.current.has(questionId)) {
+      regeneratingQuestionsRef.current.delete(questionId);
+      setConversations(prev => prev.map(conv =>
+        conv.id === questionId ? { ...conv, regenerating: false, partialAnswer: null } : conv
+      ));
+      return;
+    }
+    setConversations(prev => prev.filter(conv => conv.id !== questionId));
+  };
+
+  // Report a question that failed to get an answer
+  const showFailure = (questionId, message) => {
+    if (questionId) {
+      if (settledQuestionsRef.current.has(questionId)) return;
+      settledQuestionsRef.current.add(questionId);
+      finishJob(questionId);
+      discardStreamedPreview(questionId);
+    }
+
+    setIsLoading(false);
+    setProcessingProgress({
+      isProcessing: false,
+      stage: 'error',
+      message: message || 'An error occurred during processing',
+      questionId: null
+    });
+
+    // Remove any incomplete conversation that might have been added
+    if (questionId) {
+      dropUnansweredConversation(questionId);
+    }
+
+    // Add error message to chat for better user visibility
+    const errorMessage = {
+      type: 'assistant',
+      text: message || 'An error occurred while processing your question.',
+      timestamp: new Date()
+    };
+    setMessages(prev => [...prev, errorMessage]);
+  };
+
+  // Drop a cancelled question; nothing was saved for it on the server
+  const showCancelled = (questionId) => {
+    if (settledQuestionsRef.current.has(questionId)) return;
+    settledQuestionsRef.current.add(questionId);
+    finishJob(questionId);
+    discardStreamedPreview(questionId);
+
+    setIsLoading(false);
+    setProcessingProgress({
+      isProcessing: false,
+      stage: 'cancelled',
+      message: 'Question cancelled',
+      questionId: null
+    });
+    const regenerating = regeneratingQuestionsRef.current.has(questionId);
+    dropUnansweredConversation(questionId);
+    setMessages(prev => [...prev, {
+      type: 'assistant',
+      text: regenerating ? 'Regeneration cancelled.' : 'Question cancelled.',
+      timestamp: new Date()
+    }]);
+  };
+
+  // Follow a question's job by polling, for when SSE is down or missed the outcome
+  const followJob = async (jobId, questionId) => {
+    let tick = 0;
+
+    while (!settledQuestionsRef.current.has(questionId)) {
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+      tick++;
+      if (settledQuestionsRef.current.has(questionId)) return;
+      if (sseOpenRef.current && tick % JOB_POLL_SSE_EVERY !== 0) continue;
+
+      try {
+        const job = await ApiService.getJob(jobId, userId);
+
+        if (job.status === 'done') {
+          const answer = await ApiService.getAnswer(job.answerId, userId);
+          showAnswer(questionId, answer);
+        } else if (job.status === 'failed') {
+          showFailure(questionId, job.error);
+        } else if (job.status === 'cancelled') {
+          showCancelled(questionId);
+        } else if (!sseOpenRef.current) {
+          setProcessingProgress({
+            isProcessing: true,
+            stage: JOB_STATUS_STAGES[job.status],
+            message: job.message,
+            questionId
+          });
+        }
+      } catch (error) {
+        // The job is gone (e.g. the server restarted), so no answer will arrive
+        if (error.response?.status === 404) {
+          showFailure(questionId, 'Lost track of this question on the server. Please ask it again.');
+        }
+        // Otherwise the server is unreachable for now; keep polling
+      }
+    }
+  };
+
   const handleSendMessage = async (message) => {
     if (isLoading) return;
     
     console.log('Sending message:', message);
     console.log('Validation enabled:', validationEnabled);
     setIsLoading(true);
+    pendingNewThreadRef.current = !activeThreadId;
     
     try {
-      // Submit question to backend with validation preference
+      // Submit question to backend with validation preference, in the active thread,
+      // following on from the last question of the branch being shown
       const response = await ApiService.submitQuestion(userId, message, { 
         validation: validationEnabled 
-      });
+      }, activeThreadId, activeThreadId ? (branchConversations[0]?.id ?? null) : null);
       console.log('Question submitted successfully:', response);
-      
-      // The SSE will handle adding the question and answer to the UI
-      // No need to update state here as it will be done via SSE
+      // The answer is generated in the background; SSE normally reports it, polling the job is the fallback
+      showQuestion(response.question);
+      pendingNewThreadRef.current = false;
+      setActiveThreadId(prev => prev || response.conversationId);
+      setActiveJob({ jobId: response.jobId, questionId: response.questionId });
+      followJob(response.jobId, response.questionId);
       
     } catch (error) {
       console.error('Error sending message:', error);
       setIsLoading(false);
+      pendingNewThreadRef.current = false;
       
       // Extract meaningful error message from the response
       let errorText = 'Sorry, I encountered an error processing your question. Please try again.';
@@ -360,6 +750,155 @@ function App() {
     }
   };
 
+  // Ask an edited version of an earlier question, branching the conversation from there
+  const handleEditQuestion = async (conversation, text) => {
+    if (isLoading) return;
+    setIsLoading(true);
+
+    try {
+      const response = await ApiService.branchQuestion(conversation.id, userId, text, {
+        validation: validationEnabled
+      });
+      showQuestion(response.question);
+      // Show the new branch instead of the one it was edited from
+      setSelectedBranches(prev => ({ ...prev, [conversation.branchKey]: response.questionId }));
+      setActiveJob({ jobId: response.jobId, questionId: response.questionId });
+      followJob(response.jobId, response.questionId);
+    } catch (error) {
+      console.error('Error editing question:', error);
+      setIsLoading(false);
+      setMessages(prev => [...prev, {
+        type: 'assistant',
+        text: error.response?.data?.error || 'Sorry, the edited question could not be sent. Please try again.',
+        timestamp: new Date()
+      }]);
+    }
+  };
+
+  // Switch to another branch at the fork of the given question
+  const handleSelectBranch = (conversation, questionId) => {
+    setSelectedBranches(prev => ({ ...prev, [conversation.branchKey]: questionId }));
+
+    const selected = conversations.find(conv => conv.id === questionId);
+    if (selected?.visualization) {
+      setCurrentVisualization(selected.visualization);
+    }
+  };
+
+  // Generate another answer version for an answered question
+  const handleRegenerate = async (conversation) => {
+    if (isLoading) return;
+    setIsLoading(true);
+
+    try {
+      const response = await ApiService.regenerateAnswer(conversation.id, userId, {
+        validation: validationEnabled
+      });
+
+      // The question was settled by its first answer; let the new one through
+      settledQuestionsRef.current.delete(conversation.id);
+      regeneratingQuestionsRef.current.add(conversation.id);
+      setConversations(prev => prev.map(conv =>
+        conv.id === conversation.id ? { ...conv, regenerating: true, partialAnswer: null } : conv
+      ));
+      setProcessingProgress({
+        isProcessing: true,
+        stage: 'received',
+        message: 'Regenerating answer...',
+        questionId: conversation.id
+      });
+      setActiveJob({ jobId: response.jobId, questionId: conversation.id });
+      followJob(response.jobId, conversation.id);
+    } catch (error) {
+      console.error('Error regenerating answer:', error);
+      setIsLoading(false);
+      setMessages(prev => [...prev, {
+        type: 'assistant',
+        text: error.response?.data?.error || 'Sorry, the answer could not be regenerated. Please try again.',
+        timestamp: new Date()
+      }]);
+    }
+  };
+
+  // Show another answer version of a question, to compare it with the others
+  const handleSelectVersion = async (conversation, answerId) => {
+    if (!answerId || answerId === conversation.answerId) return;
+
+    try {
+      const answer = await ApiService.getAnswer(answerId, userId);
+      setConversations(prev => prev.map(conv =>
+        conv.id === conversation.id
+          ? {
+              ...conv,
+              answer: answer.text,
+              visualization: answer.visualization,
+              validationReport: answer.validationReport || null,
+              answerId: answer.id,
+              answerTime: answer.createdAt
+            }
+          : conv
+      ));
+      setCurrentVisualization(answer.visualization);
+    } catch (error) {
+      console.error('Error loading answer version:', error);
+    }
+  };
+
+  // Keep the version being shown as the question's current answer
+  const handleKeepVersion = async (conversation) => {
+    try {
+      const question = await ApiService.setCurrentAnswer(conversation.id, userId, conversation.answerId);
+      setConversations(prev => prev.map(conv =>
+        conv.id === question.id
+          ? { ...conv, currentAnswerId: question.answerId, answerIds: question.answerIds || conv.answerIds }
+          : conv
+      ));
+    } catch (error) {
+      console.error('Error keeping answer version:', error);
+    }
+  };
+
+  const handleDeleteQuestion = async (conversation) => {
+    try {
+      const result = await ApiService.deleteQuestion(conversation.id, userId);
+      removeQuestion(conversation.id, conversation.conversationId,
+        conversations
+          .filter(conv => result.reparented.includes(conv.id))
+          .map(conv => ({ id: conv.id, parentId: conversation.parentId ?? null })));
+    } catch (error) {
+      console.error('Error deleting question:', error);
+      alert(error.response?.data?.error || 'Failed to delete the question.');
+    }
+  };
+
+  const handleDeleteAnswer = async (conversation) => {
+    if (!conversation.answerId) return;
+    try {
+      const result = await ApiService.deleteAnswer(conversation.answerId, userId);
+      if (result.question) {
+        await removeAnswerVersion(conversation.answerId, result.question);
+      }
+    } catch (error) {
+      console.error('Error deleting answer:', error);
+      alert(error.response?.data?.error || 'Failed to delete the answer.');
+    }
+  };
+
+  // Stop the question that is currently being answered
+  const handleCancelQuestion = async () => {
+    if (!activeJob || isCancelling) return;
+    setIsCancelling(true);
+
+    try {
+      await ApiService.cancelJob(activeJob.jobId, userId);
+      showCancelled(activeJob.questionId);
+    } catch (error) {
+      // 409: the answer is already being saved and will arrive shortly
+      console.error('Error cancelling question:', error);
+      setIsCancelling(false);
+    }
+  };
+
   const handleVisualizationPlayStateChange = (isPlaying) => {
     console.log('Visualization play state changed:', isPlaying);
   };
@@ -383,6 +922,201 @@ function App() {
     setCurrentVisualization(visualization);
   };
 
+  // Switch to another conversation thread
+  const handleSelectThread = (threadId) => {
+    if (threadId === activeThreadId) return;
+    setActiveThreadId(threadId);
+    setMessages([]);
+
+    // Show the latest visualization of the selected thread
+    const latest = conversations.find(conv => conv.conversationId === threadId && conv.visualization);
+    setCurrentVisualization(latest ? latest.visualization : null);
+  };
+
+  const handleCreateThread = async () => {
+    try {
+      const thread = await ApiService.createConversation(userId);
+      setThreads(prev => prev.some(t => t.id === thread.id) ? prev : [{ ...thread, questionCount: 0 }, ...prev]);
+      setActiveThreadId(thread.id);
+      setMessages([]);
+      setCurrentVisualization(null);
+    } catch (error) {
+      console.error('Error creating conversation thread:', error);
+    }
+  };
+
+  const handleRenameThread = async (threadId, title) => {
+    try {
+      const updated = await ApiService.renameConversation(threadId, userId, title);
+      setThreads(prev => prev.map(thread => thread.id === threadId ? { ...thread, ...updated } : thread));
+    } catch (error) {
+      console.error('Error renaming conversation thread:', error);
+    }
+  };
+
+  const handleDeleteThread = async (threadId) => {
+    try {
+      await ApiService.deleteConversation(threadId, userId);
+      setThreads(prev => prev.filter(thread => thread.id !== threadId));
+      setConversations(prev => prev.filter(conv => conv.conversationId !== threadId));
+      if (threadId === activeThreadId) {
+        setActiveThreadId(null);
+        setMessages([]);
+        setCurrentVisualization(null);
+      }
+    } catch (error) {
+      console.error('Error deleting conversation thread:', error);
+    }
+  };
+
+  // Search the user's history; each result is labelled with the title of its thread
+  const handleSearch = useCallback(async (query) => {
+    const { results } = await ApiService.search(userId, query);
+    return results.map(result => ({
+      ...result,
+      threadTitle: threads.find(thread => thread.id === result.conversationId)?.title || 'New conversation'
+    }));
+  }, [userId, threads]);
+
+  const handleFocusHandled = useCallback(() => setFocusRequest(null), []);
+
+  // Jump to a search result: open its thread, load history back to it and show its branch
+  const handleOpenSearchResult = async (result) => {
+    const threadId = result.conversationId;
+    let threadQuestions = conversations.filter(conv => conv.conversationId === threadId);
+
+    if (!threadQuestions.some(conv => conv.id === result.questionId)) {
+      // Older pages are fetched until the result is among them; its ancestors are older still
+      const firstLoad = !requestedThreadsRef.current.has(threadId);
+      requestedThreadsRef.current.add(threadId);
+      loadingPagesRef.current.add(threadId);
+      let cursor = firstLoad ? null : threadPages[threadId]?.nextCursor;
+      const loaded = [];
+
+      try {
+        do {
+          const page = await ApiService.getQuestions(userId, {
+            conversationId: threadId,
+            sort: 'desc',
+            limit: HISTORY_PAGE_SIZE,
+            include: 'answer',
+            cursor: cursor || undefined
+          });
+          loaded.push(...page.questions.map(toConversation));
+          cursor = page.nextCursor;
+        } while (cursor && !loaded.some(conv => conv.id === result.questionId));
+      } catch (error) {
+        console.error('Failed to load history for search result:', error);
+        return;
+      } finally {
+        loadingPagesRef.current.delete(threadId);
+      }
+
+      const known = new Set(threadQuestions.map(conv => conv.id));
+      threadQuestions = [...threadQuestions, ...loaded.filter(conv => !known.has(conv.id))];
+      setConversations(prev => {
+        const present = new Set(prev.map(conv => conv.id));
+        return [...prev, ...loaded.filter(conv => !present.has(conv.id))];
+      });
+      setThreadPages(prev => ({ ...prev, [threadId]: { nextCursor: cursor, isLoading: false } }));
+    }
+
+    if (threadId !== activeThreadId) {
+      setActiveThreadId(threadId);
+      setMessages([]);
+    }
+    setSelectedBranches(prev => ({ ...prev, ...selectPathTo(threadQuestions, result.questionId, threadId) }));
+    setFocusRequest({ questionId: result.questionId, nonce: Date.now() });
+
+    const match = threadQuestions.find(conv => conv.id === result.questionId);
+    if (match?.visualization) {
+      setCurrentVisualization(match.visualization);
+    }
+  };
+
+  // Download the user's whole history as a JSON archive
+  const handleExportHistory = async () => {
+    try {
+      const archive = await ApiService.exportArchive(userId);
+      downloadFile(`chat-to-viz-${archive.exportedAt.slice(0, 10)}.json`, JSON.stringify(archive, null, 2), 'application/json');
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      alert('Failed to export your conversations. Please try again.');
+    }
+  };
+
+  // Download a saved answer as a standalone HTML player
+  const handleExportAnswerHtml = async (conversation) => {
+    try {
+      const html = await ApiService.exportAnswerHtml(conversation.answerId, userId);
+      downloadFile(`${slugify(conversation.question)}.html`, html, 'text/html');
+    } catch (error) {
+      console.error('Error exporting visualization:', error);
+      alert('Failed to export the visualization. Please try again.');
+    }
+  };
+
+  const handleCreateShare = useCallback(
+    (answerId, expiresAt) => ApiService.shareAnswer(answerId, userId, expiresAt),
+    [userId]
+  );
+  const handleLoadShares = useCallback((answerId) => ApiService.getShares(answerId, userId), [userId]);
+  const handleRevokeShare = useCallback(
+    (answerId, shareId) => ApiService.revokeShare(answerId, shareId, userId),
+    [userId]
+  );
+
+  // After an import the history is loaded again; a replaced history has none of the old threads left
+  const reloadImportedHistory = (mode) => {
+    if (mode === 'replace') {
+      setActiveThreadId(null);
+      setMessages([]);
+      setSelectedBranches({});
+      setCurrentVisualization(null);
+    }
+    setHistoryVersion(v => v + 1);
+  };
+
+  // Restore an archive from handleExportHistory, next to the existing history or in place of it
+  const handleImportHistory = async (file, mode) => {
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch (error) {
+      alert(`${file.name} is not a conversation archive.`);
+      return;
+    }
+
+    try {
+      const result = await ApiService.importArchive(userId, archive, mode);
+      // Open SSE streams are told about the import, this tab included
+      if (!sseOpenRef.current) reloadImportedHistory(mode);
+      const { questions, answers } = result.imported;
+      alert(`Imported ${questions} questions and ${answers} answers.` +
+        (result.skipped?.questions > 0 ? ` ${result.skipped.questions} questions were already in your history.` : '') +
+        (result.warningCount > 0 ? ` ${result.warningCount} visualizations may not display correctly.` : ''));
+    } catch (error) {
+      console.error('Error importing history:', error);
+      const details = error.response?.data?.validationErrors;
+      alert(`Import failed: ${error.response?.data?.error || error.message}` +
+        (details ? `\n${details.slice(0, 3).map(detail => `${detail.path} ${detail.message}`).join('\n')}` : ''));
+    }
+  };
+
+  // Only the active thread is shown in the chat and history views, and of it only the selected branch
+  const threadConversations = conversations.filter(conv => conv.conversationId === activeThreadId);
+  const branchConversations = selectBranch(threadConversations, selectedBranches, activeThreadId);
+  const activeThreadPage = threadPages[activeThreadId];
+
+  const handleLoadOlderQuestions = () => {
+    if (activeThreadPage?.nextCursor) {
+      loadThreadPage(activeThreadId, activeThreadPage.nextCursor);
+    }
+  };
+  const activeThread = threads.find(thread => thread.id === activeThreadId);
+  // Saved answer behind the visualization on stage, if any (a streaming one isn't saved yet)
+  const stagedConversation = conversations.find(conv => conv.answerId && conv.visualization === currentVisualization);
+
   // Handle clearing all chat conversations and messages
   const handleClearChat = async () => {
     console.log('Clearing all conversations and messages');
@@ -404,6 +1138,8 @@ function App() {
       // Clear all frontend state
       setMessages([]);
       setConversations([]);
+      setThreads([]);
+      setActiveThreadId(null);
       setCurrentVisualization(null);
       
       console.log('Frontend state cleared successfully');
@@ -414,6 +1150,8 @@ function App() {
       // Still clear frontend state even if backend call fails
       setMessages([]);
       setConversations([]);
+      setThreads([]);
+      setActiveThreadId(null);
       setCurrentVisualization(null);
       
       // You could show an error message to the user here
@@ -539,13 +1277,25 @@ function App() {
               className={`view-btn ${viewMode === 'history' ? 'active' : ''}`}
               onClick={() => handleViewModeChange('history')}
             >
-               History ({conversations.length})
+               History ({branchConversations.length})
             </button>
           </div>
         </div>
       </div>
       
       <div className="app-content" ref={contentRef}>
+        <ThreadSidebar
+          threads={threads}
+          activeThreadId={activeThreadId}
+          onSelectThread={handleSelectThread}
+          onCreateThread={handleCreateThread}
+          onRenameThread={handleRenameThread}
+          onDeleteThread={handleDeleteThread}
+          onExportHistory={handleExportHistory}
+          onImportHistory={handleImportHistory}
+          isLoading={isLoading}
+        />
+
         {viewMode === 'chat' ? (
           <>
             <div className="visualization-section">
@@ -553,28 +1303,50 @@ function App() {
               <VisualizationCanvas 
                 visualization={currentVisualization}
                 onPlayStateChange={handleVisualizationPlayStateChange}
+                onExportHtml={stagedConversation ? () => handleExportAnswerHtml(stagedConversation) : null}
               />
             </div>
             
             <div className="chat-section">
               <ChatPanel
                 messages={messages}
-                conversations={conversations}
+                conversations={branchConversations}
                 onSendMessage={handleSendMessage}
                 onVisualizationChange={handleVisualizationChange}
                 onClearChat={handleClearChat}
                 isConnected={isConnected}
                 isLoading={isLoading}
                 processingProgress={processingProgress}
+                onCancel={activeJob ? handleCancelQuestion : null}
+                isCancelling={isCancelling}
+                onRegenerate={handleRegenerate}
+                onSelectVersion={handleSelectVersion}
+                onKeepVersion={handleKeepVersion}
+                onEditQuestion={handleEditQuestion}
+                onSelectBranch={handleSelectBranch}
               />
             </div>
           </>
         ) : (
           <div className="history-section">
             <ChatHistory
-              conversations={conversations}
+              conversations={branchConversations}
+              threadTitle={activeThread ? (activeThread.title || 'New conversation') : null}
               isLoading={isLoading}
               autoPlayEnabled={true}
+              onDeleteQuestion={handleDeleteQuestion}
+              onDeleteAnswer={handleDeleteAnswer}
+              hasMore={Boolean(activeThreadPage?.nextCursor)}
+              isLoadingMore={Boolean(activeThreadPage?.isLoading)}
+              onLoadMore={handleLoadOlderQuestions}
+              onSearch={handleSearch}
+              onOpenSearchResult={handleOpenSearchResult}
+              focusRequest={focusRequest}
+              onFocusHandled={handleFocusHandled}
+              onExportHtml={handleExportAnswerHtml}
+              onCreateShare={handleCreateShare}
+              onLoadShares={handleLoadShares}
+              onRevokeShare={handleRevokeShare}
             />
           </div>
         )}
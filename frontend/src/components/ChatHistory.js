@@ -1,21 +1,227 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import VisualizationCanvas from './VisualizationCanvas';
+import SharePanel from './SharePanel';
 import './ChatHistory.css';
 
+// Score bands for the quality badge
+const scoreLevel = (score) => {
+  if (score >= 80) return 'good';
+  if (score >= 50) return 'fair';
+  return 'poor';
+};
+
+const ValidationReport = ({ report }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const issues = report.issues || [];
+  const fixes = report.fixes || [];
+
+  return (
+    <div className="validation-report">
+      <button
+        className={`quality-badge ${scoreLevel(report.score)}`}
+        onClick={() => setIsExpanded(!isExpanded)}
+        title={`Quality score from validator v${report.validatorVersion}`}
+      >
+        <span className="quality-score">{report.score}/100</span>
+        <span className="quality-summary">
+          {issues.length === 0 ? 'No issues' : `${issues.length} issue${issues.length === 1 ? '' : 's'}`}
+        </span>
+        <span className="quality-chevron">{isExpanded ? '▲' : '▼'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="quality-details">
+          {issues.length > 0 && (
+            <ul className="quality-issues">
+              {issues.map((issue, index) => (
+                <li key={index} className={`quality-issue ${issue.severity}`}>
+                  <span className="issue-rule">{issue.rule}</span>
+                  {issue.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          {fixes.length > 0 && (
+            <div className="quality-fixes">
+              🔧 {fixes.length} automatic fix{fixes.length === 1 ? '' : 'es'} applied
+              ({fixes.filter(fix => fix.source === 'llm').length} by AI validation)
+            </div>
+          )}
+          <div className="quality-meta">Validator v{report.validatorVersion} · AI validation {report.llmValidation}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Delay between typing in the search box and searching
+const SEARCH_DEBOUNCE_MS = 300;
+// How long a conversation jumped to from search stays highlighted
+const FOCUS_HIGHLIGHT_MS = 2000;
+
+const MATCH_FIELD_LABELS = {
+  question: 'Question',
+  answer: 'Explanation',
+  layer: 'Visualization label'
+};
+
+// Snippet text with its highlighted ranges wrapped in <mark>
+const Snippet = ({ snippet }) => {
+  const parts = [];
+  let position = 0;
+  snippet.highlights.forEach(({ start, end }) => {
+    if (start > position) parts.push(snippet.text.slice(position, start));
+    parts.push(<mark key={start}>{snippet.text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(snippet.text.slice(position));
+
+  return <span className="search-snippet">{parts}</span>;
+};
+
+const HistorySearch = ({ onSearch, onOpenResult }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null); // null until a search has finished
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const latestSearchRef = useRef(0);
+
+  // Search once typing pauses; answers to superseded searches are dropped
+  useEffect(() => {
+    const trimmed = query.trim();
+    const searchId = ++latestSearchRef.current;
+    if (!trimmed) {
+      setResults(null);
+      setIsSearching(false);
+      setError(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const found = await onSearch(trimmed);
+        if (searchId !== latestSearchRef.current) return;
+        setResults(found);
+        setError(null);
+      } catch (searchError) {
+        if (searchId !== latestSearchRef.current) return;
+        setError(searchError.response?.data?.error || 'Search failed');
+      } finally {
+        if (searchId === latestSearchRef.current) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, onSearch]);
+
+  const handleOpen = (result) => {
+    setQuery('');
+    onOpenResult(result);
+  };
+
+  return (
+    <div className="history-search">
+      <input
+        type="search"
+        className="history-search-input"
+        placeholder="🔍 Search questions, explanations and labels..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setQuery('');
+          if (e.key === 'Enter' && results?.length) handleOpen(results[0]);
+        }}
+      />
+
+      {query.trim() && (
+        <div className="search-results">
+          {isSearching && !results && <div className="search-status">Searching...</div>}
+          {error && <div className="search-status error">{error}</div>}
+          {results && results.length === 0 && !error && (
+            <div className="search-status">No matches for "{query.trim()}"</div>
+          )}
+          {results && results.map(result => {
+            const questionMatch = result.matches.find(match => match.field === 'question');
+            return (
+              <button key={result.questionId} className="search-result" onClick={() => handleOpen(result)}>
+                <span className="search-result-question">
+                  {questionMatch ? <Snippet snippet={questionMatch.snippet} /> : result.question}
+                </span>
+                <span className="search-result-thread">{result.threadTitle}</span>
+                {result.matches.filter(match => match.field !== 'question').slice(0, 2).map(match => (
+                  <span key={match.path} className="search-result-match">
+                    <span className="search-match-field">{MATCH_FIELD_LABELS[match.field]}</span>
+                    <Snippet snippet={match.snippet} />
+                  </span>
+                ))}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const ConversationItem = ({ 
   conversation, 
   isActive, 
-  onToggleVisualization
+  onToggleVisualization,
+  onDeleteQuestion,
+  onDeleteAnswer,
+  isFocused = false, // Jumped to from search
+  onFocusHandled,
+  onExportHtml,
+  onCreateShare,
+  onLoadShares,
+  onRevokeShare
 }) => {
   const [isVisualizationVisible, setIsVisualizationVisible] = useState(false);
+  const [isHighlighted, setIsHighlighted] = useState(false);
   const conversationRef = useRef(null);
 
+  // Expand the visualization and bring the conversation into view
+  useEffect(() => {
+    if (!isFocused) return;
+    onFocusHandled();
+
+    if (conversation.visualization) {
+      setIsVisualizationVisible(true);
+      onToggleVisualization(conversation.id, true);
+    }
+    conversationRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    setIsHighlighted(true);
+  }, [isFocused, onFocusHandled, onToggleVisualization, conversation.id, conversation.visualization]);
+
+  useEffect(() => {
+    if (!isHighlighted) return;
+    const timer = setTimeout(() => setIsHighlighted(false), FOCUS_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [isHighlighted]);
+
   const handleToggleVisualization = () => {
     const newState = !isVisualizationVisible;
     setIsVisualizationVisible(newState);
     onToggleVisualization(conversation.id, newState);
   };
 
+  const handleDeleteQuestion = () => {
+    if (window.confirm(`Delete "${conversation.question}" and its answers?`)) {
+      onDeleteQuestion(conversation);
+    }
+  };
+
+  const versionCount = (conversation.answerIds || []).length;
+
+  const handleDeleteAnswer = () => {
+    const message = versionCount > 1
+      ? 'Delete this version of the answer? The other versions are kept.'
+      : 'Delete this answer? The question is kept.';
+    if (window.confirm(message)) {
+      onDeleteAnswer(conversation);
+    }
+  };
+
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
     const now = new Date();
@@ -29,7 +235,7 @@ const ConversationItem = ({
   return (
     <div 
       ref={conversationRef}
-      className={`conversation-item ${isActive ? 'active' : ''}`}
+      className={`conversation-item ${isActive ? 'active' : ''} ${isHighlighted ? 'search-focus' : ''}`}
     >
       {/* User Question */}
       <div className="message user-message">
@@ -39,6 +245,11 @@ const ConversationItem = ({
             <span className="timestamp">{formatTime(conversation.questionTime)}</span>
           </div> */}
           <div className="message-text">{conversation.question}</div>
+          {onDeleteQuestion && (
+            <button className="item-delete-btn" onClick={handleDeleteQuestion} title="Delete this question and its answers">
+              🗑️
+            </button>
+          )}
         </div>
       </div>
 
@@ -51,6 +262,15 @@ const ConversationItem = ({
             <span className="timestamp">{formatTime(conversation.answerTime)}</span>
           </div> */}
           <div className="message-text">{conversation.answer}</div>
+          {onDeleteAnswer && conversation.answerId && (
+            <button
+              className="item-delete-btn"
+              onClick={handleDeleteAnswer}
+              title={versionCount > 1 ? 'Delete this answer version' : 'Delete this answer'}
+            >
+              🗑️
+            </button>
+          )}
         </div>
           {/* Visualization Controls */}
           {conversation.visualization && (
@@ -64,6 +284,17 @@ const ConversationItem = ({
                 </span>
                 {isVisualizationVisible ? 'Hide Visualization' : 'Show Visualization'}
               </button>
+              {conversation.validationReport && (
+                <ValidationReport report={conversation.validationReport} />
+              )}
+              {onCreateShare && conversation.answerId && (
+                <SharePanel
+                  answerId={conversation.answerId}
+                  onCreateShare={onCreateShare}
+                  onLoadShares={onLoadShares}
+                  onRevokeShare={onRevokeShare}
+                />
+              )}
             </div>
           )}
         </div>
@@ -86,6 +317,7 @@ const ConversationItem = ({
               onPlayStateChange={(isPlaying) => {
                 // Optional: Handle play state changes
               }}
+              onExportHtml={onExportHtml && conversation.answerId ? () => onExportHtml(conversation) : null}
             />
           </div>
         </div>
@@ -96,11 +328,38 @@ const ConversationItem = ({
 
 const ChatHistory = ({ 
   conversations, 
-  isLoading
+  threadTitle,
+  isLoading,
+  onDeleteQuestion,
+  onDeleteAnswer,
+  hasMore = false, // Older questions are still on the server
+  isLoadingMore = false,
+  onLoadMore,
+  onSearch,
+  onOpenSearchResult,
+  focusRequest, // { questionId, nonce } of the conversation to jump to
+  onFocusHandled,
+  onExportHtml,
+  onCreateShare,
+  onLoadShares,
+  onRevokeShare
 }) => {
   const [activeConversations, setActiveConversations] = useState(new Set());
   const [scrollPosition, setScrollPosition] = useState(0);
   const historyRef = useRef(null);
+  const loadMoreRef = useRef(null);
+
+  // Infinite scroll: load older questions when the end of the feed comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore || isLoadingMore || !onLoadMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { root: historyRef.current, rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, isLoadingMore, onLoadMore]);
 
   // Track scroll position for performance optimizations
   useEffect(() => {
@@ -132,13 +391,14 @@ const ChatHistory = ({
   return (
     <div className="chat-history" ref={historyRef}>
       <div className="history-header">
-        <h3>💬 Conversation History</h3>
+        <h3>💬 {threadTitle || 'Conversation History'}</h3>
         <div className="history-stats">
           <span className="count">{conversations.filter(conv => conv.question).length} conversations</span>
           {activeConversations.size > 0 && (
             <span className="active-viz">{activeConversations.size} visualizations active</span>
           )}
         </div>
+        {onSearch && <HistorySearch onSearch={onSearch} onOpenResult={onOpenSearchResult} />}
       </div>
 
       <div className="conversations-feed">
@@ -159,10 +419,26 @@ const ChatHistory = ({
               conversation={conversation}
               isActive={activeConversations.has(conversation.id)}
               onToggleVisualization={handleToggleVisualization}
+              onDeleteQuestion={onDeleteQuestion}
+              onDeleteAnswer={onDeleteAnswer}
+              isFocused={focusRequest?.questionId === conversation.id}
+              onFocusHandled={onFocusHandled}
+              onExportHtml={onExportHtml}
+              onCreateShare={onCreateShare}
+              onLoadShares={onLoadShares}
+              onRevokeShare={onRevokeShare}
             />
           ))
         )}
 
+        {hasMore && (
+          <div className="load-more" ref={loadMoreRef}>
+            {isLoadingMore ? 'Loading older questions...' : (
+              <button className="load-more-btn" onClick={onLoadMore}>Load older questions</button>
+            )}
+          </div>
+        )}
+
         {/* Loading indicator */}
         {isLoading && (
           <div className="loading-message">
@@ -9,9 +9,17 @@ const ChatPanel = ({
   isLoading,
   processingProgress = { isProcessing: false, stage: '', message: '' },
   onVisualizationChange, 
-  onClearChat 
+  onClearChat,
+  onCancel, // Set while a submitted question can still be cancelled
+  isCancelling = false,
+  onRegenerate, // Generate another answer version for a conversation
+  onSelectVersion, // Show one of a conversation's answer versions
+  onKeepVersion, // Keep the shown answer version as the question's current one
+  onEditQuestion, // Ask an edited version of a question as a new branch
+  onSelectBranch // Switch to another branch at a question's fork
 }) => {
   const [inputValue, setInputValue] = useState('');
+  const [editing, setEditing] = useState(null); // { id, text } of the question being edited
   const [showConfirmation, setShowConfirmation] = useState(false);
   const [confirmationInput, setConfirmationInput] = useState('');
   const messagesEndRef = useRef(null);
@@ -122,6 +130,111 @@ const ChatPanel = ({
     "What is atomic structure?"
   ];
 
+  const handleEditSubmit = (conversation) => {
+    const text = editing.text.trim();
+    if (!text || isLoading) return;
+    setEditing(null);
+    if (text !== conversation.question) {
+      onEditQuestion(conversation, text);
+    }
+  };
+
+  // Edit button and a switcher between the branches forking at a question
+  const renderQuestionControls = (conversation) => {
+    const siblings = conversation.siblingIds || [];
+    const index = siblings.indexOf(conversation.id);
+
+    return (
+      <div className="question-controls">
+        {siblings.length > 1 && (
+          <div className="version-switcher">
+            <button
+              className="version-nav-btn"
+              onClick={() => onSelectBranch(conversation, siblings[index - 1])}
+              disabled={index <= 0}
+              title="Previous branch"
+            >
+              ‹
+            </button>
+            <span className="version-label">{index + 1}/{siblings.length}</span>
+            <button
+              className="version-nav-btn"
+              onClick={() => onSelectBranch(conversation, siblings[index + 1])}
+              disabled={index >= siblings.length - 1}
+              title="Next branch"
+            >
+              ›
+            </button>
+          </div>
+        )}
+        {onEditQuestion && conversation.answer && (
+          <button
+            className="edit-question-btn"
+            onClick={() => setEditing({ id: conversation.id, text: conversation.question })}
+            disabled={isLoading}
+            title="Edit this question and branch the conversation from here"
+          >
+            ✏️ Edit
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  // Regenerate button and a switcher between the answer versions of a question
+  const renderVersionControls = (conversation) => {
+    const versions = conversation.answerIds || [];
+    const index = versions.indexOf(conversation.answerId);
+    const isCurrent = conversation.answerId === conversation.currentAnswerId;
+
+    return (
+      <div className="answer-versions">
+        {versions.length > 1 && (
+          <div className="version-switcher">
+            <button
+              className="version-nav-btn"
+              onClick={() => onSelectVersion(conversation, versions[index - 1])}
+              disabled={index <= 0}
+              title="Previous version"
+            >
+              ‹
+            </button>
+            <span className="version-label">v{index + 1}/{versions.length}</span>
+            <button
+              className="version-nav-btn"
+              onClick={() => onSelectVersion(conversation, versions[index + 1])}
+              disabled={index === -1 || index >= versions.length - 1}
+              title="Next version"
+            >
+              ›
+            </button>
+          </div>
+        )}
+        {versions.length > 1 && (isCurrent ? (
+          <span className="current-version-tag">Current</span>
+        ) : (
+          <button
+            className="keep-version-btn"
+            onClick={() => onKeepVersion(conversation)}
+            title="Keep this version as the answer to this question"
+          >
+            Keep this version
+          </button>
+        ))}
+        {onRegenerate && (
+          <button
+            className="regenerate-btn"
+            onClick={() => onRegenerate(conversation)}
+            disabled={isLoading || conversation.regenerating}
+            title="Generate another answer to this question"
+          >
+            {conversation.regenerating ? 'Regenerating...' : '🔄 Regenerate'}
+          </button>
+        )}
+      </div>
+    );
+  };
+
   const renderConversationMessages = () => {
     if (conversations && conversations.length > 0) {
       // Render conversation-based messages with visualization buttons
@@ -130,8 +243,43 @@ const ChatPanel = ({
           {/* User Question */}
           <div className="message user-message">
             <div className="message-content">
-              <div className="message-text">{conversation.question}</div>
+              {editing?.id === conversation.id ? (
+                <form
+                  className="edit-question-form"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    handleEditSubmit(conversation);
+                  }}
+                >
+                  <textarea
+                    className="edit-question-input"
+                    value={editing.text}
+                    onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && !e.shiftKey) {
+                        e.preventDefault();
+                        handleEditSubmit(conversation);
+                      } else if (e.key === 'Escape') {
+                        setEditing(null);
+                      }
+                    }}
+                    rows={2}
+                    autoFocus
+                  />
+                  <div className="edit-question-actions">
+                    <button type="button" className="edit-cancel-btn" onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                    <button type="submit" className="edit-save-btn" disabled={!editing.text.trim() || isLoading}>
+                      Send as new branch
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="message-text">{conversation.question}</div>
+              )}
               {/* <div className="message-time">{formatTime(conversation.questionTime)}</div> */}
+              {editing?.id !== conversation.id && renderQuestionControls(conversation)}
             </div>
           </div>
 
@@ -154,6 +302,20 @@ const ChatPanel = ({
                     </button>
                   
                 )}
+
+                {renderVersionControls(conversation)}
+              </div>
+            </div>
+          )}
+
+          {/* Explanation streaming in while the answer is generated (or regenerated) */}
+          {(!conversation.answer || conversation.regenerating) && conversation.partialAnswer && (
+            <div className="message assistant-message streaming">
+              <div className="message-content">
+                <div className="message-text">
+                  {conversation.partialAnswer}
+                  <span className="streaming-cursor" />
+                </div>
               </div>
             </div>
           )}
@@ -214,6 +376,16 @@ const ChatPanel = ({
                       Stage: {processingProgress.stage}
                     </div>
                   )}
+                  {onCancel && (
+                    <button
+                      className="cancel-question-btn"
+                      onClick={onCancel}
+                      disabled={isCancelling}
+                      title="Stop generating this answer"
+                    >
+                      {isCancelling ? 'Cancelling...' : '✖ Cancel'}
+                    </button>
+                  )}
                 </div>
               </div>
             )}
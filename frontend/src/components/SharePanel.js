@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import './SharePanel.css';
+
+// Expiry choices for new links, in days (null = until revoked)
+const EXPIRY_OPTIONS = [
+  { label: 'Never expires', days: null },
+  { label: '1 day', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 }
+];
+
+const shareUrl = (share) => `${window.location.origin}${share.path}`;
+
+// Snippet for course pages; the player always shows the answer's current version
+const embedCode = (share) =>
+  `<iframe src="${share.embedUrl}" width="800" height="640" style="border:0" allow="fullscreen" title="Visualization"></iframe>`;
+
+// Create, copy and revoke read-only links to one answer
+const SharePanel = ({ answerId, onCreateShare, onLoadShares, onRevokeShare }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [shares, setShares] = useState([]);
+  const [expiryDays, setExpiryDays] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+
+    onLoadShares(answerId)
+      .then(loaded => !cancelled && setShares(loaded))
+      .catch(() => !cancelled && setError('Could not load existing links'));
+    return () => { cancelled = true; };
+  }, [isOpen, answerId, onLoadShares]);
+
+  const handleCopy = async (share, kind = 'link') => {
+    const copyId = `${kind}:${share.id}`;
+    try {
+      await navigator.clipboard.writeText(kind === 'embed' ? embedCode(share) : shareUrl(share));
+      setCopiedId(copyId);
+      setTimeout(() => setCopiedId(current => current === copyId ? null : current), 2000);
+    } catch (copyError) {
+      // Clipboard access can be refused; the link is still shown to copy by hand
+      console.warn('Could not copy share link:', copyError);
+    }
+  };
+
+  const handleCreate = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const expiresAt = expiryDays
+        ? new Date(Date.now() + Number(expiryDays) * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+      const share = await onCreateShare(answerId, expiresAt);
+      setShares(prev => [...prev, share]);
+      handleCopy(share);
+    } catch (createError) {
+      setError(createError.response?.data?.error || 'Could not create a link');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!window.confirm('Revoke this link? Anyone who has it will no longer be able to open it.')) return;
+    try {
+      const revoked = await onRevokeShare(answerId, share.id);
+      setShares(prev => prev.map(existing => existing.id === revoked.id ? revoked : existing));
+    } catch (revokeError) {
+      setError(revokeError.response?.data?.error || 'Could not revoke the link');
+    }
+  };
+
+  const activeShares = shares.filter(share => share.status === 'active');
+
+  return (
+    <div className="share-panel">
+      <button className="share-toggle-btn" onClick={() => setIsOpen(!isOpen)} title="Share a read-only link to this answer">
+        🔗 Share
+      </button>
+
+      {isOpen && (
+        <div className="share-popover">
+          <div className="share-create">
+            <select value={expiryDays} onChange={(e) => setExpiryDays(e.target.value)} disabled={isWorking}>
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+              ))}
+            </select>
+            <button className="share-create-btn" onClick={handleCreate} disabled={isWorking}>
+              {isWorking ? 'Creating...' : 'Create link'}
+            </button>
+          </div>
+
+          {error && <div className="share-error">{error}</div>}
+
+          {activeShares.length === 0 ? (
+            <div className="share-empty">Only people with a link can see this answer, and nothing else from your chat.</div>
+          ) : (
+            <ul className="share-list">
+              {activeShares.map(share => (
+                <li key={share.id} className="share-item">
+                  <input className="share-url" value={shareUrl(share)} readOnly onFocus={(e) => e.target.select()} />
+                  <span className="share-expiry">
+                    {share.expiresAt ? `Expires ${new Date(share.expiresAt).toLocaleDateString()}` : 'No expiry'}
+                  </span>
+                  <button className="share-action-btn" onClick={() => handleCopy(share)}>
+                    {copiedId === `link:${share.id}` ? '✅ Copied' : '📋 Copy'}
+                  </button>
+                  <button
+                    className="share-action-btn"
+                    onClick={() => handleCopy(share, 'embed')}
+                    title="Copy an <iframe> that always plays the current version of this answer"
+                  >
+                    {copiedId === `embed:${share.id}` ? '✅ Copied' : '</> Embed'}
+                  </button>
+                  <button className="share-action-btn revoke" onClick={() => handleRevoke(share)}>
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharePanel;
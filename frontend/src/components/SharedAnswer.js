@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import VisualizationCanvas from './VisualizationCanvas';
+import ApiService from '../services/apiService';
+import './SharedAnswer.css';
+
+// Read-only page for a share link: the visualization and its explanation, nothing else from the chat
+const SharedAnswer = ({ token }) => {
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    ApiService.getSharedAnswer(token)
+      .then(data => !cancelled && setShared(data))
+      .catch(fetchError => {
+        if (cancelled) return;
+        // 410 means the link was revoked or has expired, 404 that it never existed or the answer is gone
+        setError(fetchError.response?.data?.error || 'This shared answer could not be loaded.');
+      });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  if (error) {
+    return (
+      <div className="shared-answer">
+        <div className="shared-message">
+          <div className="shared-message-icon">🔒</div>
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!shared) {
+    return (
+      <div className="shared-answer">
+        <div className="shared-message">Loading shared answer...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="shared-answer">
+      <div className="shared-card">
+        {shared.question && <h1 className="shared-question">{shared.question}</h1>}
+        {shared.visualization && (
+          <div className="shared-visualization">
+            <VisualizationCanvas visualization={shared.visualization} />
+          </div>
+        )}
+        <p className="shared-explanation">{shared.text}</p>
+        {shared.expiresAt && (
+          <div className="shared-meta">This link expires on {new Date(shared.expiresAt).toLocaleString()}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedAnswer;
@@ -0,0 +1,167 @@
+import React, { useState, useRef } from 'react';
+import './ThreadSidebar.css';
+
+const ThreadItem = ({ thread, isActive, onSelect, onRename, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [titleInput, setTitleInput] = useState('');
+
+  const startEditing = (e) => {
+    e.stopPropagation();
+    setTitleInput(thread.title || '');
+    setIsEditing(true);
+  };
+
+  const commitRename = () => {
+    const title = titleInput.trim();
+    setIsEditing(false);
+    if (title && title !== thread.title) {
+      onRename(thread.id, title);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitRename();
+    } else if (e.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    if (window.confirm(`Delete "${thread.title || 'New conversation'}" and all of its questions?`)) {
+      onDelete(thread.id);
+    }
+  };
+
+  return (
+    <li
+      className={`thread-item ${isActive ? 'active' : ''}`}
+      onClick={() => !isEditing && onSelect(thread.id)}
+    >
+      {isEditing ? (
+        <input
+          className="thread-title-input"
+          value={titleInput}
+          onChange={(e) => setTitleInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={commitRename}
+          onClick={(e) => e.stopPropagation()}
+          autoFocus
+        />
+      ) : (
+        <>
+          <div className="thread-info">
+            <span className="thread-title">{thread.title || 'New conversation'}</span>
+            <span className="thread-count">{thread.questionCount || 0} questions</span>
+          </div>
+          <div className="thread-actions">
+            <button className="thread-action-btn" onClick={startEditing} title="Rename conversation">
+              ✏️
+            </button>
+            <button className="thread-action-btn" onClick={handleDelete} title="Delete conversation">
+              🗑️
+            </button>
+          </div>
+        </>
+      )}
+    </li>
+  );
+};
+
+const ThreadSidebar = ({
+  threads,
+  activeThreadId,
+  onSelectThread,
+  onCreateThread,
+  onRenameThread,
+  onDeleteThread,
+  onExportHistory,
+  onImportHistory,
+  isLoading
+}) => {
+  const [replaceOnImport, setReplaceOnImport] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    // Cleared so picking the same file again still triggers an import
+    e.target.value = '';
+    if (!file) return;
+
+    if (replaceOnImport && !window.confirm(`Replace all of your conversations with the ones in ${file.name}?`)) {
+      return;
+    }
+    onImportHistory(file, replaceOnImport ? 'replace' : 'merge');
+  };
+
+  return (
+    <div className="thread-sidebar">
+      <div className="thread-sidebar-header">
+        <h3>🧵 Conversations</h3>
+        <button
+          className="new-thread-btn"
+          onClick={onCreateThread}
+          disabled={isLoading}
+          title="Start a new conversation"
+        >
+          ➕ New
+        </button>
+      </div>
+
+      {threads.length === 0 ? (
+        <div className="thread-empty">
+          Your first question starts a new conversation.
+        </div>
+      ) : (
+        <ul className="thread-list">
+          {threads.map((thread) => (
+            <ThreadItem
+              key={thread.id}
+              thread={thread}
+              isActive={thread.id === activeThreadId}
+              onSelect={onSelectThread}
+              onRename={onRenameThread}
+              onDelete={onDeleteThread}
+            />
+          ))}
+        </ul>
+      )}
+
+      {onExportHistory && onImportHistory && (
+        <div className="thread-sidebar-footer">
+          <div className="archive-actions">
+            <button className="archive-btn" onClick={onExportHistory} title="Download all conversations as a JSON archive">
+              ⬇️ Export
+            </button>
+            <button
+              className="archive-btn"
+              onClick={() => fileInputRef.current.click()}
+              disabled={isLoading}
+              title="Restore conversations from an exported archive"
+            >
+              ⬆️ Import
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFile}
+              hidden
+            />
+          </div>
+          <label className="archive-replace">
+            <input
+              type="checkbox"
+              checked={replaceOnImport}
+              onChange={(e) => setReplaceOnImport(e.target.checked)}
+            />
+            Replace existing on import
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThreadSidebar;
@@ -2,7 +2,7 @@ import React, { useRef, useEffect, useState } from 'react';
 import { VisualizationEngine } from '../utils/visualizationEngine';
 import './VisualizationCanvas.css';
 
-const VisualizationCanvas = ({ visualization, onPlayStateChange }) => {
+const VisualizationCanvas = ({ visualization, onPlayStateChange, onExportHtml }) => {
   const canvasRef = useRef(null);
   const engineRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -95,6 +95,15 @@ const VisualizationCanvas = ({ visualization, onPlayStateChange }) => {
   }, []);
 
   useEffect(() => {
+    const loaded = engineRef.current?.visualization;
+    if (visualization?.streaming && loaded && loaded.id === visualization.id) {
+      // Layers of a streaming response are added in place so playback isn't restarted
+      (visualization.layers || []).slice((loaded.layers || []).length).forEach(layer => {
+        engineRef.current.appendLayer(layer);
+      });
+      return;
+    }
+
     if (visualization && engineRef.current) {
       console.log('VisualizationCanvas: Received new visualization data:', visualization);
       setIsLoading(true);
@@ -489,6 +498,27 @@ const VisualizationCanvas = ({ visualization, onPlayStateChange }) => {
                 minWidth: '80px'
               }}
             >{isFullscreen ? '🔍 Exit' : '🔍 Full'}</button>
+
+            {onExportHtml && (
+              <button
+                aria-label="Download as standalone HTML"
+                title="Download a standalone HTML player that works offline"
+                onClick={onExportHtml}
+                style={{
+                  background: 'rgba(243, 156, 18, 0.95)',
+                  color: '#fff',
+                  border: '2px solid #fff',
+                  padding: '12px 20px',
+                  fontSize: '16px',
+                  fontWeight: 'bold',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  boxShadow: '0 3px 10px rgba(0,0,0,0.4)',
+                  backdropFilter: 'blur(3px)',
+                  minWidth: '80px'
+                }}
+              >💾 HTML</button>
+            )}
           </div>
         )}
         
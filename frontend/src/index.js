@@ -1,9 +1,13 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import SharedAnswer from './components/SharedAnswer';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
+// Read-only share links (/shared/<token>) show just the shared answer, not the chat
+const sharedMatch = window.location.pathname.match(/^\/shared\/([^/]+)\/?$/);
+
 // Remove loading screen when React starts rendering
 setTimeout(() => {
   const loadingScreen = document.getElementById('loading-screen');
@@ -16,6 +20,6 @@ setTimeout(() => {
 
 root.render(
   <React.StrictMode>
-    <App />
+    {sharedMatch ? <SharedAnswer token={decodeURIComponent(sharedMatch[1])} /> : <App />}
   </React.StrictMode>
 );
@@ -1,6 +1,8 @@
 import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+const USER_ID_STORAGE_KEY = 'chatToViz.userId';
+const SSE_RECONNECT_DELAY = 3000;
 
 class ApiService {
   constructor() {
@@ -13,12 +15,33 @@ class ApiService {
     });
   }
 
-  // Submit a new question
-  async submitQuestion(userId, question, options = {}) {
+  // Get the persistent user ID for this browser (in a real app, this would come from authentication)
+  getUserId() {
+    try {
+      let userId = window.localStorage.getItem(USER_ID_STORAGE_KEY);
+      if (!userId) {
+        userId = 'user_' + Math.random().toString(36).substr(2, 9);
+        window.localStorage.setItem(USER_ID_STORAGE_KEY, userId);
+      }
+      return userId;
+    } catch (error) {
+      // localStorage can be unavailable (e.g. private mode); fall back to a per-page ID
+      if (!this.fallbackUserId) {
+        this.fallbackUserId = 'user_' + Math.random().toString(36).substr(2, 9);
+      }
+      return this.fallbackUserId;
+    }
+  }
+
+  // Submit a new question (a new conversation thread is started when conversationId is null).
+  // parentId is the question it follows on from; left out, the server uses the thread's latest question.
+  async submitQuestion(userId, question, options = {}, conversationId = null, parentId = undefined) {
     try {
       const response = await this.api.post('/api/questions', {
         userId,
         question,
+        conversationId,
+        parentId,
         options // Include options like validation preference
       });
       return response.data;
@@ -28,10 +51,37 @@ class ApiService {
     }
   }
 
-  // Get all questions
-  async getQuestions() {
+  // Get the status of a question processing job (used when SSE is unavailable)
+  async getJob(jobId, userId) {
     try {
-      const response = await this.api.get('/api/questions');
+      const response = await this.api.get(`/api/jobs/${jobId}`, {
+        params: { userId }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching job:', error);
+      throw error;
+    }
+  }
+
+  // Cancel a question whose answer is still being generated
+  async cancelJob(jobId, userId) {
+    try {
+      const response = await this.api.post(`/api/jobs/${jobId}/cancel`, { userId });
+      return response.data;
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      throw error;
+    }
+  }
+
+  // Get one page of a user's questions as { questions, nextCursor }
+  // query: { conversationId, from, to, q, sort, limit, cursor, include: 'answer' }
+  async getQuestions(userId, query = {}) {
+    try {
+      const response = await this.api.get('/api/questions', {
+        params: { userId, ...query }
+      });
       return response.data;
     } catch (error) {
       console.error('Error fetching questions:', error);
@@ -39,10 +89,25 @@ class ApiService {
     }
   }
 
+  // Search the user's questions, explanations and text layers; options: { conversationId, limit }
+  async search(userId, query, options = {}) {
+    try {
+      const response = await this.api.get('/api/search', {
+        params: { userId, q: query, ...options }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error searching:', error);
+      throw error;
+    }
+  }
+
   // Get specific answer by ID
-  async getAnswer(answerId) {
+  async getAnswer(answerId, userId) {
     try {
-      const response = await this.api.get(`/api/answers/${answerId}`);
+      const response = await this.api.get(`/api/answers/${answerId}`, {
+        params: { userId }
+      });
       return response.data;
     } catch (error) {
       console.error('Error fetching answer:', error);
@@ -50,6 +115,144 @@ class ApiService {
     }
   }
 
+  // Ask an edited version of an earlier question as a new branch of its thread
+  async branchQuestion(questionId, userId, question, options = {}) {
+    try {
+      const response = await this.api.post(`/api/questions/${questionId}/branch`, {
+        userId,
+        question,
+        options
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error branching question:', error);
+      throw error;
+    }
+  }
+
+  // Generate another answer version for a question (returns a job id, like submitQuestion)
+  async regenerateAnswer(questionId, userId, options = {}) {
+    try {
+      const response = await this.api.post(`/api/questions/${questionId}/regenerate`, {
+        userId,
+        options
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error regenerating answer:', error);
+      throw error;
+    }
+  }
+
+  // Get every answer version of a question, oldest first
+  async getAnswerVersions(questionId, userId) {
+    try {
+      const response = await this.api.get(`/api/questions/${questionId}/answers`, {
+        params: { userId }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching answer versions:', error);
+      throw error;
+    }
+  }
+
+  // Keep one of a question's answer versions as its current answer
+  async setCurrentAnswer(questionId, userId, answerId) {
+    try {
+      const response = await this.api.put(`/api/questions/${questionId}/current-answer`, { userId, answerId });
+      return response.data;
+    } catch (error) {
+      console.error('Error setting current answer:', error);
+      throw error;
+    }
+  }
+
+  // Update a question's text or tags
+  async updateQuestion(questionId, userId, updates) {
+    try {
+      const response = await this.api.patch(`/api/questions/${questionId}`, { userId, ...updates });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating question:', error);
+      throw error;
+    }
+  }
+
+  // Delete a question with all of its answer versions
+  async deleteQuestion(questionId, userId) {
+    try {
+      const response = await this.api.delete(`/api/questions/${questionId}`, {
+        data: { userId }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting question:', error);
+      throw error;
+    }
+  }
+
+  // Delete one answer version of a question
+  async deleteAnswer(answerId, userId) {
+    try {
+      const response = await this.api.delete(`/api/answers/${answerId}`, {
+        data: { userId }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting answer:', error);
+      throw error;
+    }
+  }
+
+  // Get the user's conversation threads (most recently active first)
+  async getConversations(userId) {
+    try {
+      const response = await this.api.get('/api/conversations', {
+        params: { userId }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching conversation threads:', error);
+      throw error;
+    }
+  }
+
+  // Create a conversation thread (untitled threads are named after their first question)
+  async createConversation(userId, title = null) {
+    try {
+      const response = await this.api.post('/api/conversations', { userId, title });
+      return response.data;
+    } catch (error) {
+      console.error('Error creating conversation thread:', error);
+      throw error;
+    }
+  }
+
+  // Rename a conversation thread
+  async renameConversation(conversationId, userId, title) {
+    try {
+      const response = await this.api.patch(`/api/conversations/${conversationId}`, { userId, title });
+      return response.data;
+    } catch (error) {
+      console.error('Error renaming conversation thread:', error);
+      throw error;
+    }
+  }
+
+  // Delete a conversation thread with its questions and answers
+  async deleteConversation(conversationId, userId) {
+    try {
+      const response = await this.api.delete(`/api/conversations/${conversationId}`, {
+        data: { userId }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting conversation thread:', error);
+      throw error;
+    }
+  }
+
   // Clear all conversations
   async clearAllConversations(userId) {
     try {
@@ -64,32 +267,159 @@ class ApiService {
   }
 
   // Create SSE connection for real-time updates
-  createSSEConnection(onMessage, onError) {
-    console.log('🔄 Creating SSE connection to:', `${API_BASE_URL}/api/stream`);
-    const eventSource = new EventSource(`${API_BASE_URL}/api/stream`);
-    
-    eventSource.onopen = () => {
-      console.log('✅ SSE connection opened');
+  // subscription: { userId } for all of a user's events, or { questionId } for a single question.
+  // Returns an object with close(); reconnects resume from the last received event id.
+  createSSEConnection(onMessage, onError, subscription = {}) {
+    let eventSource = null;
+    let lastEventId = null;
+    let reconnectTimer = null;
+    let isClosed = false;
+
+    const connect = () => {
+      const params = new URLSearchParams();
+      if (subscription.userId) params.set('userId', subscription.userId);
+      if (subscription.questionId) params.set('questionId', subscription.questionId);
+      // A new EventSource can't send the Last-Event-ID header itself, so pass it in the query
+      if (lastEventId) params.set('lastEventId', lastEventId);
+
+      const streamUrl = `${API_BASE_URL}/api/stream?${params.toString()}`;
+      console.log('🔄 Creating SSE connection to:', streamUrl);
+      eventSource = new EventSource(streamUrl);
+      
+      eventSource.onopen = () => {
+        console.log('✅ SSE connection opened');
+      };
+      
+      eventSource.onmessage = (event) => {
+        if (event.lastEventId) lastEventId = event.lastEventId;
+        try {
+          console.log('📨 Raw SSE message received:', event.data);
+          const data = JSON.parse(event.data);
+          console.log('📨 Parsed SSE message:', data);
+          onMessage(data);
+        } catch (error) {
+          console.error('❌ Error parsing SSE message:', error, 'Raw data:', event.data);
+        }
+      };
+
+      eventSource.onerror = (error) => {
+        console.error('❌ SSE connection error:', error);
+        console.log('SSE readyState:', eventSource.readyState);
+        if (onError) onError(error);
+
+        // The browser retries by itself (sending Last-Event-ID) unless the stream was closed for good
+        if (eventSource.readyState === EventSource.CLOSED && !isClosed) {
+          clearTimeout(reconnectTimer);
+          reconnectTimer = setTimeout(connect, SSE_RECONNECT_DELAY);
+        }
+      };
     };
-    
-    eventSource.onmessage = (event) => {
-      try {
-        console.log('📨 Raw SSE message received:', event.data);
-        const data = JSON.parse(event.data);
-        console.log('📨 Parsed SSE message:', data);
-        onMessage(data);
-      } catch (error) {
-        console.error('❌ Error parsing SSE message:', error, 'Raw data:', event.data);
+
+    connect();
+
+    return {
+      close() {
+        isClosed = true;
+        clearTimeout(reconnectTimer);
+        if (eventSource) eventSource.close();
       }
     };
+  }
 
-    eventSource.onerror = (error) => {
-      console.error('❌ SSE connection error:', error);
-      console.log('SSE readyState:', eventSource.readyState);
-      if (onError) onError(error);
-    };
+  // A standalone HTML page that plays the answer's visualization offline
+  async exportAnswerHtml(answerId, userId) {
+    try {
+      const response = await this.api.get(`/api/answers/${answerId}/export.html`, {
+        params: { userId },
+        responseType: 'text'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting answer as HTML:', error);
+      throw error;
+    }
+  }
+
+  // The embed player is served by the backend, so its URL is absolute (for <iframe> snippets)
+  withEmbedUrl(share) {
+    return { ...share, embedUrl: `${API_BASE_URL}${share.embedPath}` };
+  }
+
+  // Read-only links to an answer
+  async shareAnswer(answerId, userId, expiresAt = null) {
+    try {
+      const response = await this.api.post(`/api/answers/${answerId}/share`, {
+        userId,
+        expiresAt
+      });
+      return this.withEmbedUrl(response.data);
+    } catch (error) {
+      console.error('Error sharing answer:', error);
+      throw error;
+    }
+  }
+
+  async getShares(answerId, userId) {
+    try {
+      const response = await this.api.get(`/api/answers/${answerId}/shares`, {
+        params: { userId }
+      });
+      return response.data.shares.map(share => this.withEmbedUrl(share));
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+      throw error;
+    }
+  }
+
+  async revokeShare(answerId, shareId, userId) {
+    try {
+      const response = await this.api.delete(`/api/answers/${answerId}/shares/${shareId}`, {
+        data: { userId }
+      });
+      return this.withEmbedUrl(response.data);
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      throw error;
+    }
+  }
+
+  // Public: the answer behind a share link, no userId needed
+  async getSharedAnswer(token) {
+    try {
+      const response = await this.api.get(`/api/shared/${encodeURIComponent(token)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching shared answer:', error);
+      throw error;
+    }
+  }
 
-    return eventSource;
+  // The user's whole history as an archive for POST /api/import
+  async exportArchive(userId) {
+    try {
+      const response = await this.api.get('/api/export', {
+        params: { userId }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      throw error;
+    }
+  }
+
+  // Load an archive into the user's history; mode is 'merge' or 'replace'
+  async importArchive(userId, archive, mode = 'merge') {
+    try {
+      const response = await this.api.post('/api/import', {
+        userId,
+        archive,
+        mode
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error importing history:', error);
+      throw error;
+    }
   }
 
   // Health check
@@ -0,0 +1,65 @@
+/**
+ * Conversation branches
+ *
+ * Questions of a thread form a tree through parentId: editing an earlier
+ * question asks the edited version as a sibling of the original. The chat
+ * shows one path through the tree, following the selected question at each
+ * fork, or the most recently asked one when none was picked.
+ */
+
+// Key under which the questions following on from the same question are grouped
+const forkKey = (parentId, threadId) => parentId || `root:${threadId}`;
+
+/**
+ * Pick the path of a thread's questions to show
+ * @param {Array} conversations - Questions of one thread, most recent first
+ * @param {Object} selectedBranches - Fork key -> id of the question picked there
+ * @param {string} threadId - The thread the questions belong to
+ * @returns {Array} - Questions on the path, most recent first, each with its
+ *   branchKey and the siblingIds it can be switched with (oldest first)
+ */
+export function selectBranch(conversations, selectedBranches, threadId) {
+  const ids = new Set(conversations.map(conv => conv.id));
+  const children = {};
+
+  conversations.slice().reverse().forEach(conv => {
+    // A question whose parent was deleted moves up to the top of the thread
+    const key = forkKey(ids.has(conv.parentId) ? conv.parentId : null, threadId);
+    (children[key] = children[key] || []).push(conv);
+  });
+
+  const path = [];
+  let key = forkKey(null, threadId);
+  while (children[key]) {
+    const siblings = children[key];
+    const selectedId = selectedBranches[key];
+    const selected = siblings.find(conv => conv.id === selectedId) || siblings[siblings.length - 1];
+    path.push({ ...selected, branchKey: key, siblingIds: siblings.map(conv => conv.id) });
+    key = selected.id;
+  }
+
+  return path.reverse();
+}
+
+/**
+ * Branch picks that lead to a question, for jumping straight to it
+ * @param {Array} conversations - Questions of one thread, the question and its ancestors among them
+ * @param {string} questionId - The question to show
+ * @param {string} threadId - The thread the questions belong to
+ * @returns {Object} - Fork key -> id of the question to pick there, to merge into selectedBranches
+ */
+export function selectPathTo(conversations, questionId, threadId) {
+  const byId = new Map(conversations.map(conv => [conv.id, conv]));
+  const picks = {};
+  const visited = new Set();
+
+  let conv = byId.get(questionId);
+  while (conv && !visited.has(conv.id)) {
+    visited.add(conv.id);
+    const parent = byId.get(conv.parentId);
+    picks[forkKey(parent ? parent.id : null, threadId)] = conv.id;
+    conv = parent;
+  }
+
+  return picks;
+}
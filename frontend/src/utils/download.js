@@ -0,0 +1,20 @@
+/**
+ * Save generated content as a file through the browser's download prompt
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// File name made from a question, e.g. "how-do-tides-work"
+export function slugify(text, fallback = 'visualization') {
+  const slug = String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+  return slug || fallback;
+}
@@ -84,6 +84,24 @@ export class VisualizationEngine {
     this.reset();
   }
 
+  // Add a layer to the loaded visualization without restarting the timeline
+  // (used while a streamed response delivers its layers one at a time)
+  appendLayer(layer) {
+    if (!this.visualization || !layer) return;
+
+    // Copy rather than mutate, the visualization object belongs to React state
+    this.visualization = {
+      ...this.visualization,
+      layers: [...(this.visualization.layers || []), layer]
+    };
+    
+    // New layers can widen the coordinate range
+    this.normalizationBounds = this._calculateVisualizationBounds(this.visualization);
+    
+    // A playing animation picks the layer up on its next frame
+    if (!this.isPlaying) this.render();
+  }
+
   reset() {
     // Log reset operation for debugging
     if (this.debug) console.log('Resetting visualization');
@@ -144,6 +162,21 @@ export class VisualizationEngine {
     }
   }
 
+  // Jump to a point in the timeline (milliseconds), keeping the play/pause state
+  seek(time) {
+    if (!this.visualization) return;
+
+    const { duration } = this.visualization;
+    this.currentTime = Math.max(0, Number.isFinite(duration) ? Math.min(time, duration) : time);
+
+    if (this.isPlaying) {
+      // The next frame picks up from the new position
+      this.startTime = performance.now() - this.currentTime;
+    } else {
+      this.render();
+    }
+  }
+
   // Toggle between play and pause
   togglePlayPause() {
     if (this.isPlaying) {